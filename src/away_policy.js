@@ -0,0 +1,80 @@
+/**
+ * Away and auto-pause policy.
+ * Responsibility: the player's choice of what pauses the tank while they are away, how long without
+ * input counts as away, and whether a hidden tab keeps simulating. Stored per browser, not per tank.
+ */
+
+const AWAY_POLICY_STORAGE_KEY = 'aquatab_away_policy';
+
+export const AUTO_PAUSE_TRIGGERS = Object.freeze(['starving', 'lowHygiene', 'filterDepleted', 'death']);
+
+export const AUTO_PAUSE_TRIGGER_LABELS = Object.freeze({
+  starving: 'A fish is starving',
+  lowHygiene: 'Water hygiene is low',
+  filterDepleted: 'The filter is depleted',
+  death: 'A fish died'
+});
+
+// An empty `triggers` list means "never auto-pause".
+export const DEFAULT_AWAY_POLICY = Object.freeze({
+  triggers: Object.freeze(['starving']),
+  hygieneBelowPct: 50,
+  inactivitySec: 300,
+  runWhileHidden: true
+});
+
+const clampInt = (value, min, max, fallback) => (Number.isFinite(Number(value)) ? Math.max(min, Math.min(max, Math.round(Number(value)))) : fallback);
+
+export function normalizeAwayPolicy(raw) {
+  const triggers = Array.isArray(raw?.triggers)
+    ? AUTO_PAUSE_TRIGGERS.filter((trigger) => raw.triggers.includes(trigger))
+    : [...DEFAULT_AWAY_POLICY.triggers];
+  return {
+    triggers,
+    hygieneBelowPct: clampInt(raw?.hygieneBelowPct, 1, 99, DEFAULT_AWAY_POLICY.hygieneBelowPct),
+    inactivitySec: clampInt(raw?.inactivitySec, 30, 3600, DEFAULT_AWAY_POLICY.inactivitySec),
+    runWhileHidden: typeof raw?.runWhileHidden === 'boolean' ? raw.runWhileHidden : DEFAULT_AWAY_POLICY.runWhileHidden
+  };
+}
+
+function readStorage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+export function loadAwayPolicy(storage = readStorage()) {
+  try {
+    const raw = storage?.getItem(AWAY_POLICY_STORAGE_KEY);
+    return normalizeAwayPolicy(raw ? JSON.parse(raw) : null);
+  } catch {
+    return normalizeAwayPolicy(null);
+  }
+}
+
+/** Normalizes and stores `policy`; returns the stored policy. Storage is best-effort only. */
+export function saveAwayPolicy(policy, storage = readStorage()) {
+  const normalized = normalizeAwayPolicy(policy);
+  try {
+    storage?.setItem(AWAY_POLICY_STORAGE_KEY, JSON.stringify(normalized));
+  } catch {
+    // Keep using the in-memory policy.
+  }
+  return normalized;
+}
+
+/**
+ * Returns the first trigger in `policy` that currently holds for `world`, or null.
+ * `deathsWhileAway` comes from the away report, since a death is an event rather than a state.
+ */
+export function autoPauseReason(world, policy, { deathsWhileAway = 0 } = {}) {
+  for (const trigger of policy.triggers) {
+    if (trigger === 'starving' && world.fish.some((fish) => fish.lifeState === 'ALIVE' && fish.hungerState === 'STARVING')) return trigger;
+    if (trigger === 'lowHygiene' && world.water.hygiene01 * 100 < policy.hygieneBelowPct) return trigger;
+    if (trigger === 'filterDepleted' && world.water.filterInstalled && world.water.filter01 <= world.filterDepletedThreshold01) return trigger;
+    if (trigger === 'death' && deathsWhileAway > 0) return trigger;
+  }
+  return null;
+}
@@ -5,7 +5,25 @@
  * reproduction) can be added without scattering constants across files.
  */
 
-export const CONFIG = Object.freeze({
+// Headless balancing runs (src/sim/balance.js) set this before the module is first
+// imported so each worker sees its own tuning variant. Browser builds never set it.
+const TUNING_OVERRIDES = globalThis.AQUATAB_TUNING_OVERRIDES ?? null;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function mergeTuning(base, patch, freeze = false) {
+  if (!isPlainObject(patch)) return base;
+  const out = { ...base };
+  for (const [key, value] of Object.entries(patch)) {
+    const current = base?.[key];
+    out[key] = isPlainObject(current) && isPlainObject(value)
+      ? mergeTuning(current, value, Object.isFrozen(current))
+      : value;
+  }
+  return freeze ? Object.freeze(out) : out;
+}
+
+export const CONFIG = Object.freeze(mergeTuning({
   FEMALE_NAME_POOL: [
     'Alice', 'Amelia', 'Aria', 'Ava', 'Bella', 'Chloe', 'Clara', 'Daisy', 'Eleanor', 'Ella',
     'Emily', 'Emma', 'Eva', 'Grace', 'Hannah', 'Harper', 'Hazel', 'Ivy', 'Isla', 'Lily',
@@ -48,6 +66,8 @@ export const CONFIG = Object.freeze({
     // Encounter + mating
     MATE_ENCOUNTER_RADIUS_PX: 70,
     MATE_PAIR_RETRY_MIN_SEC: 25,
+    // Macro steps estimate encounters from mixing; scaled so births match full ticks (tools/simulate.js --macro).
+    MATE_MACRO_ENCOUNTER_SCALE: 0.25,
     MATE_BASE_CHANCE: 0.08,
     MATE_FATHER_COOLDOWN_SEC: [120, 240],
 
@@ -60,12 +80,44 @@ export const CONFIG = Object.freeze({
     MOTHER_COOLDOWN_SEC: [600, 1080],
     CLUTCH_SIZE: [2, 4],
 
+    // Population pressure: mating odds fade from START to zero at CRITICAL alive fish.
+    // null derives both from world.water.referenceFishCount.
+    PRESSURE_START_COUNT: null,
+    PRESSURE_CRITICAL_COUNT: null,
+
     // Genetics
     TRAIT_MUTATION_PCT: 0.05
   },
 
   world: {
     maxTiltRad: Math.PI / 3,
+    // Simulation always advances in fixed steps (visible and background tabs alike).
+    fixedStepSec: 1 / 30,
+    maxCatchUpSec: 120,
+    // Retired fish kept for lineage and the post-mortem; the oldest are pruned past maxRetiredFish,
+    // except ancestors (up to keepAncestorGenerations) of fish still in the tank.
+    fishArchive: {
+      maxRetiredFish: 300,
+      keepAncestorGenerations: 2
+    },
+    // Tank history shown in the Journal tab and saved with the tank; the oldest entries drop past maxEntries.
+    journal: {
+      maxEntries: 400
+    },
+    // Coarse steps (no steering/fx) used for long gaps; wall-clock gaps of at least minGapSec switch to them.
+    macroStep: {
+      stepSec: 5,
+      minGapSec: 30
+    },
+    // Fast-forward applied when a save is reopened after the browser was closed.
+    offline: {
+      catchUpEnabled: true,
+      maxCatchUpHours: 6,
+      minCatchUpSec: 60,
+      useMacroStep: true,
+      catchUpStepSec: 0.25,
+      catchUpChunkSec: 120
+    },
     food: {
       defaultAmount: 1,
       defaultTtlSec: 120,
@@ -75,12 +127,46 @@ export const CONFIG = Object.freeze({
     },
     poop: {
       defaultTtlSec: 120,
-      dirtPerSec: 0.00008,
+      // Ammonia each poop releases while it lingers in the tank.
+      ammoniaPerSec: 0.002,
       riseSpeed: 4,
       baseDriftSpeed: 4,
       driftDamping: 0.99,
       jitter: 0.04
     },
+    vacuum: {
+      radiusPx: 36,
+      // Food counts as rotting on the gravel once it rests this close to the bottom.
+      settledFoodBandPx: 6,
+      fxPerItem: 5
+    },
+    // Currents from equipment (engine/flow_field.js). Speeds are px/sec at full filter condition.
+    flow: {
+      filterJetSpeedPxPerSec: 42,
+      filterJetReachPx: 260,
+      filterJetSpreadPx: 16,
+      // Slightly upward from straight left, out of the top of the filter module.
+      filterJetAngleRad: Math.PI + 0.12,
+      filterIntakeSpeedPxPerSec: 8,
+      filterIntakeRadiusPx: 40,
+      // Share of the current each thing is carried along with (1 = moves with the water).
+      carry: {
+        food: 0.8,
+        poop: 0.9,
+        bubbles: 0.5,
+        eggs: 0.08
+      },
+      // Fish hold station against most of the current; small and frail ones drift more.
+      fishDriftByStage: {
+        BABY: 0.55,
+        JUVENILE: 0.3,
+        ADULT: 0.15,
+        OLD: 0.25
+      },
+      // Extra metabolism distance per px of current swum against.
+      effortPerPx: 1.2,
+      overlaySpacingPx: 40
+    },
     fishLifecycle: {
       deadToSkeletonSec: 120,
       skeletonToRemoveSec: 120
@@ -98,29 +184,58 @@ export const CONFIG = Object.freeze({
       POLLUTION_MURK_MAX_ALPHA: 0.11,
       POLLUTION_SETTLE_MAX_ALPHA: 0.14,
       POLLUTION_SETTLE_COLOR: '74, 98, 76',
-      dirtDecayPower: 1.9,
-      dirtDecayStrength: 8.0,
-      hygieneDropPerExpiredFood: 0.007,
-      hygieneDropPerPoopSpawn: 0.002,
       referenceFishCount: 20,
-      baselineDecayPerSec: 0.0002,
-      bioloadDirtPerSec: 0.00028,
-      dirtPerExpiredFood: 0.010,
-      dirtToDecayMultiplier: 3,
-      filterDirtRemovePerSec: 0.0006,
+      // Nitrogen cycle (see engine/water_chemistry.js). Levels are ppm; bioload is fish units / referenceFishCount.
+      ammoniaPerBioloadSec: 0.05,
+      ammoniaPerPoopSpawn: 0.05,
+      ammoniaPerExpiredFood: 0.25,
+      nitrifyAmmoniaPerSec: 0.6,
+      nitrifyNitritePerSec: 0.3,
+      substrateBacteria01: 0.15,
+      bacteriaMatureSec: 1800,
+      bacteriaDieOffSec: 900,
+      bacteriaFoodPpm: 0.02,
+      maintenanceBacteriaLoss01: 0.25,
+      filterNitrateRemovalPerSec: 0.0003,
+      plantNitrateUptakePerSec: 0.0001,
+      ammoniaZeroHygienePpm: 4,
+      nitriteZeroHygienePpm: 8,
+      nitrateZeroHygienePpm: 200,
+      murkTotalNitrogenPpm: 160,
+      ammoniaSafePpm: 0.25,
+      ammoniaToxicPpm: 2,
+      nitriteSafePpm: 0.5,
+      nitriteToxicPpm: 5,
+      nitrateSafePpm: 60,
+      nitrateToxicPpm: 200,
       wearBasePerSec: 0.00005,
       wearBioloadFactor: 1.0,
       wearDirtFactor: 2.5,
-      bioloadMitigationFactor: 0.6,
-      filterTierDirtRemovalStep: 0.25,
-      filterTierBioloadStep: 0.15,
+      filterTierConversionStep: 0.25,
+      filterTierNitrateStep: 0.25,
       filterTierWearStep: 0.08,
-      hygieneRecoveryPerSec: 0.00006,
       filterDepletedThreshold01: 0.1,
       installDurationSec: 12,
       maintenanceDurationSec: 12,
       maintenanceCooldownSec: 25,
-      maintenanceRestoreTo01: 1.0
+      maintenanceRestoreTo01: 1.0,
+      // Partial water change: replaces a share of the water with clean water over a few seconds.
+      waterChangeMin01: 0.1,
+      waterChangeMax01: 0.5,
+      waterChangeDurationSec: 10,
+      waterChangeCooldownSec: 120,
+      // Replacing more than waterChangeSafe01 at once shocks fish, in proportion to the excess.
+      waterChangeSafe01: 0.25,
+      waterChangeShockPerExcess01: 0.8,
+      // Where the waste is (engine/water_field.js): a cols x rows grid over the tank.
+      field: {
+        cols: 16,
+        rows: 10,
+        diffusionPerSec: 0.08,
+        mixPerSec: 0.001,
+        filterDrawPerSec: 0.15,
+        filterReturnPerSec: 0.5
+      }
     }
   },
 
@@ -218,18 +333,19 @@ export const CONFIG = Object.freeze({
       OLD: 0.88
     },
 
+    // Stress from ammonia, nitrite and nitrate; the safe/toxic levels live in world.water.
     waterWellbeing: {
-      stressStartHygiene01: 0.7,
       stressCurvePower: 1.35,
       stressPerSec: 0.0012,
       ageSensitivityMin: 1,
-      ageSensitivityEdgeBoost: 0.6
+      ageSensitivityEdgeBoost: 0.6,
+      shockRecoveryPerSec: 0.004
     },
 
   }
-});
+}, TUNING_OVERRIDES?.config));
 
-export const SPECIES = Object.freeze({
+export const SPECIES = Object.freeze(mergeTuning({
   LAB_MINNOW: Object.freeze({
     id: 'LAB_MINNOW',
     displayName: 'Lab Minnow',
@@ -256,6 +372,7 @@ export const SPECIES = Object.freeze({
     desiredTurnRateScale: 1,
     bioloadFactor: 1,
     poopBioloadFactor: 1,
+    waterChangeSensitivity: 1,
     renderStyle: 'LAB_MINNOW'
   }),
   AZURE_DART: Object.freeze({
@@ -284,8 +401,9 @@ export const SPECIES = Object.freeze({
     desiredTurnRateScale: 1.7,
     bioloadFactor: 0.35,
     poopBioloadFactor: 0.25,
+    waterChangeSensitivity: 1.5,
     renderStyle: 'AZURE_DART'
   })
-});
+}, TUNING_OVERRIDES?.species));
 
 export const DEFAULT_SPECIES_ID = 'LAB_MINNOW';
@@ -0,0 +1,164 @@
+/**
+ * Alert rules.
+ * Responsibility: player-defined conditions on tank state ("hygiene < 60% for 2 sim-minutes",
+ * "any fish is STARVING", "Azure Dart count < 3") that fire an action once they have held long enough.
+ *
+ * Rules are saved with the tank. `World` evaluates them at most once per sim second and emits
+ * `alert:triggered`; carrying out the action (toast, pause, notification, journal entry) is up to
+ * subscribers. A rule fires once per episode and re-arms when its condition stops holding.
+ */
+
+import { SPECIES } from '../config.js';
+
+export const ALERT_RULE_ACTIONS = Object.freeze(['toast', 'pause', 'notification', 'journal']);
+
+const aliveFish = (world) => world.fish.filter((fish) => fish.lifeState === 'ALIVE');
+
+const speciesCountMetric = (speciesId) => ({
+  label: `${SPECIES[speciesId]?.displayName ?? speciesId} count`,
+  unit: 'count',
+  read: (world) => aliveFish(world).filter((fish) => fish.speciesId === speciesId).length
+});
+
+/**
+ * What a rule can watch. Number metrics compare with `ALERT_NUMBER_OPS`; state metrics hold when
+ * any alive fish is in the chosen state. `unit: 'pct'` values are stored as 0..1.
+ */
+export const ALERT_METRICS = Object.freeze({
+  'water.hygiene01': { label: 'Hygiene', unit: 'pct', read: (world) => world.water.hygiene01 },
+  'water.dirt01': { label: 'Dirt', unit: 'pct', read: (world) => world.water.dirt01 },
+  'water.filter01': {
+    label: 'Filter health',
+    unit: 'pct',
+    read: (world) => (world.water.filterInstalled ? world.water.filter01 : null)
+  },
+  'fish.aliveCount': { label: 'Fish count', unit: 'count', read: (world) => aliveFish(world).length },
+  'species.LAB_MINNOW.count': speciesCountMetric('LAB_MINNOW'),
+  'species.AZURE_DART.count': speciesCountMetric('AZURE_DART'),
+  'fish.hungerState': {
+    label: 'Any fish hunger state',
+    unit: 'state',
+    states: Object.freeze(['HUNGRY', 'STARVING']),
+    read: (world) => new Set(aliveFish(world).map((fish) => fish.hungerState))
+  }
+});
+
+export const ALERT_NUMBER_OPS = Object.freeze({
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+});
+
+export const ALERT_RULES_MAX = 20;
+export const ALERT_EVAL_INTERVAL_SEC = 1;
+
+/** Returns a valid rule or null. */
+export function normalizeAlertRule(raw) {
+  const metric = ALERT_METRICS[raw?.metric];
+  if (!metric || !ALERT_RULE_ACTIONS.includes(raw?.action)) return null;
+  const id = Number.isFinite(raw.id) ? Math.floor(raw.id) : null;
+  const forSimSec = Math.max(0, Math.min(24 * 3600, Number.isFinite(raw.forSimSec) ? raw.forSimSec : 0));
+  const base = { id, metric: raw.metric, forSimSec, action: raw.action, enabled: raw.enabled !== false };
+
+  if (metric.unit === 'state') {
+    return metric.states.includes(raw.value) ? { ...base, op: 'is', value: raw.value } : null;
+  }
+  if (!ALERT_NUMBER_OPS[raw.op] || !Number.isFinite(raw.value)) return null;
+  return { ...base, op: raw.op, value: raw.value };
+}
+
+export function describeAlertRule(rule) {
+  const metric = ALERT_METRICS[rule.metric];
+  const duration = rule.forSimSec > 0 ? ` for ${Math.round(rule.forSimSec / 60 * 10) / 10} sim-min` : '';
+  if (metric.unit === 'state') return `Any fish is ${rule.value}${duration}`;
+  const value = metric.unit === 'pct' ? `${Math.round(rule.value * 100)}%` : String(rule.value);
+  return `${metric.label} ${rule.op} ${value}${duration}`;
+}
+
+function conditionHolds(rule, readings) {
+  const reading = readings(rule.metric);
+  if (rule.op === 'is') return reading.has(rule.value);
+  return reading != null && ALERT_NUMBER_OPS[rule.op](reading, rule.value);
+}
+
+export class AlertRules {
+  constructor() {
+    this.rules = [];
+    this.nextId = 1;
+    // Per-rule runtime state (not saved): when the condition started holding and whether it fired.
+    this.stateById = new Map();
+    this.nextEvalSec = 0;
+  }
+
+  add(raw) {
+    if (this.rules.length >= ALERT_RULES_MAX) return null;
+    const rule = normalizeAlertRule({ ...raw, id: this.nextId });
+    if (!rule) return null;
+    this.nextId += 1;
+    this.rules.push(rule);
+    return rule;
+  }
+
+  remove(ruleId) {
+    const before = this.rules.length;
+    this.rules = this.rules.filter((rule) => rule.id !== ruleId);
+    this.stateById.delete(ruleId);
+    return this.rules.length !== before;
+  }
+
+  setEnabled(ruleId, enabled) {
+    const rule = this.rules.find((entry) => entry.id === ruleId);
+    if (!rule) return false;
+    rule.enabled = Boolean(enabled);
+    this.stateById.delete(ruleId);
+    return true;
+  }
+
+  /**
+   * Evaluates enabled rules if a sim second has passed since the last pass and returns the rules
+   * that fired. Each metric is read at most once per pass.
+   */
+  evaluate(world) {
+    if (world.simTimeSec < this.nextEvalSec) return [];
+    this.nextEvalSec = world.simTimeSec + ALERT_EVAL_INTERVAL_SEC;
+    if (this.rules.length === 0) return [];
+
+    const cache = new Map();
+    const readings = (metricId) => {
+      if (!cache.has(metricId)) cache.set(metricId, ALERT_METRICS[metricId].read(world));
+      return cache.get(metricId);
+    };
+
+    const fired = [];
+    for (const rule of this.rules) {
+      if (!rule.enabled) continue;
+      if (!conditionHolds(rule, readings)) {
+        this.stateById.delete(rule.id);
+        continue;
+      }
+      const state = this.stateById.get(rule.id) ?? { sinceSec: world.simTimeSec, fired: false };
+      this.stateById.set(rule.id, state);
+      if (!state.fired && world.simTimeSec - state.sinceSec >= rule.forSimSec) {
+        state.fired = true;
+        fired.push(rule);
+      }
+    }
+    return fired;
+  }
+
+  toJSON() {
+    return { nextId: this.nextId, rules: this.rules.map((rule) => ({ ...rule })) };
+  }
+
+  loadFromJSON(data) {
+    this.rules = (Array.isArray(data?.rules) ? data.rules : [])
+      .map(normalizeAlertRule)
+      .filter((rule) => rule != null && rule.id != null)
+      .slice(0, ALERT_RULES_MAX);
+    const maxId = this.rules.reduce((max, rule) => Math.max(max, rule.id), 0);
+    this.nextId = Math.max(maxId + 1, Number.isFinite(data?.nextId) ? Math.floor(data.nextId) : 1);
+    this.stateById = new Map();
+    this.nextEvalSec = 0;
+  }
+}
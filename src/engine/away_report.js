@@ -0,0 +1,106 @@
+/**
+ * Away report.
+ * Responsibility: record what happens in a tank while the player is away (hidden tab, inactivity,
+ * offline catch-up) and summarize it for the auto-pause overlay.
+ *
+ * The recorder subscribes to world events for the timeline and counts; water and filter health
+ * have no events of their own, so the caller feeds them through `sample()` once per sim step.
+ */
+
+import { WORLD_EVENT_TYPES } from './events.js';
+import { describeWorldEvent } from './journal.js';
+
+export const AWAY_REPORT_MAX_TIMELINE = 60;
+
+const TIMELINE_TYPES = new Set([
+  WORLD_EVENT_TYPES.FISH_BORN,
+  WORLD_EVENT_TYPES.FISH_DIED,
+  WORLD_EVENT_TYPES.FILTER_INSTALLED,
+  WORLD_EVENT_TYPES.FILTER_DEPLETED,
+  WORLD_EVENT_TYPES.FILTER_MAINTAINED,
+  WORLD_EVENT_TYPES.FILTER_UPGRADED,
+  WORLD_EVENT_TYPES.WATER_CHANGED
+]);
+
+export class AwayReportRecorder {
+  constructor(world, { maxTimeline = AWAY_REPORT_MAX_TIMELINE } = {}) {
+    this.world = world;
+    this.maxTimeline = Math.max(1, Math.floor(maxTimeline));
+    this.fromSimSec = world.simTimeSec;
+    this.counts = { births: 0, deaths: 0, meals: 0, pregnancies: 0, failedEggs: 0 };
+    this.timeline = [];
+    this.omittedCount = 0;
+    this.lowestHygiene = { hygiene01: world.water.hygiene01, atSimSec: world.simTimeSec };
+    this.filterStart = this.#filterState();
+
+    const count = (key) => () => { this.counts[key] += 1; };
+    this.unsubscribers = [
+      world.on(WORLD_EVENT_TYPES.FISH_BORN, count('births')),
+      world.on(WORLD_EVENT_TYPES.FISH_DIED, count('deaths')),
+      world.on(WORLD_EVENT_TYPES.FOOD_EATEN, count('meals')),
+      world.on(WORLD_EVENT_TYPES.FISH_GRAVID, count('pregnancies')),
+      world.on('*', (event) => this.#record(event))
+    ];
+  }
+
+  /** Tracks the hygiene low point; call after each sim step. */
+  sample() {
+    const hygiene01 = this.world.water.hygiene01;
+    if (hygiene01 < this.lowestHygiene.hygiene01) {
+      this.lowestHygiene = { hygiene01, atSimSec: this.world.simTimeSec };
+    }
+  }
+
+  dispose() {
+    for (const unsubscribe of this.unsubscribers) unsubscribe();
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Returns `{ fromSimSec, toSimSec, counts, timeline, omittedCount, lowestHygiene, filter, starving }`.
+   * `timeline` is chronological `{ t, parts }` (parts as in the journal); `filter` is null when no
+   * filter was installed before or during the absence.
+   */
+  build() {
+    this.sample();
+    const filterEnd = this.#filterState();
+    const filter = this.filterStart.installed || filterEnd.installed
+      ? { from01: this.filterStart.installed ? this.filterStart.filter01 : null, to01: filterEnd.filter01 }
+      : null;
+    const starving = this.world.fish
+      .filter((fish) => fish.lifeState === 'ALIVE' && fish.hungerState === 'STARVING')
+      .map((fish) => ({ fishId: fish.id, name: String(fish.name ?? '').trim() || `Fish #${fish.id}`, speciesId: fish.speciesId }));
+
+    return {
+      fromSimSec: this.fromSimSec,
+      toSimSec: this.world.simTimeSec,
+      counts: { ...this.counts },
+      timeline: this.timeline.map((entry) => ({ ...entry })),
+      omittedCount: this.omittedCount,
+      lowestHygiene: { ...this.lowestHygiene },
+      filter,
+      starving
+    };
+  }
+
+  #record(event) {
+    this.sample();
+    const lostToWater = event.type === WORLD_EVENT_TYPES.EGG_FAILED && event.payload?.lowHygiene;
+    if (lostToWater) this.counts.failedEggs += 1;
+    if (!TIMELINE_TYPES.has(event.type) && !lostToWater) return;
+
+    const description = describeWorldEvent(event, this.world);
+    if (!description) return;
+    this.timeline.push({ t: event.t, type: event.type, parts: description.parts });
+    // Keep the most recent entries; a long absence can produce far more than fits on screen.
+    if (this.timeline.length > this.maxTimeline) {
+      this.timeline.shift();
+      this.omittedCount += 1;
+    }
+  }
+
+  #filterState() {
+    const water = this.world.water;
+    return { installed: Boolean(water.filterInstalled), filter01: water.filter01 ?? 0 };
+  }
+}
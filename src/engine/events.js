@@ -0,0 +1,57 @@
+/**
+ * World event types.
+ * Responsibility: name every event `World` emits and document its payload, so consumers
+ * (journal, away report, notifications, alert rules) can subscribe by type with `world.on(type, handler)`.
+ *
+ * Every event is `{ type, t, payload }` where `t` is the sim time in seconds.
+ */
+
+export const WORLD_EVENT_TYPES = Object.freeze({
+  /** `{ fishId, motherId, fatherId, speciesId, eggId }` */
+  FISH_BORN: 'fish:born',
+  /** `{ fishId, reason, ageSec, hygiene01 }` */
+  FISH_DIED: 'fish:died',
+  /** `{ femaleId, maleId }` */
+  FISH_MATED: 'fish:mated',
+  /** `{ fishId, fatherId, dueAtSec }` */
+  FISH_GRAVID: 'fish:gravid',
+  /** `{ motherId, fatherId, speciesId, eggIds, count }` (one event per clutch) */
+  EGGS_LAID: 'eggs:laid',
+  /** `{ eggId, fishId, motherId, fatherId }` */
+  EGG_HATCHED: 'egg:hatched',
+  /** `{ eggId, motherId, fatherId, hygiene01, lowHygiene }` (`lowHygiene`: the water made hatching unlikely) */
+  EGG_FAILED: 'egg:failed',
+  /** `{ foodId, x, y, amount, ttl }` */
+  FOOD_SPAWNED: 'food:spawned',
+  /** `{ foodId, kind: 'food' | 'fruit', consumed, fishId }` */
+  FOOD_EATEN: 'food:eaten',
+  /** `{ foodId }` */
+  FOOD_EXPIRED: 'food:expired',
+  /** `{ poopId, fishId, x, y }` (`poopId` is null for poop folded straight into the water) */
+  POOP_SPAWNED: 'poop:spawned',
+  /** `{ tier }` */
+  FILTER_INSTALLED: 'filter:installed',
+  /** `{ filter01, tier }` */
+  FILTER_DEPLETED: 'filter:depleted',
+  /** `{ filter01 }` */
+  FILTER_MAINTAINED: 'filter:maintained',
+  /** `{ fromTier, tier }` */
+  FILTER_UPGRADED: 'filter:upgraded',
+  /** `{ fraction01 }`: a partial water change finished */
+  WATER_CHANGED: 'water:changed',
+  /** `{ unlockId }`: a key of `world.speciesUnlocks` (`berryReed`, `azureDart`) */
+  SPECIES_UNLOCKED: 'species:unlocked',
+  /** `{ plantId, fruitId }` */
+  PLANT_FRUITED: 'plant:fruited',
+  /** `{ ruleId, metric, action, description }`: a player alert rule (see alert_rules.js) fired */
+  ALERT_TRIGGERED: 'alert:triggered'
+});
+
+const KNOWN_TYPES = new Set(Object.values(WORLD_EVENT_TYPES));
+
+/** Subscribe with this type to receive every event. */
+export const ANY_WORLD_EVENT = '*';
+
+export function isWorldEventType(type) {
+  return KNOWN_TYPES.has(type);
+}
@@ -1,4 +1,6 @@
 import { CONFIG, DEFAULT_SPECIES_ID, SPECIES } from '../config.js';
+import { SeededRng } from './rng.js';
+import { waterToxicity01 } from './water_chemistry.js';
 
 const TAU = CONFIG.fish.tau;
 const MAX_TILT = CONFIG.fish.maxTiltRad;
@@ -10,6 +12,14 @@ const SPEED_MULTIPLIER = CONFIG.fish.speedMultiplier;
 const FOOD_REACH_RADIUS = CONFIG.fish.foodReachRadius;
 const DEAD_SINK_SPEED = CONFIG.fish.deadSinkSpeed;
 const METABOLISM_COST_PER_PIXEL = CONFIG.fish.metabolism.costPerPixel;
+// Reused for every fish's local water sample; read straight away in updateMetabolism.
+const localWaterScratch = { ammoniaPpm: 0, nitritePpm: 0, nitratePpm: 0 };
+// Same for the current: sampled into flowScratch and turned into a drift straight away.
+const flowScratch = { x: 0, y: 0 };
+const currentDriftScratch = { x: 0, y: 0, effortPx: 0 };
+const FLOW_CONFIG = CONFIG.world.flow ?? {};
+const FLOW_DRIFT_BY_STAGE = FLOW_CONFIG.fishDriftByStage ?? {};
+const FLOW_EFFORT_PER_PX = Math.max(0, FLOW_CONFIG.effortPerPx ?? 1);
 const HUNGRY_THRESHOLD = CONFIG.fish.hunger.hungryThreshold;
 const STARVING_THRESHOLD = CONFIG.fish.hunger.starvingThreshold;
 const FOOD_VISION_RADIUS = CONFIG.fish.hunger.foodVisionRadius;
@@ -24,12 +34,11 @@ const MORPH = CONFIG.fish.morph;
 const STAGE_SPEED = CONFIG.fish.stageSpeed;
 const SPECIES_MAP = SPECIES ?? {};
 const WATER_WELLBEING = CONFIG.fish.waterWellbeing ?? {};
-const WATER_STRESS_START_HYGIENE01 = Math.max(0.05, Math.min(1, WATER_WELLBEING.stressStartHygiene01 ?? 0.7));
 const WATER_STRESS_CURVE_POWER = Math.max(1, WATER_WELLBEING.stressCurvePower ?? 1.35);
 const WATER_STRESS_PER_SEC = Math.max(0, WATER_WELLBEING.stressPerSec ?? 0.006);
 const WATER_AGE_SENSITIVITY_MIN = Math.max(0, WATER_WELLBEING.ageSensitivityMin ?? 1);
 const WATER_AGE_SENSITIVITY_EDGE_BOOST = Math.max(0, WATER_WELLBEING.ageSensitivityEdgeBoost ?? 0.6);
-const rand = (min, max) => min + Math.random() * (max - min);
+const WATER_SHOCK_RECOVERY_PER_SEC = Math.max(0, WATER_WELLBEING.shockRecoveryPerSec ?? 0.004);
 const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
 const HOVER_CONFIG = CONFIG.fish.hover ?? {};
 const HOVER_MIN_SEC = Math.max(0, HOVER_CONFIG.minSec ?? 0.6);
@@ -76,6 +85,7 @@ export const FISH_SAVE_KEYS = [
   'hunger01',
   'wellbeing01',
   'waterPenalty01',
+  'waterShock01',
   'hungerState',
   'lifeState',
   'deathReason',
@@ -95,6 +105,22 @@ export const FISH_SAVE_KEYS = [
   'nextSoloWindowAtSec',
   'history'
 ];
+
+// Retired fish (no longer in the tank) only keep identity, traits, history and death info.
+export const ARCHIVED_FISH_SAVE_KEYS = [
+  'id',
+  'speciesId',
+  'name',
+  'sex',
+  'spawnTimeSec',
+  'stageShiftBabySec',
+  'stageShiftJuvenileSec',
+  'traits',
+  'lifeState',
+  'deathReason',
+  'deadAtSec',
+  'history'
+];
 // Smooth-ish ease for growth transitions.
 const easeInOut = (t) => t * t * (3 - 2 * t);
 
@@ -138,14 +164,16 @@ function getSpeciesDiet(speciesId) {
   return Array.isArray(species?.diet) ? species.diet : ['pellet'];
 }
 
-function randomColorHueForSpecies(speciesId) {
-  if (speciesId === 'AZURE_DART') return rand(198, 228);
-  return rand(8, 42);
+function randomColorHueForSpecies(speciesId, rng) {
+  if (speciesId === 'AZURE_DART') return rng.range(198, 228);
+  return rng.range(8, 42);
 }
 
 export class Fish {
   constructor(bounds, options = {}) {
     this.bounds = bounds;
+    // Shared with the owning World so every draw comes from the sim's seeded stream.
+    this.rng = options.rng ?? new SeededRng();
 
     this.id = options.id ?? 0;
     this.speciesId = typeof options.speciesId === 'string' ? options.speciesId : DEFAULT_SPECIES_ID;
@@ -158,17 +186,17 @@ export class Fish {
     const growthRange = GROWTH_CONFIG.growthRateRange;
 
     const baseTraits = {
-      colorHue: options.colorHue ?? randomColorHueForSpecies(this.speciesId),
-      sizeFactor: options.sizeFactor ?? rand(sizeRange.min, sizeRange.max),
-      growthRate: options.growthRate ?? rand(growthRange.min, growthRange.max),
+      colorHue: options.colorHue ?? randomColorHueForSpecies(this.speciesId, this.rng),
+      sizeFactor: options.sizeFactor ?? this.rng.range(sizeRange.min, sizeRange.max),
+      growthRate: options.growthRate ?? this.rng.range(growthRange.min, growthRange.max),
       lifespanSec: null,
-      speedFactor: options.speedFactor ?? rand(0.42, 0.68),
-      colorPatternSeed: options.colorPatternSeed ?? rand(0, 1)
+      speedFactor: options.speedFactor ?? this.rng.range(0.42, 0.68),
+      colorPatternSeed: options.colorPatternSeed ?? this.rng.range(0, 1)
     };
 
     const lifeMean = AGE_CONFIG.lifespanMeanSec * (this.species?.lifespanScale ?? 1);
     const lifeJitter = AGE_CONFIG.lifespanJitterSec * (this.species?.lifespanScale ?? 1);
-    baseTraits.lifespanSec = options.lifespanSec ?? rand(lifeMean - lifeJitter, lifeMean + lifeJitter);
+    baseTraits.lifespanSec = options.lifespanSec ?? this.rng.range(lifeMean - lifeJitter, lifeMean + lifeJitter);
     this.traits = {
       ...baseTraits,
       ...(options.traits ?? {})
@@ -179,8 +207,8 @@ export class Fish {
     this.adultRadius = GROWTH_CONFIG.adultRadius * this.traits.sizeFactor * (this.species?.adultSizeScale ?? 1);
 
     const stageJitter = AGE_CONFIG.stageJitterSec;
-    this.stageShiftBabySec = options.stageShiftBabySec ?? rand(-stageJitter, stageJitter);
-    this.stageShiftJuvenileSec = options.stageShiftJuvenileSec ?? rand(-stageJitter, stageJitter);
+    this.stageShiftBabySec = options.stageShiftBabySec ?? this.rng.range(-stageJitter, stageJitter);
+    this.stageShiftJuvenileSec = options.stageShiftJuvenileSec ?? this.rng.range(-stageJitter, stageJitter);
 
     // Current visual radius (updated each tick by updateLifeCycle()).
     // Start small at birth.
@@ -192,33 +220,34 @@ export class Fish {
       ? { x: options.position.x, y: options.position.y }
       : { x: bounds.width * 0.5, y: bounds.height * 0.5 };
 
-    this.facing = Math.random() < 0.5 ? -1 : 1;
+    this.facing = this.rng.next() < 0.5 ? -1 : 1;
     const initialHeading = options.headingAngle ?? (this.facing === -1 ? Math.PI : 0);
     this.facing = resolveFacingByCos(initialHeading, this.facing);
 
     this.headingAngle = clampAngleForFacing(initialHeading, this.facing);
     this.desiredAngle = this.headingAngle;
 
-    this.currentSpeed = this.#baseSpeed() * rand(0.9, 1.06);
+    this.currentSpeed = this.#baseSpeed() * this.rng.range(0.9, 1.06);
     const schooling = this.species?.schooling ?? {};
     this.schoolingBias = Number.isFinite(options.schoolingBias)
       ? clamp(options.schoolingBias, 0, 1)
-      : clamp(rand(schooling.biasMin ?? 0, schooling.biasMax ?? 0), 0, 1);
+      : clamp(this.rng.range(schooling.biasMin ?? 0, schooling.biasMax ?? 0), 0, 1);
     this.soloUntilSec = Number.isFinite(options.soloUntilSec) ? options.soloUntilSec : 0;
     this.nextSoloWindowAtSec = Number.isFinite(options.nextSoloWindowAtSec)
       ? options.nextSoloWindowAtSec
-      : rand(5, 20);
-    this.cruisePhase = rand(0, TAU);
-    this.cruiseRate = rand(0.35, 0.7);
+      : this.rng.range(5, 20);
+    this.cruisePhase = this.rng.range(0, TAU);
+    this.cruiseRate = this.rng.range(0.35, 0.7);
 
     this.target = this.#pickTarget();
     this.lastDistanceMoved = 0;
 
-    this.sex = Math.random() < 0.5 ? 'female' : 'male';
+    this.sex = this.rng.next() < 0.5 ? 'female' : 'male';
     this.energy01 = 1;
     this.hunger01 = 0;
     this.wellbeing01 = 1;
     this.waterPenalty01 = 0;
+    this.waterShock01 = 0;
     this.hungerState = 'FED';
     this.lifeState = 'ALIVE';
     this.deathReason = null;
@@ -254,7 +283,7 @@ export class Fish {
     this.digestBites = Math.max(0, Math.floor(options.digestBites ?? 0));
 
     this.hoverUntilSec = 0;
-    this.nextHoverEligibleAtSimSec = rand(HOVER_COOLDOWN_MIN_SEC, HOVER_COOLDOWN_MAX_SEC);
+    this.nextHoverEligibleAtSimSec = this.rng.range(HOVER_COOLDOWN_MIN_SEC, HOVER_COOLDOWN_MAX_SEC);
     this.hoverAnchor = null;
     this.hoverOffset = null;
 
@@ -265,6 +294,7 @@ export class Fish {
       bornInAquarium: Boolean(options.history?.bornInAquarium ?? false),
       birthSimTimeSec: Number.isFinite(options.history?.birthSimTimeSec) ? options.history.birthSimTimeSec : 0,
       deathSimTimeSec: Number.isFinite(options.history?.deathSimTimeSec) ? options.history.deathSimTimeSec : null,
+      deathHygiene01: Number.isFinite(options.history?.deathHygiene01) ? options.history.deathHygiene01 : null,
       mealsEaten: Math.max(0, Math.floor(options.history?.mealsEaten ?? 0)),
       mateCount: Math.max(0, Math.floor(options.history?.mateCount ?? 0))
     };
@@ -279,7 +309,13 @@ export class Fish {
     return out;
   }
 
-  static fromJSON(data, bounds) {
+  toArchiveJSON() {
+    const out = {};
+    for (const key of ARCHIVED_FISH_SAVE_KEYS) out[key] = deepCopyPlain(this[key]);
+    return out;
+  }
+
+  static fromJSON(data, bounds, rng) {
     const source = data && typeof data === 'object' ? data : {};
     const traits = source.traits && typeof source.traits === 'object' ? deepCopyPlain(source.traits) : {};
     const history = source.history && typeof source.history === 'object' ? deepCopyPlain(source.history) : {};
@@ -294,7 +330,8 @@ export class Fish {
         : undefined,
       headingAngle: Number.isFinite(source.headingAngle) ? source.headingAngle : undefined,
       traits,
-      history
+      history,
+      rng
     });
 
     for (const key of FISH_SAVE_KEYS) {
@@ -311,6 +348,7 @@ export class Fish {
     fish.hunger01 = clamp01(Number.isFinite(fish.hunger01) ? fish.hunger01 : 0);
     fish.wellbeing01 = clamp01(Number.isFinite(fish.wellbeing01) ? fish.wellbeing01 : 1);
     fish.waterPenalty01 = clamp01(Number.isFinite(fish.waterPenalty01) ? fish.waterPenalty01 : 0);
+    fish.waterShock01 = clamp01(Number.isFinite(fish.waterShock01) ? fish.waterShock01 : 0);
     fish.digestBites = Math.max(0, Math.floor(fish.digestBites ?? 0));
 
     if (!fish.position || !Number.isFinite(fish.position.x) || !Number.isFinite(fish.position.y)) {
@@ -359,15 +397,17 @@ export class Fish {
     this.hunger01 = 1 - this.energy01;
     const baseWellbeingFromHunger = clamp(1 - this.hunger01 ** 1.3, 0, 1);
 
-    const waterHygiene01 = clamp01(world?.water?.hygiene01 ?? 1);
-    const waterStress = this.#waterStressFromHygiene(waterHygiene01);
+    // Fish feel the water around them, so a fish in a dirty corner is stressed more than the tank average suggests.
+    const localWater = world?.localWaterAt?.(this.position.x, this.position.y, localWaterScratch) ?? world?.water;
+    const waterStress = localWater ? clamp01(waterToxicity01(localWater) ** WATER_STRESS_CURVE_POWER) : 0;
     if (waterStress > 0) {
       const ageSensitivity = this.#waterAgeSensitivity();
       const waterPenaltyDelta = WATER_STRESS_PER_SEC * waterStress * ageSensitivity * dt;
       this.waterPenalty01 = clamp(this.waterPenalty01 + waterPenaltyDelta, 0, 1);
     }
 
-    this.wellbeing01 = clamp(baseWellbeingFromHunger - this.waterPenalty01, 0, 1);
+    this.waterShock01 = Math.max(0, this.waterShock01 - WATER_SHOCK_RECOVERY_PER_SEC * dt);
+    this.wellbeing01 = clamp(baseWellbeingFromHunger - this.waterPenalty01 - this.waterShock01, 0, 1);
 
     if (this.hunger01 >= STARVING_THRESHOLD) this.hungerState = 'STARVING';
     else if (this.hunger01 >= HUNGRY_THRESHOLD) this.hungerState = 'HUNGRY';
@@ -382,10 +422,14 @@ export class Fish {
     }
   }
 
-  #waterStressFromHygiene(hygiene01) {
-    if (hygiene01 >= WATER_STRESS_START_HYGIENE01) return 0;
-    const rawStress = (WATER_STRESS_START_HYGIENE01 - hygiene01) / WATER_STRESS_START_HYGIENE01;
-    return clamp01(rawStress ** WATER_STRESS_CURVE_POWER);
+  /**
+   * Short-lived stress from a sudden swing in water (an aggressive water change). Unlike
+   * `waterPenalty01` it wears off; species and very young or old fish take it harder.
+   */
+  applyWaterShock(amount01) {
+    if (this.lifeState !== 'ALIVE' || !(amount01 > 0)) return;
+    const speciesSensitivity = Math.max(0, this.species?.waterChangeSensitivity ?? 1);
+    this.waterShock01 = clamp01(this.waterShock01 + amount01 * speciesSensitivity * this.#waterAgeSensitivity());
   }
 
   #waterAgeSensitivity() {
@@ -421,7 +465,7 @@ export class Fish {
     this.playState.targetFishId = targetFishId ?? null;
     this.playState.startedNearAlgae = Boolean(startedNearAlgae);
     this.wellbeing01 = clamp(this.wellbeing01 + 0.03, 0, 1);
-    this.playState.cooldownUntilSec = Math.max(this.playState.cooldownUntilSec, simTimeSec + rand(5, 10));
+    this.playState.cooldownUntilSec = Math.max(this.playState.cooldownUntilSec, simTimeSec + this.rng.range(5, 10));
   }
 
   setPlayRole(role) {
@@ -442,7 +486,7 @@ export class Fish {
     this.playState.role = 'NONE';
     this.playState.targetFishId = null;
     this.playState.startedNearAlgae = false;
-    this.playState.cooldownUntilSec = Math.max(this.playState.cooldownUntilSec, simTimeSec + rand(5, 10));
+    this.playState.cooldownUntilSec = Math.max(this.playState.cooldownUntilSec, simTimeSec + this.rng.range(5, 10));
   }
 
   playProbability(nearAlgae = false) {
@@ -634,11 +678,12 @@ export class Fish {
 
     const prevX = this.position.x;
     const prevY = this.position.y;
-    this.position.x += Math.cos(this.headingAngle) * this.currentSpeed * dt;
-    this.position.y += Math.sin(this.headingAngle) * this.currentSpeed * dt;
+    const current = this.#currentDrift(dt);
+    this.position.x += Math.cos(this.headingAngle) * this.currentSpeed * dt + current.x;
+    this.position.y += Math.sin(this.headingAngle) * this.currentSpeed * dt + current.y;
 
     this.#resolveCollisions();
-    this.lastDistanceMoved = Math.hypot(this.position.x - prevX, this.position.y - prevY);
+    this.lastDistanceMoved = Math.hypot(this.position.x - prevX - current.x, this.position.y - prevY - current.y) + current.effortPx;
   }
 
   eat(foodAmount) {
@@ -662,9 +707,14 @@ export class Fish {
     if (Math.min(distHead, distBody) > reachRadius) return;
 
     const consumed = targetFood.kind === 'fruit'
-      ? world.consumeFruit?.(targetFood.id)
-      : world.consumeFood(targetFood.id, targetFood.amount);
+      ? world.consumeFruit?.(targetFood.id, this.id)
+      : world.consumeFood(targetFood.id, targetFood.amount, this.id);
     if (consumed <= 0) return;
+    this.digestMeal(consumed, world);
+  }
+
+  // Shared tail of every meal: energy, history and the delayed poop.
+  digestMeal(consumed, world) {
     this.eatAnimTimer = this.eatAnimDuration;
     this.eat(consumed);
     this.history.mealsEaten += 1;
@@ -673,12 +723,29 @@ export class Fish {
 
     if (this.digestBites >= 2) {
       this.digestBites = 0;
-      world.schedulePoopFromFish?.(this.id, rand(5, 10));
+      world.schedulePoopFromFish?.(this.id, this.rng.range(5, 10));
     }
   }
 
 
 
+  // Macro steps skip steering; a wandering fish averages roughly its base speed.
+  estimatedCruiseSpeed() {
+    if (this.lifeState !== 'ALIVE') return 0;
+    return this.#baseSpeed();
+  }
+
+  /**
+   * Extra metabolism distance per second from the current where the fish is, for coarse steps.
+   * A fish wandering about heads into the current 1/PI of the time on average.
+   */
+  estimatedCurrentEffort(world) {
+    if (this.lifeState !== 'ALIVE') return 0;
+    const flow = world?.flowAt?.(this.position.x, this.position.y, flowScratch);
+    if (!flow) return 0;
+    return Math.hypot(flow.x, flow.y) * (1 - this.#currentDrift01()) * FLOW_EFFORT_PER_PX / Math.PI;
+  }
+
   updateLifeCycle(simTimeSec) {
     // Keep cached values for renderer/UI without requiring extra parameters elsewhere.
     const ageSec = Math.max(0, simTimeSec - this.spawnTimeSec);
@@ -858,6 +925,28 @@ export class Fish {
     return null;
   }
 
+  // The current carries the fish part of the way; holding its course against the rest costs effort.
+  #currentDrift(dt) {
+    const out = currentDriftScratch;
+    const flow = this._worldRef?.flowAt?.(this.position.x, this.position.y, flowScratch);
+    if (!flow || (flow.x === 0 && flow.y === 0)) {
+      out.x = 0;
+      out.y = 0;
+      out.effortPx = 0;
+      return out;
+    }
+    const drift01 = this.#currentDrift01();
+    const against = -(Math.cos(this.headingAngle) * flow.x + Math.sin(this.headingAngle) * flow.y);
+    out.x = flow.x * drift01 * dt;
+    out.y = flow.y * drift01 * dt;
+    out.effortPx = Math.max(0, against) * (1 - drift01) * FLOW_EFFORT_PER_PX * dt;
+    return out;
+  }
+
+  #currentDrift01() {
+    return clamp(FLOW_DRIFT_BY_STAGE[this.lifeStage] ?? FLOW_DRIFT_BY_STAGE.ADULT ?? 0, 0, 1);
+  }
+
   #applyDeadSink(dt) {
     const movement = this.#movementBounds();
     this.currentSpeed = 0;
@@ -952,8 +1041,8 @@ export class Fish {
   }
 
   #pickHoverOffset() {
-    const angle = rand(0, TAU);
-    const radius = rand(HOVER_OFFSET_MIN_PX, HOVER_OFFSET_MAX_PX);
+    const angle = this.rng.range(0, TAU);
+    const radius = this.rng.range(HOVER_OFFSET_MIN_PX, HOVER_OFFSET_MAX_PX);
     return {
       x: Math.cos(angle) * radius,
       y: Math.sin(angle) * radius
@@ -964,12 +1053,12 @@ export class Fish {
     if (!Number.isFinite(nowSec) || nowSec < this.nextHoverEligibleAtSimSec) return;
 
     if (!this.#isHoverEligible()) return;
-    if (Math.random() >= HOVER_CHANCE_PER_CHECK) {
-      this.nextHoverEligibleAtSimSec = nowSec + rand(3, 8);
+    if (this.rng.next() >= HOVER_CHANCE_PER_CHECK) {
+      this.nextHoverEligibleAtSimSec = nowSec + this.rng.range(3, 8);
       return;
     }
 
-    this.hoverUntilSec = nowSec + rand(HOVER_MIN_SEC, HOVER_MAX_SEC);
+    this.hoverUntilSec = nowSec + this.rng.range(HOVER_MIN_SEC, HOVER_MAX_SEC);
     this.hoverAnchor = { x: this.position.x, y: this.position.y };
     this.hoverOffset = this.#pickHoverOffset();
   }
@@ -981,7 +1070,7 @@ export class Fish {
 
   cancelHover() {
     if (Number.isFinite(this._worldRef?.simTimeSec)) {
-      this.nextHoverEligibleAtSimSec = this._worldRef.simTimeSec + rand(HOVER_COOLDOWN_MIN_SEC, HOVER_COOLDOWN_MAX_SEC);
+      this.nextHoverEligibleAtSimSec = this._worldRef.simTimeSec + this.rng.range(HOVER_COOLDOWN_MIN_SEC, HOVER_COOLDOWN_MAX_SEC);
     }
     this.hoverUntilSec = 0;
     this.hoverAnchor = null;
@@ -993,8 +1082,8 @@ export class Fish {
     const swimHeight = Math.max(inset, this.bounds.height - inset);
 
     return {
-      x: rand(inset, Math.max(inset, this.bounds.width - inset)),
-      y: rand(inset, Math.max(inset, swimHeight))
+      x: this.rng.range(inset, Math.max(inset, this.bounds.width - inset)),
+      y: this.rng.range(inset, Math.max(inset, swimHeight))
     };
   }
 
@@ -1006,7 +1095,7 @@ export class Fish {
   #shouldRetarget() {
     const dist = Math.hypot(this.target.x - this.position.x, this.target.y - this.position.y);
     if (dist <= TARGET_REACHED_RADIUS) return true;
-    return Math.random() < 0.0025;
+    return this.rng.next() < 0.0025;
   }
 
   #seekVector() {
@@ -1043,9 +1132,9 @@ export class Fish {
     if (!schooling.enabled || !world?.fish?.length) return { x: 0, y: 0 };
 
     if (nowSec >= this.nextSoloWindowAtSec) {
-      const soloDuration = rand(schooling.soloWindowSec?.[0] ?? 3, schooling.soloWindowSec?.[1] ?? 8);
-      if (Math.random() > this.schoolingBias) this.soloUntilSec = nowSec + soloDuration;
-      const cooldown = rand(schooling.soloCooldownSec?.[0] ?? 8, schooling.soloCooldownSec?.[1] ?? 16);
+      const soloDuration = this.rng.range(schooling.soloWindowSec?.[0] ?? 3, schooling.soloWindowSec?.[1] ?? 8);
+      if (this.rng.next() > this.schoolingBias) this.soloUntilSec = nowSec + soloDuration;
+      const cooldown = this.rng.range(schooling.soloCooldownSec?.[0] ?? 8, schooling.soloCooldownSec?.[1] ?? 16);
       this.nextSoloWindowAtSec = nowSec + cooldown;
     }
 
@@ -1054,7 +1143,8 @@ export class Fish {
     const sRadius = Math.max(4, schooling.separationRadius ?? 24);
     let cx = 0; let cy = 0; let ax = 0; let ay = 0; let sx = 0; let sy = 0; let count = 0;
 
-    for (const other of world.fish) {
+    const neighbours = world.queryFishNear?.(this.position.x, this.position.y, nRadius) ?? world.fish;
+    for (const other of neighbours) {
       if (!other || other.id === this.id || other.lifeState !== 'ALIVE' || other.speciesId !== this.speciesId) continue;
       const dx = other.position.x - this.position.x;
       const dy = other.position.y - this.position.y;
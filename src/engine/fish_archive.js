@@ -0,0 +1,116 @@
+/**
+ * Fish archive retention.
+ * Responsibility: keep `world.fishArchiveById` bounded. Fish still in the tank are never touched;
+ * retired fish (removed corpses, discarded fish) are pruned oldest death first, while close
+ * ancestors of fish in the tank are protected.
+ *
+ * Pruning never touches `history.motherId`, `fatherId` or `childrenIds`. A pruned fish that a kept
+ * fish still links to leaves a stub `{ id, name, sex, speciesId, generation }` in `stubsById`, so
+ * names and generations still resolve; stubs go once nothing kept links to them.
+ */
+
+import { CONFIG } from '../config.js';
+
+const ARCHIVE_CONFIG = CONFIG.world.fishArchive ?? {};
+export const FISH_ARCHIVE_MAX_RETIRED = Math.max(0, Math.floor(ARCHIVE_CONFIG.maxRetiredFish ?? 300));
+export const FISH_ARCHIVE_KEEP_ANCESTOR_GENERATIONS = Math.max(0, Math.floor(ARCHIVE_CONFIG.keepAncestorGenerations ?? 2));
+
+const idKey = (id) => (id == null ? null : String(id));
+
+function collectProtectedAncestors(archiveById, inTankIds, generations) {
+  const byKey = new Map([...archiveById.values()].map((fish) => [idKey(fish.id), fish]));
+  const protectedKeys = new Set();
+  let frontier = [...inTankIds].map(idKey);
+  for (let depth = 0; depth < generations && frontier.length > 0; depth += 1) {
+    const next = [];
+    for (const key of frontier) {
+      const history = byKey.get(key)?.history;
+      for (const parentKey of [idKey(history?.motherId), idKey(history?.fatherId)]) {
+        if (parentKey == null || protectedKeys.has(parentKey)) continue;
+        protectedKeys.add(parentKey);
+        next.push(parentKey);
+      }
+    }
+    frontier = next;
+  }
+  return protectedKeys;
+}
+
+/**
+ * Generation of every fish in `fishList`: founders are 1, a child sits one below its deepest known
+ * parent. Parents found only in `stubs` count with the generation recorded when they were pruned.
+ */
+export function assignGenerations(fishList, stubs = []) {
+  const byId = new Map(fishList.map((fish) => [idKey(fish.id), fish]));
+  const stubsById = new Map([...stubs].map((stub) => [idKey(stub.id), stub]));
+  const generationById = new Map();
+
+  const generationOf = (fish, visiting = new Set()) => {
+    const key = idKey(fish.id);
+    if (generationById.has(key)) return generationById.get(key);
+    if (visiting.has(key)) return 1;
+    visiting.add(key);
+    let parentGeneration = 0;
+    for (const parentId of [fish.history?.motherId, fish.history?.fatherId]) {
+      const parent = byId.get(idKey(parentId));
+      if (parent) parentGeneration = Math.max(parentGeneration, generationOf(parent, visiting));
+      else parentGeneration = Math.max(parentGeneration, stubsById.get(idKey(parentId))?.generation ?? 0);
+    }
+    generationById.set(key, parentGeneration + 1);
+    return parentGeneration + 1;
+  };
+
+  for (const fish of fishList) generationOf(fish);
+  return { byId, stubsById, generationById };
+}
+
+function retiredAtSec(fish) {
+  const death = fish.history?.deathSimTimeSec ?? fish.deadAtSec;
+  return Number.isFinite(death) ? death : -Infinity;
+}
+
+/**
+ * Drops retired fish beyond `maxRetired` from `archiveById` (a Map of id -> fish-like records) and
+ * keeps `stubsById` in step with the links left in it. Returns the ids that were dropped.
+ */
+export function pruneFishArchive(archiveById, inTankIds, {
+  maxRetired = FISH_ARCHIVE_MAX_RETIRED,
+  keepAncestorGenerations = FISH_ARCHIVE_KEEP_ANCESTOR_GENERATIONS,
+  stubsById = new Map()
+} = {}) {
+  const inTank = new Set([...inTankIds].map(idKey));
+  const retired = [...archiveById.values()].filter((fish) => !inTank.has(idKey(fish.id)));
+  const excess = retired.length - maxRetired;
+  if (excess <= 0) return [];
+
+  const protectedKeys = collectProtectedAncestors(archiveById, inTank, keepAncestorGenerations);
+  const dropped = retired
+    .filter((fish) => !protectedKeys.has(idKey(fish.id)))
+    .sort((a, b) => retiredAtSec(a) - retiredAtSec(b) || a.id - b.id)
+    .slice(0, excess);
+  if (dropped.length === 0) return [];
+
+  const { generationById } = assignGenerations([...archiveById.values()], stubsById.values());
+  for (const fish of dropped) {
+    archiveById.delete(fish.id);
+    stubsById.set(fish.id, {
+      id: fish.id,
+      name: fish.name ?? null,
+      sex: fish.sex ?? null,
+      speciesId: fish.speciesId ?? null,
+      generation: generationById.get(idKey(fish.id)) ?? 1
+    });
+  }
+
+  const linkedKeys = new Set();
+  for (const fish of archiveById.values()) {
+    const history = fish.history;
+    for (const id of [history?.motherId, history?.fatherId, ...(Array.isArray(history?.childrenIds) ? history.childrenIds : [])]) {
+      if (id != null) linkedKeys.add(idKey(id));
+    }
+  }
+  for (const id of [...stubsById.keys()]) {
+    if (!linkedKeys.has(idKey(id))) stubsById.delete(id);
+  }
+  return dropped.map((fish) => fish.id);
+}
@@ -0,0 +1,82 @@
+/**
+ * Water flow field.
+ * Responsibility: the current at any point of the tank, summed from the equipment that moves water.
+ *
+ * Each source is a plain object describing one piece of equipment:
+ * - `jet`: water pushed out of an outlet along a direction (filter outflow, an air stone's rising
+ *   plume). It is fastest at the outlet, slows with distance and widens as it goes.
+ * - `sink`: water drawn toward an intake from all sides, fading with distance.
+ * The field is analytic, so sampling is cheap and there is no state to save; the world rebuilds
+ * its sources from the equipment when the equipment changes. Velocities are in world px per second.
+ */
+
+const MIN_SPREAD_PX = 1;
+// How much wider (px) a jet gets per px travelled.
+const JET_WIDENING = 0.3;
+
+const finiteOr = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+
+/** A jet leaving (x, y) along `angleRad` (screen coordinates: 0 points right, -PI/2 up). */
+export function jetSource({ x, y, angleRad, speedPxPerSec, reachPx, spreadPx }) {
+  return {
+    kind: 'jet',
+    x,
+    y,
+    dirX: Math.cos(angleRad),
+    dirY: Math.sin(angleRad),
+    speedPxPerSec: Math.max(0, finiteOr(speedPxPerSec, 0)),
+    reachPx: Math.max(1, finiteOr(reachPx, 1)),
+    spreadPx: Math.max(MIN_SPREAD_PX, finiteOr(spreadPx, MIN_SPREAD_PX))
+  };
+}
+
+/** An intake at (x, y) pulling water in at up to `speedPxPerSec`. */
+export function sinkSource({ x, y, speedPxPerSec, radiusPx }) {
+  return {
+    kind: 'sink',
+    x,
+    y,
+    speedPxPerSec: Math.max(0, finiteOr(speedPxPerSec, 0)),
+    radiusPx: Math.max(1, finiteOr(radiusPx, 1))
+  };
+}
+
+/** Current at (x, y) as `{ x, y }`; zero without sources. Writes into `out` when given. */
+export function sampleFlow(sources, x, y, out = { x: 0, y: 0 }) {
+  out.x = 0;
+  out.y = 0;
+  if (!Array.isArray(sources)) return out;
+  for (const source of sources) {
+    if (source?.kind === 'jet') addJet(source, x, y, out);
+    else if (source?.kind === 'sink') addSink(source, x, y, out);
+  }
+  return out;
+}
+
+function addJet(jet, x, y, out) {
+  if (jet.speedPxPerSec <= 0) return;
+  const dx = x - jet.x;
+  const dy = y - jet.y;
+  const along = dx * jet.dirX + dy * jet.dirY;
+  const across = dx * -jet.dirY + dy * jet.dirX;
+  // Behind the outlet the jet fades out over its own width instead of cutting off.
+  const width = jet.spreadPx + Math.max(0, along) * JET_WIDENING;
+  const lengthFalloff = along >= 0 ? Math.exp(-along / jet.reachPx) : Math.exp(along / jet.spreadPx);
+  const crossFalloff = Math.exp(-(across * across) / (2 * width * width));
+  // A widening jet carries the same water through a larger cross-section, so it slows down.
+  const speed = jet.speedPxPerSec * lengthFalloff * crossFalloff * (jet.spreadPx / width);
+  out.x += jet.dirX * speed;
+  out.y += jet.dirY * speed;
+}
+
+function addSink(sink, x, y, out) {
+  if (sink.speedPxPerSec <= 0) return;
+  const dx = sink.x - x;
+  const dy = sink.y - y;
+  const distance = Math.hypot(dx, dy);
+  if (distance < 1e-6) return;
+  // Ramps up over the first few px so the intake itself is not a singularity.
+  const speed = sink.speedPxPerSec * Math.exp(-distance / sink.radiusPx) * Math.min(1, distance / 4);
+  out.x += (dx / distance) * speed;
+  out.y += (dy / distance) * speed;
+}
@@ -0,0 +1,150 @@
+/**
+ * Tank journal.
+ * Responsibility: turn world events into a bounded, saveable log of tank history
+ * ("Aria laid 3 eggs", "Liam died of starvation", "Filter depleted").
+ *
+ * Entries are `{ seq, t, category, type, parts }`. `parts` mixes plain strings with fish references
+ * `{ fishId, name }`; the name is the one the fish had when the entry was written, so the UI can
+ * still label fish that have since been pruned from the archive.
+ */
+
+import { CONFIG } from '../config.js';
+import { WORLD_EVENT_TYPES } from './events.js';
+
+const JOURNAL_CONFIG = CONFIG.world.journal ?? {};
+export const JOURNAL_MAX_ENTRIES = Math.max(1, Math.floor(JOURNAL_CONFIG.maxEntries ?? 400));
+
+export const JOURNAL_CATEGORIES = Object.freeze(['life', 'breeding', 'water', 'unlocks', 'alerts']);
+
+const DEATH_REASON_TEXT = {
+  STARVATION: 'died of starvation',
+  OLD_AGE: 'died of old age'
+};
+
+const UNLOCK_LABELS = {
+  berryReed: 'Berry Reed',
+  azureDart: 'Azure Dart'
+};
+
+function fishRef(world, fishId) {
+  if (fishId == null) return null;
+  const fish = world?.getFishById?.(Number(fishId)) ?? null;
+  const name = String(fish?.name ?? '').trim() || `Fish #${fishId}`;
+  return { fishId: Number(fishId), name };
+}
+
+/**
+ * Maps an event to `{ category, parts }`, or null for events the journal does not record.
+ * Fish are resolved through `world` at call time, so call it while the event is current.
+ */
+export function describeWorldEvent(event, world) {
+  const payload = event.payload ?? {};
+  switch (event.type) {
+    case WORLD_EVENT_TYPES.FISH_BORN: {
+      const mother = fishRef(world, payload.motherId);
+      const father = fishRef(world, payload.fatherId);
+      const parents = mother && father ? [mother, ' and ', father] : [mother ?? father].filter(Boolean);
+      return {
+        category: 'life',
+        parts: parents.length ? [fishRef(world, payload.fishId), ' was born to ', ...parents] : [fishRef(world, payload.fishId), ' was born']
+      };
+    }
+    case WORLD_EVENT_TYPES.FISH_DIED:
+      return { category: 'life', parts: [fishRef(world, payload.fishId), ` ${DEATH_REASON_TEXT[payload.reason] ?? 'died'}`] };
+    case WORLD_EVENT_TYPES.FISH_GRAVID:
+      return payload.fatherId == null
+        ? { category: 'breeding', parts: [fishRef(world, payload.fishId), ' is carrying eggs'] }
+        : { category: 'breeding', parts: [fishRef(world, payload.fishId), ' is carrying eggs from ', fishRef(world, payload.fatherId)] };
+    case WORLD_EVENT_TYPES.EGGS_LAID: {
+      const count = Math.max(0, Math.floor(payload.count ?? 0));
+      return { category: 'breeding', parts: [fishRef(world, payload.motherId), ` laid ${count} ${count === 1 ? 'egg' : 'eggs'}`] };
+    }
+    case WORLD_EVENT_TYPES.EGG_FAILED: {
+      const hygieneText = Number.isFinite(payload.hygiene01) ? ` (water at ${Math.round(payload.hygiene01 * 100)}%)` : '';
+      const mother = fishRef(world, payload.motherId);
+      return {
+        category: 'breeding',
+        parts: mother ? ['An egg from ', mother, ` failed to hatch${hygieneText}`] : [`An egg failed to hatch${hygieneText}`]
+      };
+    }
+    case WORLD_EVENT_TYPES.FILTER_INSTALLED:
+      return { category: 'water', parts: ['Filter installed'] };
+    case WORLD_EVENT_TYPES.FILTER_DEPLETED:
+      return { category: 'water', parts: ['Filter depleted'] };
+    case WORLD_EVENT_TYPES.FILTER_MAINTAINED:
+      return { category: 'water', parts: ['Filter maintained'] };
+    case WORLD_EVENT_TYPES.FILTER_UPGRADED:
+      return { category: 'water', parts: [`Filter upgraded to tier ${payload.tier}`] };
+    case WORLD_EVENT_TYPES.WATER_CHANGED:
+      return { category: 'water', parts: [`Changed ${Math.round((payload.fraction01 ?? 0) * 100)}% of the water`] };
+    case WORLD_EVENT_TYPES.SPECIES_UNLOCKED:
+      return { category: 'unlocks', parts: [`${UNLOCK_LABELS[payload.unlockId] ?? payload.unlockId} unlocked`] };
+    case WORLD_EVENT_TYPES.ALERT_TRIGGERED:
+      // Only rules whose chosen action is a journal entry are recorded.
+      return payload.action === 'journal' ? { category: 'alerts', parts: [`Alert: ${payload.description}`] } : null;
+    default:
+      return null;
+  }
+}
+
+function normalizePart(part) {
+  if (typeof part === 'string') return part;
+  if (part && Number.isFinite(Number(part.fishId))) {
+    return { fishId: Number(part.fishId), name: String(part.name ?? `Fish #${part.fishId}`) };
+  }
+  return null;
+}
+
+function normalizeEntry(entry) {
+  if (!entry || !Number.isFinite(entry.seq) || !Array.isArray(entry.parts)) return null;
+  return {
+    seq: Math.floor(entry.seq),
+    t: Number.isFinite(entry.t) ? entry.t : 0,
+    category: JOURNAL_CATEGORIES.includes(entry.category) ? entry.category : 'life',
+    type: String(entry.type ?? ''),
+    parts: entry.parts.map(normalizePart).filter((part) => part != null)
+  };
+}
+
+export class TankJournal {
+  constructor({ maxEntries = JOURNAL_MAX_ENTRIES } = {}) {
+    this.maxEntries = Math.max(1, Math.floor(maxEntries));
+    this.entries = [];
+    this.nextSeq = 1;
+  }
+
+  /** Appends an entry for `event` if it is one the journal keeps. Returns the entry or null. */
+  record(event, world) {
+    const description = describeWorldEvent(event, world);
+    if (!description) return null;
+    const entry = {
+      seq: this.nextSeq++,
+      t: Number.isFinite(event.t) ? event.t : 0,
+      category: description.category,
+      type: event.type,
+      parts: description.parts
+    };
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) this.entries.splice(0, this.entries.length - this.maxEntries);
+    return entry;
+  }
+
+  /** Plain text of an entry, for toasts and tests. */
+  static textOf(entry) {
+    return entry.parts.map((part) => (typeof part === 'string' ? part : part.name)).join('');
+  }
+
+  toJSON() {
+    return {
+      nextSeq: this.nextSeq,
+      entries: this.entries.map((entry) => ({ ...entry, parts: entry.parts.map((part) => (typeof part === 'string' ? part : { ...part })) }))
+    };
+  }
+
+  loadFromJSON(data) {
+    const entries = Array.isArray(data?.entries) ? data.entries.map(normalizeEntry).filter((entry) => entry != null) : [];
+    this.entries = entries.slice(-this.maxEntries);
+    const maxSeq = this.entries.reduce((max, entry) => Math.max(max, entry.seq), 0);
+    this.nextSeq = Math.max(maxSeq + 1, Number.isFinite(data?.nextSeq) ? Math.floor(data.nextSeq) : 1);
+  }
+}
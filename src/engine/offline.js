@@ -0,0 +1,71 @@
+/**
+ * Offline catch-up.
+ * Responsibility: fast-forward a loaded world by the wall-clock time it spent closed.
+ */
+
+import { CONFIG } from '../config.js';
+import { MACRO_STEP_SEC } from './stepper.js';
+
+const OFFLINE_CONFIG = CONFIG.world.offline ?? {};
+export const OFFLINE_CATCH_UP_ENABLED = OFFLINE_CONFIG.catchUpEnabled !== false;
+export const OFFLINE_MAX_CATCH_UP_SEC = Math.max(0, (OFFLINE_CONFIG.maxCatchUpHours ?? 6) * 3600);
+export const OFFLINE_MIN_CATCH_UP_SEC = Math.max(0, OFFLINE_CONFIG.minCatchUpSec ?? 60);
+const OFFLINE_USE_MACRO_STEP = OFFLINE_CONFIG.useMacroStep !== false;
+const OFFLINE_STEP_SEC = OFFLINE_USE_MACRO_STEP ? MACRO_STEP_SEC : Math.max(0.01, OFFLINE_CONFIG.catchUpStepSec ?? 0.25);
+const OFFLINE_CHUNK_SEC = Math.max(OFFLINE_STEP_SEC, OFFLINE_CONFIG.catchUpChunkSec ?? 120);
+
+const yieldToHost = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Elapsed time worth simulating, or 0 when the gap is too short (or the clock went backwards).
+export function offlineCatchUpSec(savedAtEpochMs, nowMs = Date.now(), { maxSec = OFFLINE_MAX_CATCH_UP_SEC, minSec = OFFLINE_MIN_CATCH_UP_SEC } = {}) {
+  if (!Number.isFinite(savedAtEpochMs) || savedAtEpochMs <= 0) return 0;
+  const elapsedSec = (nowMs - savedAtEpochMs) / 1000;
+  if (!Number.isFinite(elapsedSec) || elapsedSec < minSec) return 0;
+  return Math.min(maxSec, elapsedSec);
+}
+
+/**
+ * Advances `world` by `durationSec` of sim time in chunks, yielding between chunks so the page stays responsive.
+ * Offline time always runs at 1x; the player's speed setting is restored afterwards. A paused world
+ * stayed frozen while it was closed, so it is not advanced at all.
+ * `shouldStop(world)` is checked after every step. `macro` selects World#macroStep over full ticks.
+ */
+export async function runOfflineCatchUp(world, durationSec, {
+  stepSec = OFFLINE_STEP_SEC,
+  chunkSec = OFFLINE_CHUNK_SEC,
+  shouldStop = null,
+  onProgress = null,
+  yieldFn = yieldToHost,
+  isCancelled = null,
+  macro = OFFLINE_USE_MACRO_STEP
+} = {}) {
+  const totalSec = Math.max(0, durationSec);
+  if (world.paused) return { requestedSec: totalSec, simulatedSec: 0, stoppedEarly: false };
+  const savedSpeed = world.speedMultiplier;
+  world.speedMultiplier = 1;
+
+  let simulatedSec = 0;
+  let stoppedEarly = false;
+  try {
+    while (simulatedSec < totalSec && !stoppedEarly) {
+      const chunkEndSec = Math.min(totalSec, simulatedSec + chunkSec);
+      while (simulatedSec < chunkEndSec) {
+        const dt = Math.min(stepSec, chunkEndSec - simulatedSec);
+        if (macro) world.macroStep(dt);
+        else world.update(dt);
+        simulatedSec += dt;
+        if (shouldStop?.(world)) {
+          stoppedEarly = true;
+          break;
+        }
+      }
+      onProgress?.(simulatedSec / Math.max(1e-9, totalSec), simulatedSec);
+      if (isCancelled?.()) break;
+      if (simulatedSec < totalSec && !stoppedEarly) await yieldFn();
+    }
+  } finally {
+    world.speedMultiplier = savedSpeed;
+  }
+
+  return { requestedSec: totalSec, simulatedSec, stoppedEarly };
+}
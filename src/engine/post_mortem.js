@@ -0,0 +1,86 @@
+/**
+ * Ecosystem post-mortem.
+ * Responsibility: summarize a collapsed tank from `world.fishArchiveById`: the order and causes of
+ * death, the longest-lived fish and the family lineage.
+ *
+ * The archive keeps a bounded number of retired fish (fish_archive.js). Totals and death causes add
+ * in `world.prunedFishArchive`, the tally of the fish pruned from it; the timeline and lineage only
+ * list the fish still kept, and `prunedFish` says how many earlier fish are missing from them.
+ * Pruned parents still name and place their kept children through `world.prunedFishStubsById`.
+ *
+ * Pure data; rendering is up to the caller.
+ */
+
+import { assignGenerations } from './fish_archive.js';
+
+const idKey = (id) => (id == null ? null : String(id));
+
+function fishAgeAt(fish, simTimeSec) {
+  const death = fish.history?.deathSimTimeSec;
+  const at = Number.isFinite(death) ? death : simTimeSec;
+  return typeof fish.ageSeconds === 'function' ? fish.ageSeconds(at) : Math.max(0, at - (fish.spawnTimeSec ?? 0));
+}
+
+/**
+ * Builds the post-mortem for `world`. Returns:
+ * `{ endedAtSimSec, totalFish, births, deathCount, deaths: [...], deathsByReason, prunedFish, longestLived, lineage: [...] }`
+ * where `deaths` is ordered by time and `lineage` groups fish by generation.
+ */
+export function buildPostMortem(world) {
+  const fishList = [...(world.fishArchiveById?.values() ?? [])].sort((a, b) => a.id - b.id);
+  const endedAtSimSec = world.simTimeSec ?? 0;
+
+  const deaths = fishList
+    .filter((fish) => fish.lifeState === 'DEAD')
+    .map((fish) => ({
+      fishId: fish.id,
+      name: fish.name ?? null,
+      speciesId: fish.speciesId ?? null,
+      reason: fish.deathReason ?? 'UNKNOWN',
+      atSimSec: Number.isFinite(fish.history?.deathSimTimeSec) ? fish.history.deathSimTimeSec : null,
+      hygiene01: Number.isFinite(fish.history?.deathHygiene01) ? fish.history.deathHygiene01 : null,
+      ageSec: fishAgeAt(fish, endedAtSimSec)
+    }))
+    .sort((a, b) => (a.atSimSec ?? Infinity) - (b.atSimSec ?? Infinity) || a.fishId - b.fishId);
+
+  const pruned = world.prunedFishArchive ?? { fishCount: 0, deathsByReason: {} };
+  const deathsByReason = { ...pruned.deathsByReason };
+  for (const death of deaths) deathsByReason[death.reason] = (deathsByReason[death.reason] ?? 0) + 1;
+
+  let longestLived = null;
+  for (const fish of fishList) {
+    const ageSec = fishAgeAt(fish, endedAtSimSec);
+    if (!longestLived || ageSec > longestLived.ageSec) {
+      longestLived = { fishId: fish.id, name: fish.name ?? null, speciesId: fish.speciesId ?? null, ageSec };
+    }
+  }
+
+  const { byId, stubsById, generationById } = assignGenerations(fishList, world.prunedFishStubsById?.values() ?? []);
+  const nameOf = (id) => byId.get(idKey(id))?.name ?? stubsById.get(idKey(id))?.name ?? null;
+  const lineage = [];
+  for (const fish of fishList) {
+    const generation = generationById.get(idKey(fish.id));
+    while (lineage.length < generation) lineage.push({ generation: lineage.length + 1, fish: [] });
+    lineage[generation - 1].fish.push({
+      fishId: fish.id,
+      name: fish.name ?? null,
+      sex: fish.sex ?? null,
+      speciesId: fish.speciesId ?? null,
+      motherName: nameOf(fish.history?.motherId),
+      fatherName: nameOf(fish.history?.fatherId),
+      childrenCount: Array.isArray(fish.history?.childrenIds) ? fish.history.childrenIds.length : 0
+    });
+  }
+
+  return {
+    endedAtSimSec,
+    totalFish: fishList.length + pruned.fishCount,
+    births: world.birthsCount ?? 0,
+    deathCount: Object.values(deathsByReason).reduce((sum, count) => sum + count, 0),
+    deaths,
+    deathsByReason,
+    prunedFish: pruned.fishCount,
+    longestLived,
+    lineage
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Seedable pseudo-random number generator.
+ * Responsibility: deterministic randomness for the simulation with serializable state.
+ */
+
+const UINT32_RANGE = 0x100000000;
+
+export function randomSeed() {
+  return Math.floor(Math.random() * UINT32_RANGE) >>> 0;
+}
+
+/** 32-bit FNV-1a hash of a string. */
+export function fnv1a32(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i += 1) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return Math.floor(seed) >>> 0;
+  if (typeof seed === 'string' && seed.trim().length > 0) {
+    const numeric = Number(seed);
+    // Hashed so human-friendly string seeds map to a stable 32-bit state.
+    return Number.isFinite(numeric) ? Math.floor(numeric) >>> 0 : fnv1a32(seed.trim());
+  }
+  return randomSeed();
+}
+
+export class SeededRng {
+  constructor(seed) {
+    this.seed = normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  // mulberry32: tiny, fast and good enough for gameplay randomness.
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  toJSON() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  loadFromJSON(data) {
+    const source = data && typeof data === 'object' ? data : null;
+    if (!source || !Number.isFinite(source.state)) return false;
+    this.seed = Number.isFinite(source.seed) ? Math.floor(source.seed) >>> 0 : this.seed;
+    this.state = Math.floor(source.state) >>> 0;
+    return true;
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Save schema migrations.
+ * Responsibility: upgrade older `worldState` snapshots step by step (v1 -> v2 -> ...) before
+ * `World#loadFromJSON` deserializes them, so a schema change never discards a player's tank.
+ *
+ * Each step is frozen at the schema it was written for: it must not read the live
+ * `*_SAVE_KEYS` lists, which keep moving after the step ships.
+ */
+
+export const WORLD_SAVE_VERSION = 4;
+
+const V1_DEFAULT_SPECIES_ID = 'LAB_MINNOW';
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const listOf = (value) => (Array.isArray(value) ? value : []);
+
+// v1 fish: pre-species entries had no `speciesId`; child ids were stored as numbers or strings.
+function migrateFishV1(fish) {
+  if (!isPlainObject(fish)) return fish;
+  const out = { ...fish };
+  if (typeof out.speciesId !== 'string') out.speciesId = V1_DEFAULT_SPECIES_ID;
+  if (isPlainObject(out.history)) {
+    out.history = { ...out.history, childrenIds: listOf(out.history.childrenIds).map((id) => String(id)) };
+  }
+  return out;
+}
+
+// v1 eggs: `speciesId` was resolved from the mother at hatch time.
+function migrateEggV1(egg, speciesByFishId) {
+  if (!isPlainObject(egg)) return egg;
+  if (typeof egg.speciesId === 'string') return { ...egg };
+  return { ...egg, speciesId: speciesByFishId.get(egg.motherId) ?? V1_DEFAULT_SPECIES_ID };
+}
+
+// v1 water: `filterTier` and `filterEnabled` were implied by `filterInstalled`.
+function migrateWaterV1(water) {
+  if (!isPlainObject(water)) return water;
+  const out = { ...water };
+  if (!Number.isFinite(out.filterTier)) out.filterTier = out.filterInstalled ? 1 : 0;
+  if (typeof out.filterEnabled !== 'boolean') out.filterEnabled = true;
+  return out;
+}
+
+// v1 berry reed: plants saved only `height`; fruit used absolute `spawnedAtSec`/`expiresAtSec`.
+function migrateBerryReedPlantV1(plant) {
+  if (!isPlainObject(plant)) return plant;
+  const out = { ...plant };
+  if (!Number.isFinite(out.maxHeight)) out.maxHeight = out.height;
+  if (!Number.isFinite(out.spawnHeight)) out.spawnHeight = out.maxHeight;
+  if (!Number.isFinite(out.growthElapsedSec)) out.growthElapsedSec = 0;
+  return out;
+}
+
+function migrateBerryReedFruitV1(fruit) {
+  if (!isPlainObject(fruit)) return fruit;
+  const { spawnedAtSec, expiresAtSec, ...out } = fruit;
+  if (!Number.isFinite(out.createdAtSec)) out.createdAtSec = Number.isFinite(spawnedAtSec) ? spawnedAtSec : 0;
+  if (!Number.isFinite(out.ttlSec) && Number.isFinite(expiresAtSec)) out.ttlSec = Math.max(0, expiresAtSec - out.createdAtSec);
+  return out;
+}
+
+function migrateV1ToV2(state) {
+  const { realTimeSec: _legacyClock, ...out } = state;
+  const fish = listOf(state.fish).map(migrateFishV1);
+  // v1 saves from before the archive stored living fish only.
+  const fishArchive = Array.isArray(state.fishArchive) ? state.fishArchive.map(migrateFishV1) : fish.map((entry) => ({ ...entry }));
+  const speciesByFishId = new Map(fishArchive.filter(isPlainObject).map((entry) => [entry.id, entry.speciesId]));
+
+  out.fish = fish;
+  out.fishArchive = fishArchive;
+  out.eggs = listOf(state.eggs).map((egg) => migrateEggV1(egg, speciesByFishId));
+  out.water = migrateWaterV1(state.water);
+  out.berryReedPlants = listOf(state.berryReedPlants).map(migrateBerryReedPlantV1);
+  out.fruits = listOf(state.fruits).map(migrateBerryReedFruitV1);
+  return out;
+}
+
+// v3 archive: fish in the tank become `{ id, inTank: true }` references, retired fish keep only these keys.
+const V3_ARCHIVED_FISH_KEYS = [
+  'id', 'speciesId', 'name', 'sex', 'spawnTimeSec', 'stageShiftBabySec', 'stageShiftJuvenileSec',
+  'traits', 'lifeState', 'deathReason', 'deadAtSec', 'history'
+];
+
+function migrateV2ToV3(state) {
+  const inTankIds = new Set(listOf(state.fish).filter(isPlainObject).map((fish) => fish.id));
+  const fishArchive = listOf(state.fishArchive).map((entry) => {
+    if (!isPlainObject(entry)) return entry;
+    if (inTankIds.has(entry.id)) return { id: entry.id, inTank: true };
+    const out = {};
+    for (const key of V3_ARCHIVED_FISH_KEYS) {
+      if (entry[key] !== undefined) out[key] = entry[key];
+    }
+    return out;
+  });
+  return { ...state, fishArchive };
+}
+
+// v4 water: ammonia, nitrite and nitrate replace the saved hygiene/dirt scalars. Old hygiene becomes an
+// equivalent nitrate load, so the tank loads exactly as clean as it was; the gravel colony comes pre-seeded
+// and an installed filter starts out as mature as it is healthy.
+const V4_NITRATE_PPM_AT_ZERO_HYGIENE = 200;
+const V4_SUBSTRATE_BACTERIA_01 = 0.15;
+
+function migrateWaterV3(water) {
+  if (!isPlainObject(water)) return water;
+  const hygiene01 = Number.isFinite(water.hygiene01) ? Math.max(0, Math.min(1, water.hygiene01)) : 1;
+  const filter01 = water.filterInstalled && Number.isFinite(water.filter01) ? water.filter01 : 0;
+  return {
+    ...water,
+    ammoniaPpm: 0,
+    nitritePpm: 0,
+    nitratePpm: (1 - hygiene01) * V4_NITRATE_PPM_AT_ZERO_HYGIENE,
+    bacteria01: Math.max(V4_SUBSTRATE_BACTERIA_01, Math.min(1, filter01))
+  };
+}
+
+function migrateV3ToV4(state) {
+  return { ...state, water: migrateWaterV3(state.water) };
+}
+
+/** Registry keyed by the version a step upgrades from; each step returns the next version's state. */
+export const SAVE_MIGRATIONS = new Map([
+  [1, { to: 2, name: 'Fold v1 legacy fields into explicit fish, egg, water and berry reed keys', migrate: migrateV1ToV2 }],
+  [2, { to: 3, name: 'Reference in-tank fish from the archive and compact retired fish', migrate: migrateV2ToV3 }],
+  [3, { to: 4, name: 'Replace water hygiene and dirt with nitrogen cycle levels', migrate: migrateV3ToV4 }]
+]);
+
+/**
+ * Brings a `worldState` up to WORLD_SAVE_VERSION without mutating the input.
+ * Returns `{ ok: true, state, applied }` or `{ ok: false, reason }` for unknown or newer versions.
+ */
+export function migrateWorldState(state, migrations = SAVE_MIGRATIONS, targetVersion = WORLD_SAVE_VERSION) {
+  if (!isPlainObject(state)) return { ok: false, reason: 'Missing worldState' };
+  let version = state.saveVersion;
+  if (!Number.isInteger(version) || version < 1) return { ok: false, reason: `Unknown save version ${version}` };
+  if (version > targetVersion) return { ok: false, reason: `Save version ${version} is newer than this game supports (${targetVersion})` };
+
+  let current = state;
+  const applied = [];
+  while (version < targetVersion) {
+    const step = migrations.get(version);
+    if (!step) return { ok: false, reason: `No migration from save version ${version}` };
+    current = { ...step.migrate(current), saveVersion: step.to };
+    applied.push(`${version}->${step.to}`);
+    version = step.to;
+  }
+  return { ok: true, state: current, applied };
+}
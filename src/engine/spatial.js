@@ -0,0 +1,91 @@
+/**
+ * Uniform-grid spatial hash.
+ * Responsibility: cheap radius queries over moving entities (fish) without O(n²) scans.
+ *
+ * Queries return a superset of the entities inside the radius, ordered by their index in
+ * the array passed to `rebuild()`. Callers keep their own exact distance checks, so swapping
+ * a full scan for a query never changes iteration order (and therefore RNG consumption).
+ */
+
+const CELL_OFFSET = 0x8000;
+const CELL_SPAN = 0x10000;
+
+export class SpatialHash {
+  constructor(cellSize = 64, positionOf = (item) => item.position) {
+    this.cellSize = Math.max(1, cellSize);
+    this.positionOf = positionOf;
+    this.cells = new Map();
+    this.entries = new Map();
+  }
+
+  #cellCoord(value) {
+    return Math.floor((Number.isFinite(value) ? value : 0) / this.cellSize);
+  }
+
+  #key(cx, cy) {
+    return (cx + CELL_OFFSET) * CELL_SPAN + (cy + CELL_OFFSET);
+  }
+
+  #keyForItem(item) {
+    const position = this.positionOf(item);
+    return this.#key(this.#cellCoord(position?.x), this.#cellCoord(position?.y));
+  }
+
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+  }
+
+  rebuild(items) {
+    this.clear();
+    items.forEach((item, index) => {
+      const key = this.#keyForItem(item);
+      const entry = { item, index, key };
+      this.entries.set(item, entry);
+      const bucket = this.cells.get(key);
+      if (bucket) bucket.push(entry);
+      else this.cells.set(key, [entry]);
+    });
+  }
+
+  // Re-bucket one item after it moved; keeps the grid exact between rebuilds.
+  update(item) {
+    const entry = this.entries.get(item);
+    if (!entry) return;
+    const key = this.#keyForItem(item);
+    if (key === entry.key) return;
+
+    const bucket = this.cells.get(entry.key);
+    if (bucket) {
+      const at = bucket.indexOf(entry);
+      if (at >= 0) bucket.splice(at, 1);
+      if (bucket.length === 0) this.cells.delete(entry.key);
+    }
+    entry.key = key;
+    const next = this.cells.get(key);
+    if (next) next.push(entry);
+    else this.cells.set(key, [entry]);
+  }
+
+  indexOf(item) {
+    return this.entries.get(item)?.index ?? -1;
+  }
+
+  query(x, y, radius) {
+    const r = Math.max(0, radius);
+    const minX = this.#cellCoord(x - r);
+    const maxX = this.#cellCoord(x + r);
+    const minY = this.#cellCoord(y - r);
+    const maxY = this.#cellCoord(y + r);
+
+    const found = [];
+    for (let cx = minX; cx <= maxX; cx += 1) {
+      for (let cy = minY; cy <= maxY; cy += 1) {
+        const bucket = this.cells.get(this.#key(cx, cy));
+        if (bucket) for (const entry of bucket) found.push(entry);
+      }
+    }
+    found.sort((a, b) => a.index - b.index);
+    return found.map((entry) => entry.item);
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Fixed-timestep driver.
+ * Responsibility: turn arbitrary wall-clock deltas into identical fixed World steps and
+ * expose interpolated positions so rendering stays smooth at any refresh rate.
+ */
+
+import { CONFIG } from '../config.js';
+
+export const FIXED_STEP_SEC = Math.max(0.001, CONFIG.world.fixedStepSec ?? 1 / 30);
+// Longest wall-clock gap fed into the sim at once (throttled background tabs can report ~60 s).
+export const MAX_CATCH_UP_SEC = Math.max(FIXED_STEP_SEC, CONFIG.world.maxCatchUpSec ?? 120);
+export const MACRO_STEP_SEC = Math.max(FIXED_STEP_SEC, CONFIG.world.macroStep?.stepSec ?? 5);
+// Gaps this long (throttled background tabs) are fast-forwarded with World#macroStep; 0 disables.
+export const MACRO_MIN_GAP_SEC = Math.max(0, CONFIG.world.macroStep?.minGapSec ?? 30);
+const STEP_EPSILON = 1e-9;
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+export class FixedStepper {
+  constructor(world, {
+    stepSec = FIXED_STEP_SEC,
+    maxCatchUpSec = MAX_CATCH_UP_SEC,
+    macroStepSec = MACRO_STEP_SEC,
+    macroMinGapSec = MACRO_MIN_GAP_SEC
+  } = {}) {
+    this.world = world;
+    this.stepSec = stepSec;
+    this.maxCatchUpSec = maxCatchUpSec;
+    this.macroStepSec = macroStepSec;
+    this.macroMinGapSec = macroMinGapSec;
+    this.accumulatorSec = 0;
+    this.previousPositions = new Map();
+  }
+
+  /**
+   * Feeds `rawDeltaSec` of wall time and runs as many fixed steps as fit.
+   * `afterStep` runs after every step; returning false stops the loop and drops leftover time.
+   */
+  advance(rawDeltaSec, afterStep = null) {
+    const delta = Math.min(this.maxCatchUpSec, Math.max(0, Number.isFinite(rawDeltaSec) ? rawDeltaSec : 0));
+    if (this.macroMinGapSec > 0 && delta >= this.macroMinGapSec) return this.#advanceMacro(delta, afterStep);
+    this.accumulatorSec += delta;
+
+    let steps = 0;
+    while (this.accumulatorSec + STEP_EPSILON >= this.stepSec) {
+      this.#capturePreviousPositions();
+      this.world.update(this.stepSec);
+      this.accumulatorSec = Math.max(0, this.accumulatorSec - this.stepSec);
+      steps += 1;
+
+      if (afterStep && afterStep() === false) {
+        this.accumulatorSec = 0;
+        break;
+      }
+    }
+    return steps;
+  }
+
+  #advanceMacro(gapSec, afterStep) {
+    // Nothing sensible to interpolate across a coarse jump.
+    this.previousPositions.clear();
+    let remainingSec = gapSec;
+    let steps = 0;
+    while (remainingSec > STEP_EPSILON) {
+      const dt = Math.min(this.macroStepSec, remainingSec);
+      this.world.macroStep(dt);
+      remainingSec -= dt;
+      steps += 1;
+      if (afterStep && afterStep() === false) {
+        this.accumulatorSec = 0;
+        break;
+      }
+    }
+    return steps;
+  }
+
+  reset() {
+    this.accumulatorSec = 0;
+    this.previousPositions.clear();
+  }
+
+  get alpha() {
+    return Math.max(0, Math.min(1, this.accumulatorSec / this.stepSec));
+  }
+
+  // Position of a fish/food/poop entity blended between the last two sim steps.
+  positionOf(entity) {
+    const current = entity?.position ?? entity;
+    const previous = this.previousPositions.get(entity);
+    if (!previous || !current) return current;
+    const t = this.alpha;
+    return { x: lerp(previous.x, current.x, t), y: lerp(previous.y, current.y, t) };
+  }
+
+  #capturePreviousPositions() {
+    const positions = this.previousPositions;
+    positions.clear();
+    for (const fish of this.world.fish) positions.set(fish, { x: fish.position.x, y: fish.position.y });
+    for (const item of this.world.food) positions.set(item, { x: item.x, y: item.y });
+    for (const item of this.world.poop) positions.set(item, { x: item.x, y: item.y });
+  }
+}
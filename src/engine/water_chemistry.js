@@ -0,0 +1,123 @@
+/**
+ * Nitrogen cycle.
+ * Responsibility: the tank's water chemistry. Fish waste, uneaten food and corpses release ammonia;
+ * nitrifying bacteria turn ammonia into nitrite and nitrite into nitrate; a working filter and plants
+ * take nitrate back out. Levels are in ppm on `world.water` (`ammoniaPpm`, `nitritePpm`, `nitratePpm`),
+ * next to the size of the bacteria colony (`bacteria01`).
+ *
+ * `hygiene01` and `dirt01` are derived from the three compounds after every step, so everything that
+ * reads them (UI, unlocks, mating, egg hatching) keeps its thresholds.
+ */
+
+import { CONFIG } from '../config.js';
+
+const WATER_CONFIG = CONFIG.world.water;
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+const nonNegative = (value, fallback) => Math.max(0, Number.isFinite(value) ? value : fallback);
+
+// Each compound alone would take hygiene to zero at its reference level.
+const AMMONIA_ZERO_HYGIENE_PPM = Math.max(0.01, WATER_CONFIG.ammoniaZeroHygienePpm ?? 4);
+const NITRITE_ZERO_HYGIENE_PPM = Math.max(0.01, WATER_CONFIG.nitriteZeroHygienePpm ?? 8);
+const NITRATE_ZERO_HYGIENE_PPM = Math.max(0.01, WATER_CONFIG.nitrateZeroHygienePpm ?? 200);
+const MURK_TOTAL_NITROGEN_PPM = Math.max(0.01, WATER_CONFIG.murkTotalNitrogenPpm ?? 160);
+
+const NITRIFY_AMMONIA_PER_SEC = nonNegative(WATER_CONFIG.nitrifyAmmoniaPerSec, 0.6);
+const NITRIFY_NITRITE_PER_SEC = nonNegative(WATER_CONFIG.nitrifyNitritePerSec, 0.3);
+const SUBSTRATE_BACTERIA_01 = clamp01(WATER_CONFIG.substrateBacteria01 ?? 0.15);
+const BACTERIA_MATURE_SEC = Math.max(1, WATER_CONFIG.bacteriaMatureSec ?? 1800);
+const BACTERIA_DIE_OFF_SEC = Math.max(1, WATER_CONFIG.bacteriaDieOffSec ?? 900);
+const BACTERIA_FOOD_PPM = Math.max(0.0001, WATER_CONFIG.bacteriaFoodPpm ?? 0.02);
+const FILTER_NITRATE_REMOVAL_PER_SEC = nonNegative(WATER_CONFIG.filterNitrateRemovalPerSec, 0.0003);
+const PLANT_NITRATE_UPTAKE_PER_SEC = nonNegative(WATER_CONFIG.plantNitrateUptakePerSec, 0.0001);
+
+const AMMONIA_STRESS = { safe: nonNegative(WATER_CONFIG.ammoniaSafePpm, 0.25), toxic: nonNegative(WATER_CONFIG.ammoniaToxicPpm, 2) };
+const NITRITE_STRESS = { safe: nonNegative(WATER_CONFIG.nitriteSafePpm, 0.5), toxic: nonNegative(WATER_CONFIG.nitriteToxicPpm, 5) };
+const NITRATE_STRESS = { safe: nonNegative(WATER_CONFIG.nitrateSafePpm, 60), toxic: nonNegative(WATER_CONFIG.nitrateToxicPpm, 200) };
+
+export const WATER_CHEMISTRY_KEYS = Object.freeze(['ammoniaPpm', 'nitritePpm', 'nitratePpm', 'bacteria01']);
+
+/** Chemistry of a freshly set up tank: no waste yet, and the gravel already carries a small colony. */
+export function createWaterChemistry() {
+  return { ammoniaPpm: 0, nitritePpm: 0, nitratePpm: 0, bacteria01: SUBSTRATE_BACTERIA_01 };
+}
+
+export function normalizeWaterChemistry(water) {
+  water.ammoniaPpm = nonNegative(water.ammoniaPpm, 0);
+  water.nitritePpm = nonNegative(water.nitritePpm, 0);
+  water.nitratePpm = nonNegative(water.nitratePpm, 0);
+  water.bacteria01 = clamp01(Number.isFinite(water.bacteria01) ? water.bacteria01 : SUBSTRATE_BACTERIA_01);
+  return water;
+}
+
+export function hygieneFromChemistry(water) {
+  return clamp01(1
+    - water.ammoniaPpm / AMMONIA_ZERO_HYGIENE_PPM
+    - water.nitritePpm / NITRITE_ZERO_HYGIENE_PPM
+    - water.nitratePpm / NITRATE_ZERO_HYGIENE_PPM);
+}
+
+/** Sets `hygiene01` and `dirt01` from the compound levels. */
+export function deriveWaterQuality(water) {
+  water.hygiene01 = hygieneFromChemistry(water);
+  water.dirt01 = clamp01((water.ammoniaPpm + water.nitritePpm + water.nitratePpm) / MURK_TOTAL_NITROGEN_PPM);
+  return water;
+}
+
+/** Nitrate level at which the compounds alone would give `hygiene01`, ignoring ammonia and nitrite. */
+export function nitrateForHygiene(hygiene01) {
+  return (1 - clamp01(hygiene01)) * NITRATE_ZERO_HYGIENE_PPM;
+}
+
+// Fraction of `amount` a first-order process at `ratePerSec` removes in `dtSec`; exact for long macro steps.
+const decayed = (amount, ratePerSec, dtSec) => amount * (1 - Math.exp(-ratePerSec * dtSec));
+
+/**
+ * Advances the cycle by `dtSec`.
+ * `ammoniaInPpm` is the ammonia released during the step; `colonyCapacity01` is how much bacteria the
+ * tank can hold (gravel plus a working filter); `conversionMultiplier` scales nitrification (filter tier);
+ * `filterNitrateRemoval01` and `plantCount` drive nitrate export.
+ */
+export function stepNitrogenCycle(water, {
+  dtSec,
+  ammoniaInPpm = 0,
+  colonyCapacity01 = SUBSTRATE_BACTERIA_01,
+  conversionMultiplier = 1,
+  filterNitrateRemoval01 = 0,
+  plantCount = 0
+}) {
+  if (!Number.isFinite(dtSec) || dtSec <= 0) return water;
+  water.ammoniaPpm += Math.max(0, ammoniaInPpm);
+
+  // The colony grows toward capacity while it has ammonia or nitrite to feed on and starves back otherwise.
+  const capacity01 = clamp01(Math.max(SUBSTRATE_BACTERIA_01, colonyCapacity01));
+  const food01 = clamp01((water.ammoniaPpm + water.nitritePpm) / BACTERIA_FOOD_PPM);
+  if (water.bacteria01 < capacity01) {
+    water.bacteria01 = Math.min(capacity01, water.bacteria01 + decayed(capacity01 - water.bacteria01, food01 / BACTERIA_MATURE_SEC, dtSec));
+  } else {
+    water.bacteria01 = Math.max(capacity01, water.bacteria01 - decayed(water.bacteria01 - capacity01, 1 / BACTERIA_DIE_OFF_SEC, dtSec));
+  }
+
+  const colony = water.bacteria01 * Math.max(0, conversionMultiplier);
+  const nitrified = decayed(water.ammoniaPpm, NITRIFY_AMMONIA_PER_SEC * colony, dtSec);
+  water.ammoniaPpm -= nitrified;
+  water.nitritePpm += nitrified;
+  const oxidized = decayed(water.nitritePpm, NITRIFY_NITRITE_PER_SEC * colony, dtSec);
+  water.nitritePpm -= oxidized;
+  water.nitratePpm += oxidized;
+
+  const nitrateExportPerSec = FILTER_NITRATE_REMOVAL_PER_SEC * Math.max(0, filterNitrateRemoval01)
+    + PLANT_NITRATE_UPTAKE_PER_SEC * Math.max(0, plantCount);
+  water.nitratePpm -= decayed(water.nitratePpm, nitrateExportPerSec, dtSec);
+  return water;
+}
+
+const stressFrom = (ppm, { safe, toxic }) => clamp01((ppm - safe) / Math.max(0.0001, toxic - safe));
+
+/** 0 in safe water, 1 once any compound (or their combined excess) reaches toxic levels. */
+export function waterToxicity01(water) {
+  return clamp01(
+    stressFrom(water.ammoniaPpm ?? 0, AMMONIA_STRESS)
+    + stressFrom(water.nitritePpm ?? 0, NITRITE_STRESS)
+    + stressFrom(water.nitratePpm ?? 0, NITRATE_STRESS)
+  );
+}
@@ -0,0 +1,166 @@
+/**
+ * Water quality field.
+ * Responsibility: where in the tank the waste is. The tank is split into a coarse grid of cells,
+ * each holding the total nitrogen (ppm) of its own water. Waste is deposited in the cell where it
+ * lands, spreads to neighbouring cells, slowly mixes through the tank, and a working filter draws
+ * dirty water toward its intake and returns it mixed.
+ *
+ * The nitrogen cycle (water_chemistry.js) still owns the amounts; the field only says how they are
+ * spread. `sync()` rescales the cells after every chemistry step so their mean matches the tank,
+ * which carries conversion, export and water changes over without the field modelling them.
+ * Positions are normalized: `u` runs 0..1 left to right, `v` 0..1 top to bottom.
+ */
+
+import { CONFIG } from '../config.js';
+
+const FIELD_CONFIG = CONFIG.world.water.field ?? {};
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const finiteOr = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+
+export const WATER_FIELD_COLS = clamp(Math.floor(FIELD_CONFIG.cols ?? 16), 1, 64);
+export const WATER_FIELD_ROWS = clamp(Math.floor(FIELD_CONFIG.rows ?? 10), 1, 64);
+const DIFFUSION_PER_SEC = Math.max(0, FIELD_CONFIG.diffusionPerSec ?? 0.08);
+const MIX_PER_SEC = Math.max(0, FIELD_CONFIG.mixPerSec ?? 0.001);
+const FILTER_DRAW_PER_SEC = Math.max(0, FIELD_CONFIG.filterDrawPerSec ?? 0.15);
+const FILTER_RETURN_PER_SEC = Math.max(0, FIELD_CONFIG.filterReturnPerSec ?? 0.5);
+// Explicit diffusion is stable up to a quarter of the difference per neighbour and step.
+const MAX_EXCHANGE_PER_SUBSTEP = 0.2;
+const MAX_SUBSTEPS = 8;
+const EMPTY_PPM = 1e-9;
+
+export class WaterField {
+  constructor({ cols = WATER_FIELD_COLS, rows = WATER_FIELD_ROWS } = {}) {
+    this.cols = cols;
+    this.rows = rows;
+    this.cells = new Array(cols * rows).fill(0);
+    this.meanPpm = 0;
+  }
+
+  cellIndexAt(u, v) {
+    const col = clamp(Math.floor(finiteOr(u, 0.5) * this.cols), 0, this.cols - 1);
+    const row = clamp(Math.floor(finiteOr(v, 0.5) * this.rows), 0, this.rows - 1);
+    return row * this.cols + col;
+  }
+
+  /** Adds `ppm` of tank-wide nitrogen, all of it landing in the cell at (u, v). */
+  deposit(u, v, ppm) {
+    if (!(ppm > 0)) return;
+    this.cells[this.cellIndexAt(u, v)] += ppm * this.cells.length;
+  }
+
+  /** How polluted the water at (u, v) is relative to the tank average (1 when evenly spread). */
+  factorAt(u, v) {
+    return this.factorAtIndex(this.cellIndexAt(u, v));
+  }
+
+  factorAtIndex(index) {
+    return this.meanPpm > EMPTY_PPM ? this.cells[index] / this.meanPpm : 1;
+  }
+
+  /**
+   * Spreads the field by `dtSec`. `intake` is the filter intake position `{ u, v }` and
+   * `intakeStrength01` how hard it pulls (0 without a working filter).
+   */
+  step(dtSec, { intake = null, intakeStrength01 = 0 } = {}) {
+    if (!Number.isFinite(dtSec) || dtSec <= 0) return;
+    this.#diffuse(DIFFUSION_PER_SEC * dtSec);
+    if (intake && intakeStrength01 > 0) this.#drawToward(this.cellIndexAt(intake.u, intake.v), intakeStrength01, dtSec);
+    this.#relaxTowardMean(1 - Math.exp(-MIX_PER_SEC * dtSec));
+  }
+
+  /** Rescales the cells so their mean is the tank's total nitrogen. */
+  sync(totalPpm) {
+    const target = Math.max(0, finiteOr(totalPpm, 0));
+    const mean = this.#mean();
+    if (target <= EMPTY_PPM) {
+      this.cells.fill(0);
+    } else if (mean <= EMPTY_PPM) {
+      this.cells.fill(target);
+    } else {
+      const scale = target / mean;
+      for (let i = 0; i < this.cells.length; i += 1) this.cells[i] *= scale;
+    }
+    this.meanPpm = target;
+  }
+
+  toJSON() {
+    return { cols: this.cols, rows: this.rows, cells: this.cells.map((value) => Math.round(value * 1e4) / 1e4) };
+  }
+
+  /** Restores saved cells; a missing or differently sized grid starts evenly spread at `totalPpm`. */
+  loadFromJSON(data, totalPpm) {
+    const cells = Array.isArray(data?.cells) ? data.cells : null;
+    const fits = data?.cols === this.cols && data?.rows === this.rows && cells?.length === this.cells.length;
+    if (fits) {
+      this.cells = cells.map((value) => Math.max(0, finiteOr(value, 0)));
+      this.meanPpm = this.#mean();
+      return;
+    }
+    this.cells = new Array(this.cells.length).fill(0);
+    this.sync(totalPpm);
+  }
+
+  #mean() {
+    let sum = 0;
+    for (const value of this.cells) sum += value;
+    return sum / this.cells.length;
+  }
+
+  #diffuse(exchange) {
+    if (exchange <= 0) return;
+    const substeps = Math.min(MAX_SUBSTEPS, Math.ceil(exchange / MAX_EXCHANGE_PER_SUBSTEP));
+    const share = Math.min(MAX_EXCHANGE_PER_SUBSTEP, exchange / substeps);
+    const { cols, rows } = this;
+    for (let s = 0; s < substeps; s += 1) {
+      const next = this.cells.slice();
+      for (let row = 0; row < rows; row += 1) {
+        for (let col = 0; col < cols; col += 1) {
+          const i = row * cols + col;
+          if (col + 1 < cols) {
+            const flux = share * (this.cells[i] - this.cells[i + 1]);
+            next[i] -= flux;
+            next[i + 1] += flux;
+          }
+          if (row + 1 < rows) {
+            const flux = share * (this.cells[i] - this.cells[i + cols]);
+            next[i] -= flux;
+            next[i + cols] += flux;
+          }
+        }
+      }
+      this.cells = next;
+    }
+  }
+
+  // Dirtier water moves one cell downstream toward the intake; the filter sends what reaches it back mixed.
+  #drawToward(intakeIndex, strength01, dtSec) {
+    const { cols } = this;
+    const share = Math.min(0.25, FILTER_DRAW_PER_SEC * strength01 * dtSec);
+    const intakeCol = intakeIndex % cols;
+    const intakeRow = Math.floor(intakeIndex / cols);
+    const next = this.cells.slice();
+    for (let i = 0; i < this.cells.length; i += 1) {
+      if (i === intakeIndex) continue;
+      const dCol = intakeCol - (i % cols);
+      const dRow = intakeRow - Math.floor(i / cols);
+      const downstream = Math.abs(dCol) >= Math.abs(dRow) ? i + Math.sign(dCol) : i + Math.sign(dRow) * cols;
+      const flux = share * Math.max(0, this.cells[i] - this.cells[downstream]);
+      next[i] -= flux;
+      next[downstream] += flux;
+    }
+    this.cells = next;
+
+    const excess = Math.max(0, this.cells[intakeIndex] - this.#mean());
+    const returned = excess * (1 - Math.exp(-FILTER_RETURN_PER_SEC * strength01 * dtSec));
+    if (returned <= 0) return;
+    this.cells[intakeIndex] -= returned;
+    const perCell = returned / this.cells.length;
+    for (let i = 0; i < this.cells.length; i += 1) this.cells[i] += perCell;
+  }
+
+  #relaxTowardMean(amount01) {
+    if (amount01 <= 0) return;
+    const mean = this.#mean();
+    for (let i = 0; i < this.cells.length; i += 1) this.cells[i] += (mean - this.cells[i]) * amount01;
+  }
+}
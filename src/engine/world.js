@@ -6,9 +6,25 @@
 import { Fish } from './fish.js';
 import { CONFIG, DEFAULT_SPECIES_ID, SPECIES } from '../config.js';
 import { getMaxSimSpeedMultiplier, isDevMode } from '../dev.js';
+import { SeededRng } from './rng.js';
+import { SpatialHash } from './spatial.js';
+import { FISH_ARCHIVE_MAX_RETIRED, pruneFishArchive } from './fish_archive.js';
+import { WORLD_SAVE_VERSION, migrateWorldState } from './save_migrations.js';
+import { ANY_WORLD_EVENT, WORLD_EVENT_TYPES, isWorldEventType } from './events.js';
+import { TankJournal } from './journal.js';
+import { AlertRules, describeAlertRule } from './alert_rules.js';
+import {
+  WATER_CHEMISTRY_KEYS,
+  createWaterChemistry,
+  deriveWaterQuality,
+  nitrateForHygiene,
+  normalizeWaterChemistry,
+  stepNitrogenCycle
+} from './water_chemistry.js';
+import { WaterField } from './water_field.js';
+import { jetSource, sampleFlow, sinkSource } from './flow_field.js';
 
 const MAX_TILT = CONFIG.world.maxTiltRad;
-const rand = (min, max) => min + Math.random() * (max - min);
 const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
 const clamp01 = (v) => clamp(v, 0, 1);
 const FOOD_DEFAULT_AMOUNT = CONFIG.world.food.defaultAmount;
@@ -17,10 +33,31 @@ const FOOD_FALL_ACCEL = CONFIG.world.food.fallAccel;
 const FOOD_FALL_DAMPING = CONFIG.world.food.fallDamping;
 const FOOD_MAX_FALL_SPEED = CONFIG.world.food.maxFallSpeed;
 const POOP_DEFAULT_TTL_SEC = Math.max(1, CONFIG.world.poop?.defaultTtlSec ?? 120);
-const POOP_DIRT_PER_SEC = Math.max(0, CONFIG.world.poop?.dirtPerSec ?? 0);
+const POOP_AMMONIA_PER_SEC = Math.max(0, CONFIG.world.poop?.ammoniaPerSec ?? 0);
 const POOP_BASE_DRIFT_SPEED = Math.max(0, CONFIG.world.poop?.baseDriftSpeed ?? CONFIG.world.poop?.riseSpeed ?? 4);
 const POOP_DRIFT_DAMPING = clamp(CONFIG.world.poop?.driftDamping ?? 0.99, 0.9, 0.9999);
 const POOP_JITTER = Math.max(0, CONFIG.world.poop?.jitter ?? 0.04);
+const VACUUM_RADIUS_PX = Math.max(1, CONFIG.world.vacuum?.radiusPx ?? 36);
+const VACUUM_SETTLED_FOOD_BAND_PX = Math.max(0, CONFIG.world.vacuum?.settledFoodBandPx ?? 6);
+const VACUUM_FX_PER_ITEM = Math.max(0, Math.floor(CONFIG.world.vacuum?.fxPerItem ?? 5));
+const VACUUM_FX_LIFE_SEC = 0.45;
+// Where the filter draws water in: beside the module the renderer draws in the bottom-right corner.
+const FILTER_INTAKE_INSET_X_PX = 24;
+const FILTER_INTAKE_INSET_Y_PX = 32;
+// Where it returns the water: out of the top-left corner of the module.
+const FILTER_OUTLET_INSET_X_PX = 38;
+const FILTER_OUTLET_INSET_Y_PX = 62;
+const FLOW_CONFIG = CONFIG.world.flow ?? {};
+const FLOW_FILTER_JET_SPEED = Math.max(0, FLOW_CONFIG.filterJetSpeedPxPerSec ?? 42);
+const FLOW_FILTER_JET_REACH_PX = Math.max(1, FLOW_CONFIG.filterJetReachPx ?? 260);
+const FLOW_FILTER_JET_SPREAD_PX = Math.max(1, FLOW_CONFIG.filterJetSpreadPx ?? 16);
+const FLOW_FILTER_JET_ANGLE_RAD = FLOW_CONFIG.filterJetAngleRad ?? Math.PI;
+const FLOW_FILTER_INTAKE_SPEED = Math.max(0, FLOW_CONFIG.filterIntakeSpeedPxPerSec ?? 8);
+const FLOW_FILTER_INTAKE_RADIUS_PX = Math.max(1, FLOW_CONFIG.filterIntakeRadiusPx ?? 40);
+const FLOW_CARRY_FOOD = clamp(FLOW_CONFIG.carry?.food ?? 0.8, 0, 1);
+const FLOW_CARRY_POOP = clamp(FLOW_CONFIG.carry?.poop ?? 0.9, 0, 1);
+const FLOW_CARRY_BUBBLES = clamp(FLOW_CONFIG.carry?.bubbles ?? 0.5, 0, 1);
+const FLOW_CARRY_EGGS = clamp(FLOW_CONFIG.carry?.eggs ?? 0.08, 0, 1);
 const AGE_CONFIG = CONFIG.fish.age;
 const INITIAL_MAX_AGE_SEC = Math.max(0, AGE_CONFIG.INITIAL_MAX_AGE_SEC ?? 1200);
 const GROWTH_CONFIG = CONFIG.fish.growth;
@@ -29,6 +66,7 @@ const REPRO_CONFIG = CONFIG.reproduction ?? {};
 const REPRO_ENABLED = REPRO_CONFIG.REPRO_ENABLED !== false;
 const MATE_ENCOUNTER_RADIUS_PX = Math.max(0, REPRO_CONFIG.MATE_ENCOUNTER_RADIUS_PX ?? 70);
 const MATE_PAIR_RETRY_MIN_SEC = Math.max(0, REPRO_CONFIG.MATE_PAIR_RETRY_MIN_SEC ?? 25);
+const MATE_MACRO_ENCOUNTER_SCALE = Math.max(0, REPRO_CONFIG.MATE_MACRO_ENCOUNTER_SCALE ?? 0.25);
 const MATE_BASE_CHANCE = Math.max(0, REPRO_CONFIG.MATE_BASE_CHANCE ?? 0.08);
 const MATE_FATHER_COOLDOWN_SEC = REPRO_CONFIG.MATE_FATHER_COOLDOWN_SEC ?? [120, 240];
 const MATE_MIN_WELLBEING = clamp01(REPRO_CONFIG.MATE_MIN_WELLBEING ?? 0.8);
@@ -48,33 +86,36 @@ const MALE_NAME_POOL = Array.isArray(CONFIG.MALE_NAME_POOL) ? CONFIG.MALE_NAME_P
 const WATER_INITIAL_HYGIENE01 = 1;
 const WATER_INITIAL_DIRT01 = 0;
 const WATER_REFERENCE_FISH_COUNT = Math.max(1, WATER_CONFIG.referenceFishCount ?? 20);
-const WATER_BASELINE_DECAY_PER_SEC = Math.max(0, WATER_CONFIG.baselineDecayPerSec ?? 0);
-const WATER_BIOLOAD_DIRT_PER_SEC = Math.max(0, WATER_CONFIG.bioloadDirtPerSec ?? 0);
-const WATER_DIRT_PER_EXPIRED_FOOD = Math.max(0, WATER_CONFIG.dirtPerExpiredFood ?? 0);
-const WATER_DIRT_TO_DECAY_MULTIPLIER = Math.max(0, WATER_CONFIG.dirtToDecayMultiplier ?? 3);
-const WATER_DIRT_DECAY_POWER = Math.max(1, WATER_CONFIG.dirtDecayPower ?? 1);
-const WATER_DIRT_DECAY_STRENGTH = Math.max(0, WATER_CONFIG.dirtDecayStrength ?? WATER_DIRT_TO_DECAY_MULTIPLIER);
-const WATER_HYGIENE_DROP_PER_EXPIRED_FOOD = Math.max(0, WATER_CONFIG.hygieneDropPerExpiredFood ?? 0);
-const WATER_HYGIENE_DROP_PER_POOP_SPAWN = Math.max(0, WATER_CONFIG.hygieneDropPerPoopSpawn ?? 0);
-const FILTER_DIRT_REMOVE_PER_SEC = Math.max(0, WATER_CONFIG.filterDirtRemovePerSec ?? 0);
+const WATER_AMMONIA_PER_BIOLOAD_SEC = Math.max(0, WATER_CONFIG.ammoniaPerBioloadSec ?? 0);
+const WATER_AMMONIA_PER_POOP_SPAWN = Math.max(0, WATER_CONFIG.ammoniaPerPoopSpawn ?? 0);
+const WATER_AMMONIA_PER_EXPIRED_FOOD = Math.max(0, WATER_CONFIG.ammoniaPerExpiredFood ?? 0);
 const FILTER_WEAR_BASE_PER_SEC = Math.max(0, WATER_CONFIG.wearBasePerSec ?? 0);
 const FILTER_WEAR_BIOLOAD_FACTOR = Math.max(0, WATER_CONFIG.wearBioloadFactor ?? 0);
 const FILTER_WEAR_DIRT_FACTOR = Math.max(0, WATER_CONFIG.wearDirtFactor ?? 0);
-const FILTER_BIOLOAD_MITIGATION_FACTOR = Math.max(0, WATER_CONFIG.bioloadMitigationFactor ?? 0);
-const FILTER_TIER_DIRT_REMOVAL_STEP = Math.max(0, WATER_CONFIG.filterTierDirtRemovalStep ?? 0.25);
-const FILTER_TIER_BIOLOAD_STEP = Math.max(0, WATER_CONFIG.filterTierBioloadStep ?? 0.15);
+const FILTER_TIER_CONVERSION_STEP = Math.max(0, WATER_CONFIG.filterTierConversionStep ?? 0.25);
+const FILTER_TIER_NITRATE_STEP = Math.max(0, WATER_CONFIG.filterTierNitrateStep ?? 0.25);
 const FILTER_TIER_WEAR_STEP = Math.max(0, WATER_CONFIG.filterTierWearStep ?? 0.08);
-const HYGIENE_RECOVERY_PER_SEC = Math.max(0, WATER_CONFIG.hygieneRecoveryPerSec ?? 0.00006);
+const FILTER_MAINTENANCE_BACTERIA_LOSS_01 = clamp(WATER_CONFIG.maintenanceBacteriaLoss01 ?? 0.25, 0, 1);
+// Fresh media in a new filter tier soaks up part of the nitrate at once.
+const FILTER_UPGRADE_NITRATE_REMOVAL_01 = 0.1;
 const FILTER_DEPLETED_THRESHOLD_01 = clamp(WATER_CONFIG.filterDepletedThreshold01 ?? 0.1, 0, 1);
 const FILTER_INSTALL_DURATION_SEC = Math.max(0.001, WATER_CONFIG.installDurationSec ?? 12);
 const FILTER_MAINTENANCE_DURATION_SEC = Math.max(0.001, WATER_CONFIG.maintenanceDurationSec ?? 12);
 const FILTER_MAINTENANCE_COOLDOWN_SEC = Math.max(0, WATER_CONFIG.maintenanceCooldownSec ?? 25);
 const FILTER_MAINTENANCE_RESTORE_TO_01 = clamp(WATER_CONFIG.maintenanceRestoreTo01 ?? 1, 0, 1);
+const WATER_CHANGE_MIN_01 = clamp(WATER_CONFIG.waterChangeMin01 ?? 0.1, 0.01, 1);
+const WATER_CHANGE_MAX_01 = clamp(WATER_CONFIG.waterChangeMax01 ?? 0.5, WATER_CHANGE_MIN_01, 0.95);
+const WATER_CHANGE_DURATION_SEC = Math.max(0.001, WATER_CONFIG.waterChangeDurationSec ?? 10);
+const WATER_CHANGE_COOLDOWN_SEC = Math.max(0, WATER_CONFIG.waterChangeCooldownSec ?? 120);
+const WATER_CHANGE_SAFE_01 = clamp(WATER_CONFIG.waterChangeSafe01 ?? 0.25, 0, 1);
+const WATER_CHANGE_SHOCK_PER_EXCESS_01 = Math.max(0, WATER_CONFIG.waterChangeShockPerExcess01 ?? 0.8);
 const CORPSE_GRACE_SEC = 120;
 const CORPSE_DIRT_STEP_SEC = 60;
 const CORPSE_DIRT_INITIAL01 = 0.07;
 const CORPSE_DIRT_STEP01 = 0.01;
 const CORPSE_DIRT_MAX01 = 0.12;
+// Corpse decay is staged in the old dirt units (saved per fish as `corpseDirtApplied01`) and released as ammonia.
+const CORPSE_AMMONIA_PPM_PER_DIRT01 = 5;
 const BERRY_REED_UNLOCK_BIRTHS = 4;
 const BERRY_REED_UNLOCK_HYGIENE01 = 0.8;
 const BERRY_REED_MAX_COUNT = 1;
@@ -93,10 +134,13 @@ const BERRY_REED_MAX_GROWTH_PHASES = 2;
 const BERRY_REED_GROWTH_REFERENCE_SEC = Math.max(60, AGE_CONFIG.stageBaseSec?.juvenileEndSec ?? 50 * 60);
 const BERRY_REED_MAX_GROWTH_ELAPSED_SEC = BERRY_REED_GROWTH_REFERENCE_SEC * BERRY_REED_MAX_GROWTH_PHASES;
 const MIN_SIM_SPEED_MULTIPLIER = 0.5;
-const REPRO_PRESSURE_START_COUNT = Math.max(6, Math.round(WATER_REFERENCE_FISH_COUNT * 0.9));
-const REPRO_PRESSURE_CRITICAL_COUNT = Math.max(REPRO_PRESSURE_START_COUNT + 2, Math.round(WATER_REFERENCE_FISH_COUNT * 1.7));
+const FISH_GRID_CELL_PX = 64;
+const MAX_QUEUED_EVENTS = 1000;
+// Eggs whose water alone gives them less than this hatch chance are reported as lost to low hygiene.
+const EGG_LOW_HYGIENE_HATCH_CHANCE = 0.5;
+const REPRO_PRESSURE_START_COUNT = Math.max(1, Math.round(REPRO_CONFIG.PRESSURE_START_COUNT ?? Math.max(6, WATER_REFERENCE_FISH_COUNT * 0.9)));
+const REPRO_PRESSURE_CRITICAL_COUNT = Math.max(REPRO_PRESSURE_START_COUNT + 2, Math.round(REPRO_CONFIG.PRESSURE_CRITICAL_COUNT ?? WATER_REFERENCE_FISH_COUNT * 1.7));
 
-const WORLD_SAVE_VERSION = 1;
 export const WATER_SAVE_KEYS = [
   'hygiene01',
   'dirt01',
@@ -105,10 +149,14 @@ export const WATER_SAVE_KEYS = [
   'installProgress01',
   'maintenanceProgress01',
   'maintenanceCooldownSec',
+  'waterChangeProgress01',
+  'waterChangeFraction01',
+  'waterChangeCooldownSec',
   'filterUnlocked',
   'filterEnabled',
   'effectiveFilter01',
-  'filterTier'
+  'filterTier',
+  ...WATER_CHEMISTRY_KEYS
 ];
 export const FOOD_SAVE_KEYS = ['id', 'x', 'y', 'amount', 'ttl', 'vy'];
 export const POOP_SAVE_KEYS = ['id', 'x', 'y', 'ttlSec', 'maxTtlSec', 'vx', 'vy', 'type', 'canBeEaten', 'nutrition', 'bioloadFactor'];
@@ -207,13 +255,37 @@ function deserializePoop(data, bounds, swimHeight) {
   };
 }
 
-function pickPoopTypeByWeight() {
-  const roll = Math.random();
+function pickPoopTypeByWeight(rng) {
+  const roll = rng.next();
   if (roll < 0.7) return 'pellet';
   if (roll < 0.9) return 'neutral';
   return 'floaty';
 }
 
+function createPrunedFishArchiveTally() {
+  return { fishCount: 0, deathsByReason: {} };
+}
+
+function normalizePrunedFishArchiveTally(raw) {
+  const out = createPrunedFishArchiveTally();
+  out.fishCount = Math.max(0, Math.floor(Number.isFinite(raw?.fishCount) ? raw.fishCount : 0));
+  for (const [reason, count] of Object.entries(raw?.deathsByReason ?? {})) {
+    if (Number.isFinite(count) && count > 0) out.deathsByReason[reason] = Math.floor(count);
+  }
+  return out;
+}
+
+function normalizePrunedFishStub(raw) {
+  if (!Number.isFinite(raw?.id)) return null;
+  return {
+    id: raw.id,
+    name: typeof raw.name === 'string' ? raw.name : null,
+    sex: typeof raw.sex === 'string' ? raw.sex : null,
+    speciesId: typeof raw.speciesId === 'string' ? raw.speciesId : null,
+    generation: Math.max(1, Math.floor(Number.isFinite(raw.generation) ? raw.generation : 1))
+  };
+}
+
 function serializeEgg(egg) {
   return pickSavedKeys(egg, EGG_SAVE_KEYS);
 }
@@ -231,6 +303,7 @@ function deserializeEgg(data, bounds, swimHeight) {
     fatherId: source.fatherId ?? null,
     motherTraits: deepCopyPlain(source.motherTraits ?? {}),
     fatherTraits: deepCopyPlain(source.fatherTraits ?? {}),
+    speciesId: typeof source.speciesId === 'string' ? source.speciesId : DEFAULT_SPECIES_ID,
     state: typeof source.state === 'string' ? source.state : 'INCUBATING',
     canBeEaten: Boolean(source.canBeEaten ?? true),
     nutrition: Math.max(0, Number.isFinite(source.nutrition) ? source.nutrition : 0.25)
@@ -249,7 +322,7 @@ function serializeBerryReedPlant(plant) {
   return source;
 }
 
-function deserializeBerryReedPlant(data, bounds) {
+function deserializeBerryReedPlant(data, bounds, rng) {
   const source = data && typeof data === 'object' ? data : {};
   const branchSource = Array.isArray(source.branches) ? source.branches : [];
   const minBottomY = Math.max(0, bounds.height - 14);
@@ -276,14 +349,14 @@ function deserializeBerryReedPlant(data, bounds) {
     height: clamp(Number.isFinite(source.height) ? source.height : spawnHeight, bounds.height * 0.1, maxHeight),
     spawnHeight,
     maxHeight,
-    swayPhase: Number.isFinite(source.swayPhase) ? source.swayPhase : rand(0, Math.PI * 2),
-    swayRate: clamp(Number.isFinite(source.swayRate) ? source.swayRate : rand(0.0008, 0.0016), 0.0002, 0.004),
+    swayPhase: Number.isFinite(source.swayPhase) ? source.swayPhase : rng.range(0, Math.PI * 2),
+    swayRate: clamp(Number.isFinite(source.swayRate) ? source.swayRate : rng.range(0.0008, 0.0016), 0.0002, 0.004),
     branches: branchSource
       .slice(0, 6)
       .map((branch) => ({
-        t: clamp(Number.isFinite(branch?.t) ? branch.t : rand(0.2, 0.92), 0.1, 0.95),
+        t: clamp(Number.isFinite(branch?.t) ? branch.t : rng.range(0.2, 0.92), 0.1, 0.95),
         side: branch?.side === -1 ? -1 : 1,
-        len: clamp(Number.isFinite(branch?.len) ? branch.len : rand(0.18, 0.4), 0.08, 0.5)
+        len: clamp(Number.isFinite(branch?.len) ? branch.len : rng.range(0.18, 0.4), 0.08, 0.5)
       })),
     nextFruitAtSec: Number.isFinite(source.nextFruitAtSec) ? source.nextFruitAtSec : Infinity,
     growthElapsedSec
@@ -297,15 +370,8 @@ function serializeBerryReedFruit(fruit) {
 function deserializeBerryReedFruit(data, _bounds, plantById) {
   const source = data && typeof data === 'object' ? data : {};
   const plant = plantById.get(source.plantId) ?? null;
-  const createdAtSec = Number.isFinite(source.createdAtSec)
-    ? source.createdAtSec
-    : (Number.isFinite(source.spawnedAtSec) ? source.spawnedAtSec : 0);
-  const ttlFromLegacy = Number.isFinite(source.expiresAtSec)
-    ? Math.max(0, source.expiresAtSec - createdAtSec)
-    : BERRY_REED_FRUIT_TTL_SEC;
-  const ttlSec = Number.isFinite(source.ttlSec)
-    ? Math.max(0, source.ttlSec)
-    : ttlFromLegacy;
+  const createdAtSec = Number.isFinite(source.createdAtSec) ? source.createdAtSec : 0;
+  const ttlSec = Number.isFinite(source.ttlSec) ? Math.max(0, source.ttlSec) : BERRY_REED_FRUIT_TTL_SEC;
   return {
     id: Number.isFinite(source.id) ? source.id : 0,
     plantId: Number.isFinite(source.plantId) ? source.plantId : 0,
@@ -320,6 +386,8 @@ function deserializeBerryReedFruit(data, _bounds, plantById) {
   };
 }
 
+const totalNitrogenPpm = (water) => water.ammoniaPpm + water.nitritePpm + water.nitratePpm;
+
 function deserializeWater(data, defaults) {
   const source = data && typeof data === 'object' ? data : {};
   const out = pickSavedKeys(defaults, WATER_SAVE_KEYS);
@@ -333,25 +401,28 @@ function deserializeWater(data, defaults) {
   out.installProgress01 = clamp01(Number.isFinite(out.installProgress01) ? out.installProgress01 : 0);
   out.maintenanceProgress01 = clamp01(Number.isFinite(out.maintenanceProgress01) ? out.maintenanceProgress01 : 0);
   out.maintenanceCooldownSec = Math.max(0, Number.isFinite(out.maintenanceCooldownSec) ? out.maintenanceCooldownSec : 0);
+  out.waterChangeProgress01 = clamp01(Number.isFinite(out.waterChangeProgress01) ? out.waterChangeProgress01 : 0);
+  out.waterChangeFraction01 = clamp(Number.isFinite(out.waterChangeFraction01) ? out.waterChangeFraction01 : 0, 0, WATER_CHANGE_MAX_01);
+  out.waterChangeCooldownSec = Math.max(0, Number.isFinite(out.waterChangeCooldownSec) ? out.waterChangeCooldownSec : 0);
+  if (out.waterChangeFraction01 <= 0) out.waterChangeProgress01 = 0;
   out.filterInstalled = Boolean(out.filterInstalled);
   out.filterUnlocked = Boolean(out.filterUnlocked);
   out.filterEnabled = Boolean(out.filterEnabled ?? true);
   out.effectiveFilter01 = clamp01(Number.isFinite(out.effectiveFilter01) ? out.effectiveFilter01 : 0);
   out.filterTier = Math.max(0, Math.min(3, Math.floor(Number.isFinite(out.filterTier) ? out.filterTier : (out.filterInstalled ? 1 : 0))));
   if (out.filterInstalled && out.filterTier < 1) out.filterTier = 1;
+  normalizeWaterChemistry(out);
   return out;
 }
 
 function normalizeWorldSaveSource(data) {
   const source = data && typeof data === 'object' ? data : null;
   if (!source) return null;
-  if (source.saveVersion === WORLD_SAVE_VERSION && source.worldState && typeof source.worldState === 'object') {
-    return source.worldState;
-  }
+  if (source.worldState && typeof source.worldState === 'object') return source.worldState;
   return source;
 }
 
-function inheritTraits(motherTraits, fatherTraits, config = {}) {
+function inheritTraits(motherTraits, fatherTraits, config = {}, rng) {
   const mother = motherTraits ?? {};
   const father = fatherTraits ?? mother;
   const child = {};
@@ -364,7 +435,7 @@ function inheritTraits(motherTraits, fatherTraits, config = {}) {
 
     if (typeof mVal === 'number' && Number.isFinite(mVal) && typeof fVal === 'number' && Number.isFinite(fVal)) {
       const mean = (mVal + fVal) / 2;
-      const mutation = mean * (Math.random() * 2 - 1) * mutationPct;
+      const mutation = mean * (rng.next() * 2 - 1) * mutationPct;
       const value = mean + mutation;
       child[key] = Number.isFinite(value) ? value : mean;
     }
@@ -394,20 +465,20 @@ function inheritTraits(motherTraits, fatherTraits, config = {}) {
   return child;
 }
 
-function randRange(range, fallbackMin = 0, fallbackMax = 0) {
+function randRange(rng, range, fallbackMin = 0, fallbackMax = 0) {
   const min = Number.isFinite(range?.[0]) ? range[0] : fallbackMin;
   const max = Number.isFinite(range?.[1]) ? range[1] : fallbackMax;
   const low = Math.min(min, max);
   const high = Math.max(min, max);
-  return rand(low, high);
+  return rng.range(low, high);
 }
 
-function randIntInclusive(range, fallbackMin = 0, fallbackMax = 0) {
+function randIntInclusive(rng, range, fallbackMin = 0, fallbackMax = 0) {
   const min = Math.round(Number.isFinite(range?.[0]) ? range[0] : fallbackMin);
   const max = Math.round(Number.isFinite(range?.[1]) ? range[1] : fallbackMax);
   const low = Math.min(min, max);
   const high = Math.max(min, max);
-  return Math.floor(rand(low, high + 1));
+  return Math.floor(rng.range(low, high + 1));
 }
 
 
@@ -427,21 +498,24 @@ function getSpeciesPoopBioloadFactor(speciesId) {
 function getSpeciesReproductionScale(speciesId) {
   return Math.max(0.05, getSpeciesConfig(speciesId)?.reproductionScale ?? 1);
 }
-function makeBubble(bounds) {
+function makeBubble(bounds, rng) {
   return {
-    x: rand(0, bounds.width),
-    y: bounds.height + rand(0, bounds.height * 0.3),
-    radius: rand(1.4, 3.4),
-    speed: rand(12, 35),
-    swayPhase: rand(0, Math.PI * 2),
-    swayAmplitude: rand(2, 10)
+    x: rng.range(0, bounds.width),
+    y: bounds.height + rng.range(0, bounds.height * 0.3),
+    radius: rng.range(1.4, 3.4),
+    speed: rng.range(12, 35),
+    swayPhase: rng.range(0, Math.PI * 2),
+    swayAmplitude: rng.range(2, 10)
   };
 }
 
 export class World {
-  constructor(width, height, initialFishCount = 4) {
+  constructor(width, height, initialFishCount = 4, { seed } = {}) {
     const normalizedInitialFishCount = Math.max(1, Math.min(6, Math.round(initialFishCount)));
 
+    // Single PRNG stream for the whole simulation (fish, hatching, mating, poop).
+    // Same seed + same inputs => same tank.
+    this.rng = new SeededRng(seed);
     this.bounds = { width, height, sandHeight: this.#computeSandHeight(height) };
     this.fish = [];
     this.food = [];
@@ -474,6 +548,12 @@ export class World {
     this.nameCounts = new Map();
     this.fishById = new Map();
     this.fishArchiveById = new Map();
+    // Tally of retired fish pruned from the archive, so tank-wide totals survive pruning.
+    this.prunedFishArchive = createPrunedFishArchiveTally();
+    // Name stubs of pruned fish that kept fish still link to as parents or children (see fish_archive.js).
+    this.prunedFishStubsById = new Map();
+    // Neighbour index over `this.fish`, rebuilt at the start of every update().
+    this.fishGrid = new SpatialHash(FISH_GRID_CELL_PX);
 
     this.initialFishCount = normalizedInitialFishCount;
     this.foodsConsumedCount = 0;
@@ -482,9 +562,15 @@ export class World {
     this.filterUnlocked = false;
     this.filterDepletedThreshold01 = FILTER_DEPLETED_THRESHOLD_01;
 
-    // Simple event queue for UI/telemetry/achievements.
-    // Use `world.flushEvents()` from main loop if/when needed.
+    // Typed event stream (see events.js). Subscribers get events as they happen via `on()`;
+    // the bounded queue is for polling consumers such as the headless runner (`flushEvents()`).
     this.events = [];
+    this.eventHandlers = new Map();
+    // `(error, event)` for handlers that throw; without one the error is rethrown once every handler has run.
+    this.onEventHandlerError = null;
+    this.journal = new TankJournal();
+    this.on(ANY_WORLD_EVENT, (event) => this.journal.record(event, this));
+    this.alertRules = new AlertRules();
     this.playSessions = [];
     this.matePairNextTryAt = new Map();
     this.scheduledPoopSpawns = [];
@@ -499,7 +585,11 @@ export class World {
     // Global environment state (will grow over time).
     this.water = this.#createInitialWaterState();
     this.expiredFoodSinceLastWaterUpdate = 0;
-    this.pendingPoopDirt01 = 0;
+    this.pendingAmmoniaPpm = 0;
+    // Where in the tank the waste is (see water_field.js); `this.water` keeps the tank-wide amounts.
+    this.waterField = new WaterField();
+    // What moves the water, with the inputs it was built from (see #flowSources).
+    this.flowSourceCache = { strength01: 0, width: 0, bottomY: 0, sources: [] };
 
     this.paused = false;
     this.speedMultiplier = 1;
@@ -517,11 +607,47 @@ export class World {
   }
 
   emit(type, payload = {}) {
-    this.events.push({
+    if (!isWorldEventType(type)) throw new Error(`Unknown world event type: ${type}`);
+    const event = {
       type,
       t: this.simTimeSec,
       payload
-    });
+    };
+    this.events.push(event);
+    if (this.events.length > MAX_QUEUED_EVENTS) this.events.splice(0, this.events.length - MAX_QUEUED_EVENTS);
+
+    const errors = [];
+    for (const key of [type, ANY_WORLD_EVENT]) {
+      const handlers = this.eventHandlers.get(key);
+      if (!handlers) continue;
+      for (const handler of [...handlers]) {
+        try {
+          handler(event, this);
+        } catch (error) {
+          errors.push(error);
+        }
+      }
+    }
+    if (errors.length === 0) return;
+    if (typeof this.onEventHandlerError === 'function') {
+      for (const error of errors) this.onEventHandlerError(error, event);
+      return;
+    }
+    throw errors.length === 1 ? errors[0] : new AggregateError(errors, `${errors.length} handlers for ${type} failed`);
+  }
+
+  /**
+   * Calls `handler(event, world)` for every event of `type` (or every event for `'*'`).
+   * Returns an unsubscribe function.
+   */
+  on(type, handler) {
+    if (type !== ANY_WORLD_EVENT && !isWorldEventType(type)) throw new Error(`Unknown world event type: ${type}`);
+    if (typeof handler !== 'function') throw new TypeError('World event handler must be a function');
+    if (!this.eventHandlers.has(type)) this.eventHandlers.set(type, new Set());
+    this.eventHandlers.get(type).add(handler);
+    return () => {
+      this.eventHandlers.get(type)?.delete(handler);
+    };
   }
 
   flushEvents() {
@@ -546,21 +672,22 @@ export class World {
   }
 
   #randomHeading() {
-    const facing = Math.random() < 0.5 ? -1 : 1;
-    const tilt = rand(-MAX_TILT, MAX_TILT);
+    const facing = this.rng.next() < 0.5 ? -1 : 1;
+    const tilt = this.rng.range(-MAX_TILT, MAX_TILT);
     return facing < 0 ? Math.PI - tilt : tilt;
   }
 
   #randomSpawn(size) {
     const margin = this.#spawnMargin();
-    const x = rand(margin, Math.max(margin, this.bounds.width - margin));
-    const y = rand(margin, Math.max(margin, this.#swimHeight() - margin));
+    const x = this.rng.range(margin, Math.max(margin, this.bounds.width - margin));
+    const y = this.rng.range(margin, Math.max(margin, this.#swimHeight() - margin));
 
     return { x, y, size };
   }
 
   #isSpawnClear(position, size) {
-    for (const fish of this.fish) {
+    const reach = Math.max(size, this.#maxFishSize()) * 1.5;
+    for (const fish of this.fishGrid.query(position.x, position.y, reach)) {
       const minDist = Math.max(size * 1.5, fish.size * 1.5);
       const dist = Math.hypot(position.x - fish.position.x, position.y - fish.position.y);
       if (dist < minDist) return false;
@@ -568,6 +695,18 @@ export class World {
     return true;
   }
 
+  #maxFishSize() {
+    let max = 0;
+    for (const fish of this.fish) max = Math.max(max, fish.size ?? 0);
+    return max;
+  }
+
+  // Candidate fish near a point, in `this.fish` order; callers still apply exact distance checks.
+  // Valid during update(): the grid is rebuilt at the start and kept in sync as fish steer.
+  queryFishNear(x, y, radius) {
+    return this.fishGrid.query(x, y, radius);
+  }
+
   #registerFish(fish) {
     if (!fish) return;
     this.fishById.set(fish.id, fish);
@@ -588,10 +727,35 @@ export class World {
     return this.fishArchiveById.get(fishId) ?? null;
   }
 
+  /** `{ id, name, sex, speciesId, generation }` of a pruned fish that kept fish still link to. */
+  getPrunedFishStub(fishId) {
+    return this.prunedFishStubsById.get(fishId) ?? null;
+  }
+
   getFishInspectorList() {
     return [...this.fishArchiveById.values()];
   }
 
+  // Fish in the tank are saved once in `fish`; the archive only references them by id.
+  #serializeFishArchive() {
+    const inTank = new Set(this.fish);
+    return [...this.fishArchiveById.values()].map((entry) => (inTank.has(entry) ? { id: entry.id, inTank: true } : entry.toArchiveJSON()));
+  }
+
+  #pruneFishArchive() {
+    if (this.fishArchiveById.size - this.fish.length <= FISH_ARCHIVE_MAX_RETIRED) return;
+    const retiredById = new Map(this.fishArchiveById);
+    const dropped = pruneFishArchive(this.fishArchiveById, this.fish.map((fish) => fish.id), { stubsById: this.prunedFishStubsById });
+    if (dropped.includes(this.selectedFishId)) this.selectedFishId = null;
+    for (const fishId of dropped) {
+      const fish = retiredById.get(fishId);
+      this.prunedFishArchive.fishCount += 1;
+      if (fish?.lifeState !== 'DEAD') continue;
+      const reason = fish.deathReason ?? 'UNKNOWN';
+      this.prunedFishArchive.deathsByReason[reason] = (this.prunedFishArchive.deathsByReason[reason] ?? 0) + 1;
+    }
+  }
+
 
   #usedNames(excludeFishId = null) {
     const names = new Set();
@@ -622,7 +786,7 @@ export class World {
     const unusedBaseNames = pool.filter((name) => !this.nameCounts.has(name) && !usedNames.has(name));
 
     const pickFrom = unusedBaseNames.length > 0 ? unusedBaseNames : pool;
-    const chosenBase = pickFrom[Math.floor(Math.random() * pickFrom.length)];
+    const chosenBase = pickFrom[Math.floor(this.rng.next() * pickFrom.length)];
     return this.#registerName(chosenBase, usedNames);
   }
 
@@ -656,17 +820,17 @@ export class World {
     const species = getSpeciesConfig(speciesId);
     const normalizedSpeciesId = species?.id ?? DEFAULT_SPECIES_ID;
 
-    const sizeFactor = rand(sizeRange.min, sizeRange.max);
+    const sizeFactor = this.rng.range(sizeRange.min, sizeRange.max);
     const adultRadius = GROWTH_CONFIG.adultRadius * sizeFactor;
     const birthRadius = adultRadius * GROWTH_CONFIG.birthScale;
 
     const lifeMean = AGE_CONFIG.lifespanMeanSec;
     const lifeJitter = AGE_CONFIG.lifespanJitterSec;
-    const lifespanSec = rand(lifeMean - lifeJitter, lifeMean + lifeJitter);
+    const lifespanSec = this.rng.range(lifeMean - lifeJitter, lifeMean + lifeJitter);
 
     const stageJitter = AGE_CONFIG.stageJitterSec;
-    const stageShiftBabySec = rand(-stageJitter, stageJitter);
-    const stageShiftJuvenileSec = rand(-stageJitter, stageJitter);
+    const stageShiftBabySec = this.rng.range(-stageJitter, stageJitter);
+    const stageShiftJuvenileSec = this.rng.range(-stageJitter, stageJitter);
 
     const explicitPosition = position && Number.isFinite(position.x) && Number.isFinite(position.y);
     let spawn = explicitPosition
@@ -674,6 +838,7 @@ export class World {
       : this.#randomSpawn(birthRadius);
 
     if (!explicitPosition) {
+      this.fishGrid.rebuild(this.fish);
       for (let i = 0; i < 20; i += 1) {
         if (this.#isSpawnClear(spawn, birthRadius)) break;
         spawn = this.#randomSpawn(birthRadius);
@@ -686,17 +851,18 @@ export class World {
     const normalizedInitialAgeSec = Math.min(Math.max(0, initialAgeSec), INITIAL_MAX_AGE_SEC);
 
     const fish = new Fish(this.bounds, {
+      rng: this.rng,
       id: this.nextFishId++,
       speciesId: normalizedSpeciesId,
       spawnTimeSec: this.simTimeSec - normalizedInitialAgeSec,
       sizeFactor,
-      growthRate: rand(growthRange.min, growthRange.max),
+      growthRate: this.rng.range(growthRange.min, growthRange.max),
       lifespanSec,
       stageShiftBabySec,
       stageShiftJuvenileSec,
       position: { x: spawn.x, y: spawn.y },
       headingAngle: this.#randomHeading(),
-      speedFactor: rand(0.42, 0.68),
+      speedFactor: this.rng.range(0.42, 0.68),
       traits: traits ?? undefined,
       history: {
         motherId: motherId != null ? String(motherId) : null,
@@ -731,7 +897,7 @@ export class World {
 
   #shuffleArray(items) {
     for (let i = items.length - 1; i > 0; i -= 1) {
-      const swapIndex = Math.floor(Math.random() * (i + 1));
+      const swapIndex = Math.floor(this.rng.next() * (i + 1));
       [items[i], items[swapIndex]] = [items[swapIndex], items[i]];
     }
   }
@@ -749,7 +915,7 @@ export class World {
     for (let i = 0; i < femaleCount; i += 1) {
       fishPool.push(this.#createFish({
         sex: 'female',
-        initialAgeSec: rand(0, INITIAL_MAX_AGE_SEC),
+        initialAgeSec: this.rng.range(0, INITIAL_MAX_AGE_SEC),
         hungryStart: true
       }));
     }
@@ -757,7 +923,7 @@ export class World {
     for (let i = 0; i < maleCount; i += 1) {
       fishPool.push(this.#createFish({
         sex: 'male',
-        initialAgeSec: rand(0, INITIAL_MAX_AGE_SEC),
+        initialAgeSec: this.rng.range(0, INITIAL_MAX_AGE_SEC),
         hungryStart: true
       }));
     }
@@ -773,8 +939,8 @@ export class World {
         const adultStartAgeSec = juvenileEnd / Math.max(0.001, promotableFemale.growthRate);
 
         const promotedInitialAgeSec = adultStartAgeSec < INITIAL_MAX_AGE_SEC
-          ? rand(adultStartAgeSec, INITIAL_MAX_AGE_SEC)
-          : rand(0, INITIAL_MAX_AGE_SEC);
+          ? this.rng.range(adultStartAgeSec, INITIAL_MAX_AGE_SEC)
+          : this.rng.range(0, INITIAL_MAX_AGE_SEC);
 
         promotableFemale.spawnTimeSec = this.simTimeSec - promotedInitialAgeSec;
         promotableFemale.updateLifeCycle(this.simTimeSec);
@@ -796,46 +962,58 @@ export class World {
       saveVersion: WORLD_SAVE_VERSION,
       simTimeSec: Number.isFinite(this.simTimeSec) ? this.simTimeSec : 0,
       speedMultiplier: Number.isFinite(this.speedMultiplier) ? this.speedMultiplier : 1,
+      paused: this.paused === true,
       initialFishCount: this.initialFishCount,
       foodsConsumedCount: this.foodsConsumedCount,
       birthsCount: this.birthsCount,
       water: serializeWater(this.water),
       fish: this.fish.map((entry) => entry.toJSON()),
-      fishArchive: [...this.fishArchiveById.values()].map((entry) => entry.toJSON()),
+      fishArchive: this.#serializeFishArchive(),
+      prunedFishArchive: normalizePrunedFishArchiveTally(this.prunedFishArchive),
+      prunedFishStubs: [...this.prunedFishStubsById.values()].map((stub) => normalizePrunedFishStub(stub)),
       eggs: this.eggs.map((entry) => serializeEgg(entry)),
       food: this.food.map((entry) => serializeFood(entry)),
       poop: this.poop.map((entry) => serializePoop(entry)),
       berryReedPlants: this.berryReedPlants.map((entry) => serializeBerryReedPlant(entry)),
-      fruits: this.fruits.map((entry) => serializeBerryReedFruit(entry))
+      fruits: this.fruits.map((entry) => serializeBerryReedFruit(entry)),
+      journal: this.journal.toJSON(),
+      alertRules: this.alertRules.toJSON(),
+      waterField: this.waterField.toJSON(),
+      rng: this.rng.toJSON()
     };
   }
 
   loadFromJSON(data) {
-    const source = normalizeWorldSaveSource(data) ?? {};
-    if (source.saveVersion !== WORLD_SAVE_VERSION) return false;
+    // Older snapshots are upgraded first; deserializers below only handle the current schema.
+    const migration = migrateWorldState(normalizeWorldSaveSource(data));
+    if (!migration.ok) return false;
+    const source = migration.state;
 
     const swimHeight = this.#swimHeight();
     this.simTimeSec = Math.max(0, Number.isFinite(source.simTimeSec) ? source.simTimeSec : 0);
     this.initialFishCount = Math.max(1, Math.min(6, Math.round(Number.isFinite(source.initialFishCount) ? source.initialFishCount : this.initialFishCount)));
     this.foodsConsumedCount = Math.max(0, Math.floor(Number.isFinite(source.foodsConsumedCount) ? source.foodsConsumedCount : this.foodsConsumedCount));
     this.birthsCount = Math.max(0, Math.floor(Number.isFinite(source.birthsCount) ? source.birthsCount : 0));
-    // Compatibility note: older saves included `realTimeSec` as a parallel clock.
-    // We intentionally ignore it and keep `simTimeSec` as the only canonical sim time.
     this.speedMultiplier = Math.max(MIN_SIM_SPEED_MULTIPLIER, Math.min(getMaxSimSpeedMultiplier(), Number.isFinite(source.speedMultiplier) ? source.speedMultiplier : this.speedMultiplier));
-    const fishArchiveSource = Array.isArray(source.fishArchive) ? source.fishArchive : source.fish;
-    const fishArchive = Array.isArray(fishArchiveSource)
-      ? fishArchiveSource.map((entry) => Fish.fromJSON(entry, this.bounds))
-      : [];
-    this.fishArchiveById = new Map();
-    for (const fish of fishArchive) this.fishArchiveById.set(fish.id, fish);
-
+    this.paused = source.paused === true;
     this.fish = Array.isArray(source.fish)
-      ? source.fish.map((entry) => {
-        const fish = Fish.fromJSON(entry, this.bounds);
-        const archived = this.fishArchiveById.get(fish.id);
-        return archived ?? fish;
-      })
+      ? source.fish.map((entry) => Fish.fromJSON(entry, this.bounds, this.rng))
       : [];
+    const tankFishById = new Map(this.fish.map((fish) => [fish.id, fish]));
+    this.fishArchiveById = new Map();
+    for (const entry of Array.isArray(source.fishArchive) ? source.fishArchive : []) {
+      const fish = entry?.inTank ? tankFishById.get(entry.id) : Fish.fromJSON(entry, this.bounds, this.rng);
+      if (fish) this.fishArchiveById.set(fish.id, fish);
+    }
+    for (const fish of this.fish) {
+      if (!this.fishArchiveById.has(fish.id)) this.fishArchiveById.set(fish.id, fish);
+    }
+    this.prunedFishArchive = normalizePrunedFishArchiveTally(source.prunedFishArchive);
+    this.prunedFishStubsById = new Map();
+    for (const entry of Array.isArray(source.prunedFishStubs) ? source.prunedFishStubs : []) {
+      const stub = normalizePrunedFishStub(entry);
+      if (stub) this.prunedFishStubsById.set(stub.id, stub);
+    }
 
     for (const fish of this.fishArchiveById.values()) {
       fish.position = clampPosition(fish.position, this.bounds, swimHeight);
@@ -855,7 +1033,7 @@ export class World {
       : [];
 
     this.berryReedPlants = Array.isArray(source.berryReedPlants)
-      ? source.berryReedPlants.map((entry) => deserializeBerryReedPlant(entry, this.bounds)).slice(0, BERRY_REED_MAX_COUNT)
+      ? source.berryReedPlants.map((entry) => deserializeBerryReedPlant(entry, this.bounds, this.rng)).slice(0, BERRY_REED_MAX_COUNT)
       : [];
     const plantById = new Map(this.berryReedPlants.map((entry) => [entry.id, entry]));
     this.fruits = Array.isArray(source.fruits)
@@ -867,7 +1045,9 @@ export class World {
 
     this.water = deserializeWater(source.water, this.#createInitialWaterState());
 
-    this.nextFishId = Math.max(1, ...[...this.fishArchiveById.values()].map((entry) => Math.floor(entry.id || 0) + 1));
+    // Stubs count too: kept fish still link to their ids.
+    const knownFish = [...this.fishArchiveById.values(), ...this.prunedFishStubsById.values()];
+    this.nextFishId = Math.max(1, ...knownFish.map((entry) => Math.floor(entry.id || 0) + 1));
     this.nextFoodId = Math.max(1, ...this.food.map((entry) => Math.floor(entry.id || 0) + 1));
     this.nextPoopId = Math.max(1, ...this.poop.map((entry) => Math.floor(entry.id || 0) + 1));
     this.nextEggId = Math.max(1, ...this.eggs.map((entry) => Math.floor(entry.id || 0) + 1));
@@ -876,6 +1056,7 @@ export class World {
 
     this.fishById = new Map();
     for (const fish of this.fish) this.fishById.set(fish.id, fish);
+    this.#pruneFishArchive();
     if (!this.fishArchiveById.has(this.selectedFishId)) {
       this.selectedFishId = this.fishArchiveById.keys().next().value ?? null;
     }
@@ -891,18 +1072,25 @@ export class World {
     this.matePairNextTryAt = new Map();
     this.scheduledPoopSpawns = [];
     this.expiredFoodSinceLastWaterUpdate = 0;
-    this.pendingPoopDirt01 = 0;
+    this.pendingAmmoniaPpm = 0;
     this.filterUnlockThreshold = Math.max(1, this.initialFishCount * 4);
     this.filterUnlocked = this.foodsConsumedCount >= this.filterUnlockThreshold || Boolean(this.water.filterUnlocked || this.filterUnlocked);
     this.water.filterUnlocked = this.isFeatureUnlocked('waterFilter');
     if (this.water.filterInstalled && this.water.filterTier < 1) this.water.filterTier = 1;
-    this.#refreshSpeciesUnlocks();
+    // Unlocks are derived, not saved: re-deriving them on load is not news.
+    this.#refreshSpeciesUnlocks({ silent: true });
+    this.journal.loadFromJSON(source.journal);
+    this.alertRules.loadFromJSON(source.alertRules);
+    this.waterField.loadFromJSON(source.waterField, totalNitrogenPpm(this.water));
+
+    // Restore last: rebuilding fish above draws from the stream for unsaved fields.
+    this.rng.loadFromJSON(source.rng);
 
     return true;
   }
 
-  static fromJSON(data, { width, height, initialFishCount = 4 } = {}) {
-    const world = new World(width, height, initialFishCount);
+  static fromJSON(data, { width, height, initialFishCount = 4, seed } = {}) {
+    const world = new World(width, height, initialFishCount, { seed });
     world.loadFromJSON(data);
     return world;
   }
@@ -951,30 +1139,29 @@ export class World {
       y: clampedY,
       amount: Math.max(0.1, amount),
       ttl,
-      vy: rand(8, 20)
+      vy: this.rng.range(8, 20)
     });
 
-    this.emit('food:spawn', { x: clampedX, y: clampedY, amount, ttl });
+    this.emit(WORLD_EVENT_TYPES.FOOD_SPAWNED, { foodId: this.nextFoodId - 1, x: clampedX, y: clampedY, amount, ttl });
   }
 
 
   spawnPoop(x, y, ttlSec = POOP_DEFAULT_TTL_SEC, options = {}) {
     const clampedX = clamp(x, 0, this.bounds.width);
     const clampedY = clamp(y, 0, this.#swimHeight());
-    const type = pickPoopTypeByWeight();
+    const type = pickPoopTypeByWeight(this.rng);
 
     let initialVy = POOP_BASE_DRIFT_SPEED;
     if (type === 'floaty') initialVy = -POOP_BASE_DRIFT_SPEED;
-    else if (type === 'neutral') initialVy = rand(-POOP_BASE_DRIFT_SPEED * 0.3, POOP_BASE_DRIFT_SPEED * 0.3);
+    else if (type === 'neutral') initialVy = this.rng.range(-POOP_BASE_DRIFT_SPEED * 0.3, POOP_BASE_DRIFT_SPEED * 0.3);
 
     const bioloadFactor = Math.max(0, Number.isFinite(options?.bioloadFactor) ? options.bioloadFactor : 1);
     const isVisible = options?.visible !== false;
 
     if (!isVisible) {
-      if (WATER_HYGIENE_DROP_PER_POOP_SPAWN > 0 && this.water) {
-        this.water.hygiene01 = clamp(this.water.hygiene01 - WATER_HYGIENE_DROP_PER_POOP_SPAWN * bioloadFactor, 0, 1);
-      }
-      this.pendingPoopDirt01 = (this.pendingPoopDirt01 ?? 0) + POOP_DIRT_PER_SEC * bioloadFactor;
+      // Poop folded straight into the water releases at once what a visible one would over its lifetime.
+      this.#releaseAmmonia(clampedX, clampedY, (WATER_AMMONIA_PER_POOP_SPAWN + POOP_AMMONIA_PER_SEC * POOP_DEFAULT_TTL_SEC) * bioloadFactor);
+      this.emit(WORLD_EVENT_TYPES.POOP_SPAWNED, { poopId: null, fishId: options?.fishId ?? null, x: clampedX, y: clampedY });
       return null;
     }
 
@@ -992,9 +1179,8 @@ export class World {
       bioloadFactor
     };
     this.poop.push(poop);
-    if (WATER_HYGIENE_DROP_PER_POOP_SPAWN > 0 && this.water) {
-      this.water.hygiene01 = clamp(this.water.hygiene01 - WATER_HYGIENE_DROP_PER_POOP_SPAWN * bioloadFactor, 0, 1);
-    }
+    this.#releaseAmmonia(clampedX, clampedY, WATER_AMMONIA_PER_POOP_SPAWN * bioloadFactor);
+    this.emit(WORLD_EVENT_TYPES.POOP_SPAWNED, { poopId: poop.id, fishId: options?.fishId ?? null, x: clampedX, y: clampedY });
     return poop;
   }
 
@@ -1009,7 +1195,7 @@ export class World {
     return true;
   }
 
-  consumeFood(foodId, amountToConsume = 0.5) {
+  consumeFood(foodId, amountToConsume = 0.5, fishId = null) {
     const food = this.food.find((entry) => entry.id === foodId);
     if (!food) return 0;
 
@@ -1019,7 +1205,7 @@ export class World {
       this.food = this.food.filter((entry) => entry.id !== foodId);
     }
 
-    if (consumed > 0) this.emit('food:consume', { foodId, consumed });
+    if (consumed > 0) this.emit(WORLD_EVENT_TYPES.FOOD_EATEN, { foodId, kind: 'food', consumed, fishId });
 
     if (consumed > 0) {
       this.foodsConsumedCount += 1;
@@ -1045,17 +1231,74 @@ export class World {
     for (let i = 0; i < 2; i += 1) {
       this.fxParticles.push({
         kind: 'MATING_BUBBLE',
-        x: clamp(x + rand(-4, 4), 0, this.bounds.width),
-        y: clamp(y + rand(-4, 4), 0, this.#swimHeight()),
-        vx: rand(-2.2, 2.2),
-        vy: rand(-12, -8),
-        radius: rand(1.2, 2.0),
+        x: clamp(x + this.rng.range(-4, 4), 0, this.bounds.width),
+        y: clamp(y + this.rng.range(-4, 4), 0, this.#swimHeight()),
+        vx: this.rng.range(-2.2, 2.2),
+        vy: this.rng.range(-12, -8),
+        radius: this.rng.range(1.2, 2.0),
         lifeSec: 0.8,
         ttlSec: 0.8
       });
     }
   }
 
+  /**
+   * Gravel vacuum: removes poop, food that has settled on the bottom and dead fish within `radius`
+   * of (x, y). Whatever they would still have released into the water goes with them.
+   * Returns the number of each kind removed.
+   */
+  vacuumAt(x, y, radius = VACUUM_RADIUS_PX) {
+    const removed = { poop: 0, food: 0, corpses: 0 };
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return removed;
+    const reach = Math.max(0, radius);
+    const inReach = (px, py, extra = 0) => Math.hypot(px - x, py - y) <= reach + extra;
+    const settledY = this.#swimHeight() - VACUUM_SETTLED_FOOD_BAND_PX;
+
+    for (let i = this.poop.length - 1; i >= 0; i -= 1) {
+      const item = this.poop[i];
+      if (!inReach(item.x, item.y)) continue;
+      this.poop.splice(i, 1);
+      this.#spawnSuctionFx(item.x, item.y, x, y);
+      removed.poop += 1;
+    }
+
+    for (let i = this.food.length - 1; i >= 0; i -= 1) {
+      const item = this.food[i];
+      if (item.y < settledY || !inReach(item.x, item.y)) continue;
+      this.food.splice(i, 1);
+      this.#spawnSuctionFx(item.x, item.y, x, y);
+      removed.food += 1;
+    }
+
+    for (let i = this.fish.length - 1; i >= 0; i -= 1) {
+      const fish = this.fish[i];
+      if (fish.lifeState !== 'DEAD' || !inReach(fish.position.x, fish.position.y, fish.size * 0.5)) continue;
+      if (!this.removeCorpse(fish.id)) continue;
+      this.#spawnSuctionFx(fish.position.x, fish.position.y, x, y);
+      removed.corpses += 1;
+    }
+
+    return removed;
+  }
+
+  #spawnSuctionFx(fromX, fromY, toX, toY) {
+    for (let i = 0; i < VACUUM_FX_PER_ITEM; i += 1) {
+      const startX = clamp(fromX + this.rng.range(-5, 5), 0, this.bounds.width);
+      const startY = clamp(fromY + this.rng.range(-5, 5), 0, this.#swimHeight());
+      const lifeSec = VACUUM_FX_LIFE_SEC * this.rng.range(0.7, 1);
+      this.fxParticles.push({
+        kind: 'VACUUM_SUCTION',
+        x: startX,
+        y: startY,
+        vx: (toX - startX) / lifeSec,
+        vy: (toY - startY) / lifeSec,
+        radius: this.rng.range(0.9, 1.8),
+        lifeSec,
+        ttlSec: lifeSec
+      });
+    }
+  }
+
   selectFish(fishId) {
     const found = this.getFishById(fishId);
     this.selectedFishId = found ? found.id : null;
@@ -1099,6 +1342,7 @@ export class World {
     fish.corpseRemoved = true;
     this.fish.splice(index, 1);
     this.#unregisterFishById(fishId);
+    if (this.selectedFishId === fishId) this.selectedFishId = null;
     return true;
   }
 
@@ -1175,24 +1419,80 @@ export class World {
 
     for (const fish of this.fish) fish.updateLifeCycle?.(this.simTimeSec);
     for (const fish of this.fish) fish.updatePlayState?.(this.simTimeSec);
+    this.fishGrid.rebuild(this.fish);
     this.#updatePlaySessions();
     this.#tryExpandPlaySessions();
     this.#tryStartPlaySessions();
     this.#updateReproduction(simDt);
     for (const fish of this.fish) fish.updateMetabolism(simDt, this);
     for (const fish of this.fish) fish.decideBehavior(this, motionDt);
-    for (const fish of this.fish) fish.applySteering(motionDt);
+    for (const fish of this.fish) {
+      fish.applySteering(motionDt);
+      this.fishGrid.update(fish);
+    }
     for (const fish of this.fish) fish.tryConsumeFood(this);
 
     this.#updateFishLifeState();
+    this.#pruneFishArchive();
     this.#updateScheduledPoopSpawns();
     this.#updateFood(simDt, motionDt);
     this.#updatePoop(simDt, motionDt);
     this.#updateEggs(simDt);
+    this.#driftEggs(motionDt);
     this.#updateBerryReed(simDt);
     this.#updateWaterHygiene(simDt);
     this.#updateFxParticles(motionDt);
     this.#updateBubbles(motionDt);
+    this.#evaluateAlertRules();
+  }
+
+  /**
+   * Coarse step for long jumps (offline and throttled background time).
+   * Skips steering, play, bubbles and other presentation state; metabolism, water,
+   * filter wear, reproduction, eggs, aging and deaths are integrated with the same rules.
+   */
+  macroStep(rawDelta) {
+    if (this.paused) return;
+
+    const simDt = rawDelta * this.speedMultiplier;
+    if (!Number.isFinite(simDt) || simDt <= 0) return;
+    this.#refreshSpeciesUnlocks();
+    this.simTimeSec += simDt;
+
+    for (const fish of this.fish) {
+      fish.updateLifeCycle?.(this.simTimeSec);
+      fish.updatePlayState?.(this.simTimeSec);
+      fish.matingAnim = null;
+    }
+    this.#updatePlaySessions();
+    this.#updateReproductionMacro(simDt);
+    for (const fish of this.fish) {
+      fish.lastDistanceMoved = (fish.estimatedCruiseSpeed() + fish.estimatedCurrentEffort(this)) * simDt;
+      fish.updateMetabolism(simDt, this);
+    }
+    this.#feedHungryFishMacro();
+
+    this.#updateFishLifeState();
+    this.#pruneFishArchive();
+    this.#updateScheduledPoopSpawns();
+    this.#updateFood(simDt, 0);
+    this.#updatePoop(simDt, 0);
+    this.#updateEggs(simDt);
+    this.#updateBerryReed(simDt);
+    this.#updateWaterHygiene(simDt);
+    this.#updateFxParticles(simDt);
+    this.#evaluateAlertRules();
+  }
+
+  #evaluateAlertRules() {
+    for (const rule of this.alertRules.evaluate(this)) {
+      this.emit(WORLD_EVENT_TYPES.ALERT_TRIGGERED, {
+        ruleId: rule.id,
+        metric: rule.metric,
+        action: rule.action,
+        description: describeAlertRule(rule)
+      });
+    }
   }
 
   #createInitialWaterState() {
@@ -1204,10 +1504,14 @@ export class World {
       installProgress01: 0,
       maintenanceProgress01: 0,
       maintenanceCooldownSec: 0,
+      waterChangeProgress01: 0,
+      waterChangeFraction01: 0,
+      waterChangeCooldownSec: 0,
       filterUnlocked: this.filterUnlocked,
       filterEnabled: true,
       effectiveFilter01: 0,
-      filterTier: 0
+      filterTier: 0,
+      ...createWaterChemistry()
     };
   }
 
@@ -1219,20 +1523,26 @@ export class World {
   }
 
 
-  #refreshSpeciesUnlocks() {
+  #refreshSpeciesUnlocks({ silent = false } = {}) {
     if (isDevMode()) {
-      this.speciesUnlocks.berryReed = true;
-      this.speciesUnlocks.azureDart = true;
+      this.#unlockSpecies('berryReed', silent);
+      this.#unlockSpecies('azureDart', silent);
       return;
     }
 
     const berryReedReadyNow = this.birthsCount >= BERRY_REED_UNLOCK_BIRTHS
       && (this.water?.hygiene01 ?? 0) >= BERRY_REED_UNLOCK_HYGIENE01;
-    if (berryReedReadyNow) this.speciesUnlocks.berryReed = true;
+    if (berryReedReadyNow) this.#unlockSpecies('berryReed', silent);
 
     const azureReadyNow = (this.berryReedPlants?.length ?? 0) >= 1
       && (this.water?.hygiene01 ?? 0) >= AZURE_DART_UNLOCK_HYGIENE01;
-    if (azureReadyNow) this.speciesUnlocks.azureDart = true;
+    if (azureReadyNow) this.#unlockSpecies('azureDart', silent);
+  }
+
+  #unlockSpecies(unlockId, silent) {
+    if (this.speciesUnlocks[unlockId]) return;
+    this.speciesUnlocks[unlockId] = true;
+    if (!silent) this.emit(WORLD_EVENT_TYPES.SPECIES_UNLOCKED, { unlockId });
   }
 
   canAddBerryReedPlant() {
@@ -1243,8 +1553,11 @@ export class World {
   grantAllUnlockPrerequisites() {
     this.birthsCount = Math.max(this.birthsCount, 999);
     this.foodsConsumedCount = Math.max(this.foodsConsumedCount, this.getFilterTierUnlockFeeds(3));
-    if (this.water) {
-      this.water.hygiene01 = Math.max(this.water.hygiene01 ?? 0, 0.95);
+    if (this.water && this.water.hygiene01 < 0.95) {
+      this.water.ammoniaPpm = 0;
+      this.water.nitritePpm = 0;
+      this.water.nitratePpm = Math.min(this.water.nitratePpm, nitrateForHygiene(0.95));
+      deriveWaterQuality(this.water);
     }
     this.filterUnlocked = this.foodsConsumedCount >= this.filterUnlockThreshold;
     this.#refreshSpeciesUnlocks();
@@ -1259,19 +1572,19 @@ export class World {
       return fail('WORLD_NOT_READY');
     }
 
-    const centerOffset = rand(-this.bounds.width * 0.12, this.bounds.width * 0.12);
+    const centerOffset = this.rng.range(-this.bounds.width * 0.12, this.bounds.width * 0.12);
     const x = clamp(this.bounds.width * 0.5 + centerOffset, 14, Math.max(14, this.bounds.width - 14));
-    const maxHeight = rand(this.bounds.height * 0.2, this.bounds.height * 0.28);
-    const spawnHeight = maxHeight * rand(BERRY_REED_MIN_SPAWN_HEIGHT_SCALE, BERRY_REED_MAX_SPAWN_HEIGHT_SCALE);
+    const maxHeight = this.rng.range(this.bounds.height * 0.2, this.bounds.height * 0.28);
+    const spawnHeight = maxHeight * this.rng.range(BERRY_REED_MIN_SPAWN_HEIGHT_SCALE, BERRY_REED_MAX_SPAWN_HEIGHT_SCALE);
     const plant = {
       id: this.nextBerryReedPlantId++,
       x,
-      bottomY: this.bounds.height - rand(2, 6),
+      bottomY: this.bounds.height - this.rng.range(2, 6),
       height: spawnHeight,
       spawnHeight,
       maxHeight,
-      swayPhase: rand(0, Math.PI * 2),
-      swayRate: rand(0.0009, 0.0017),
+      swayPhase: this.rng.range(0, Math.PI * 2),
+      swayRate: this.rng.range(0.0009, 0.0017),
       branches: this.#makeBerryReedBranches(),
       growthElapsedSec: 0,
       nextFruitAtSec: this.simTimeSec + this.getBerryReedFruitSpawnIntervalSec(this.water?.hygiene01 ?? 1)
@@ -1335,11 +1648,12 @@ export class World {
     };
   }
 
-  consumeFruit(fruitId) {
+  consumeFruit(fruitId, fishId = null) {
     const index = this.fruits.findIndex((entry) => entry.id === fruitId);
     if (index < 0) return 0;
     this.fruits.splice(index, 1);
     this.foodsConsumedCount += 1;
+    this.emit(WORLD_EVENT_TYPES.FOOD_EATEN, { foodId: fruitId, kind: 'fruit', consumed: 1, fishId });
     return 1;
   }
 
@@ -1384,6 +1698,19 @@ export class World {
     return true;
   }
 
+  /**
+   * Starts replacing `fraction01` of the water (clamped to the allowed range) with clean water.
+   * Returns false while a change is running or cooling down.
+   */
+  startWaterChange(fraction01) {
+    const water = this.water;
+    if (!Number.isFinite(fraction01) || fraction01 <= 0) return false;
+    if (water.waterChangeProgress01 > 0 || water.waterChangeCooldownSec > 0) return false;
+    water.waterChangeFraction01 = clamp(fraction01, WATER_CHANGE_MIN_01, WATER_CHANGE_MAX_01);
+    water.waterChangeProgress01 = 0.000001;
+    return true;
+  }
+
   getFilterTierUnlockFeeds(tier) {
     if (tier <= 1) return this.initialFishCount * 4;
     if (tier === 2) return this.initialFishCount * 8;
@@ -1401,16 +1728,17 @@ export class World {
     const unlockFeeds = this.getFilterTierUnlockFeeds(nextTier);
     if (!isDevMode() && this.foodsConsumedCount < unlockFeeds) return false;
 
+    const fromTier = water.filterTier;
     water.filterTier = nextTier;
-    water.dirt01 = clamp01(water.dirt01 - 0.05);
-    water.hygiene01 = clamp01(water.hygiene01 + 0.05);
+    water.nitratePpm *= 1 - FILTER_UPGRADE_NITRATE_REMOVAL_01;
+    deriveWaterQuality(water);
+    this.emit(WORLD_EVENT_TYPES.FILTER_UPGRADED, { fromTier, tier: nextTier });
     return true;
   }
 
   #updateWaterHygiene(dtSec) {
     const expiredFoodCount = this.expiredFoodSinceLastWaterUpdate;
     this.expiredFoodSinceLastWaterUpdate = 0;
-    this.pendingPoopDirt01 = 0;
 
     if (!Number.isFinite(dtSec) || dtSec <= 0) return;
 
@@ -1431,7 +1759,7 @@ export class World {
       const alreadyApplied = clamp(fish.corpseDirtApplied01 ?? 0, 0, CORPSE_DIRT_MAX01);
       const delta = targetContribution - alreadyApplied;
       if (delta > 0) {
-        this.water.dirt01 = clamp(this.water.dirt01 + delta, 0, 1);
+        this.#releaseAmmonia(fish.position.x, fish.position.y, delta * CORPSE_AMMONIA_PPM_PER_DIRT01);
         fish.corpseDirtApplied01 = targetContribution;
       }
 
@@ -1455,6 +1783,7 @@ export class World {
         water.filter01 = 1;
         water.filterTier = Math.max(1, Math.floor(water.filterTier || 0));
         water.installProgress01 = 0;
+        this.emit(WORLD_EVENT_TYPES.FILTER_INSTALLED, { tier: water.filterTier });
       }
     }
 
@@ -1466,11 +1795,16 @@ export class World {
       water.maintenanceProgress01 = clamp(water.maintenanceProgress01 + dtSec / FILTER_MAINTENANCE_DURATION_SEC, 0, 1);
       if (water.maintenanceProgress01 >= 1) {
         water.filter01 = FILTER_MAINTENANCE_RESTORE_TO_01;
+        // Rinsing the media washes out part of the colony.
+        water.bacteria01 *= 1 - FILTER_MAINTENANCE_BACTERIA_LOSS_01;
         water.maintenanceProgress01 = 0;
         water.maintenanceCooldownSec = FILTER_MAINTENANCE_COOLDOWN_SEC;
+        this.emit(WORLD_EVENT_TYPES.FILTER_MAINTAINED, { filter01: water.filter01 });
       }
     }
 
+    this.#advanceWaterChange(dtSec);
+
     const isMaintaining = water.maintenanceProgress01 > 0;
     const hasWorkingFilter = water.filterInstalled
       && water.filterEnabled
@@ -1478,63 +1812,181 @@ export class World {
       && water.filter01 > FILTER_DEPLETED_THRESHOLD_01;
     const effectiveFilter01 = hasWorkingFilter ? water.filter01 : 0;
     const filterTier = Math.max(0, Math.min(3, Math.floor(water.filterTier ?? 0)));
-    const dirtTierMultiplier = 1 + Math.max(0, filterTier - 1) * FILTER_TIER_DIRT_REMOVAL_STEP;
-    const bioloadTierMultiplier = 1 + Math.max(0, filterTier - 1) * FILTER_TIER_BIOLOAD_STEP;
-    const wearTierMultiplier = 1 + Math.max(0, filterTier - 1) * FILTER_TIER_WEAR_STEP;
+    const tierSteps = Math.max(0, filterTier - 1);
+    const wearTierMultiplier = 1 + tierSteps * FILTER_TIER_WEAR_STEP;
     water.effectiveFilter01 = effectiveFilter01;
 
-    const effectiveBioload = clamp(
-      bioload * (1 - effectiveFilter01 * FILTER_BIOLOAD_MITIGATION_FACTOR * bioloadTierMultiplier),
-      0,
-      Math.max(0, bioload)
-    );
-
-    const bioloadDirt = WATER_BIOLOAD_DIRT_PER_SEC * bioload * dtSec;
-    const expiredFoodDirt = expiredFoodCount * WATER_DIRT_PER_EXPIRED_FOOD;
-    const poopDirtFromEntities = this.poop.reduce((sum, entry) => sum + POOP_DIRT_PER_SEC * Math.max(0, entry.bioloadFactor ?? 1), 0) * dtSec;
-    const poopDirt = poopDirtFromEntities + Math.max(0, this.pendingPoopDirt01 ?? 0) * dtSec;
-    this.pendingPoopDirt01 = 0;
-    water.dirt01 = clamp(water.dirt01 + bioloadDirt + expiredFoodDirt + poopDirt, 0, 1);
-
-    const removedDirt = FILTER_DIRT_REMOVE_PER_SEC * effectiveFilter01 * dirtTierMultiplier * dtSec;
-    water.dirt01 = clamp(water.dirt01 - removedDirt, 0, 1);
+    let poopAmmonia = 0;
+    for (const entry of this.poop) {
+      const ppm = POOP_AMMONIA_PER_SEC * Math.max(0, entry.bioloadFactor ?? 1) * dtSec;
+      this.#depositWaste(entry.x, entry.y, ppm);
+      poopAmmonia += ppm;
+    }
+    for (const fish of this.fish) {
+      const ppm = WATER_AMMONIA_PER_BIOLOAD_SEC * getSpeciesBioloadFactor(fish.speciesId) / WATER_REFERENCE_FISH_COUNT * dtSec;
+      this.#depositWaste(fish.position.x, fish.position.y, ppm);
+    }
+    this.waterField.step(dtSec, { intake: this.#filterIntake(), intakeStrength01: effectiveFilter01 });
+
+    const ammoniaInPpm = WATER_AMMONIA_PER_BIOLOAD_SEC * bioload * dtSec
+      + poopAmmonia
+      + expiredFoodCount * WATER_AMMONIA_PER_EXPIRED_FOOD
+      + Math.max(0, this.pendingAmmoniaPpm);
+    this.pendingAmmoniaPpm = 0;
+    stepNitrogenCycle(water, {
+      dtSec,
+      ammoniaInPpm,
+      colonyCapacity01: effectiveFilter01,
+      conversionMultiplier: hasWorkingFilter ? 1 + tierSteps * FILTER_TIER_CONVERSION_STEP : 1,
+      filterNitrateRemoval01: effectiveFilter01 * (1 + tierSteps * FILTER_TIER_NITRATE_STEP),
+      plantCount: this.berryReedPlants.length
+    });
+    deriveWaterQuality(water);
+    this.waterField.sync(totalNitrogenPpm(water));
 
     if (water.filterInstalled) {
+      const wasDepleted = water.filter01 <= FILTER_DEPLETED_THRESHOLD_01;
       const wearRate = FILTER_WEAR_BASE_PER_SEC
         * wearTierMultiplier
         * (1 + FILTER_WEAR_BIOLOAD_FACTOR * bioload)
         * (1 + FILTER_WEAR_DIRT_FACTOR * water.dirt01);
       water.filter01 = clamp(water.filter01 - wearRate * dtSec, 0, 1);
+      if (!wasDepleted && water.filter01 <= FILTER_DEPLETED_THRESHOLD_01) {
+        this.emit(WORLD_EVENT_TYPES.FILTER_DEPLETED, { filter01: water.filter01, tier: filterTier });
+      }
     }
+  }
 
-    const dirtMultiplier = 1 + (water.dirt01 ** WATER_DIRT_DECAY_POWER) * WATER_DIRT_DECAY_STRENGTH;
-    const baselineDecay = WATER_BASELINE_DECAY_PER_SEC * effectiveBioload * dirtMultiplier * dtSec;
-    const hygieneRecovery = WATER_BASELINE_DECAY_PER_SEC * Math.max(0, bioload - effectiveBioload) * dtSec;
-    const filterRecovery = filterTier >= 2
-      ? HYGIENE_RECOVERY_PER_SEC * effectiveFilter01 * (1 - water.dirt01) * dtSec
-      : 0;
-    water.hygiene01 = clamp(water.hygiene01 - baselineDecay + hygieneRecovery + filterRecovery, 0, 1);
+  /**
+   * The water a fish at (x, y) swims in: the tank's chemistry scaled by how much of the waste
+   * sits in that part of the tank. Writes into `out` when given.
+   */
+  localWaterAt(x, y, out = { ammoniaPpm: 0, nitritePpm: 0, nitratePpm: 0 }) {
+    const factor = this.waterField.factorAt(x / Math.max(1, this.bounds.width), y / this.#swimHeight());
+    const water = this.water;
+    out.ammoniaPpm = water.ammoniaPpm * factor;
+    out.nitritePpm = water.nitritePpm * factor;
+    out.nitratePpm = water.nitratePpm * factor;
+    return out;
+  }
+
+  // Ammonia queued for the next water step, landing at (x, y).
+  #releaseAmmonia(x, y, ppm) {
+    this.pendingAmmoniaPpm += ppm;
+    this.#depositWaste(x, y, ppm);
+  }
+
+  #depositWaste(x, y, ppm) {
+    this.waterField.deposit(x / Math.max(1, this.bounds.width), y / this.#swimHeight(), ppm);
+  }
+
+  #filterIntake() {
+    if (!this.water.filterInstalled) return null;
+    return {
+      u: 1 - FILTER_INTAKE_INSET_X_PX / Math.max(1, this.bounds.width),
+      v: 1 - FILTER_INTAKE_INSET_Y_PX / this.#swimHeight()
+    };
+  }
+
+  /** The water current at (x, y) in px/sec, as `{ x, y }`. Writes into `out` when given. */
+  flowAt(x, y, out) {
+    return sampleFlow(this.#flowSources(), x, y, out);
+  }
+
+  // Equipment that moves water. Only the filter so far: its outflow jet and the pull of its intake,
+  // both as strong as the filter is working. Air stones would add upward jets here.
+  // Sampled for every fish and particle, so the sources are reused until the filter strength changes.
+  #flowSources() {
+    const strength01 = this.water.filterInstalled && this.water.effectiveFilter01 > 0 ? this.water.effectiveFilter01 : 0;
+    const width = Math.max(1, this.bounds.width);
+    const bottomY = this.#swimHeight();
+    const cache = this.flowSourceCache;
+    if (cache.strength01 === strength01 && cache.width === width && cache.bottomY === bottomY) return cache.sources;
+
+    cache.strength01 = strength01;
+    cache.width = width;
+    cache.bottomY = bottomY;
+    cache.sources = strength01 > 0
+      ? [
+          jetSource({
+            x: width - FILTER_OUTLET_INSET_X_PX,
+            y: bottomY - FILTER_OUTLET_INSET_Y_PX,
+            angleRad: FLOW_FILTER_JET_ANGLE_RAD,
+            speedPxPerSec: FLOW_FILTER_JET_SPEED * strength01,
+            reachPx: FLOW_FILTER_JET_REACH_PX,
+            spreadPx: FLOW_FILTER_JET_SPREAD_PX
+          }),
+          sinkSource({
+            x: width - FILTER_INTAKE_INSET_X_PX,
+            y: bottomY - FILTER_INTAKE_INSET_Y_PX,
+            speedPxPerSec: FLOW_FILTER_INTAKE_SPEED * strength01,
+            radiusPx: FLOW_FILTER_INTAKE_RADIUS_PX
+          })
+        ]
+      : [];
+    return cache.sources;
+  }
+
+  #advanceWaterChange(dtSec) {
+    const water = this.water;
+    if (water.waterChangeCooldownSec > 0) {
+      water.waterChangeCooldownSec = Math.max(0, water.waterChangeCooldownSec - dtSec);
+    }
+    if (water.waterChangeProgress01 <= 0) return;
+
+    const fromProgress01 = water.waterChangeProgress01;
+    const toProgress01 = clamp(fromProgress01 + dtSec / WATER_CHANGE_DURATION_SEC, 0, 1);
+    const stepShare = toProgress01 - fromProgress01;
+    water.waterChangeProgress01 = toProgress01;
+
+    // Each step keeps (1 - fraction) ** share of the compounds, so the whole change removes exactly `fraction`.
+    // The bacteria live on the gravel and filter media and stay put.
+    const fraction01 = water.waterChangeFraction01;
+    const kept01 = (1 - fraction01) ** stepShare;
+    water.ammoniaPpm *= kept01;
+    water.nitritePpm *= kept01;
+    water.nitratePpm *= kept01;
+
+    const shock01 = Math.max(0, fraction01 - WATER_CHANGE_SAFE_01) * WATER_CHANGE_SHOCK_PER_EXCESS_01 * stepShare;
+    if (shock01 > 0) {
+      for (const fish of this.fish) fish.applyWaterShock(shock01);
+    }
+
+    if (toProgress01 >= 1) {
+      water.waterChangeProgress01 = 0;
+      water.waterChangeFraction01 = 0;
+      water.waterChangeCooldownSec = WATER_CHANGE_COOLDOWN_SEC;
+      this.emit(WORLD_EVENT_TYPES.WATER_CHANGED, { fraction01 });
+    }
   }
 
   #seedGroundAlgae() {
     const count = Math.max(10, Math.floor(this.bounds.width / 76));
     this.groundAlgae = Array.from({ length: count }, () => ({
-      x: rand(12, Math.max(12, this.bounds.width - 12)),
-      y: this.bounds.height - rand(1, 10),
-      height: rand(this.bounds.height * 0.07, this.bounds.height * 0.16),
-      width: rand(4, 10),
-      swayAmp: rand(1.2, 4.2),
-      swayRate: rand(0.0012, 0.0026),
-      phase: rand(0, Math.PI * 2),
-      radius: rand(28, 55)
+      x: this.rng.range(12, Math.max(12, this.bounds.width - 12)),
+      y: this.bounds.height - this.rng.range(1, 10),
+      height: this.rng.range(this.bounds.height * 0.07, this.bounds.height * 0.16),
+      width: this.rng.range(4, 10),
+      swayAmp: this.rng.range(1.2, 4.2),
+      swayRate: this.rng.range(0.0012, 0.0026),
+      phase: this.rng.range(0, Math.PI * 2),
+      radius: this.rng.range(28, 55)
     }));
   }
 
+  #tankFishById() {
+    const byId = new Map();
+    for (let i = this.fish.length - 1; i >= 0; i -= 1) byId.set(this.fish[i].id, this.fish[i]);
+    return byId;
+  }
+
   #updatePlaySessions() {
+    if (this.playSessions.length === 0) return;
+    const fishById = this.#tankFishById();
     this.playSessions = this.playSessions.filter((session) => {
-      const runner = this.fish.find((f) => f.id === session.runnerFishId);
+      const runner = fishById.get(session.runnerFishId);
       const chasers = session.chaserFishIds
-        .map((id) => this.fish.find((f) => f.id === id))
+        .map((id) => fishById.get(id))
         .filter((fish) => fish && fish.isPlaying?.(this.simTimeSec));
 
       const runnerAliveInSession = runner && runner.isPlaying?.(this.simTimeSec);
@@ -1575,17 +2027,19 @@ export class World {
   #tryExpandPlaySessions() {
     const joinRadius = 82;
 
+    if (this.playSessions.length === 0) return;
+    const fishById = this.#tankFishById();
     for (const session of this.playSessions) {
-      const runner = this.fish.find((f) => f.id === session.runnerFishId);
+      const runner = fishById.get(session.runnerFishId);
       if (!runner || !runner.isPlaying?.(this.simTimeSec)) continue;
 
       const anchor = runner.position;
-      for (const candidate of this.fish) {
+      for (const candidate of this.fishGrid.query(anchor.x, anchor.y, joinRadius)) {
         if (!candidate.canStartPlay?.(this.simTimeSec)) continue;
 
         const d = Math.hypot(candidate.position.x - anchor.x, candidate.position.y - anchor.y);
         if (d > joinRadius) continue;
-        if (Math.random() > 0.45) continue;
+        if (this.rng.next() > 0.45) continue;
 
         candidate.startPlay?.({
           sessionId: session.id,
@@ -1609,8 +2063,8 @@ export class World {
       const a = this.fish[i];
       if (!a.canStartPlay?.(this.simTimeSec)) continue;
 
-      for (let j = i + 1; j < this.fish.length; j += 1) {
-        const b = this.fish[j];
+      for (const b of this.fishGrid.query(a.position.x, a.position.y, encounterRadius)) {
+        if (this.fishGrid.indexOf(b) <= i) continue;
         if (!b.canStartPlay?.(this.simTimeSec)) continue;
 
         const dist = Math.hypot(a.position.x - b.position.x, a.position.y - b.position.y);
@@ -1624,18 +2078,18 @@ export class World {
         const nearAlgae = this.#isNearGroundAlgae(midpoint);
         const probability = (a.playProbability?.(nearAlgae) + b.playProbability?.(nearAlgae)) * 0.5;
 
-        if (Math.random() > probability) {
+        if (this.rng.next() > probability) {
           const cooldownUntilSec = this.simTimeSec + 10;
           a.delayPlayEligibility?.(cooldownUntilSec);
           b.delayPlayEligibility?.(cooldownUntilSec);
           continue;
         }
 
-        const duration = rand(4, 7);
+        const duration = this.rng.range(4, 7);
         const sessionId = this.nextPlaySessionId++;
         const untilSec = this.simTimeSec + duration;
 
-        const runner = Math.random() < 0.5 ? a : b;
+        const runner = this.rng.next() < 0.5 ? a : b;
         const initialChaser = runner === a ? b : a;
 
         runner.startPlay?.({
@@ -1657,13 +2111,13 @@ export class World {
         });
 
         const chaserIds = [initialChaser.id];
-        for (const candidate of this.fish) {
+        for (const candidate of this.fishGrid.query(midpoint.x, midpoint.y, encounterRadius * 1.25)) {
           if (candidate.id === runner.id || candidate.id === initialChaser.id) continue;
           if (!candidate.canStartPlay?.(this.simTimeSec)) continue;
 
           const d = Math.hypot(candidate.position.x - midpoint.x, candidate.position.y - midpoint.y);
           if (d > encounterRadius * 1.25) continue;
-          if (Math.random() >= 0.55) continue;
+          if (this.rng.next() >= 0.55) continue;
 
           candidate.startPlay?.({
             sessionId,
@@ -1691,6 +2145,10 @@ export class World {
     }
   }
 
+  isEcosystemCollapsed() {
+    return !this.fish.some((fish) => fish.lifeState === 'ALIVE');
+  }
+
   #getPopulationPressure01(speciesId = null) {
     let aliveCount = 0;
     for (const fish of this.fish) {
@@ -1737,7 +2195,7 @@ export class World {
     const densityFactor = 1 - (populationPressure01 * 0.75);
     const pMate = MATE_BASE_CHANCE * hygieneFactor * wellbeingFactor * densityFactor;
 
-    if (Math.random() >= pMate) return;
+    if (this.rng.next() >= pMate) return;
 
     const female = a.sex === 'female' ? a : b;
     const male = a.sex === 'male' ? a : b;
@@ -1746,15 +2204,17 @@ export class World {
     female.repro.fatherId = male.id;
     female.repro.pregnancyStartSec = nowSec;
     const reproScale = getSpeciesReproductionScale(female.speciesId);
-    female.repro.dueAtSec = nowSec + randRange(GESTATION_SEC, 300, 360) * reproScale;
+    female.repro.dueAtSec = nowSec + randRange(this.rng, GESTATION_SEC, 300, 360) * reproScale;
     female.repro.layingStartedAtSec = null;
     female.repro.layTargetX = null;
     female.repro.layTargetY = null;
 
-    male.repro.cooldownUntilSec = nowSec + randRange(MATE_FATHER_COOLDOWN_SEC, 120, 240) * reproScale;
+    male.repro.cooldownUntilSec = nowSec + randRange(this.rng, MATE_FATHER_COOLDOWN_SEC, 120, 240) * reproScale;
 
     female.history.mateCount += 1;
     male.history.mateCount += 1;
+    this.emit(WORLD_EVENT_TYPES.FISH_MATED, { femaleId: female.id, maleId: male.id });
+    this.emit(WORLD_EVENT_TYPES.FISH_GRAVID, { fishId: female.id, fatherId: male.id, dueAtSec: female.repro.dueAtSec });
 
     female.matingAnim = {
       startSec: nowSec,
@@ -1783,29 +2243,31 @@ export class World {
       ? [3, 4, 5]
       : CLUTCH_SIZE;
     const baseClutchCount = speciesId === AZURE_DART_SPECIES_ID
-      ? clutchSizes[Math.floor(rand(0, clutchSizes.length))]
-      : Math.max(1, randIntInclusive(clutchSizes, 2, 4));
+      ? clutchSizes[Math.floor(this.rng.range(0, clutchSizes.length))]
+      : Math.max(1, randIntInclusive(this.rng, clutchSizes, 2, 4));
     const populationPressure01 = this.#getPopulationPressure01(speciesId);
     const clutchPressureFactor = 1 - (populationPressure01 * 0.45);
     const clutchCount = Math.max(1, Math.round(baseClutchCount * clutchPressureFactor));
     const reproScale = getSpeciesReproductionScale(speciesId);
     const baseLayY = Math.max(0, this.#swimHeight() - 14);
+    const eggIds = [];
 
     for (let i = 0; i < clutchCount; i += 1) {
-      let x = clamp(female.position.x + rand(-6, 6), 0, this.bounds.width);
-      let y = clamp(female.position.y + rand(-4, 4), 0, this.#swimHeight());
+      let x = clamp(female.position.x + this.rng.range(-6, 6), 0, this.bounds.width);
+      let y = clamp(female.position.y + this.rng.range(-4, 4), 0, this.#swimHeight());
       if (speciesId === AZURE_DART_SPECIES_ID && this.berryReedPlants.length) {
-        const plant = this.berryReedPlants[Math.floor(rand(0, this.berryReedPlants.length))];
-        x = clamp(plant.x + rand(-12, 12), 0, this.bounds.width);
-        y = clamp(plant.bottomY - rand(1, 8), baseLayY - 6, this.#swimHeight());
+        const plant = this.berryReedPlants[Math.floor(this.rng.range(0, this.berryReedPlants.length))];
+        x = clamp(plant.x + this.rng.range(-12, 12), 0, this.bounds.width);
+        y = clamp(plant.bottomY - this.rng.range(1, 8), baseLayY - 6, this.#swimHeight());
       }
 
+      eggIds.push(this.nextEggId);
       this.eggs.push({
         id: this.nextEggId++,
         x,
         y,
         laidAtSec: nowSec,
-        hatchAtSec: nowSec + randRange(EGG_INCUBATION_SEC, 120, 300) * reproScale,
+        hatchAtSec: nowSec + randRange(this.rng, EGG_INCUBATION_SEC, 120, 300) * reproScale,
         motherId: female.id,
         fatherId: female.repro.fatherId,
         motherTraits,
@@ -1816,9 +2278,16 @@ export class World {
         nutrition: 0.25
       });
     }
+    this.emit(WORLD_EVENT_TYPES.EGGS_LAID, {
+      motherId: female.id,
+      fatherId: female.repro.fatherId,
+      speciesId,
+      eggIds,
+      count: eggIds.length
+    });
 
     female.repro.state = 'COOLDOWN';
-    female.repro.cooldownUntilSec = nowSec + randRange(MOTHER_COOLDOWN_SEC, 600, 1080) * reproScale;
+    female.repro.cooldownUntilSec = nowSec + randRange(this.rng, MOTHER_COOLDOWN_SEC, 600, 1080) * reproScale;
     female.repro.dueAtSec = null;
     female.repro.fatherId = null;
     female.repro.layTargetX = null;
@@ -1834,8 +2303,8 @@ export class World {
     for (let i = 0; i < this.fish.length; i += 1) {
       const a = this.fish[i];
       if (a.lifeState !== 'ALIVE') continue;
-      for (let j = i + 1; j < this.fish.length; j += 1) {
-        const b = this.fish[j];
+      for (const b of this.fishGrid.query(a.position.x, a.position.y, MATE_ENCOUNTER_RADIUS_PX)) {
+        if (this.fishGrid.indexOf(b) <= i) continue;
         if (b.lifeState !== 'ALIVE') continue;
         const dist = Math.hypot(a.position.x - b.position.x, a.position.y - b.position.y);
         if (dist > MATE_ENCOUNTER_RADIUS_PX) continue;
@@ -1843,6 +2312,33 @@ export class World {
       }
     }
 
+    this.#advanceFemaleReproStates(nowSec);
+  }
+
+  // Positions are frozen during macro steps, so encounters come from a mixing estimate:
+  // rate = scale * encounter diameter * relative speed / swim area.
+  #updateReproductionMacro(dt) {
+    if (!REPRO_ENABLED || !Number.isFinite(dt) || dt <= 0) return;
+    const nowSec = this.simTimeSec;
+    const swimArea = Math.max(1, this.bounds.width * this.#swimHeight());
+
+    for (let i = 0; i < this.fish.length; i += 1) {
+      const a = this.fish[i];
+      if (!this.#isMateEligible(a, nowSec)) continue;
+      for (let j = i + 1; j < this.fish.length; j += 1) {
+        const b = this.fish[j];
+        if (a.sex === b.sex || !this.#isMateEligible(b, nowSec)) continue;
+        const relativeSpeed = Math.hypot(a.estimatedCruiseSpeed(), b.estimatedCruiseSpeed());
+        const encounterRate = MATE_MACRO_ENCOUNTER_SCALE * (2 * MATE_ENCOUNTER_RADIUS_PX * relativeSpeed) / swimArea;
+        if (this.rng.next() >= 1 - Math.exp(-encounterRate * dt)) continue;
+        this.#tryMatePair(a, b, nowSec);
+      }
+    }
+
+    this.#advanceFemaleReproStates(nowSec, { layImmediately: true });
+  }
+
+  #advanceFemaleReproStates(nowSec, { layImmediately = false } = {}) {
     const layTargetY = Math.max(0, this.#swimHeight() - 14);
 
     for (const fish of this.fish) {
@@ -1851,11 +2347,11 @@ export class World {
       if (fish.repro.state === 'GRAVID' && nowSec >= (fish.repro.dueAtSec ?? Infinity)) {
         fish.repro.state = 'LAYING';
         if (fish.speciesId === AZURE_DART_SPECIES_ID && this.berryReedPlants.length) {
-          const plant = this.berryReedPlants[Math.floor(rand(0, this.berryReedPlants.length))];
-          fish.repro.layTargetX = clamp(plant.x + rand(-12, 12), 0, this.bounds.width);
-          fish.repro.layTargetY = clamp(plant.bottomY - rand(1, 6), Math.max(0, layTargetY - 6), this.#swimHeight());
+          const plant = this.berryReedPlants[Math.floor(this.rng.range(0, this.berryReedPlants.length))];
+          fish.repro.layTargetX = clamp(plant.x + this.rng.range(-12, 12), 0, this.bounds.width);
+          fish.repro.layTargetY = clamp(plant.bottomY - this.rng.range(1, 6), Math.max(0, layTargetY - 6), this.#swimHeight());
         } else {
-          fish.repro.layTargetX = clamp(fish.position.x + rand(-20, 20), 0, this.bounds.width);
+          fish.repro.layTargetX = clamp(fish.position.x + this.rng.range(-20, 20), 0, this.bounds.width);
           fish.repro.layTargetY = layTargetY;
         }
         fish.repro.layingStartedAtSec = nowSec;
@@ -1864,6 +2360,11 @@ export class World {
       if (fish.repro.state === 'LAYING') {
         const tx = Number.isFinite(fish.repro.layTargetX) ? fish.repro.layTargetX : fish.position.x;
         const ty = Number.isFinite(fish.repro.layTargetY) ? fish.repro.layTargetY : layTargetY;
+        if (layImmediately) {
+          // Stand-in for the swim to the laying spot.
+          fish.position.x = tx;
+          fish.position.y = ty;
+        }
         const d = Math.hypot(fish.position.x - tx, fish.position.y - ty);
         if (d <= 10) this.#layEggClutch(fish, nowSec);
       }
@@ -1875,12 +2376,35 @@ export class World {
   }
 
 
+  // Macro stand-in for seeking food: a hungry fish finds one edible item per step.
+  #feedHungryFishMacro() {
+    for (const fish of this.fish) {
+      if (fish.lifeState !== 'ALIVE' || fish.hungerState === 'FED') continue;
+      const targets = this.getEdibleTargetsForFish(fish);
+      const item = targets[0];
+      if (!item) continue;
+      const consumed = targets === this.fruits
+        ? this.consumeFruit(item.id, fish.id)
+        : this.consumeFood(item.id, item.amount, fish.id);
+      if (consumed > 0) fish.digestMeal(consumed, this);
+    }
+  }
+
   #updateFishLifeState() {
     for (let i = this.fish.length - 1; i >= 0; i -= 1) {
       const fish = this.fish[i];
       if (fish.lifeState === 'DEAD') {
         if (fish.deadAtSec == null) fish.deadAtSec = this.simTimeSec;
-        if (fish.history && fish.history.deathSimTimeSec == null) fish.history.deathSimTimeSec = this.simTimeSec;
+        if (fish.history && fish.history.deathSimTimeSec == null) {
+          fish.history.deathSimTimeSec = this.simTimeSec;
+          fish.history.deathHygiene01 = this.water.hygiene01;
+          this.emit(WORLD_EVENT_TYPES.FISH_DIED, {
+            fishId: fish.id,
+            reason: fish.deathReason ?? 'UNKNOWN',
+            ageSec: fish.ageSeconds(this.simTimeSec),
+            hygiene01: this.water.hygiene01
+          });
+        }
       }
     }
   }
@@ -1888,11 +2412,20 @@ export class World {
 
   #updateFood(simDt, motionDt) {
     const bottomY = this.#swimHeight();
+    const flowSources = motionDt > 0 ? this.#flowSources() : [];
+    const flow = { x: 0, y: 0 };
 
     for (let i = this.food.length - 1; i >= 0; i -= 1) {
       const item = this.food[i];
       if (Number.isFinite(item.ttl)) item.ttl -= simDt;
 
+      // Sinking food drifts with the current; once it rests on the gravel it stays put.
+      if (flowSources.length && item.y < bottomY) {
+        sampleFlow(flowSources, item.x, item.y, flow);
+        item.x = clamp(item.x + flow.x * FLOW_CARRY_FOOD * motionDt, 0, this.bounds.width);
+        item.y = Math.max(0, item.y + flow.y * FLOW_CARRY_FOOD * motionDt);
+      }
+
       item.vy += FOOD_FALL_ACCEL * motionDt;
       item.y += item.vy * motionDt;
       if (item.y >= bottomY) {
@@ -1905,10 +2438,8 @@ export class World {
       if (Number.isFinite(item.ttl) && item.ttl <= 0) {
         this.food.splice(i, 1);
         this.expiredFoodSinceLastWaterUpdate += 1;
-        if (WATER_HYGIENE_DROP_PER_EXPIRED_FOOD > 0 && this.water) {
-          this.water.hygiene01 = clamp(this.water.hygiene01 - WATER_HYGIENE_DROP_PER_EXPIRED_FOOD, 0, 1);
-        }
-        this.emit('foodExpired', { foodId: item.id });
+        this.#depositWaste(item.x, item.y, WATER_AMMONIA_PER_EXPIRED_FOOD);
+        this.emit(WORLD_EVENT_TYPES.FOOD_EXPIRED, { foodId: item.id });
       }
     }
   }
@@ -1918,6 +2449,8 @@ export class World {
     if (!Number.isFinite(simDt) || simDt <= 0) return;
 
     const bottomY = this.#swimHeight();
+    const flowSources = motionDt > 0 ? this.#flowSources() : [];
+    const flow = { x: 0, y: 0 };
 
     for (let i = this.poop.length - 1; i >= 0; i -= 1) {
       const item = this.poop[i];
@@ -1938,18 +2471,23 @@ export class World {
       } else if (type === 'floaty') {
         const blend = Math.min(1, simDt * 1.5);
         item.vy += (-POOP_BASE_DRIFT_SPEED - item.vy) * blend;
-        item.vx += rand(-POOP_JITTER, POOP_JITTER) * simDt;
+        item.vx += this.rng.range(-POOP_JITTER, POOP_JITTER) * simDt;
       } else {
         item.vy *= POOP_DRIFT_DAMPING;
         item.vx *= POOP_DRIFT_DAMPING;
-        item.vy += rand(-POOP_JITTER, POOP_JITTER) * simDt;
-        item.vx += rand(-POOP_JITTER, POOP_JITTER) * simDt;
+        item.vy += this.rng.range(-POOP_JITTER, POOP_JITTER) * simDt;
+        item.vx += this.rng.range(-POOP_JITTER, POOP_JITTER) * simDt;
       }
 
       item.vx *= POOP_DRIFT_DAMPING;
       item.vy *= POOP_DRIFT_DAMPING;
       item.x += item.vx * motionDt;
       item.y += item.vy * motionDt;
+      if (flowSources.length) {
+        sampleFlow(flowSources, item.x, item.y, flow);
+        item.x += flow.x * FLOW_CARRY_POOP * motionDt;
+        item.y += flow.y * FLOW_CARRY_POOP * motionDt;
+      }
 
       item.x = clamp(item.x, 0, this.bounds.width);
 
@@ -1988,7 +2526,7 @@ export class World {
       if (fish && fish.lifeState === 'ALIVE') {
         const factor = getSpeciesPoopBioloadFactor(fish.speciesId);
         const visible = fish.speciesId !== AZURE_DART_SPECIES_ID;
-        this.spawnPoop(fish.position.x, fish.position.y, POOP_DEFAULT_TTL_SEC, { bioloadFactor: factor, visible });
+        this.spawnPoop(fish.position.x, fish.position.y, POOP_DEFAULT_TTL_SEC, { bioloadFactor: factor, visible, fishId: fish.id });
       }
       this.scheduledPoopSpawns.splice(i, 1);
     }
@@ -2007,6 +2545,20 @@ export class World {
     }
   }
 
+  // Eggs stick to plants and gravel, so the current only nudges them.
+  #driftEggs(dt) {
+    if (!(dt > 0) || !this.eggs.length) return;
+    const flowSources = this.#flowSources();
+    if (!flowSources.length) return;
+    const flow = { x: 0, y: 0 };
+    for (const egg of this.eggs) {
+      if (!Number.isFinite(egg?.x) || !Number.isFinite(egg?.y)) continue;
+      sampleFlow(flowSources, egg.x, egg.y, flow);
+      egg.x = clamp(egg.x + flow.x * FLOW_CARRY_EGGS * dt, 0, this.bounds.width);
+      egg.y = clamp(egg.y + flow.y * FLOW_CARRY_EGGS * dt, 0, this.#swimHeight());
+    }
+  }
+
   #updateEggs(dt) {
     if (!Number.isFinite(dt) || dt <= 0) return;
 
@@ -2022,6 +2574,7 @@ export class World {
         const t = clamp01((hygiene01 - 0.60) / 0.40);
         hatchChance = 0.20 + 0.80 * (t * t);
       }
+      const lowHygiene = hatchChance < EGG_LOW_HYGIENE_HATCH_CHANCE;
 
       const speciesId = egg.speciesId ?? this.getFishById(egg.motherId)?.speciesId ?? DEFAULT_SPECIES_ID;
       const populationPressure01 = this.#getPopulationPressure01(speciesId);
@@ -2031,7 +2584,7 @@ export class World {
       }
       hatchChance = clamp01(hatchChance);
 
-      const success = Math.random() < hatchChance;
+      const success = this.rng.next() < hatchChance;
       if (success) {
         const spawnX = clamp(Number.isFinite(egg.x) ? egg.x : this.bounds.width * 0.5, 0, this.bounds.width);
         const spawnY = clamp(Number.isFinite(egg.y) ? egg.y : this.#swimHeight() * 0.5, 0, this.#swimHeight());
@@ -2039,7 +2592,8 @@ export class World {
         const babyTraits = inheritTraits(
           egg.motherTraits,
           egg.fatherTraits,
-          REPRO_CONFIG
+          REPRO_CONFIG,
+          this.rng
         );
 
         const baby = this.#createFish({
@@ -2069,8 +2623,23 @@ export class World {
         }
 
         egg.state = 'HATCHED';
+        this.emit(WORLD_EVENT_TYPES.FISH_BORN, {
+          fishId: baby.id,
+          motherId: egg.motherId,
+          fatherId: egg.fatherId,
+          speciesId: baby.speciesId,
+          eggId: egg.id
+        });
+        this.emit(WORLD_EVENT_TYPES.EGG_HATCHED, { eggId: egg.id, fishId: baby.id, motherId: egg.motherId, fatherId: egg.fatherId });
       } else {
         egg.state = 'FAILED';
+        this.emit(WORLD_EVENT_TYPES.EGG_FAILED, {
+          eggId: egg.id,
+          motherId: egg.motherId,
+          fatherId: egg.fatherId,
+          hygiene01,
+          lowHygiene
+        });
       }
 
       this.eggs.splice(i, 1);
@@ -2079,9 +2648,9 @@ export class World {
 
   #makeBerryReedBranches() {
     return Array.from({ length: 4 }, (_, index) => ({
-      t: 0.24 + index * 0.18 + rand(-0.04, 0.04),
+      t: 0.24 + index * 0.18 + this.rng.range(-0.04, 0.04),
       side: index % 2 === 0 ? -1 : 1,
-      len: rand(0.2, 0.38)
+      len: this.rng.range(0.2, 0.38)
     }));
   }
 
@@ -2091,17 +2660,19 @@ export class World {
     if (fruitsOnPlant >= BERRY_REED_MAX_FRUITS_PER_PLANT) return false;
     if (this.fruits.length >= BERRY_REED_MAX_FRUITS) return false;
 
-    const branchIndex = Math.floor(rand(0, plant.branches.length));
+    const branchIndex = Math.floor(this.rng.range(0, plant.branches.length));
+    const fruitId = this.nextFruitId++;
     this.fruits.push({
-      id: this.nextFruitId++,
+      id: fruitId,
       plantId: plant.id,
       branchIndex,
-      u: rand(0.75, 1),
-      v: rand(-3, 3),
-      radius: rand(1.8, 3),
+      u: this.rng.range(0.75, 1),
+      v: this.rng.range(-3, 3),
+      radius: this.rng.range(1.8, 3),
       createdAtSec: this.simTimeSec,
       ttlSec: BERRY_REED_FRUIT_TTL_SEC
     });
+    this.emit(WORLD_EVENT_TYPES.PLANT_FRUITED, { plantId: plant.id, fruitId });
 
     return true;
   }
@@ -2150,7 +2721,7 @@ export class World {
         plant.nextFruitAtSec = Infinity;
         continue;
       }
-      const jitter = rand(-BERRY_REED_FRUIT_INTERVAL_JITTER_SEC, BERRY_REED_FRUIT_INTERVAL_JITTER_SEC);
+      const jitter = this.rng.range(-BERRY_REED_FRUIT_INTERVAL_JITTER_SEC, BERRY_REED_FRUIT_INTERVAL_JITTER_SEC);
       const interval = Math.max(3, baseInterval + jitter);
       plant.nextFruitAtSec = this.simTimeSec + interval;
       if (!spawned && this.fruits.length >= BERRY_REED_MAX_FRUITS) break;
@@ -2159,11 +2730,13 @@ export class World {
 
   #seedBubbles() {
     const count = CONFIG.world.bubbles.seedCount;
-    this.bubbles = Array.from({ length: count }, () => makeBubble(this.bounds));
+    this.bubbles = Array.from({ length: count }, () => makeBubble(this.bounds, this.rng));
   }
 
   #updateBubbles(delta) {
     const { width, height } = this.bounds;
+    const flowSources = this.#flowSources();
+    const flow = { x: 0, y: 0 };
 
     for (const food of this.food) {
       food.x = Math.min(Math.max(0, food.x), width);
@@ -2179,10 +2752,15 @@ export class World {
       bubble.y -= bubble.speed * delta;
       bubble.swayPhase += delta;
       bubble.x += Math.sin(bubble.swayPhase) * bubble.swayAmplitude * delta;
+      if (flowSources.length) {
+        sampleFlow(flowSources, bubble.x, bubble.y, flow);
+        bubble.x += flow.x * FLOW_CARRY_BUBBLES * delta;
+        bubble.y += flow.y * FLOW_CARRY_BUBBLES * delta;
+      }
 
       if (bubble.y < -10) {
-        bubble.y = height + rand(8, 80);
-        bubble.x = rand(0, width);
+        bubble.y = height + this.rng.range(8, 80);
+        bubble.x = this.rng.range(0, width);
       }
       if (bubble.x < 0) bubble.x += width;
       if (bubble.x > width) bubble.x -= width;
@@ -4,16 +4,24 @@
  */
 
 import { World } from './engine/world.js';
+import { AwayReportRecorder } from './engine/away_report.js';
+import { FixedStepper } from './engine/stepper.js';
+import { OFFLINE_CATCH_UP_ENABLED, offlineCatchUpSec, runOfflineCatchUp } from './engine/offline.js';
+import { buildPostMortem } from './engine/post_mortem.js';
+import { SAVE_VERSION, buildSavePayload, exportFileName, validateSavePayload } from './persistence/save_file.js';
+import { SaveSlotStore } from './persistence/save_slots.js';
+import { MemoryStorageAdapter, createStorageAdapter } from './persistence/storage_adapters.js';
 import { Renderer } from './render/renderer.js';
 import { Panel } from './ui/panel.js';
 import { isDevMode, onDevModeChanged, toggleDevMode } from './dev.js';
+import { AUTO_PAUSE_TRIGGER_LABELS, autoPauseReason, loadAwayPolicy, saveAwayPolicy } from './away_policy.js';
+import { TankNotifier, loadNotificationPrefs, saveNotificationPrefs } from './notifications.js';
+import { WORLD_EVENT_TYPES } from './engine/events.js';
 
 const DEFAULT_INITIAL_FISH_COUNT = 4;
-const SAVE_STORAGE_KEY = 'aquatab_save_v1';
-const SAVE_VERSION = 1;
 const AUTOSAVE_INTERVAL_MS = 10_000;
-const INACTIVITY_AWAY_THRESHOLD_SIM_SEC = 300;
 const FULLSCREEN_HINT_SESSION_KEY = 'aquatab_fullscreen_hint_seen';
+const OFFLINE_CATCH_UP_PREF_KEY = 'aquatab_offline_catchup';
 const RESIZE_DEBOUNCE_MS = 120;
 
 const startScreen = document.getElementById('startScreen');
@@ -23,6 +31,12 @@ const startFishValue = document.querySelector('[data-start-value="initialFishCou
 const startSimButton = document.getElementById('startSimButton');
 const continueSimButton = document.getElementById('continueSimButton');
 const savedStartMeta = document.querySelector('[data-saved-start-meta]');
+const startTankNameInput = document.querySelector('[data-start-control="tankName"]');
+const saveSlotList = document.querySelector('[data-save-slot-list]');
+const importTankButton = document.getElementById('importTankButton');
+const importTankInput = document.getElementById('importTankInput');
+const importErrors = document.querySelector('[data-import-errors]');
+const startCatchUpToggle = document.querySelector('[data-start-control="offlineCatchUp"]');
 const infoModalBackdrop = document.getElementById('infoModalBackdrop');
 const infoModalTitle = document.getElementById('infoModalTitle');
 const infoModalContent = document.getElementById('infoModalContent');
@@ -40,13 +54,38 @@ let renderer = null;
 let panel = null;
 let started = false;
 let canvasClickHandler = null;
+// 'feed' drops food where the player clicks; 'vacuum' is the gravel vacuum.
+let canvasTool = 'feed';
+let vacuumPointerId = null;
 let ecosystemFailed = false;
-
-let pendingSavePayload = null;
+let postMortemSlotId = null;
+
+// Empty until the real backend opens; slot writes wait on `saveSlotsReady`.
+let saveSlots = new SaveSlotStore(new MemoryStorageAdapter());
+const saveSlotsReady = createStorageAdapter()
+  .then(({ adapter, fallback }) => SaveSlotStore.open(adapter, { fallback }))
+  .catch(() => SaveSlotStore.open(new MemoryStorageAdapter()))
+  .then((store) => {
+    saveSlots = store;
+    return store;
+  });
+let activeSlotId = null;
 
 let autosaveIntervalId = null;
 let awaySnapshot = null;
+let awayPolicy = loadAwayPolicy();
+const tankNotifier = new TankNotifier({
+  prefs: loadNotificationPrefs(),
+  onClick: ({ fishId }) => focusFishFromNotification(fishId),
+  onUnavailable: () => {
+    showFilterToast('Notifications are not supported here');
+    applyNotificationPrefs({ ...tankNotifier.prefs, enabled: false });
+  }
+});
 let autoPauseOverlayOpen = false;
+let catchingUp = false;
+let unsubscribeAlertRules = null;
+let alertPauseRequested = false;
 let lastInteractionSimTimeSec = 0;
 
 let lastTimingDebugLogAtSec = -1;
@@ -62,6 +101,21 @@ fullscreenHint.hidden = true;
 fullscreenHint.setAttribute('data-cinema-hide', 'true');
 document.body.appendChild(fullscreenHint);
 
+const saveWarning = document.createElement('div');
+saveWarning.className = 'save-warning';
+saveWarning.hidden = true;
+saveWarning.setAttribute('role', 'alert');
+const saveWarningText = document.createElement('span');
+const saveWarningExport = document.createElement('button');
+saveWarningExport.type = 'button';
+saveWarningExport.textContent = 'Export tank';
+const saveWarningDismiss = document.createElement('button');
+saveWarningDismiss.type = 'button';
+saveWarningDismiss.textContent = 'Dismiss';
+saveWarning.append(saveWarningText, saveWarningExport, saveWarningDismiss);
+document.body.appendChild(saveWarning);
+saveWarning.setAttribute('data-cinema-hide', 'true');
+
 function computeCleanlinessTrend(simTimeSec, hygiene01) {
   const currentSimTime = Number.isFinite(simTimeSec) ? simTimeSec : 0;
   const currentHygiene = Math.max(0, Math.min(1, hygiene01 ?? 1));
@@ -86,19 +140,6 @@ function computeCleanlinessTrend(simTimeSec, hygiene01) {
   return 'Stable';
 }
 
-function loadSavedWorldSnapshot() {
-  try {
-    const raw = localStorage.getItem(SAVE_STORAGE_KEY);
-    if (!raw) return null;
-    const payload = JSON.parse(raw);
-    if (payload?.saveVersion !== SAVE_VERSION) return null;
-    if (!payload.worldState || payload.worldState.saveVersion !== SAVE_VERSION) return null;
-    return payload;
-  } catch {
-    return null;
-  }
-}
-
 function formatRelativeSavedAt(epochMs) {
   if (!Number.isFinite(epochMs) || epochMs <= 0) return 'unknown';
   const deltaMs = Math.max(0, Date.now() - epochMs);
@@ -120,20 +161,109 @@ function formatRelativeSavedAt(epochMs) {
   return `${days} day${days === 1 ? '' : 's'} ago`;
 }
 
-function saveWorldSnapshot() {
-  if (!started || !world || ecosystemFailed) return false;
+function showSaveWarning(message) {
+  saveWarningText.textContent = message;
+  saveWarning.hidden = false;
+}
+
+function hideSaveWarning() {
+  saveWarning.hidden = true;
+}
+
+function describeSaveFailure(error) {
+  if (error?.name === 'QuotaExceededError') return 'Autosave failed: browser storage is full. Export the tank or delete other saved tanks.';
+  return 'Autosave failed: the browser refused to store this tank. Export it to keep a copy.';
+}
+
+// The payload is built synchronously, so callers tearing the world down right after still save it.
+async function saveWorldSnapshot() {
+  if (!started || !world || ecosystemFailed || !activeSlotId) return false;
+
+  // A broken state (NaN from a bad tick) must not rotate good checkpoints out of the ring.
+  const payload = buildSavePayload(world);
+  if (!validateSavePayload(payload).ok) {
+    showSaveWarning('Autosave skipped: the tank state looks damaged, so earlier checkpoints were kept.');
+    return false;
+  }
 
   try {
-    const payload = {
-      saveVersion: SAVE_VERSION,
-      savedAtEpochMs: Date.now(),
-      worldState: world.toJSON()
-    };
-    localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify(payload));
-    return true;
-  } catch {
+    await saveSlots.savePayload(activeSlotId, payload);
+  } catch (error) {
+    showSaveWarning(describeSaveFailure(error));
     return false;
   }
+  if (saveSlots.adapter.kind === 'memory') {
+    showSaveWarning('This browser window is not keeping saves (private browsing?). Export the tank to keep a copy.');
+  } else {
+    hideSaveWarning();
+  }
+  return true;
+}
+
+function exportTank() {
+  if (!world) return;
+  const slot = activeSlotId ? saveSlots.getSlot(activeSlotId) : null;
+  const blob = new Blob([JSON.stringify(buildSavePayload(world))], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = exportFileName(slot?.name);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+  showFilterToast('Tank exported');
+}
+
+function showImportErrors(heading, problems) {
+  if (!importErrors) return;
+  const title = document.createElement('p');
+  title.textContent = heading;
+  const list = document.createElement('ul');
+  for (const problem of problems) {
+    const item = document.createElement('li');
+    item.textContent = problem;
+    list.appendChild(item);
+  }
+  importErrors.replaceChildren(title, list);
+  importErrors.hidden = false;
+}
+
+function clearImportErrors() {
+  if (!importErrors) return;
+  importErrors.replaceChildren();
+  importErrors.hidden = true;
+}
+
+async function importTankFile(file) {
+  clearImportErrors();
+  let text = '';
+  try {
+    text = await file.text();
+  } catch {
+    showImportErrors(`Could not import ${file.name}:`, ['The file could not be read']);
+    return;
+  }
+
+  const result = validateSavePayload(text);
+  if (!result.ok) {
+    showImportErrors(`Could not import ${file.name}:`, result.problems);
+    return;
+  }
+
+  let slotId = null;
+  try {
+    await saveSlotsReady;
+    slotId = (await saveSlots.createSlot(file.name.replace(/\.json$/i, '').replace(/[-_]+/g, ' '))).id;
+    await saveSlots.savePayload(slotId, result.payload);
+  } catch {
+    // A slot whose payload did not fit would show up as an empty tank.
+    if (slotId) await saveSlots.deleteSlot(slotId).catch(() => {});
+    showImportErrors(`Could not import ${file.name}:`, ['Not enough browser storage to keep another tank; delete a slot and try again']);
+    refreshSavedStartPanel();
+    return;
+  }
+  startSimulation({ savedPayload: result.payload, slotId });
 }
 
 function startAutosave() {
@@ -160,6 +290,27 @@ function measureCanvasSize() {
   };
 }
 
+function isOfflineCatchUpPreferred() {
+  if (!OFFLINE_CATCH_UP_ENABLED) return false;
+  try {
+    return localStorage.getItem(OFFLINE_CATCH_UP_PREF_KEY) !== '0';
+  } catch {
+    return true;
+  }
+}
+
+if (startCatchUpToggle) {
+  startCatchUpToggle.checked = isOfflineCatchUpPreferred();
+  startCatchUpToggle.disabled = !OFFLINE_CATCH_UP_ENABLED;
+  startCatchUpToggle.addEventListener('change', () => {
+    try {
+      localStorage.setItem(OFFLINE_CATCH_UP_PREF_KEY, startCatchUpToggle.checked ? '1' : '0');
+    } catch {
+      // Preference is best-effort only.
+    }
+  });
+}
+
 startFishSlider?.addEventListener('input', (event) => {
   const value = Number.parseInt(event.target.value, 10) || DEFAULT_INITIAL_FISH_COUNT;
   if (startFishValue) startFishValue.textContent = String(value);
@@ -209,7 +360,9 @@ ecosystemFailedOverlay.style.backdropFilter = 'blur(2px)';
 ecosystemFailedOverlay.style.zIndex = '120';
 
 const ecosystemFailedCard = document.createElement('div');
-ecosystemFailedCard.style.width = 'min(420px, calc(100vw - 32px))';
+ecosystemFailedCard.style.width = 'min(520px, calc(100vw - 32px))';
+ecosystemFailedCard.style.maxHeight = 'calc(100vh - 48px)';
+ecosystemFailedCard.style.overflowY = 'auto';
 ecosystemFailedCard.style.padding = '18px';
 ecosystemFailedCard.style.borderRadius = '12px';
 ecosystemFailedCard.style.border = '1px solid rgba(255, 255, 255, 0.28)';
@@ -223,17 +376,32 @@ ecosystemFailedTitle.style.fontSize = '22px';
 ecosystemFailedTitle.style.color = '#eaf7ff';
 
 const ecosystemFailedBody = document.createElement('p');
-ecosystemFailedBody.textContent = 'All fish are gone. This run cannot be continued.';
-ecosystemFailedBody.style.margin = '0 0 16px';
+ecosystemFailedBody.textContent = 'All fish are gone. The tank is archived read-only on the start screen.';
+ecosystemFailedBody.style.margin = '0 0 12px';
 ecosystemFailedBody.style.color = 'rgba(232, 244, 255, 0.9)';
 
+const ecosystemFailedReport = document.createElement('div');
+ecosystemFailedReport.className = 'post-mortem';
+
 const ecosystemFailedActions = document.createElement('div');
 ecosystemFailedActions.style.display = 'flex';
 ecosystemFailedActions.style.justifyContent = 'flex-end';
+ecosystemFailedActions.style.gap = '8px';
+
+const ecosystemFailedRetryButton = document.createElement('button');
+ecosystemFailedRetryButton.type = 'button';
+ecosystemFailedRetryButton.textContent = 'Restart from last checkpoint';
+ecosystemFailedRetryButton.style.padding = '8px 12px';
+ecosystemFailedRetryButton.style.borderRadius = '999px';
+ecosystemFailedRetryButton.style.border = '1px solid rgba(255, 255, 255, 0.4)';
+ecosystemFailedRetryButton.style.background = 'rgba(28, 80, 54, 0.92)';
+ecosystemFailedRetryButton.style.color = '#eaf7ff';
+ecosystemFailedRetryButton.style.fontWeight = '600';
+ecosystemFailedRetryButton.style.cursor = 'pointer';
 
 const ecosystemFailedRestartButton = document.createElement('button');
 ecosystemFailedRestartButton.type = 'button';
-ecosystemFailedRestartButton.textContent = 'Restart';
+ecosystemFailedRestartButton.textContent = 'Back to start';
 ecosystemFailedRestartButton.style.padding = '8px 12px';
 ecosystemFailedRestartButton.style.borderRadius = '999px';
 ecosystemFailedRestartButton.style.border = '1px solid rgba(255, 255, 255, 0.4)';
@@ -242,8 +410,8 @@ ecosystemFailedRestartButton.style.color = '#eaf7ff';
 ecosystemFailedRestartButton.style.fontWeight = '600';
 ecosystemFailedRestartButton.style.cursor = 'pointer';
 
-ecosystemFailedActions.append(ecosystemFailedRestartButton);
-ecosystemFailedCard.append(ecosystemFailedTitle, ecosystemFailedBody, ecosystemFailedActions);
+ecosystemFailedActions.append(ecosystemFailedRetryButton, ecosystemFailedRestartButton);
+ecosystemFailedCard.append(ecosystemFailedTitle, ecosystemFailedBody, ecosystemFailedReport, ecosystemFailedActions);
 ecosystemFailedOverlay.append(ecosystemFailedCard);
 document.body.appendChild(ecosystemFailedOverlay);
 ecosystemFailedOverlay.setAttribute('data-cinema-hide', 'true');
@@ -468,23 +636,231 @@ function closeInfoModal() {
   infoModalBackdrop.hidden = true;
 }
 
-function refreshSavedStartPanel() {
-  const payload = loadSavedWorldSnapshot();
-  pendingSavePayload = payload;
+function continueSlotId() {
+  const slots = saveSlots.list().filter((slot) => slot.savedAtEpochMs != null && !slot.archived);
+  if (slots.some((slot) => slot.id === saveSlots.activeSlotId)) return saveSlots.activeSlotId;
+  return slots[0]?.id ?? null;
+}
 
-  const hasSave = Boolean(payload);
-  if (continueSimButton) continueSimButton.disabled = !hasSave;
+function describeSaveMeta(meta, savedAtEpochMs) {
+  if (!meta) return 'Not saved yet';
+  const parts = [
+    `${formatDuration(meta.simTimeSec)} sim time`,
+    `${meta.fishCount} fish`
+  ];
+  if (Number.isFinite(meta.hygiene01)) parts.push(`${Math.round(meta.hygiene01 * 100)}% clean`);
+  parts.push(`saved ${formatRelativeSavedAt(savedAtEpochMs)}`);
+  return parts.join(' · ');
+}
+
+function describeSlot(slot) {
+  if (slot.archived) {
+    const lasted = slot.archived.meta ? `lasted ${formatDuration(slot.archived.meta.simTimeSec)} · ` : '';
+    return `Ecosystem failed · ${lasted}failed ${formatRelativeSavedAt(slot.archived.failedAtEpochMs)}`;
+  }
+  return describeSaveMeta(slot.meta, slot.savedAtEpochMs);
+}
+
+function renderCheckpointList(slot) {
+  const list = document.createElement('ol');
+  list.className = 'save-slot-checkpoints';
+  list.setAttribute('aria-label', 'Restore earlier checkpoint');
+  for (const checkpoint of saveSlots.listCheckpoints(slot.id)) {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = describeSaveMeta(checkpoint.meta, checkpoint.savedAtEpochMs);
+    const restore = makeSlotButton('Restore', 'restoreCheckpoint');
+    restore.setAttribute('data-checkpoint-key', checkpoint.key);
+    item.append(label, restore);
+    list.appendChild(item);
+  }
+  return list;
+}
+
+function makeSlotButton(label, action) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'save-slot-btn';
+  button.textContent = label;
+  button.setAttribute('data-slot-action', action);
+  return button;
+}
+
+function renderSaveSlotRow(slot, { mode = 'idle' } = {}) {
+  const item = document.createElement('li');
+  item.className = 'save-slot';
+  item.classList.toggle('is-active', slot.id === saveSlots.activeSlotId);
+  item.setAttribute('data-slot-id', slot.id);
+
+  const main = document.createElement('div');
+  main.className = 'save-slot-main';
+  if (mode === 'rename') {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = 40;
+    input.value = slot.name;
+    input.className = 'save-slot-name-input';
+    input.setAttribute('data-slot-rename-input', '');
+    main.append(input);
+  } else {
+    const name = document.createElement('strong');
+    name.className = 'save-slot-name';
+    name.textContent = slot.name;
+    main.append(name);
+  }
+  const meta = document.createElement('span');
+  meta.className = 'save-slot-meta';
+  meta.textContent = describeSlot(slot);
+  main.append(meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'save-slot-actions';
+  if (mode === 'confirmDelete') {
+    const prompt = document.createElement('span');
+    prompt.textContent = 'Delete this tank?';
+    actions.append(prompt, makeSlotButton('Yes', 'deleteConfirm'), makeSlotButton('No', 'cancel'));
+  } else if (mode === 'rename') {
+    actions.append(makeSlotButton('Save', 'renameConfirm'), makeSlotButton('Cancel', 'cancel'));
+  } else if (mode === 'checkpoints') {
+    const prompt = document.createElement('span');
+    prompt.textContent = 'Restore earlier checkpoint:';
+    actions.append(prompt, makeSlotButton('Close', 'cancel'));
+  } else if (slot.archived) {
+    const retryButton = makeSlotButton('Restart from checkpoint', 'checkpoints');
+    retryButton.disabled = saveSlots.listCheckpoints(slot.id).length === 0;
+    actions.append(makeSlotButton('Post-mortem', 'postMortem'), retryButton, makeSlotButton('Delete', 'delete'));
+  } else {
+    const continueButton = makeSlotButton('Continue', 'continue');
+    continueButton.disabled = !slot.meta;
+    actions.append(continueButton, makeSlotButton('Rename', 'rename'), makeSlotButton('Duplicate', 'duplicate'), makeSlotButton('Delete', 'delete'));
+    if (saveSlots.listCheckpoints(slot.id).length > 1) actions.append(makeSlotButton('Checkpoints', 'checkpoints'));
+  }
+
+  item.append(main, actions);
+  if (mode === 'checkpoints') item.append(renderCheckpointList(slot));
+  return item;
+}
+
+function refreshSavedStartPanel({ slotModes = {} } = {}) {
+  const slots = saveSlots.list();
+  const continueId = continueSlotId();
+  if (continueSimButton) continueSimButton.disabled = !continueId;
+
+  if (saveSlotList) {
+    saveSlotList.replaceChildren(...slots.map((slot) => renderSaveSlotRow(slot, { mode: slotModes[slot.id] })));
+    saveSlotList.hidden = slots.length === 0;
+    saveSlotList.querySelector('[data-slot-rename-input]')?.focus();
+  }
 
   if (!savedStartMeta) return;
-  if (!hasSave) {
-    savedStartMeta.textContent = 'Saved simulation found: no';
+  if (slots.length === 0) {
+    savedStartMeta.textContent = 'Saved tanks: none yet';
     return;
   }
 
-  const relative = formatRelativeSavedAt(payload.savedAtEpochMs);
-  savedStartMeta.textContent = `Saved simulation found: yes (last saved ${relative})`;
+  const latest = continueId ? saveSlots.getSlot(continueId) : null;
+  savedStartMeta.textContent = latest
+    ? `Saved tanks: ${slots.length} (continue resumes "${latest.name}", saved ${formatRelativeSavedAt(latest.savedAtEpochMs)})`
+    : `Saved tanks: ${slots.length}`;
+}
+
+// New games get a fresh slot; storage failures leave the tank playable but unsaved.
+async function activateSlot(slotId, tankName = '') {
+  await saveSlotsReady;
+  try {
+    const id = slotId ?? (await saveSlots.createSlot(tankName)).id;
+    await saveSlots.setActive(id);
+    return id;
+  } catch (error) {
+    showSaveWarning(describeSaveFailure(error));
+    return slotId;
+  }
+}
+
+// Without a checkpoint key, falls back through the ring to the newest checkpoint that still loads.
+async function continueFromSlot(slotId, checkpointKey = null) {
+  clearImportErrors();
+  const slotName = saveSlots.getSlot(slotId)?.name ?? 'tank';
+  const found = checkpointKey
+    ? { payload: await saveSlots.loadPayload(slotId, checkpointKey), skipped: [] }
+    : await saveSlots.loadLatestUsable(slotId, (payload) => validateSavePayload(payload).ok);
+  if (!found?.payload) {
+    const problem = checkpointKey ? 'This checkpoint is damaged or missing' : 'Every checkpoint of this tank is damaged or missing';
+    showImportErrors(`Could not load "${slotName}":`, [problem]);
+    refreshSavedStartPanel();
+    return;
+  }
+
+  const result = validateSavePayload(found.payload);
+  if (!result.ok) {
+    showImportErrors(`Could not load "${slotName}":`, result.problems);
+    refreshSavedStartPanel();
+    return;
+  }
+  startSimulation({ savedPayload: result.payload, slotId });
+  if (found.skipped.length > 0) {
+    showFilterToast(`Latest save was damaged; restored the one from ${formatRelativeSavedAt(result.payload.savedAtEpochMs)}`);
+  }
+}
+
+async function commitSlotRename(slotId) {
+  const input = saveSlotList?.querySelector(`[data-slot-id="${slotId}"] [data-slot-rename-input]`);
+  if (input) await saveSlots.renameSlot(slotId, input.value).catch(() => showFilterToast('Could not rename this tank'));
+  refreshSavedStartPanel();
 }
 
+saveSlotList?.addEventListener('click', async (event) => {
+  const button = event.target instanceof Element ? event.target.closest('[data-slot-action]') : null;
+  const slotId = button?.closest('[data-slot-id]')?.getAttribute('data-slot-id');
+  if (!button || !slotId) return;
+
+  switch (button.getAttribute('data-slot-action')) {
+    case 'continue':
+      continueFromSlot(slotId);
+      break;
+    case 'checkpoints':
+      refreshSavedStartPanel({ slotModes: { [slotId]: 'checkpoints' } });
+      break;
+    case 'restoreCheckpoint':
+      if (saveSlots.getSlot(slotId)?.archived) restartFromCheckpoint(slotId, button.getAttribute('data-checkpoint-key'));
+      else continueFromSlot(slotId, button.getAttribute('data-checkpoint-key'));
+      break;
+    case 'postMortem':
+      openArchivedPostMortem(slotId);
+      break;
+    case 'rename':
+      refreshSavedStartPanel({ slotModes: { [slotId]: 'rename' } });
+      break;
+    case 'renameConfirm':
+      commitSlotRename(slotId);
+      break;
+    case 'duplicate':
+      try {
+        await saveSlots.duplicateSlot(slotId);
+      } catch {
+        showFilterToast('Not enough storage to duplicate this tank');
+      }
+      refreshSavedStartPanel();
+      break;
+    case 'delete':
+      refreshSavedStartPanel({ slotModes: { [slotId]: 'confirmDelete' } });
+      break;
+    case 'deleteConfirm':
+      await saveSlots.deleteSlot(slotId).catch(() => showFilterToast('Could not delete this tank'));
+      refreshSavedStartPanel();
+      break;
+    default:
+      refreshSavedStartPanel();
+  }
+});
+
+saveSlotList?.addEventListener('keydown', (event) => {
+  if (!(event.target instanceof Element) || !event.target.matches('[data-slot-rename-input]')) return;
+  const slotId = event.target.closest('[data-slot-id]')?.getAttribute('data-slot-id');
+  if (event.key === 'Enter') commitSlotRename(slotId);
+  else if (event.key === 'Escape') refreshSavedStartPanel();
+});
+
 let filterToastTimeoutId = null;
 function showFilterToast(textValue) {
   filterToast.textContent = textValue;
@@ -506,26 +882,14 @@ function fishDisplayName(fish) {
   return `${name} (${speciesLabel(fish.speciesId)})`;
 }
 
+// Records world events from the moment the player goes away until the snapshot is cleared.
 function captureAwaySnapshot() {
   if (!world) return null;
-  const deadIds = new Set();
-  const gravidIds = new Set();
-
-  for (const fish of world.getFishInspectorList?.() ?? world.fish) {
-    if (fish.lifeState === 'DEAD') deadIds.add(fish.id);
-    if (fish.repro?.state === 'GRAVID' || fish.repro?.state === 'LAYING') gravidIds.add(fish.id);
-  }
-
-  return {
-    atSimSec: world.simTimeSec,
-    birthsCount: world.birthsCount,
-    foodsConsumedCount: world.foodsConsumedCount,
-    deadIds,
-    gravidIds
-  };
+  return new AwayReportRecorder(world);
 }
 
 function clearAwaySnapshot() {
+  awaySnapshot?.dispose();
   awaySnapshot = null;
 }
 
@@ -533,7 +897,7 @@ function isAway() {
   if (!started || !world) return false;
   if (document.visibilityState === 'hidden') return true;
   const inactivitySimSec = Math.max(0, world.simTimeSec - lastInteractionSimTimeSec);
-  return inactivitySimSec >= INACTIVITY_AWAY_THRESHOLD_SIM_SEC;
+  return inactivitySimSec >= awayPolicy.inactivitySec;
 }
 
 function ensureAwaySnapshotState() {
@@ -551,84 +915,291 @@ function ensureAwaySnapshotState() {
 }
 
 function buildAwayReport() {
-  if (!world || !awaySnapshot) {
-    return {
-      birthsDelta: 0,
-      foodsDelta: 0,
-      deathsDelta: 0,
-      newlyPregnantDelta: 0,
-      starvingNowNames: []
-    };
-  }
+  if (!world || !awaySnapshot || awaySnapshot.world !== world) return null;
+  return awaySnapshot.build();
+}
 
-  const currentDeadIds = new Set();
-  const currentGravidIds = new Set();
-  const starvingNowNames = [];
+function appendAwayReportRow(text) {
+  const item = document.createElement('li');
+  if (text) item.textContent = text;
+  autoPauseList.appendChild(item);
+  return item;
+}
 
-  for (const fish of world.getFishInspectorList?.() ?? world.fish) {
-    if (fish.lifeState === 'DEAD') currentDeadIds.add(fish.id);
-    if (fish.repro?.state === 'GRAVID' || fish.repro?.state === 'LAYING') currentGravidIds.add(fish.id);
-    if (fish.lifeState === 'ALIVE' && fish.hungerState === 'STARVING') starvingNowNames.push(fishDisplayName(fish));
+// Fish references become buttons that close the overlay and open the fish in the inspector.
+function appendAwayReportParts(container, parts) {
+  for (const part of parts) {
+    if (typeof part === 'string') {
+      container.append(part);
+      continue;
+    }
+    const fish = world?.getFishById(part.fishId);
+    if (!fish) {
+      container.append(part.name);
+      continue;
+    }
+    const link = document.createElement('button');
+    link.type = 'button';
+    link.className = 'history-fish-link';
+    link.textContent = part.name;
+    link.addEventListener('click', () => focusFishFromAwayReport(part.fishId));
+    container.append(link);
   }
+}
 
-  let deathsDelta = 0;
-  for (const id of currentDeadIds) {
-    if (!awaySnapshot.deadIds.has(id)) deathsDelta += 1;
+function renderAutoPauseReport(report) {
+  autoPauseList.replaceChildren();
+  autoPauseStarving.replaceChildren();
+  if (!report) {
+    appendAwayReportRow('No major population changes while away.');
+    autoPauseStarving.textContent = 'No fish are currently starving.';
+    return;
   }
 
-  let newlyPregnantDelta = 0;
-  for (const id of currentGravidIds) {
-    if (!awaySnapshot.gravidIds.has(id)) newlyPregnantDelta += 1;
+  const { counts } = report;
+  const summary = [];
+  if (counts.births > 0) summary.push(`${counts.births} born`);
+  if (counts.deaths > 0) summary.push(`${counts.deaths} died`);
+  if (counts.meals > 0) summary.push(`${counts.meals} meals eaten`);
+  if (counts.pregnancies > 0) summary.push(`${counts.pregnancies} became pregnant`);
+  if (counts.failedEggs > 0) summary.push(`${counts.failedEggs} ${counts.failedEggs === 1 ? 'egg' : 'eggs'} lost to dirty water`);
+  appendAwayReportRow(summary.length ? summary.join(' · ') : 'No major population changes while away.');
+
+  const { lowestHygiene } = report;
+  appendAwayReportRow(`Water at its lowest: ${Math.round(lowestHygiene.hygiene01 * 100)}% clean`
+    + ` (${formatDuration(lowestHygiene.atSimSec - report.fromSimSec)} in)`);
+  if (report.filter) {
+    const to = `${Math.round(report.filter.to01 * 100)}%`;
+    appendAwayReportRow(report.filter.from01 == null
+      ? `Filter health: ${to}`
+      : `Filter health: ${Math.round(report.filter.from01 * 100)}% → ${to}`);
   }
 
-  return {
-    birthsDelta: Math.max(0, world.birthsCount - awaySnapshot.birthsCount),
-    foodsDelta: Math.max(0, world.foodsConsumedCount - awaySnapshot.foodsConsumedCount),
-    deathsDelta,
-    newlyPregnantDelta,
-    starvingNowNames
-  };
-}
+  if (report.timeline.length > 0) {
+    const timelineRow = appendAwayReportRow('');
+    timelineRow.style.listStyle = 'none';
+    timelineRow.style.marginLeft = '-18px';
+    const timeline = document.createElement('ol');
+    timeline.style.margin = '8px 0 0';
+    timeline.style.paddingLeft = '18px';
+    timeline.style.maxHeight = '40vh';
+    timeline.style.overflowY = 'auto';
+    if (report.omittedCount > 0) {
+      const omitted = document.createElement('li');
+      omitted.textContent = `… ${report.omittedCount} earlier ${report.omittedCount === 1 ? 'event' : 'events'}`;
+      timeline.appendChild(omitted);
+    }
+    for (const entry of report.timeline) {
+      const item = document.createElement('li');
+      const when = document.createElement('time');
+      when.textContent = `${formatDuration(entry.t - report.fromSimSec)} in:`;
+      when.style.color = 'rgba(232, 244, 255, 0.64)';
+      item.append(when, ' ');
+      appendAwayReportParts(item, entry.parts);
+      timeline.appendChild(item);
+    }
+    timelineRow.appendChild(timeline);
+  }
 
-function renderAutoPauseReport(report) {
-  autoPauseList.replaceChildren();
-  const rows = [];
-  if (report.birthsDelta > 0) rows.push(`${report.birthsDelta} born`);
-  if (report.deathsDelta > 0) rows.push(`${report.deathsDelta} died while away`);
-  if (report.foodsDelta > 0) rows.push(`${report.foodsDelta} meals eaten`);
-  if (report.newlyPregnantDelta > 0) rows.push(`${report.newlyPregnantDelta} became pregnant`);
+  if (report.starving.length === 0) {
+    autoPauseStarving.textContent = 'No fish are currently starving.';
+    return;
+  }
+  autoPauseStarving.append('Starving now: ');
+  report.starving.forEach((fish, index) => {
+    if (index > 0) autoPauseStarving.append(', ');
+    appendAwayReportParts(autoPauseStarving, [{ fishId: fish.fishId, name: fishDisplayName({ id: fish.fishId, name: fish.name, speciesId: fish.speciesId }) }]);
+  });
+}
 
-  if (rows.length === 0) rows.push('No major population changes while away.');
+const DEATH_REASON_LABELS = { STARVATION: 'starved', OLD_AGE: 'old age' };
 
+function appendPostMortemSection(title, rows, { ordered = false } = {}) {
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  const list = document.createElement(ordered ? 'ol' : 'ul');
   for (const text of rows) {
     const item = document.createElement('li');
     item.textContent = text;
-    autoPauseList.appendChild(item);
+    list.appendChild(item);
   }
+  ecosystemFailedReport.append(heading, list);
+}
 
-  autoPauseStarving.textContent = report.starvingNowNames.length
-    ? `Starving now: ${report.starvingNowNames.join(', ')}`
-    : 'No fish are currently starving.';
+function renderPostMortem(report) {
+  ecosystemFailedReport.replaceChildren();
+  const named = (entry) => fishDisplayName({ id: entry.fishId, name: entry.name, speciesId: entry.speciesId });
+
+  const summary = document.createElement('p');
+  summary.textContent = `Lasted ${formatDuration(report.endedAtSimSec)} of sim time · ${report.totalFish} fish in total · ${report.births} born in the tank`;
+  ecosystemFailedReport.appendChild(summary);
+  if (report.prunedFish > 0) {
+    const note = document.createElement('p');
+    note.textContent = `${report.deathCount} deaths in total · the ${report.prunedFish} earliest retired fish are no longer kept, so the timeline and lineage start later`;
+    ecosystemFailedReport.appendChild(note);
+  }
+
+  appendPostMortemSection('Timeline of deaths', report.deaths.map((death) => {
+    const when = Number.isFinite(death.atSimSec) ? `${formatDuration(death.atSimSec)} in` : 'Unknown time';
+    const water = Number.isFinite(death.hygiene01) ? ` · water ${Math.round(death.hygiene01 * 100)}% clean` : '';
+    return `${when}: ${named(death)} · ${DEATH_REASON_LABELS[death.reason] ?? death.reason.toLowerCase()}${water}`;
+  }), { ordered: true });
+
+  if (report.longestLived) {
+    appendPostMortemSection('Longest-lived', [`${named(report.longestLived)} · ${formatDuration(report.longestLived.ageSec)}`]);
+  }
+
+  appendPostMortemSection('Lineage', report.lineage.map(({ generation, fish }) => {
+    const members = fish.map((entry) => {
+      const parents = entry.motherName || entry.fatherName ? ` of ${entry.motherName ?? '?'} × ${entry.fatherName ?? '?'}` : '';
+      return `${entry.name ?? `Fish #${entry.fishId}`}${parents}`;
+    });
+    return `Generation ${generation}: ${members.join(', ')}`;
+  }));
 }
 
-function triggerAutoPauseDueToAway() {
-  if (!started || !world || ecosystemFailed || autoPauseOverlayOpen) return;
+function openPostMortem(report, { slotId = null } = {}) {
+  postMortemSlotId = slotId;
+  renderPostMortem(report);
+  ecosystemFailedRetryButton.hidden = !slotId || saveSlots.listCheckpoints(slotId).length === 0;
+  ecosystemFailedOverlay.hidden = false;
+}
+
+function openAwayReportOverlay({ title, subtitle }) {
   world.paused = true;
   stopBackgroundSim();
   stopRaf();
   hideCorpseAction();
+  autoPauseTitle.textContent = title;
+  autoPauseSubtitle.textContent = subtitle;
   renderAutoPauseReport(buildAwayReport());
   autoPauseOverlay.hidden = false;
   autoPauseOverlayOpen = true;
 }
 
-function maybeAutoPauseOnStarvingAway() {
+function triggerAutoPauseDueToAway(reason) {
+  if (!started || !world || ecosystemFailed || autoPauseOverlayOpen) return;
+  openAwayReportOverlay({ title: 'Auto-pause due to inactivity', subtitle: `While you were away · ${AUTO_PAUSE_TRIGGER_LABELS[reason]}` });
+}
+
+function awayPauseReason(targetWorld) {
+  return autoPauseReason(targetWorld, awayPolicy, { deathsWhileAway: awaySnapshot?.counts.deaths ?? 0 });
+}
+
+function maybeAutoPauseWhileAway() {
   if (!started || !world || ecosystemFailed || autoPauseOverlayOpen) return;
   ensureAwaySnapshotState();
   if (!awaySnapshot) return;
+  awaySnapshot.sample();
+
+  const reason = awayPauseReason(world);
+  if (reason) triggerAutoPauseDueToAway(reason);
+}
+
+// Clicking a notification focuses the tab; bring the fish up in the inspector as well.
+function focusFishFromNotification(fishId) {
+  if (!started || !world || fishId == null) return;
+  if (autoPauseOverlayOpen) {
+    focusFishFromAwayReport(fishId);
+    return;
+  }
+  world.selectFish(fishId);
+  panel?.selectTab('fish');
+}
+
+// Turning notifications on asks for permission first; a refusal leaves them off.
+async function applyNotificationPrefs(prefs) {
+  let next = { ...prefs };
+  if (next.enabled && !(await tankNotifier.requestPermission())) {
+    next = { ...next, enabled: false };
+    showFilterToast(tankNotifier.supported ? 'Notifications are blocked for this page' : 'Notifications are not supported here');
+  }
+  const saved = saveNotificationPrefs(next);
+  tankNotifier.setPrefs(saved);
+  panel?.syncNotificationPrefs(saved, tankNotifier.permission);
+  return saved;
+}
+
+// Carries out the action of a fired alert rule; 'journal' alerts are written by the journal itself.
+function runAlertAction({ action, description, ruleId }) {
+  if (action === 'toast') {
+    showFilterToast(`Alert: ${description}`);
+  } else if (action === 'pause') {
+    if (catchingUp) {
+      alertPauseRequested = true;
+      return;
+    }
+    world.paused = true;
+    panel?.sync({ speedMultiplier: world.speedMultiplier, paused: world.paused });
+    showFilterToast(`Paused: ${description}`);
+  } else if (action === 'notification') {
+    // Notifications only show while the tab is hidden; fall back to a toast otherwise.
+    const sent = tankNotifier.notifyAlert({ ruleId, description });
+    if (!sent && document.visibilityState !== 'hidden') showFilterToast(`Alert: ${description}`);
+  }
+}
+
+function applyAlertRuleChange(changed, failureText = null) {
+  if (!changed && failureText) showFilterToast(failureText);
+  panel?.syncAlertRules(world.alertRules.rules);
+  return changed;
+}
+
+function applyAwayPolicy(policy) {
+  awayPolicy = saveAwayPolicy(policy);
+  panel?.syncAwayPolicy(awayPolicy);
+  syncDriversToVisibility();
+  return awayPolicy;
+}
+
+function formatDuration(totalSec) {
+  const minutes = Math.max(1, Math.round(totalSec / 60));
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest > 0 ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+// Fast-forwards a freshly loaded save by the time the browser was closed, then shows the away report.
+async function catchUpOfflineTime(elapsedSec) {
+  const catchUpWorld = world;
+  catchingUp = true;
+  alertPauseRequested = false;
+  let result;
+  try {
+    clearAwaySnapshot();
+    awaySnapshot = captureAwaySnapshot();
+    startRaf();
+    showFilterToast(`Catching up ${formatDuration(elapsedSec)} away…`);
+
+    result = await runOfflineCatchUp(catchUpWorld, elapsedSec, {
+      // Same guard as a hidden tab: stop once the away policy would have paused the tank.
+      shouldStop: (target) => {
+        awaySnapshot?.sample();
+        return target.isEcosystemCollapsed() || alertPauseRequested || awayPauseReason(target) != null;
+      },
+      onProgress: (progress01) => showFilterToast(`Catching up… ${Math.round(progress01 * 100)}%`),
+      isCancelled: () => world !== catchUpWorld
+    });
+  } finally {
+    // After a restart the flag belongs to the next session, which reset it already.
+    if (world === catchUpWorld) {
+      catchingUp = false;
+      alertPauseRequested = false;
+    }
+  }
+  if (world !== catchUpWorld) return;
 
-  const hasStarvingFish = world.fish.some((fish) => fish.lifeState === 'ALIVE' && fish.hungerState === 'STARVING');
-  if (hasStarvingFish) triggerAutoPauseDueToAway();
+  lastInteractionSimTimeSec = world.simTimeSec;
+  checkEcosystemFailure();
+  if (ecosystemFailed) return;
+
+  startAutosave();
+  const subtitle = result.stoppedEarly
+    ? `Caught up ${formatDuration(result.simulatedSec)} of ${formatDuration(elapsedSec)} away, then paused so you can check on your fish.`
+    : `While the tank was closed (${formatDuration(result.simulatedSec)})`;
+  openAwayReportOverlay({ title: 'Welcome back', subtitle });
+  showFullscreenHintOnce();
 }
 
 function markUserInteraction() {
@@ -637,14 +1208,27 @@ function markUserInteraction() {
   if (!autoPauseOverlayOpen) ensureAwaySnapshotState();
 }
 
-autoPauseResumeButton.addEventListener('click', () => {
-  if (!started || !world || ecosystemFailed || !autoPauseOverlayOpen) return;
+function closeAwayReportOverlay({ resume }) {
   autoPauseOverlay.hidden = true;
   autoPauseOverlayOpen = false;
   clearAwaySnapshot();
-  world.paused = false;
+  world.paused = !resume;
   lastInteractionSimTimeSec = world.simTimeSec;
+  panel?.sync({ speedMultiplier: world.speedMultiplier, paused: world.paused });
   syncDriversToVisibility();
+}
+
+// The tank stays paused so the player can look the fish over before resuming.
+function focusFishFromAwayReport(fishId) {
+  if (!started || !world || ecosystemFailed || !autoPauseOverlayOpen) return;
+  closeAwayReportOverlay({ resume: false });
+  world.selectFish(fishId);
+  panel?.selectTab('fish');
+}
+
+autoPauseResumeButton.addEventListener('click', () => {
+  if (!started || !world || ecosystemFailed || !autoPauseOverlayOpen) return;
+  closeAwayReportOverlay({ resume: true });
 });
 
 const trackedInteractionEvents = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
@@ -653,6 +1237,38 @@ for (const eventName of trackedInteractionEvents) {
 }
 
 
+function setCanvasTool(tool) {
+  canvasTool = tool === 'vacuum' ? 'vacuum' : 'feed';
+  vacuumPointerId = null;
+  canvas.classList.toggle('is-vacuum', canvasTool === 'vacuum');
+  panel?.syncCanvasTool(canvasTool);
+}
+
+function vacuumAtClientPoint(clientX, clientY) {
+  if (!world || !renderer || ecosystemFailed) return;
+  const worldPoint = renderer.toWorldPoint(clientX, clientY);
+  if (!worldPoint) return;
+  world.vacuumAt(worldPoint.x, worldPoint.y);
+}
+
+canvas.addEventListener('pointerdown', (event) => {
+  if (canvasTool !== 'vacuum' || !started) return;
+  vacuumPointerId = event.pointerId;
+  canvas.setPointerCapture?.(event.pointerId);
+  vacuumAtClientPoint(event.clientX, event.clientY);
+});
+
+canvas.addEventListener('pointermove', (event) => {
+  if (canvasTool !== 'vacuum' || event.pointerId !== vacuumPointerId) return;
+  vacuumAtClientPoint(event.clientX, event.clientY);
+});
+
+for (const eventName of ['pointerup', 'pointercancel']) {
+  canvas.addEventListener(eventName, (event) => {
+    if (event.pointerId === vacuumPointerId) vacuumPointerId = null;
+  });
+}
+
 function refreshDevModeUI() {
   if (!panel) return;
   panel.sync({
@@ -741,19 +1357,14 @@ let rafId = null;
 let bgIntervalId = null;
 
 let lastTime = performance.now();
+let simStepper = null;
 
-const VISIBLE_MAX_STEP_SEC = 0.25;
-const HIDDEN_STEP_SEC = 0.25;
 const HIDDEN_TICK_MS = 1000;
 
 function checkEcosystemFailure() {
   if (!world || ecosystemFailed) return;
 
-  const aliveCount = world.fish.reduce((count, fish) => {
-    return count + (fish.lifeState === 'ALIVE' ? 1 : 0);
-  }, 0);
-
-  if (aliveCount === 0) triggerEcosystemFailed();
+  if (world.isEcosystemCollapsed()) triggerEcosystemFailed();
 }
 
 function triggerEcosystemFailed() {
@@ -768,33 +1379,72 @@ function triggerEcosystemFailed() {
   autoPauseOverlay.hidden = true;
   autoPauseOverlayOpen = false;
   clearAwaySnapshot();
-  localStorage.removeItem(SAVE_STORAGE_KEY);
-  ecosystemFailedOverlay.hidden = false;
+  const failedSlotId = activeSlotId;
+  if (failedSlotId) {
+    saveSlots.archiveSlot(failedSlotId, buildSavePayload(world)).then(
+      () => {
+        if (!started) refreshSavedStartPanel();
+      },
+      (error) => showSaveWarning(describeSaveFailure(error))
+    );
+  }
+  activeSlotId = null;
+  openPostMortem(buildPostMortem(world), { slotId: failedSlotId });
 }
 
-function stepVisibleSim(rawDeltaSec) {
-  if (!world || ecosystemFailed) return;
-  const dt = Math.min(VISIBLE_MAX_STEP_SEC, Math.max(0, rawDeltaSec));
-  if (dt <= 0) return;
-  world.update(dt);
-  maybeAutoPauseOnStarvingAway();
-  checkEcosystemFailure();
+const hasLivingFish = (payload) => (payload?.worldState?.fish ?? []).some((fish) => fish?.lifeState === 'ALIVE');
+
+// Forks the newest checkpoint that still had living fish into a new slot; the archive stays untouched.
+async function restartFromCheckpoint(slotId, checkpointKey = null) {
+  const slot = saveSlots.getSlot(slotId);
+  const isUsable = (payload) => validateSavePayload(payload).ok && hasLivingFish(payload);
+  const found = checkpointKey
+    ? { payload: await saveSlots.loadPayload(slotId, checkpointKey) }
+    : await saveSlots.loadLatestUsable(slotId, isUsable);
+  if (!slot || !found?.payload || !isUsable(found.payload)) {
+    showFilterToast('No checkpoint with living fish to restart from');
+    return;
+  }
+
+  const { payload } = validateSavePayload(found.payload);
+  let retrySlotId = null;
+  try {
+    retrySlotId = (await saveSlots.createSlot(`${slot.name} (retry)`)).id;
+    await saveSlots.savePayload(retrySlotId, payload);
+  } catch {
+    if (retrySlotId) await saveSlots.deleteSlot(retrySlotId).catch(() => {});
+    showFilterToast('Not enough storage to restart from a checkpoint');
+    return;
+  }
+
+  ecosystemFailedOverlay.hidden = true;
+  restartToStartScreen();
+  startSimulation({ savedPayload: payload, slotId: retrySlotId, offlineCatchUp: false, startPaused: true });
+  showFilterToast('Restarted from checkpoint · paused so you can tend the tank');
 }
 
-function stepHiddenSim(rawDeltaSec) {
-  if (!world || ecosystemFailed) return;
-  let remaining = Math.max(0, rawDeltaSec);
-  if (remaining <= 0) return;
+async function openArchivedPostMortem(slotId) {
+  clearImportErrors();
+  const slotName = saveSlots.getSlot(slotId)?.name ?? 'tank';
+  const result = validateSavePayload((await saveSlots.loadArchivedPayload(slotId)) ?? 'null');
+  if (!result.ok) {
+    showImportErrors(`Could not open the post-mortem of "${slotName}":`, ['The archived final state is damaged or missing']);
+    return;
+  }
+  // Only the fish archive matters here, so the size is arbitrary.
+  openPostMortem(buildPostMortem(World.fromJSON(result.payload, { width: 800, height: 500 })), { slotId });
+}
 
-  while (remaining > 0) {
-    const dt = Math.min(HIDDEN_STEP_SEC, remaining);
-    world.update(dt);
-    maybeAutoPauseOnStarvingAway();
+// Both drivers (RAF when visible, interval when hidden) feed the same fixed-step
+// accumulator, so outcomes do not depend on frame rate or tab visibility.
+function stepSim(rawDeltaSec) {
+  if (!world || !simStepper || ecosystemFailed || catchingUp) return;
+  simStepper.advance(rawDeltaSec, () => {
+    tankNotifier.sample();
+    maybeAutoPauseWhileAway();
     checkEcosystemFailure();
-    if (ecosystemFailed) return;
-    if (autoPauseOverlayOpen) return;
-    remaining -= dt;
-  }
+    return !ecosystemFailed && !autoPauseOverlayOpen;
+  });
 }
 
 function tick(now) {
@@ -805,15 +1455,16 @@ function tick(now) {
 
   const renderDelta = Math.min(0.05, Math.max(0.000001, rawDelta));
 
-  stepVisibleSim(rawDelta);
+  stepSim(rawDelta);
   if (ecosystemFailed) return;
-  renderer.render(now, renderDelta);
+  renderer.render(now, renderDelta, simStepper);
 
   panel.updateStats({
     simTimeSec: world.simTimeSec,
     fishCount: world.fish.length,
     cleanliness01: world.water.hygiene01,
     cleanlinessTrend: computeCleanlinessTrend(world.simTimeSec, world.water.hygiene01),
+    chemistry: world.water,
     filterUnlocked: world.isFeatureUnlocked?.('waterFilter') ?? world.filterUnlocked,
     foodsConsumedCount: world.foodsConsumedCount,
     filterUnlockThreshold: world.filterUnlockThreshold,
@@ -827,6 +1478,9 @@ function tick(now) {
     maintenanceProgress01: world.water.maintenanceProgress01,
     maintenanceCooldownSec: world.water.maintenanceCooldownSec,
     filterDepletedThreshold01: world.filterDepletedThreshold01,
+    waterChangeProgress01: world.water.waterChangeProgress01,
+    waterChangeFraction01: world.water.waterChangeFraction01,
+    waterChangeCooldownSec: world.water.waterChangeCooldownSec,
     birthsCount: world.birthsCount,
     berryReedUnlockBirths: 4,
     berryReedUnlockCleanlinessPct: 80,
@@ -836,6 +1490,7 @@ function tick(now) {
     azureDartCount: world.getAzureDartCount?.() ?? 0
   });
   panel.updateFishInspector(world.getFishInspectorList?.() ?? world.fish, world.selectedFishId, world.simTimeSec);
+  panel.updateJournal(world.journal.entries);
   updateCorpseActionButton();
 
   const timing = world.debugTiming;
@@ -874,7 +1529,7 @@ function startBackgroundSim() {
     const now = performance.now();
     const rawDelta = (now - last) / 1000;
     last = now;
-    stepHiddenSim(rawDelta);
+    stepSim(rawDelta);
   }, HIDDEN_TICK_MS);
 }
 
@@ -885,7 +1540,7 @@ function stopBackgroundSim() {
 }
 
 function syncDriversToVisibility() {
-  if (!started || ecosystemFailed) return;
+  if (!started || ecosystemFailed || catchingUp) return;
   ensureAwaySnapshotState();
 
   if (autoPauseOverlayOpen) {
@@ -900,8 +1555,8 @@ function syncDriversToVisibility() {
     stopRaf();
     hideCorpseAction();
     stopBackgroundSim();
-    startBackgroundSim();
-    maybeAutoPauseOnStarvingAway();
+    if (awayPolicy.runWhileHidden) startBackgroundSim();
+    maybeAutoPauseWhileAway();
   } else {
     stopBackgroundSim();
     stopRaf();
@@ -910,6 +1565,7 @@ function syncDriversToVisibility() {
 }
 
 document.addEventListener('visibilitychange', syncDriversToVisibility);
+// Async backends may not finish before the page closes; the hidden-tab save usually already ran.
 window.addEventListener('beforeunload', () => {
   saveWorldSnapshot();
 });
@@ -943,14 +1599,20 @@ document.addEventListener('keydown', (event) => {
 
 onDevModeChanged(() => {
   if (world) world.setSpeedMultiplier(world.speedMultiplier);
+  if (!isDevMode()) setFlowOverlay(false);
   refreshDevModeUI();
 });
 
+function setFlowOverlay(enabled) {
+  renderer?.setFlowOverlay(enabled);
+  panel?.syncFlowOverlay(Boolean(renderer?.flowOverlay));
+}
+
 
 function restartToStartScreen() {
   if (!started) return;
 
-  saveWorldSnapshot();
+  const saved = saveWorldSnapshot();
   stopRaf();
   stopBackgroundSim();
   stopAutosave();
@@ -959,11 +1621,16 @@ function restartToStartScreen() {
   autoPauseOverlay.hidden = true;
   autoPauseOverlayOpen = false;
   clearAwaySnapshot();
+  tankNotifier.detach();
+  unsubscribeAlertRules?.();
+  unsubscribeAlertRules = null;
 
   started = false;
   ecosystemFailed = false;
-  pendingSavePayload = null;
+  catchingUp = false;
+  activeSlotId = null;
   world = null;
+  simStepper = null;
   renderer = null;
   lastInteractionSimTimeSec = 0;
   lastTrendSampleSimTimeSec = null;
@@ -974,13 +1641,19 @@ function restartToStartScreen() {
     canvas.removeEventListener('click', canvasClickHandler);
     canvasClickHandler = null;
   }
+  setCanvasTool('feed');
 
   appRoot.hidden = true;
   startScreen.hidden = false;
+  hideSaveWarning();
+  clearImportErrors();
   refreshSavedStartPanel();
+  saved.then(() => {
+    if (!started) refreshSavedStartPanel();
+  });
 }
 
-function startSimulation({ savedPayload = null } = {}) {
+function startSimulation({ savedPayload = null, slotId = null, offlineCatchUp = true, startPaused = false } = {}) {
   if (started) return;
 
   const selectedFishCount = Number.parseInt(startFishSlider?.value ?? String(DEFAULT_INITIAL_FISH_COUNT), 10);
@@ -988,13 +1661,16 @@ function startSimulation({ savedPayload = null } = {}) {
 
   appRoot.hidden = false;
   startScreen.hidden = true;
-  pendingSavePayload = null;
   ecosystemFailed = false;
   ecosystemFailedOverlay.hidden = true;
   autoPauseOverlay.hidden = true;
   autoPauseOverlayOpen = false;
   clearAwaySnapshot();
 
+  activeSlotId = slotId;
+  const tankName = startTankNameInput?.value ?? '';
+  if (startTankNameInput) startTankNameInput.value = '';
+
   const initialSize = measureCanvasSize();
   if (savedPayload?.saveVersion === SAVE_VERSION) {
     world = World.fromJSON(savedPayload, {
@@ -1005,6 +1681,17 @@ function startSimulation({ savedPayload = null } = {}) {
   } else {
     world = new World(initialSize.width, initialSize.height, initialFishCount);
   }
+  if (startPaused) world.paused = true;
+  // A broken journal or notifier subscriber is logged instead of stopping the sim step.
+  world.onEventHandlerError = (error, event) => console.error(`[world event] ${event.type} handler failed`, error);
+  tankNotifier.attach(world);
+  unsubscribeAlertRules?.();
+  unsubscribeAlertRules = world.on(WORLD_EVENT_TYPES.ALERT_TRIGGERED, (event) => runAlertAction(event.payload));
+  const sessionWorld = world;
+  activateSlot(slotId, tankName).then((id) => {
+    if (world === sessionWorld) activeSlotId = id;
+  });
+  simStepper = new FixedStepper(world);
   renderer = new Renderer(canvas, world);
   lastInteractionSimTimeSec = world.simTimeSec;
   lastTrendSampleSimTimeSec = null;
@@ -1019,10 +1706,20 @@ function startSimulation({ savedPayload = null } = {}) {
     onFishRename: (fishId, name) => world.renameFish(fishId, name),
     onFishDiscard: (fishId) => world.discardFish(fishId),
     onGetFishById: (fishId) => world.getFishById?.(fishId),
+    onGetPrunedFishStub: (fishId) => world.getPrunedFishStub?.(fishId),
     onFilterInstall: () => world.installWaterFilter?.(),
     onFilterMaintain: () => world.maintainWaterFilter?.(),
     onFilterTogglePower: () => world.toggleWaterFilterEnabled?.(),
     onFilterUpgrade: () => world.upgradeWaterFilter?.(),
+    onCanvasToolToggle: () => setCanvasTool(canvasTool === 'vacuum' ? 'feed' : 'vacuum'),
+    onWaterChange: (fraction01) => {
+      if (world.startWaterChange?.(fraction01)) {
+        showFilterToast(`Changing ${Math.round(fraction01 * 100)}% of the water`);
+        return true;
+      }
+      showFilterToast('A water change is already running or cooling down');
+      return false;
+    },
     onAddBerryReed: () => {
       const result = world.addBerryReedPlant?.() ?? { ok: false, reason: 'WORLD_NOT_READY' };
       if (result.ok) {
@@ -1048,6 +1745,13 @@ function startSimulation({ savedPayload = null } = {}) {
     },
     onAddAzureDart: () => world.addAzureDartSchool?.(),
     onGrantUnlockPrereqs: () => world.grantAllUnlockPrerequisites?.(),
+    onFlowOverlayToggle: () => setFlowOverlay(!renderer?.flowOverlay),
+    onExportTank: () => exportTank(),
+    onAwayPolicyChange: (policy) => applyAwayPolicy(policy),
+    onNotificationPrefsChange: (prefs) => applyNotificationPrefs(prefs),
+    onAlertRuleAdd: (rule) => applyAlertRuleChange(world.alertRules.add(rule), 'Could not add that rule'),
+    onAlertRuleRemove: (ruleId) => applyAlertRuleChange(world.alertRules.remove(ruleId)),
+    onAlertRuleToggle: (ruleId, enabled) => applyAlertRuleChange(world.alertRules.setEnabled(ruleId, enabled)),
     onRestartConfirm: () => restartToStartScreen()
   };
   if (!panel) {
@@ -1055,6 +1759,7 @@ function startSimulation({ savedPayload = null } = {}) {
   } else {
     panel.handlers = panelHandlers;
   }
+  panel.syncFlowOverlay(renderer.flowOverlay);
 
   if (canvasClickHandler) {
     canvas.removeEventListener('click', canvasClickHandler);
@@ -1062,6 +1767,8 @@ function startSimulation({ savedPayload = null } = {}) {
 
   canvasClickHandler = (event) => {
     if (!world || !renderer) return;
+    // The vacuum works on pointerdown and drag instead.
+    if (canvasTool === 'vacuum') return;
 
     if (renderer.isFilterModuleHit?.(event.clientX, event.clientY) && world.water.filterInstalled) {
       const enabled = world.toggleWaterFilterEnabled?.();
@@ -1088,6 +1795,10 @@ function startSimulation({ savedPayload = null } = {}) {
     speedMultiplier: world.speedMultiplier,
     paused: world.paused
   });
+  panel.syncAwayPolicy(awayPolicy);
+  panel.syncNotificationPrefs(tankNotifier.prefs, tankNotifier.permission);
+  panel.syncAlertRules(world.alertRules.rules);
+  panel.syncCanvasTool(canvasTool);
 
   resize();
   requestAnimationFrame(resize);
@@ -1096,16 +1807,34 @@ function startSimulation({ savedPayload = null } = {}) {
   checkEcosystemFailure();
   if (ecosystemFailed) return;
 
+  // A tank the player left paused stays as it was.
+  const catchUpSec = offlineCatchUp && !world.paused && savedPayload?.saveVersion === SAVE_VERSION && isOfflineCatchUpPreferred()
+    ? offlineCatchUpSec(savedPayload.savedAtEpochMs)
+    : 0;
+  if (catchUpSec > 0) {
+    catchUpOfflineTime(catchUpSec).catch((error) => {
+      if (world !== sessionWorld) return;
+      console.error('[offline catch-up]', error);
+      showFilterToast('Could not catch up the time away · carrying on from here');
+      startAutosave();
+      syncDriversToVisibility();
+      showFullscreenHintOnce();
+    });
+    return;
+  }
+
   startAutosave();
   syncDriversToVisibility();
   showFullscreenHintOnce();
 }
 
 continueSimButton?.addEventListener('click', () => {
-  if (!pendingSavePayload) refreshSavedStartPanel();
-  if (!pendingSavePayload) return;
-
-  startSimulation({ savedPayload: pendingSavePayload });
+  const slotId = continueSlotId();
+  if (!slotId) {
+    refreshSavedStartPanel();
+    return;
+  }
+  continueFromSlot(slotId);
 });
 
 infoModalButtons.forEach((button) => {
@@ -1129,8 +1858,26 @@ startSimButton?.addEventListener('click', () => {
   startSimulation();
 });
 
+importTankButton?.addEventListener('click', () => importTankInput?.click());
+importTankInput?.addEventListener('change', () => {
+  const file = importTankInput.files?.[0];
+  importTankInput.value = '';
+  if (file) importTankFile(file);
+});
+
 ecosystemFailedRestartButton.addEventListener('click', () => {
+  ecosystemFailedOverlay.hidden = true;
   restartToStartScreen();
 });
 
+ecosystemFailedRetryButton.addEventListener('click', () => {
+  if (postMortemSlotId) restartFromCheckpoint(postMortemSlotId);
+});
+
+saveWarningExport.addEventListener('click', () => exportTank());
+saveWarningDismiss.addEventListener('click', hideSaveWarning);
+
 refreshSavedStartPanel();
+saveSlotsReady.then(() => {
+  if (!started) refreshSavedStartPanel();
+});
@@ -0,0 +1,204 @@
+/**
+ * Desktop notifications.
+ * Responsibility: opt-in browser notifications (Notifications API) for critical tank events while the
+ * tab is hidden, rate-limited so a bad hour does not bury the player. Preferences are stored per browser.
+ *
+ * Deaths, hatchings and a depleted filter come from world events; starvation and low hygiene are
+ * states, so `sample()` (called once per sim step) notifies when they begin.
+ */
+
+import { WORLD_EVENT_TYPES } from './engine/events.js';
+
+const NOTIFICATION_PREFS_STORAGE_KEY = 'aquatab_notifications';
+
+export const NOTIFICATION_KINDS = Object.freeze(['starving', 'lowHygiene', 'filterDepleted', 'eggsHatched', 'death']);
+
+// At most one notification per MIN_INTERVAL, and one of each kind per KIND_INTERVAL (wall clock).
+export const NOTIFICATION_MIN_INTERVAL_MS = 30_000;
+export const NOTIFICATION_KIND_INTERVAL_MS = 5 * 60_000;
+
+export const DEFAULT_NOTIFICATION_PREFS = Object.freeze({
+  enabled: false,
+  kinds: Object.freeze(['starving', 'lowHygiene', 'filterDepleted', 'death']),
+  hygieneBelowPct: 50
+});
+
+export function normalizeNotificationPrefs(raw) {
+  const hygieneBelowPct = Number(raw?.hygieneBelowPct);
+  return {
+    enabled: raw?.enabled === true,
+    kinds: Array.isArray(raw?.kinds)
+      ? NOTIFICATION_KINDS.filter((kind) => raw.kinds.includes(kind))
+      : [...DEFAULT_NOTIFICATION_PREFS.kinds],
+    hygieneBelowPct: Number.isFinite(hygieneBelowPct)
+      ? Math.max(1, Math.min(99, Math.round(hygieneBelowPct)))
+      : DEFAULT_NOTIFICATION_PREFS.hygieneBelowPct
+  };
+}
+
+function readStorage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+export function loadNotificationPrefs(storage = readStorage()) {
+  try {
+    const raw = storage?.getItem(NOTIFICATION_PREFS_STORAGE_KEY);
+    return normalizeNotificationPrefs(raw ? JSON.parse(raw) : null);
+  } catch {
+    return normalizeNotificationPrefs(null);
+  }
+}
+
+export function saveNotificationPrefs(prefs, storage = readStorage()) {
+  const normalized = normalizeNotificationPrefs(prefs);
+  try {
+    storage?.setItem(NOTIFICATION_PREFS_STORAGE_KEY, JSON.stringify(normalized));
+  } catch {
+    // Preference is best-effort only.
+  }
+  return normalized;
+}
+
+const fishLabel = (fish, fishId) => String(fish?.name ?? '').trim() || `Fish #${fishId}`;
+
+export class TankNotifier {
+  constructor({
+    NotificationImpl = globalThis.Notification,
+    prefs = DEFAULT_NOTIFICATION_PREFS,
+    isHidden = () => globalThis.document?.visibilityState === 'hidden',
+    now = () => Date.now(),
+    onClick = null,
+    onUnavailable = null,
+    minIntervalMs = NOTIFICATION_MIN_INTERVAL_MS,
+    kindIntervalMs = NOTIFICATION_KIND_INTERVAL_MS
+  } = {}) {
+    this.NotificationImpl = NotificationImpl ?? null;
+    this.prefs = normalizeNotificationPrefs(prefs);
+    this.isHidden = isHidden;
+    this.now = now;
+    this.onClick = onClick;
+    this.onUnavailable = onUnavailable;
+    // Set once the constructor throws (Chrome on Android only shows notifications from a service worker).
+    this.constructorFailed = false;
+    this.minIntervalMs = minIntervalMs;
+    this.kindIntervalMs = kindIntervalMs;
+    this.lastSentAtMs = -Infinity;
+    this.lastSentAtMsByKind = new Map();
+    this.world = null;
+    this.unsubscribers = [];
+    this.starvingIds = new Set();
+    this.hygieneLow = false;
+  }
+
+  get supported() {
+    return typeof this.NotificationImpl === 'function' && !this.constructorFailed;
+  }
+
+  get permission() {
+    return this.supported ? this.NotificationImpl.permission : 'unsupported';
+  }
+
+  /** Asks for permission if needed; resolves true when notifications may be shown. */
+  async requestPermission() {
+    if (!this.supported) return false;
+    if (this.NotificationImpl.permission === 'default') {
+      await this.NotificationImpl.requestPermission();
+    }
+    return this.NotificationImpl.permission === 'granted';
+  }
+
+  setPrefs(prefs) {
+    this.prefs = normalizeNotificationPrefs(prefs);
+  }
+
+  attach(world) {
+    this.detach();
+    this.world = world;
+    this.starvingIds = new Set(world.fish.filter((fish) => fish.hungerState === 'STARVING').map((fish) => fish.id));
+    this.hygieneLow = world.water.hygiene01 * 100 < this.prefs.hygieneBelowPct;
+    this.unsubscribers = [
+      world.on(WORLD_EVENT_TYPES.FISH_DIED, (event) => {
+        const fish = world.getFishById(event.payload.fishId);
+        const cause = event.payload.reason === 'STARVATION' ? 'starved' : event.payload.reason === 'OLD_AGE' ? 'died of old age' : 'died';
+        this.#notify('death', `${fishLabel(fish, event.payload.fishId)} ${cause}`, 'Open the tank to see what happened.', event.payload.fishId);
+      }),
+      world.on(WORLD_EVENT_TYPES.EGG_HATCHED, (event) => {
+        const fish = world.getFishById(event.payload.fishId);
+        this.#notify('eggsHatched', 'An egg hatched', `Say hello to ${fishLabel(fish, event.payload.fishId)}.`, event.payload.fishId);
+      }),
+      world.on(WORLD_EVENT_TYPES.FILTER_DEPLETED, () => {
+        this.#notify('filterDepleted', 'Filter depleted', 'The water filter needs maintenance.');
+      })
+    ];
+  }
+
+  detach() {
+    for (const unsubscribe of this.unsubscribers) unsubscribe();
+    this.unsubscribers = [];
+    this.world = null;
+  }
+
+  /** Checks the state-based kinds; call once per sim step. */
+  sample() {
+    const world = this.world;
+    if (!world) return;
+
+    const starving = world.fish.filter((fish) => fish.lifeState === 'ALIVE' && fish.hungerState === 'STARVING');
+    const newlyStarving = starving.find((fish) => !this.starvingIds.has(fish.id));
+    this.starvingIds = new Set(starving.map((fish) => fish.id));
+    if (newlyStarving) {
+      this.#notify('starving', `${fishLabel(newlyStarving, newlyStarving.id)} is starving`, 'Drop some food in the tank.', newlyStarving.id);
+    }
+
+    const hygieneLow = world.water.hygiene01 * 100 < this.prefs.hygieneBelowPct;
+    if (hygieneLow && !this.hygieneLow) {
+      this.#notify('lowHygiene', 'Water is getting dirty', `Hygiene dropped below ${this.prefs.hygieneBelowPct}%.`);
+    }
+    this.hygieneLow = hygieneLow;
+  }
+
+  /**
+   * Sends the notification for a fired alert rule (an `alert:triggered` payload). The rule itself is
+   * the opt-in, so the kind checkboxes do not apply; each rule is rate-limited on its own.
+   */
+  notifyAlert({ ruleId, description }) {
+    return this.#send(`alert-${ruleId}`, 'Tank alert', description);
+  }
+
+  #notify(kind, title, body, fishId = null) {
+    if (!this.prefs.kinds.includes(kind)) return null;
+    return this.#send(kind, title, body, fishId);
+  }
+
+  #send(kind, title, body, fishId = null) {
+    if (!this.prefs.enabled) return null;
+    if (this.permission !== 'granted' || !this.isHidden()) return null;
+
+    const nowMs = this.now();
+    if (nowMs - this.lastSentAtMs < this.minIntervalMs) return null;
+    if (nowMs - (this.lastSentAtMsByKind.get(kind) ?? -Infinity) < this.kindIntervalMs) return null;
+    this.lastSentAtMs = nowMs;
+    this.lastSentAtMsByKind.set(kind, nowMs);
+
+    let notification;
+    try {
+      notification = new this.NotificationImpl(title, { body, tag: `aquatab-${kind}`, icon: 'icon-512.png' });
+    } catch (error) {
+      // This runs inside the sim step, so a throw here must not escape; treat the API as unsupported.
+      this.constructorFailed = true;
+      this.prefs = { ...this.prefs, enabled: false };
+      this.onUnavailable?.(error);
+      return null;
+    }
+    notification.onclick = () => {
+      globalThis.focus?.();
+      notification.close?.();
+      this.onClick?.({ kind, fishId });
+    };
+    return notification;
+  }
+}
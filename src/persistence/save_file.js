@@ -0,0 +1,140 @@
+/**
+ * Save payload files.
+ * Responsibility: build the exported `{ saveVersion, savedAtEpochMs, worldState }` payload and
+ * validate imported ones, collecting readable problems instead of failing silently.
+ */
+
+import { WORLD_SAVE_VERSION, migrateWorldState } from '../engine/save_migrations.js';
+
+// The envelope version tracks the world schema it wraps.
+export const SAVE_VERSION = WORLD_SAVE_VERSION;
+const MAX_REPORTED_PROBLEMS = 8;
+const FISH_LIFE_STATES = ['ALIVE', 'DEAD'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+export function buildSavePayload(world, savedAtEpochMs = Date.now()) {
+  return {
+    saveVersion: SAVE_VERSION,
+    savedAtEpochMs,
+    worldState: world.toJSON()
+  };
+}
+
+// `my tank` -> `aquatab-my-tank-2026-10-19.json`
+export function exportFileName(tankName, date = new Date()) {
+  const slug = String(tankName ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'tank';
+  return `aquatab-${slug}-${date.toISOString().slice(0, 10)}.json`;
+}
+
+function checkNumber(problems, value, label, { min = -Infinity, max = Infinity, required = true } = {}) {
+  if (value == null) {
+    if (required) problems.push(`Missing ${label}`);
+    return;
+  }
+  if (!Number.isFinite(value)) {
+    problems.push(`${label} must be a number`);
+    return;
+  }
+  if (value < min || value > max) {
+    const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+    problems.push(`${label} is ${value}, expected ${range}`);
+  }
+}
+
+function checkFish(problems, fishList, label, seenIds) {
+  if (!Array.isArray(fishList)) {
+    problems.push(`${label} must be a list`);
+    return;
+  }
+  fishList.forEach((fish, index) => {
+    const at = `${label}[${index}]`;
+    if (!isPlainObject(fish)) {
+      problems.push(`${at} is not a fish`);
+      return;
+    }
+    checkNumber(problems, fish.id, `${at}.id`, { min: 0 });
+    if (Number.isFinite(fish.id)) {
+      if (seenIds?.has(fish.id)) problems.push(`${at}.id ${fish.id} is used twice`);
+      seenIds?.add(fish.id);
+    }
+    if (fish.lifeState != null && !FISH_LIFE_STATES.includes(fish.lifeState)) {
+      problems.push(`${at}.lifeState "${fish.lifeState}" is not one of ${FISH_LIFE_STATES.join(', ')}`);
+    }
+    for (const key of ['energy01', 'hunger01', 'wellbeing01', 'waterPenalty01', 'waterShock01']) {
+      checkNumber(problems, fish[key], `${at}.${key}`, { min: 0, max: 1, required: false });
+    }
+    if (fish.position != null) {
+      if (!Number.isFinite(fish.position?.x) || !Number.isFinite(fish.position?.y)) problems.push(`${at}.position must have numeric x and y`);
+    }
+  });
+}
+
+/**
+ * Validates parsed JSON (or raw text) as a save payload, migrating older versions first.
+ * Returns `{ ok: true, payload, migrated }` or `{ ok: false, problems: [...] }` with user-facing messages.
+ */
+export function validateSavePayload(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      return { ok: false, problems: ['The file is not valid JSON'] };
+    }
+  }
+  if (!isPlainObject(data)) return { ok: false, problems: ['The file does not contain a saved tank'] };
+
+  const problems = [];
+  if (data.saveVersion == null) problems.push('Missing saveVersion');
+  else if (!Number.isInteger(data.saveVersion) || data.saveVersion < 1 || data.saveVersion > SAVE_VERSION) {
+    problems.push(`Save version ${data.saveVersion} is not supported (expected ${SAVE_VERSION} or older)`);
+  }
+  checkNumber(problems, data.savedAtEpochMs, 'savedAtEpochMs', { min: 0 });
+
+  if (!isPlainObject(data.worldState)) {
+    problems.push('Missing worldState');
+    return { ok: false, problems };
+  }
+
+  const migration = migrateWorldState(data.worldState);
+  if (!migration.ok) {
+    problems.push(migration.reason);
+    return { ok: false, problems };
+  }
+  const state = migration.state;
+  checkNumber(problems, state.simTimeSec, 'worldState.simTimeSec', { min: 0 });
+  checkNumber(problems, state.speedMultiplier, 'worldState.speedMultiplier', { min: 0, required: false });
+  checkNumber(problems, state.birthsCount, 'worldState.birthsCount', { min: 0, required: false });
+  checkNumber(problems, state.foodsConsumedCount, 'worldState.foodsConsumedCount', { min: 0, required: false });
+
+  if (!isPlainObject(state.water)) {
+    problems.push('Missing worldState.water');
+  } else {
+    for (const key of ['hygiene01', 'dirt01', 'filter01', 'waterChangeProgress01', 'waterChangeFraction01']) {
+      checkNumber(problems, state.water[key], `worldState.water.${key}`, { min: 0, max: 1, required: key === 'hygiene01' });
+    }
+    for (const key of ['ammoniaPpm', 'nitritePpm', 'nitratePpm']) {
+      checkNumber(problems, state.water[key], `worldState.water.${key}`, { min: 0, required: false });
+    }
+    checkNumber(problems, state.water.bacteria01, 'worldState.water.bacteria01', { min: 0, max: 1, required: false });
+  }
+
+  checkFish(problems, state.fish, 'worldState.fish', new Set());
+  if (state.fishArchive != null) checkFish(problems, state.fishArchive, 'worldState.fishArchive', null);
+  checkNumber(problems, state.prunedFishArchive?.fishCount, 'worldState.prunedFishArchive.fishCount', { min: 0, required: false });
+  for (const key of ['prunedFishStubs', 'eggs', 'food', 'poop', 'berryReedPlants', 'fruits']) {
+    if (state[key] != null && !Array.isArray(state[key])) problems.push(`worldState.${key} must be a list`);
+  }
+
+  if (problems.length === 0) {
+    const migrated = migration.applied.length > 0 || data.saveVersion !== SAVE_VERSION;
+    const payload = migrated ? { ...data, saveVersion: SAVE_VERSION, worldState: state } : data;
+    return { ok: true, payload, migrated };
+  }
+  if (problems.length > MAX_REPORTED_PROBLEMS) {
+    const hidden = problems.length - MAX_REPORTED_PROBLEMS;
+    return { ok: false, problems: [...problems.slice(0, MAX_REPORTED_PROBLEMS), `…and ${hidden} more`] };
+  }
+  return { ok: false, problems };
+}
@@ -0,0 +1,350 @@
+/**
+ * Named save slots.
+ * Responsibility: keep several tanks side by side in a storage adapter, each as a short ring of
+ * checksummed checkpoints, and track which slot autosave writes to.
+ *
+ * Autosave runs every few seconds, so the ring is thinned by time: the newest checkpoint always
+ * stays, and older ones keep only the newest save of each `checkpointSpacingMs` window. With the
+ * defaults the ring reaches back about half an hour.
+ *
+ * Layout: `aquatab_slots_v1` holds `{ activeSlotId, nextSlotNumber, slots: [...] }` with per-slot
+ * metadata for the start screen and `checkpoints` (newest first, `{ key, checksum, savedAtEpochMs,
+ * meta }`); each checkpoint payload lives under `aquatab_save_v1:<slotId>:<seq>`. Slots written
+ * before checkpoints existed keep their single payload under `aquatab_save_v1:<slotId>`.
+ * A failed tank is archived: its final state goes to `aquatab_save_v1:<slotId>:final`, the slot gets
+ * `archived: { failedAtEpochMs, key, checksum, meta }` and stops accepting saves.
+ * The index is mirrored in memory so listing stays synchronous; every write is async.
+ */
+
+import { fnv1a32 } from '../engine/rng.js';
+
+export const LEGACY_SAVE_KEY = 'aquatab_save_v1';
+export const SLOT_INDEX_KEY = 'aquatab_slots_v1';
+export const CHECKPOINTS_PER_SLOT = 6;
+export const CHECKPOINT_SPACING_MS = 5 * 60_000;
+const SLOT_PAYLOAD_KEY_PREFIX = `${LEGACY_SAVE_KEY}:`;
+const MAX_SLOT_NAME_LENGTH = 40;
+
+const slotPayloadKey = (slotId) => `${SLOT_PAYLOAD_KEY_PREFIX}${slotId}`;
+const checkpointKey = (slotId, seq) => `${slotPayloadKey(slotId)}:${seq}`;
+const archiveKey = (slotId) => `${slotPayloadKey(slotId)}:final`;
+
+// FNV-1a over the serialized payload: cheap, and enough to catch truncated or altered writes.
+export function checksumPayload(payload) {
+  return fnv1a32(JSON.stringify(payload) ?? '').toString(16).padStart(8, '0');
+}
+
+// Splits a newest-first ring into what stays (one checkpoint per time window, at most `maxCount`) and what goes.
+function thinCheckpoints(checkpoints, spacingMs, maxCount) {
+  const kept = [];
+  const evicted = [];
+  let lastWindow = null;
+  for (const checkpoint of checkpoints) {
+    const window = spacingMs > 0 && Number.isFinite(checkpoint.savedAtEpochMs)
+      ? Math.floor(checkpoint.savedAtEpochMs / spacingMs)
+      : null;
+    if (kept.length >= maxCount || (window != null && window === lastWindow)) {
+      evicted.push(checkpoint);
+      continue;
+    }
+    kept.push(checkpoint);
+    lastWindow = window;
+  }
+  return { kept, evicted };
+}
+
+function cleanSlotName(name, fallback) {
+  const trimmed = String(name ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_SLOT_NAME_LENGTH);
+  return trimmed || fallback;
+}
+
+// Start-screen summary of a save payload; read once at save time so listing never parses payloads.
+export function summarizeSavePayload(payload) {
+  const state = payload?.worldState ?? {};
+  const fish = Array.isArray(state.fish) ? state.fish : [];
+  return {
+    simTimeSec: Number.isFinite(state.simTimeSec) ? state.simTimeSec : 0,
+    fishCount: fish.filter((entry) => entry?.lifeState !== 'DEAD').length,
+    hygiene01: Number.isFinite(state.water?.hygiene01) ? state.water.hygiene01 : null
+  };
+}
+
+function normalizeSlot(slot) {
+  if (Array.isArray(slot.checkpoints)) {
+    slot.checkpoints = slot.checkpoints.filter((checkpoint) => typeof checkpoint?.key === 'string');
+  } else {
+    // Pre-checkpoint slot: its single payload becomes an unverified checkpoint.
+    slot.checkpoints = slot.savedAtEpochMs != null
+      ? [{ key: slotPayloadKey(slot.id), checksum: null, savedAtEpochMs: slot.savedAtEpochMs, meta: slot.meta ?? null }]
+      : [];
+  }
+  slot.nextCheckpointSeq = Math.max(1, Math.floor(slot.nextCheckpointSeq ?? 1));
+  if (typeof slot.archived?.key !== 'string') slot.archived = null;
+  return slot;
+}
+
+function normalizeIndex(index) {
+  const slots = Array.isArray(index?.slots) ? index.slots.filter((slot) => typeof slot?.id === 'string').map(normalizeSlot) : [];
+  return {
+    activeSlotId: slots.some((slot) => slot.id === index?.activeSlotId) ? index.activeSlotId : null,
+    nextSlotNumber: Math.max(slots.length + 1, Math.floor(index?.nextSlotNumber ?? 1)),
+    slots
+  };
+}
+
+export class SaveSlotStore {
+  constructor(adapter, { checkpointsPerSlot = CHECKPOINTS_PER_SLOT, checkpointSpacingMs = CHECKPOINT_SPACING_MS } = {}) {
+    this.adapter = adapter;
+    this.checkpointsPerSlot = Math.max(1, Math.floor(checkpointsPerSlot));
+    this.checkpointSpacingMs = Math.max(0, Number.isFinite(checkpointSpacingMs) ? checkpointSpacingMs : CHECKPOINT_SPACING_MS);
+    this.index = { activeSlotId: null, nextSlotNumber: 1, slots: [] };
+  }
+
+  /**
+   * Reads the slot index. When `fallback` (the previous backend) holds slots and `adapter` does not,
+   * they are moved over first so switching backends never hides a player's tanks.
+   */
+  static async open(adapter, { fallback = null, checkpointsPerSlot, checkpointSpacingMs } = {}) {
+    const store = new SaveSlotStore(adapter, { checkpointsPerSlot, checkpointSpacingMs });
+    let raw = await adapter.load(SLOT_INDEX_KEY);
+    if (!raw && fallback && await store.#moveFrom(fallback)) raw = await adapter.load(SLOT_INDEX_KEY);
+    store.index = normalizeIndex(raw);
+    if (!raw) await store.#adoptLegacySave();
+    return store;
+  }
+
+  async #moveFrom(source) {
+    const keys = await source.list(LEGACY_SAVE_KEY);
+    const indexEntry = await source.load(SLOT_INDEX_KEY);
+    if (keys.length === 0 && !indexEntry) return false;
+
+    try {
+      for (const key of keys) {
+        const value = await source.load(key);
+        if (value != null) await this.adapter.save(key, value);
+      }
+      if (indexEntry) await this.adapter.save(SLOT_INDEX_KEY, indexEntry);
+    } catch {
+      return false;
+    }
+    // Only clear the old backend once everything landed; it frees quota there.
+    for (const key of [...keys, SLOT_INDEX_KEY]) {
+      await source.delete(key).catch(() => false);
+    }
+    return true;
+  }
+
+  // Single-save installs become "Tank 1" the first time slots are read.
+  async #adoptLegacySave() {
+    const payload = await this.adapter.load(LEGACY_SAVE_KEY);
+    if (!payload) return;
+
+    const slot = this.#makeSlot('Tank 1');
+    this.index.slots.push(slot);
+    this.index.activeSlotId = slot.id;
+    try {
+      await this.#writeCheckpoint(slot, payload);
+      await this.#writeIndex();
+      await this.adapter.delete(LEGACY_SAVE_KEY);
+    } catch {
+      // Keep the legacy key; adoption is retried next time.
+      this.index = normalizeIndex(null);
+    }
+  }
+
+  #makeSlot(name) {
+    const number = this.index.nextSlotNumber;
+    this.index.nextSlotNumber += 1;
+    return {
+      id: `slot-${Date.now().toString(36)}-${number}`,
+      name: cleanSlotName(name, `Tank ${number}`),
+      createdAtEpochMs: Date.now(),
+      savedAtEpochMs: null,
+      meta: null,
+      checkpoints: [],
+      nextCheckpointSeq: 1,
+      archived: null
+    };
+  }
+
+  // Writes the payload under a fresh key and puts it at the head of the ring; returns evicted entries.
+  async #writeCheckpoint(slot, payload) {
+    const key = checkpointKey(slot.id, slot.nextCheckpointSeq);
+    await this.adapter.save(key, payload);
+    slot.nextCheckpointSeq += 1;
+    const savedAtEpochMs = Number.isFinite(payload?.savedAtEpochMs) ? payload.savedAtEpochMs : Date.now();
+    const meta = summarizeSavePayload(payload);
+    slot.checkpoints.unshift({ key, checksum: checksumPayload(payload), savedAtEpochMs, meta });
+    slot.savedAtEpochMs = savedAtEpochMs;
+    slot.meta = meta;
+    const { kept, evicted } = thinCheckpoints(slot.checkpoints, this.checkpointSpacingMs, this.checkpointsPerSlot);
+    slot.checkpoints = kept;
+    return evicted;
+  }
+
+  // Evicted payloads are removed only after the index stops referencing them.
+  async #deleteCheckpoints(checkpoints) {
+    for (const checkpoint of checkpoints) {
+      await this.adapter.delete(checkpoint.key).catch(() => false);
+    }
+  }
+
+  #writeIndex() {
+    return this.adapter.save(SLOT_INDEX_KEY, this.index);
+  }
+
+  #findSlot(slotId) {
+    return this.index.slots.find((slot) => slot.id === slotId) ?? null;
+  }
+
+  // Most recently saved first; never-saved slots go last.
+  list() {
+    return [...this.index.slots].sort((a, b) => (b.savedAtEpochMs ?? 0) - (a.savedAtEpochMs ?? 0));
+  }
+
+  get activeSlotId() {
+    return this.index.activeSlotId;
+  }
+
+  getSlot(slotId) {
+    return this.#findSlot(slotId);
+  }
+
+  async setActive(slotId) {
+    if (slotId != null && (!this.#findSlot(slotId) || this.#findSlot(slotId).archived)) return false;
+    this.index.activeSlotId = slotId;
+    await this.#writeIndex();
+    return true;
+  }
+
+  async createSlot(name = '') {
+    const slot = this.#makeSlot(name);
+    this.index.slots.push(slot);
+    await this.#writeIndex();
+    return slot;
+  }
+
+  async renameSlot(slotId, name) {
+    const slot = this.#findSlot(slotId);
+    if (!slot) return null;
+    slot.name = cleanSlotName(name, slot.name);
+    await this.#writeIndex();
+    return slot;
+  }
+
+  async duplicateSlot(slotId) {
+    const source = this.#findSlot(slotId);
+    if (!source) return null;
+
+    const copy = this.#makeSlot(`${source.name} (copy)`);
+    // Oldest first so the copy's ring keeps the same order.
+    for (const checkpoint of [...source.checkpoints].reverse()) {
+      const payload = await this.adapter.load(checkpoint.key);
+      if (!payload) continue;
+      const key = checkpointKey(copy.id, copy.nextCheckpointSeq);
+      await this.adapter.save(key, payload);
+      copy.nextCheckpointSeq += 1;
+      copy.checkpoints.unshift({ ...checkpoint, key, meta: checkpoint.meta ? { ...checkpoint.meta } : null });
+    }
+    copy.savedAtEpochMs = copy.checkpoints[0]?.savedAtEpochMs ?? null;
+    copy.meta = copy.checkpoints[0]?.meta ?? null;
+    this.index.slots.push(copy);
+    await this.#writeIndex();
+    return copy;
+  }
+
+  async deleteSlot(slotId) {
+    const at = this.index.slots.findIndex((slot) => slot.id === slotId);
+    if (at < 0) return false;
+    const [slot] = this.index.slots.splice(at, 1);
+    if (this.index.activeSlotId === slotId) this.index.activeSlotId = null;
+    await this.#writeIndex();
+    await this.#deleteCheckpoints(slot.archived ? [...slot.checkpoints, slot.archived] : slot.checkpoints);
+    return true;
+  }
+
+  /**
+   * Freezes a slot after its ecosystem failed: `finalPayload` is kept apart from the checkpoint ring
+   * (so the ring still holds the last living states) and the slot becomes read-only.
+   */
+  async archiveSlot(slotId, finalPayload) {
+    const slot = this.#findSlot(slotId);
+    if (!slot || slot.archived) return false;
+    const key = archiveKey(slotId);
+    await this.adapter.save(key, finalPayload);
+    slot.archived = {
+      failedAtEpochMs: Number.isFinite(finalPayload?.savedAtEpochMs) ? finalPayload.savedAtEpochMs : Date.now(),
+      key,
+      checksum: checksumPayload(finalPayload),
+      meta: summarizeSavePayload(finalPayload)
+    };
+    if (this.index.activeSlotId === slotId) this.index.activeSlotId = null;
+    await this.#writeIndex();
+    return true;
+  }
+
+  // Resolves the final state of an archived slot, or `null` when it is missing or damaged.
+  async loadArchivedPayload(slotId) {
+    const archived = this.#findSlot(slotId)?.archived;
+    if (!archived) return null;
+    const payload = await this.adapter.load(archived.key);
+    if (!payload || checksumPayload(payload) !== archived.checksum) return null;
+    return payload;
+  }
+
+  /** Checkpoints of a slot, newest first, as listed in the index (not yet verified). */
+  listCheckpoints(slotId) {
+    return [...(this.#findSlot(slotId)?.checkpoints ?? [])];
+  }
+
+  /**
+   * Loads one checkpoint (default: the newest) and verifies its checksum.
+   * Resolves the payload, or `null` when it is missing or does not match what was written.
+   */
+  async loadPayload(slotId, checkpointKeyToLoad = null) {
+    const slot = this.#findSlot(slotId);
+    const checkpoint = checkpointKeyToLoad
+      ? slot?.checkpoints.find((entry) => entry.key === checkpointKeyToLoad)
+      : slot?.checkpoints[0];
+    if (!checkpoint) return null;
+
+    const payload = await this.adapter.load(checkpoint.key);
+    if (!payload) return null;
+    if (checkpoint.checksum != null && checksumPayload(payload) !== checkpoint.checksum) return null;
+    return payload;
+  }
+
+  /**
+   * Walks the ring newest first and resolves `{ payload, checkpoint, skipped }` for the first
+   * checkpoint that loads intact and passes `isUsable`, or `null` when none does.
+   */
+  async loadLatestUsable(slotId, isUsable = () => true) {
+    const skipped = [];
+    for (const checkpoint of this.listCheckpoints(slotId)) {
+      const payload = await this.loadPayload(slotId, checkpoint.key);
+      if (payload && isUsable(payload)) return { payload, checkpoint, skipped };
+      skipped.push(checkpoint);
+    }
+    return null;
+  }
+
+  // Rejects when storage refuses the write (quota, private mode); callers decide how to report it.
+  async savePayload(slotId, payload) {
+    const slot = this.#findSlot(slotId);
+    if (!slot || slot.archived) return false;
+    const previous = slot.checkpoints.slice();
+    const evicted = await this.#writeCheckpoint(slot, payload);
+    try {
+      await this.#writeIndex();
+    } catch (error) {
+      // The new payload is orphaned; keep the evicted ones referenced so nothing is lost.
+      slot.checkpoints = previous;
+      slot.savedAtEpochMs = slot.checkpoints[0]?.savedAtEpochMs ?? null;
+      slot.meta = slot.checkpoints[0]?.meta ?? null;
+      await this.adapter.delete(checkpointKey(slot.id, slot.nextCheckpointSeq - 1)).catch(() => false);
+      throw error;
+    }
+    await this.#deleteCheckpoints(evicted);
+    return true;
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Storage adapters.
+ * Responsibility: one async key/value interface (`load`, `save`, `list`, `delete`) over IndexedDB,
+ * localStorage or memory, so save code never touches a browser storage API directly.
+ *
+ * Values are JSON-compatible objects. `load` resolves `null` for missing or unreadable entries;
+ * `save` and `delete` reject when the backend refuses the write (quota, private mode).
+ */
+
+const IDB_DATABASE_NAME = 'aquatab';
+const IDB_STORE_NAME = 'saves';
+const IDB_VERSION = 1;
+
+export class MemoryStorageAdapter {
+  constructor(entries = {}) {
+    this.kind = 'memory';
+    this.entries = new Map(Object.entries(entries).map(([key, value]) => [key, structuredClone(value)]));
+  }
+
+  async load(key) {
+    return this.entries.has(key) ? structuredClone(this.entries.get(key)) : null;
+  }
+
+  async save(key, value) {
+    this.entries.set(key, structuredClone(value));
+  }
+
+  async list(prefix = '') {
+    return [...this.entries.keys()].filter((key) => key.startsWith(prefix)).sort();
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+}
+
+export class LocalStorageAdapter {
+  constructor(storage = globalThis.localStorage) {
+    this.kind = 'localStorage';
+    this.storage = storage;
+  }
+
+  async load(key) {
+    try {
+      const raw = this.storage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async save(key, value) {
+    this.storage.setItem(key, JSON.stringify(value));
+  }
+
+  async list(prefix = '') {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i += 1) {
+      const key = this.storage.key(i);
+      if (key != null && key.startsWith(prefix)) keys.push(key);
+    }
+    return keys.sort();
+  }
+
+  async delete(key) {
+    const existed = this.storage.getItem(key) != null;
+    this.storage.removeItem(key);
+    return existed;
+  }
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Quota errors surface on the transaction (abort), not on the individual request.
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error ?? new Error('IndexedDB transaction aborted'));
+    transaction.onerror = () => reject(transaction.error ?? new Error('IndexedDB transaction failed'));
+  });
+}
+
+export class IndexedDbStorageAdapter {
+  constructor({ indexedDB = globalThis.indexedDB, databaseName = IDB_DATABASE_NAME } = {}) {
+    this.kind = 'indexedDB';
+    this.indexedDB = indexedDB;
+    this.databaseName = databaseName;
+    this.dbPromise = null;
+  }
+
+  // Opens lazily and reuses the connection; a failed open is retried on the next call.
+  #open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.databaseName, IDB_VERSION);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(IDB_STORE_NAME)) request.result.createObjectStore(IDB_STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB is blocked by another tab'));
+      }).catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async #read(fn) {
+    const db = await this.#open();
+    return requestResult(fn(db.transaction(IDB_STORE_NAME, 'readonly').objectStore(IDB_STORE_NAME)));
+  }
+
+  async #write(fn) {
+    const db = await this.#open();
+    const transaction = db.transaction(IDB_STORE_NAME, 'readwrite');
+    const [, result] = await Promise.all([
+      transactionDone(transaction),
+      requestResult(fn(transaction.objectStore(IDB_STORE_NAME)))
+    ]);
+    return result;
+  }
+
+  async load(key) {
+    try {
+      return (await this.#read((store) => store.get(key))) ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  async save(key, value) {
+    await this.#write((store) => store.put(value, key));
+  }
+
+  async list(prefix = '') {
+    const keys = await this.#read((store) => store.getAllKeys());
+    return keys.map(String).filter((key) => key.startsWith(prefix)).sort();
+  }
+
+  async delete(key) {
+    const existed = (await this.#read((store) => store.count(key))) > 0;
+    await this.#write((store) => store.delete(key));
+    return existed;
+  }
+
+  // Confirms the database can be opened before the app commits to this backend.
+  async probe() {
+    await this.#open();
+    return true;
+  }
+}
+
+function localStorageAvailable(storage) {
+  try {
+    const probeKey = '__aquatab_probe__';
+    storage.setItem(probeKey, '1');
+    storage.removeItem(probeKey);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Picks the best available backend: IndexedDB, then localStorage, then memory (nothing persists).
+ * Resolves `{ adapter, fallback }`, where `fallback` is the localStorage adapter older installs
+ * saved to, so its entries can be moved over; it is `null` unless IndexedDB was chosen.
+ */
+export async function createStorageAdapter({ indexedDB = globalThis.indexedDB, localStorage = globalThis.localStorage } = {}) {
+  const local = localStorage && localStorageAvailable(localStorage) ? new LocalStorageAdapter(localStorage) : null;
+  if (indexedDB) {
+    const adapter = new IndexedDbStorageAdapter({ indexedDB });
+    try {
+      await adapter.probe();
+      return { adapter, fallback: local };
+    } catch {
+      // Fall through to localStorage (Firefox private windows, disabled IndexedDB).
+    }
+  }
+  if (local) return { adapter: local, fallback: null };
+  return { adapter: new MemoryStorageAdapter(), fallback: null };
+}
@@ -4,26 +4,33 @@
  */
 
 import { CONFIG } from '../config.js';
+import { SeededRng } from '../engine/rng.js';
 
 const TAU = Math.PI * 2;
-const rand = (min, max) => min + Math.random() * (max - min);
+const FLOW_OVERLAY_SPACING_PX = Math.max(12, CONFIG.world.flow?.overlaySpacingPx ?? 40);
 
 export class Renderer {
   constructor(canvas, world) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d', { alpha: true });
     this.world = world;
+    // Decorative randomness gets its own stream so drawing never advances the sim RNG.
+    this.rng = new SeededRng(world?.rng?.seed);
 
     this.dpr = window.devicePixelRatio || 1;
     this.tankRect = { x: 0, y: 0, width: 0, height: 0 };
     this.quality = 'high';
     this.debugBounds = false;
+    this.flowOverlay = false;
+    this.interpolation = null;
 
     this.waterParticles = this.#createParticles(70);
     this.plants = [];
 
     this.backgroundCanvas = document.createElement('canvas');
     this.vignetteCanvas = document.createElement('canvas');
+    // One pixel per water field cell, stretched over the tank so local murk blends smoothly.
+    this.pollutionFieldCanvas = document.createElement('canvas');
   }
 
   setQuality(quality) {
@@ -34,6 +41,10 @@ export class Renderer {
     this.debugBounds = Boolean(enabled);
   }
 
+  setFlowOverlay(enabled) {
+    this.flowOverlay = Boolean(enabled);
+  }
+
   resize(width, height) {
     this.dpr = window.devicePixelRatio || 1;
     this.canvas.width = Math.floor(width * this.dpr);
@@ -84,7 +95,9 @@ export class Renderer {
   }
 
 
-  render(time, delta) {
+  // `interpolation` (optional) blends entity positions between fixed sim steps.
+  render(time, delta, interpolation = null) {
+    this.interpolation = interpolation;
     const ctx = this.ctx;
     const w = this.canvas.width / this.dpr;
     const h = this.canvas.height / this.dpr;
@@ -98,6 +111,7 @@ export class Renderer {
     this.#clipTankWater(ctx);
     this.#drawCachedBackground(ctx);
     this.#drawPollutionTint(ctx);
+    this.#drawWaterChangeInflow(ctx);
     this.#drawWaterPlants(ctx, time);
     this.#drawBerryReed(ctx, time);
     this.#drawGroundAlgae(ctx, time);
@@ -115,15 +129,16 @@ export class Renderer {
 
     this.#drawTankFrame(ctx);
     if (this.debugBounds) this.#drawDebugBounds(ctx);
+    if (this.flowOverlay) this.#drawFlowOverlay(ctx);
   }
 
   #createParticles(count) {
     return Array.from({ length: count }, () => ({
-      x: rand(0, this.canvas.width || 900),
-      y: rand(0, this.canvas.height || 640),
-      r: rand(0.4, 1.3),
-      alpha: rand(0.03, 0.09),
-      speed: rand(3, 9)
+      x: this.rng.range(0, this.canvas.width || 900),
+      y: this.rng.range(0, this.canvas.height || 640),
+      r: this.rng.range(0.4, 1.3),
+      alpha: this.rng.range(0.03, 0.09),
+      speed: this.rng.range(3, 9)
     }));
   }
 
@@ -155,22 +170,22 @@ export class Renderer {
   #buildPlants() {
     const count = Math.max(8, Math.floor(this.world.bounds.width / 100));
     this.plants = Array.from({ length: count }, () => {
-      const x = rand(16, Math.max(18, this.world.bounds.width - 16));
-      const bottomY = this.world.bounds.height - rand(3, 12);
-      const height = rand(this.world.bounds.height * 0.16, this.world.bounds.height * 0.34);
-      const width = rand(7, 15);
-      const hue = rand(125, 150);
-      const sat = rand(20, 34);
-      const light = rand(17, 28);
+      const x = this.rng.range(16, Math.max(18, this.world.bounds.width - 16));
+      const bottomY = this.world.bounds.height - this.rng.range(3, 12);
+      const height = this.rng.range(this.world.bounds.height * 0.16, this.world.bounds.height * 0.34);
+      const width = this.rng.range(7, 15);
+      const hue = this.rng.range(125, 150);
+      const sat = this.rng.range(20, 34);
+      const light = this.rng.range(17, 28);
       return {
         x,
         bottomY,
         height,
         width,
-        swayAmp: rand(2.2, 7.2),
-        swayRate: rand(0.0008, 0.0018),
-        phase: rand(0, TAU),
-        color: `hsla(${hue}deg ${sat}% ${light}% / ${rand(0.18, 0.32)})`
+        swayAmp: this.rng.range(2.2, 7.2),
+        swayRate: this.rng.range(0.0008, 0.0018),
+        phase: this.rng.range(0, TAU),
+        color: `hsla(${hue}deg ${sat}% ${light}% / ${this.rng.range(0.18, 0.32)})`
       };
     });
   }
@@ -408,34 +423,12 @@ export class Renderer {
     if (dirt01 <= 0.001) return;
 
     const ease = (value) => value * value * (3 - 2 * value);
-    const start = Math.max(0, Math.min(1, CONFIG.world.water.POLLUTION_TINT_START ?? 0.9));
-    const span = Math.max(0.0001, 1 - start);
-
-    let t = Math.max(0, Math.min(1, (dirt01 - start) / span));
-    t = ease(t);
-
-    const maxAlpha = Math.max(0, Math.min(1, CONFIG.world.water.POLLUTION_TINT_MAX_ALPHA ?? 0.18));
-    const alpha = t * maxAlpha;
-    const murkMaxAlpha = Math.max(0, Math.min(1, CONFIG.world.water.POLLUTION_MURK_MAX_ALPHA ?? 0.18));
-    const murkAlpha = ease(dirt01) * murkMaxAlpha;
-
     const settleColor = CONFIG.world.water.POLLUTION_SETTLE_COLOR ?? '74, 98, 76';
     const settleMaxAlpha = Math.max(0, Math.min(1, CONFIG.world.water.POLLUTION_SETTLE_MAX_ALPHA ?? 0.26));
     const settleCurve = ease(Math.max(0, Math.min(1, (dirt01 - 0.35) / 0.65)));
     const settleAlphaBottom = settleCurve * settleMaxAlpha;
 
-    if (alpha <= 0.001 && murkAlpha <= 0.001 && settleAlphaBottom <= 0.001) return;
-
-    if (murkAlpha > 0.001) {
-      ctx.fillStyle = `rgba(22, 34, 30, ${murkAlpha})`;
-      ctx.fillRect(x, y, width, height);
-    }
-
-    const tintColor = CONFIG.world.water.POLLUTION_TINT_COLOR ?? '86, 108, 78';
-    if (alpha > 0.001) {
-      ctx.fillStyle = `rgba(${tintColor}, ${alpha})`;
-      ctx.fillRect(x, y, width, height);
-    }
+    this.#drawPollutionField(ctx, dirt01, ease);
 
     if (settleAlphaBottom > 0.001) {
       const settleTopAlpha = settleAlphaBottom * 0.08;
@@ -449,6 +442,65 @@ export class Renderer {
     }
   }
 
+  // Murk and tint follow the water field: each cell is drawn at its own dirt level (tint over murk).
+  #drawPollutionField(ctx, dirt01, ease) {
+    const field = this.world.waterField;
+    const cols = field?.cols ?? 1;
+    const rows = field?.rows ?? 1;
+    const start = Math.max(0, Math.min(1, CONFIG.world.water.POLLUTION_TINT_START ?? 0.9));
+    const span = Math.max(0.0001, 1 - start);
+    const maxAlpha = Math.max(0, Math.min(1, CONFIG.world.water.POLLUTION_TINT_MAX_ALPHA ?? 0.18));
+    const murkMaxAlpha = Math.max(0, Math.min(1, CONFIG.world.water.POLLUTION_MURK_MAX_ALPHA ?? 0.18));
+    const tintColor = (CONFIG.world.water.POLLUTION_TINT_COLOR ?? '86, 108, 78').split(',').map(Number);
+    const murkColor = [22, 34, 30];
+
+    const canvas = this.pollutionFieldCanvas;
+    if (canvas.width !== cols || canvas.height !== rows) {
+      canvas.width = cols;
+      canvas.height = rows;
+    }
+    const fieldCtx = canvas.getContext('2d');
+    const image = fieldCtx.createImageData(cols, rows);
+    let visible = false;
+    for (let i = 0; i < cols * rows; i += 1) {
+      const local01 = Math.max(0, Math.min(1, dirt01 * (field?.factorAtIndex(i) ?? 1)));
+      const murkAlpha = ease(local01) * murkMaxAlpha;
+      const tintAlpha = ease(Math.max(0, Math.min(1, (local01 - start) / span))) * maxAlpha;
+      const alpha = tintAlpha + murkAlpha * (1 - tintAlpha);
+      if (alpha <= 0.001) continue;
+      visible = true;
+      for (let c = 0; c < 3; c += 1) {
+        image.data[i * 4 + c] = (tintColor[c] * tintAlpha + murkColor[c] * murkAlpha * (1 - tintAlpha)) / alpha;
+      }
+      image.data[i * 4 + 3] = alpha * 255;
+    }
+    if (!visible) return;
+
+    fieldCtx.putImageData(image, 0, 0);
+    const { x, y, width, height } = this.tankRect;
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(canvas, x, y, width, height);
+  }
+
+  // Clean water pouring in from the top while a water change runs; the murk itself thins as dirt01 drops.
+  #drawWaterChangeInflow(ctx) {
+    const progress01 = Math.max(0, Math.min(1, this.world.water?.waterChangeProgress01 ?? 0));
+    if (progress01 <= 0) return;
+
+    const { x, y, width, height } = this.tankRect;
+    const fraction01 = Math.max(0, Math.min(1, this.world.water?.waterChangeFraction01 ?? 0));
+    const strength = Math.sin(progress01 * Math.PI) * Math.min(1, 0.4 + fraction01 * 1.2);
+    if (strength <= 0.001) return;
+
+    const reach = Math.min(1, 0.2 + progress01 * 0.8);
+    const gradient = ctx.createLinearGradient(0, y, 0, y + height * reach);
+    gradient.addColorStop(0, `rgba(205, 238, 255, ${0.18 * strength})`);
+    gradient.addColorStop(0.6, `rgba(205, 238, 255, ${0.07 * strength})`);
+    gradient.addColorStop(1, 'rgba(205, 238, 255, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(x, y, width, height * reach);
+  }
+
   #drawWaterParticles(ctx, delta) {
     if (this.quality === 'low') return;
 
@@ -456,8 +508,8 @@ export class Renderer {
     for (const p of this.waterParticles) {
       p.y -= p.speed * delta;
       if (p.y < y - 4 || p.x < x || p.x > x + width) {
-        p.y = y + height + rand(1, 30);
-        p.x = x + rand(0, width);
+        p.y = y + height + this.rng.range(1, 30);
+        p.x = x + this.rng.range(0, width);
       }
 
       ctx.beginPath();
@@ -577,8 +629,9 @@ export class Renderer {
     const sy = this.tankRect.height / this.world.bounds.height;
 
     for (const item of this.world.food) {
-      const x = this.tankRect.x + item.x * sx;
-      const y = this.tankRect.y + item.y * sy;
+      const at = this.#positionOf(item);
+      const x = this.tankRect.x + at.x * sx;
+      const y = this.tankRect.y + at.y * sy;
       const radius = 1.4 + item.amount * 1.1;
 
       ctx.beginPath();
@@ -599,8 +652,9 @@ export class Renderer {
     const sy = this.tankRect.height / this.world.bounds.height;
 
     for (const item of this.world.poop ?? []) {
-      const x = this.tankRect.x + item.x * sx;
-      const y = this.tankRect.y + item.y * sy;
+      const at = this.#positionOf(item);
+      const x = this.tankRect.x + at.x * sx;
+      const y = this.tankRect.y + at.y * sy;
       const maxTtl = Math.max(1, Number.isFinite(item.maxTtlSec) ? item.maxTtlSec : 120);
       const ttlSec = Math.max(0, Number.isFinite(item.ttlSec) ? item.ttlSec : maxTtl);
       const life01 = Math.max(0, Math.min(1, ttlSec / maxTtl));
@@ -645,27 +699,37 @@ export class Renderer {
     const sy = this.tankRect.height / this.world.bounds.height;
 
     for (const p of this.world.fxParticles ?? []) {
-      if (p.kind !== 'MATING_BUBBLE') continue;
+      if (p.kind !== 'MATING_BUBBLE' && p.kind !== 'VACUUM_SUCTION') continue;
       const life01 = Math.max(0, Math.min(1, p.ttlSec / Math.max(0.001, p.lifeSec ?? 0.8)));
-      const alpha = 0.65 * life01;
       const x = this.tankRect.x + p.x * sx;
       const y = this.tankRect.y + p.y * sy;
 
       ctx.beginPath();
-      ctx.fillStyle = `rgba(221, 246, 255, ${alpha})`;
-      ctx.arc(x, y, p.radius, 0, TAU);
+      if (p.kind === 'VACUUM_SUCTION') {
+        // Debris shrinks and fades as it is pulled into the nozzle.
+        ctx.fillStyle = `rgba(120, 104, 78, ${0.75 * life01})`;
+        ctx.arc(x, y, p.radius * (0.4 + 0.6 * life01), 0, TAU);
+      } else {
+        ctx.fillStyle = `rgba(221, 246, 255, ${0.65 * life01})`;
+        ctx.arc(x, y, p.radius, 0, TAU);
+      }
       ctx.fill();
     }
   }
 
+  #positionOf(entity) {
+    return this.interpolation?.positionOf(entity) ?? entity.position ?? entity;
+  }
+
   #drawFishSchool(ctx, time) {
     const sx = this.tankRect.width / this.world.bounds.width;
     const sy = this.tankRect.height / this.world.bounds.height;
 
     for (const fish of this.world.fish) {
+      const at = this.#positionOf(fish);
       const pos = {
-        x: this.tankRect.x + fish.position.x * sx,
-        y: this.tankRect.y + fish.position.y * sy
+        x: this.tankRect.x + at.x * sx,
+        y: this.tankRect.y + at.y * sy
       };
       this.#drawFish(ctx, fish, pos, time);
     }
@@ -853,6 +917,48 @@ export class Renderer {
     ctx.restore();
   }
 
+  // Dev overlay: one arrow per grid point, pointing along the current, longer and brighter where it is faster.
+  #drawFlowOverlay(ctx) {
+    if (typeof this.world.flowAt !== 'function') return;
+    const { x: tankX, y: tankY, width, height } = this.tankRect;
+    const sx = width / this.world.bounds.width;
+    const sy = height / this.world.bounds.height;
+    const flow = { x: 0, y: 0 };
+    const maxLength = FLOW_OVERLAY_SPACING_PX * 0.85;
+
+    ctx.save();
+    ctx.lineWidth = 1.2;
+    ctx.lineCap = 'round';
+    for (let py = FLOW_OVERLAY_SPACING_PX / 2; py < height; py += FLOW_OVERLAY_SPACING_PX) {
+      for (let px = FLOW_OVERLAY_SPACING_PX / 2; px < width; px += FLOW_OVERLAY_SPACING_PX) {
+        this.world.flowAt(px / sx, py / sy, flow);
+        const speed = Math.hypot(flow.x, flow.y);
+        if (speed < 0.5) continue;
+
+        const length = Math.min(maxLength, 4 + speed * 0.6);
+        const screenSpeed = Math.hypot(flow.x * sx, flow.y * sy);
+        const dirX = (flow.x * sx) / screenSpeed;
+        const dirY = (flow.y * sy) / screenSpeed;
+        const x0 = tankX + px - dirX * length * 0.5;
+        const y0 = tankY + py - dirY * length * 0.5;
+        const x1 = x0 + dirX * length;
+        const y1 = y0 + dirY * length;
+        const head = Math.min(5, length * 0.35);
+
+        ctx.strokeStyle = `rgba(255, 196, 92, ${Math.min(0.95, 0.3 + speed / 40).toFixed(3)})`;
+        ctx.beginPath();
+        ctx.moveTo(x0, y0);
+        ctx.lineTo(x1, y1);
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x1 - dirX * head - dirY * head * 0.6, y1 - dirY * head + dirX * head * 0.6);
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x1 - dirX * head + dirY * head * 0.6, y1 - dirY * head - dirX * head * 0.6);
+        ctx.stroke();
+      }
+    }
+    ctx.restore();
+  }
+
   #drawTankFrame(ctx) {
     const { x, y, width, height } = this.tankRect;
 
@@ -0,0 +1,143 @@
+/**
+ * Monte Carlo balancing harness.
+ * Responsibility: run many seeded headless tanks per tuning variant and aggregate the outcomes.
+ *
+ * CONFIG and SPECIES are read once at module load, so every variant runs inside its own
+ * worker thread that installs the overrides before importing the engine.
+ */
+
+import { Worker } from 'node:worker_threads';
+import { CONFIG, SPECIES } from '../config.js';
+
+const DEFAULT_STEADY_STATE_FRACTION = 0.25;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function unknownKeys(patch, reference, prefix) {
+  if (!isPlainObject(patch)) return [];
+  return Object.keys(patch).filter((key) => !(key in reference)).map((key) => `${prefix}.${key}`);
+}
+
+export function validateVariant(variant) {
+  if (!isPlainObject(variant)) throw new Error('Variant must be an object');
+  const name = typeof variant.name === 'string' && variant.name.trim() ? variant.name.trim() : null;
+  if (!name) throw new Error('Variant is missing a name');
+
+  const problems = [
+    ...unknownKeys(variant.reproduction, CONFIG.reproduction, 'reproduction'),
+    ...unknownKeys(variant.water, CONFIG.world.water, 'water'),
+    ...unknownKeys(variant.species, SPECIES, 'species')
+  ];
+  for (const [speciesId, patch] of Object.entries(isPlainObject(variant.species) ? variant.species : {})) {
+    if (SPECIES[speciesId]) problems.push(...unknownKeys(patch, SPECIES[speciesId], `species.${speciesId}`));
+  }
+  // Typos would otherwise silently run the baseline and produce misleading numbers.
+  if (problems.length > 0) throw new Error(`Variant "${name}" has unknown keys: ${problems.join(', ')}`);
+
+  return {
+    name,
+    reproduction: isPlainObject(variant.reproduction) ? variant.reproduction : {},
+    water: isPlainObject(variant.water) ? variant.water : {},
+    species: isPlainObject(variant.species) ? variant.species : {}
+  };
+}
+
+export function variantToTuningOverrides(variant) {
+  return {
+    config: { reproduction: variant.reproduction, world: { water: variant.water } },
+    species: variant.species
+  };
+}
+
+function stats(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return { mean, median, min: sorted[0], max: sorted[sorted.length - 1] };
+}
+
+function steadyStatePopulation(report, fraction) {
+  if (report.extinctAtSec != null) return 0;
+  const durationSec = report.simulatedSec;
+  const fromSec = durationSec * (1 - fraction);
+  const tail = report.populationCurve.filter((entry) => entry.tSec >= fromSec);
+  if (tail.length === 0) return report.population.alive;
+  return tail.reduce((sum, entry) => sum + entry.alive, 0) / tail.length;
+}
+
+export function summarizeVariantRuns(reports, { steadyStateFraction = DEFAULT_STEADY_STATE_FRACTION } = {}) {
+  const failures = reports.filter((report) => report.extinctAtSec != null);
+  const deathsByReason = {};
+  for (const report of reports) {
+    for (const [reason, count] of Object.entries(report.deathsByReason)) {
+      deathsByReason[reason] = (deathsByReason[reason] ?? 0) + count;
+    }
+  }
+
+  return {
+    runs: reports.length,
+    survivalRate: reports.length > 0 ? (reports.length - failures.length) / reports.length : 0,
+    failures: failures.length,
+    timeToFailureSec: stats(failures.map((report) => report.extinctAtSec)),
+    peakPopulation: stats(reports.map((report) => report.population.peakAlive)),
+    steadyStatePopulation: stats(reports.map((report) => steadyStatePopulation(report, steadyStateFraction))),
+    births: stats(reports.map((report) => report.births)),
+    finalHygiene01: stats(reports.map((report) => report.water.hygiene01)),
+    deathsByReason
+  };
+}
+
+function runVariantInWorker(variant, { seeds, initialFishCount, runOptions }) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./balance_worker.js', import.meta.url), {
+      workerData: {
+        overrides: variantToTuningOverrides(variant),
+        seeds,
+        initialFishCount,
+        runOptions
+      }
+    });
+    let reports = null;
+    worker.once('message', (message) => { reports = message; });
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (reports) resolve(reports);
+      else reject(new Error(`Variant "${variant.name}" worker exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Runs `runs` seeded tanks for each variant. Seeds are shared across variants so
+ * differences come from the tuning, not from luck.
+ */
+export async function runBalanceBatch({
+  variants = [{ name: 'baseline' }],
+  runs = 10,
+  baseSeed = 1,
+  initialFishCount = 4,
+  runOptions = {},
+  steadyStateFraction = DEFAULT_STEADY_STATE_FRACTION,
+  onVariantDone = null
+} = {}) {
+  const normalizedVariants = variants.map((variant) => validateVariant(variant));
+  const runCount = Math.max(1, Math.floor(runs));
+  const seeds = Array.from({ length: runCount }, (_, index) => (Math.floor(baseSeed) + index) >>> 0);
+
+  // Sequential on purpose: each worker already saturates a core.
+  const results = [];
+  for (const variant of normalizedVariants) {
+    const reports = await runVariantInWorker(variant, { seeds, initialFishCount, runOptions });
+    const result = {
+      name: variant.name,
+      overrides: { reproduction: variant.reproduction, water: variant.water, species: variant.species },
+      ...summarizeVariantRuns(reports, { steadyStateFraction })
+    };
+    results.push(result);
+    onVariantDone?.(result);
+  }
+
+  return { seeds, initialFishCount, runOptions, variants: results };
+}
@@ -0,0 +1,18 @@
+/**
+ * Balancing worker.
+ * Responsibility: install one variant's tuning overrides, then run its seeded headless tanks.
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+
+globalThis.AQUATAB_TUNING_OVERRIDES = workerData.overrides;
+
+// Imported after the overrides are in place; config.js reads them at load time.
+const { createHeadlessWorld, runHeadless } = await import('./headless.js');
+
+const reports = workerData.seeds.map((seed) => {
+  const world = createHeadlessWorld({ seed, initialFishCount: workerData.initialFishCount });
+  return runHeadless(world, workerData.runOptions);
+});
+
+parentPort.postMessage(reports);
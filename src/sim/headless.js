@@ -0,0 +1,176 @@
+/**
+ * Headless simulation runner.
+ * Responsibility: drive a World outside the browser at a fixed step and summarize the run as a JSON report.
+ */
+
+import { World } from '../engine/world.js';
+
+const DEFAULT_WIDTH = 800;
+const DEFAULT_HEIGHT = 500;
+const DEFAULT_STEP_SEC = 0.25;
+const DEFAULT_SAMPLE_EVERY_SEC = 60;
+const LIFE_STAGES = ['BABY', 'JUVENILE', 'ADULT', 'OLD'];
+
+const round = (value, digits = 4) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+export function createHeadlessWorld({ save = null, seed, initialFishCount = 4, width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT } = {}) {
+  const world = save
+    ? World.fromJSON(save, { width, height, initialFishCount, seed })
+    : new World(width, height, initialFishCount, { seed });
+
+  // Headless runs advance in canonical sim seconds; UI speed settings from a save do not apply.
+  world.paused = false;
+  world.speedMultiplier = 1;
+  return world;
+}
+
+function countAliveFish(world) {
+  return world.fish.reduce((count, fish) => count + (fish.lifeState === 'ALIVE' ? 1 : 0), 0);
+}
+
+function summarizePopulation(world) {
+  const bySpecies = {};
+  for (const fish of world.fish) {
+    if (fish.lifeState !== 'ALIVE') continue;
+    const speciesId = fish.speciesId ?? 'UNKNOWN';
+    if (!bySpecies[speciesId]) {
+      bySpecies[speciesId] = { total: 0, ...Object.fromEntries(LIFE_STAGES.map((stage) => [stage, 0])) };
+    }
+    const entry = bySpecies[speciesId];
+    entry.total += 1;
+    entry[fish.lifeStage] = (entry[fish.lifeStage] ?? 0) + 1;
+  }
+  return { alive: countAliveFish(world), bySpecies };
+}
+
+function countDeathsByReason(world, excludeIds) {
+  const deaths = {};
+  for (const fish of world.fishArchiveById.values()) {
+    if (fish.lifeState !== 'DEAD' || excludeIds.has(fish.id)) continue;
+    const reason = fish.deathReason ?? 'UNKNOWN';
+    deaths[reason] = (deaths[reason] ?? 0) + 1;
+  }
+  return deaths;
+}
+
+function summarizeFilter(water) {
+  return {
+    unlocked: Boolean(water.filterUnlocked),
+    installed: Boolean(water.filterInstalled),
+    enabled: Boolean(water.filterEnabled),
+    tier: water.filterTier ?? 0,
+    filter01: round(water.filter01 ?? 0),
+    effectiveFilter01: round(water.effectiveFilter01 ?? 0)
+  };
+}
+
+function feedTank(world, pelletCount) {
+  // Evenly spaced drop points keep feeding deterministic without touching the sim RNG.
+  const count = Math.max(1, Math.floor(pelletCount));
+  for (let i = 0; i < count; i += 1) {
+    world.spawnFood(world.bounds.width * ((i + 1) / (count + 1)), world.bounds.height * 0.08);
+  }
+}
+
+/**
+ * Runs `world` for `simHours` of sim time and returns a plain JSON-friendly report.
+ * Options: stepSec, sampleEverySec, feedEverySec (0 = never), feedCount,
+ * removeCorpses and installFilter (mimic an attentive keeper), stopOnExtinction,
+ * macro (coarse `world.macroStep()` instead of full ticks; pair with a larger stepSec).
+ */
+export function runHeadless(world, {
+  simHours = 1,
+  stepSec = DEFAULT_STEP_SEC,
+  sampleEverySec = DEFAULT_SAMPLE_EVERY_SEC,
+  feedEverySec = 0,
+  feedCount = 3,
+  removeCorpses = true,
+  installFilter = false,
+  stopOnExtinction = true,
+  macro = false,
+  onStep = null
+} = {}) {
+  const step = Math.max(0.001, Number(stepSec) || DEFAULT_STEP_SEC);
+  const sampleEvery = Math.max(step, Number(sampleEverySec) || DEFAULT_SAMPLE_EVERY_SEC);
+  const durationSec = Math.max(0, Number(simHours) || 0) * 3600;
+  const startSimTimeSec = world.simTimeSec;
+  const startBirths = world.birthsCount;
+  const preexistingDeadIds = new Set(
+    [...world.fishArchiveById.values()].filter((fish) => fish.lifeState === 'DEAD').map((fish) => fish.id)
+  );
+
+  const hygieneCurve = [];
+  const populationCurve = [];
+  const sample = () => {
+    const tSec = round(world.simTimeSec - startSimTimeSec, 3);
+    hygieneCurve.push({ tSec, hygiene01: round(world.water.hygiene01 ?? 0), dirt01: round(world.water.dirt01 ?? 0) });
+    populationCurve.push({ tSec, alive: countAliveFish(world) });
+  };
+
+  let elapsedSec = 0;
+  let nextSampleSec = 0;
+  let nextFeedSec = feedEverySec > 0 ? 0 : Infinity;
+  let peakAlive = countAliveFish(world);
+  let extinctAtSec = null;
+
+  while (elapsedSec < durationSec) {
+    if (elapsedSec >= nextSampleSec) {
+      sample();
+      nextSampleSec += sampleEvery;
+    }
+    if (elapsedSec >= nextFeedSec) {
+      feedTank(world, feedCount);
+      nextFeedSec += feedEverySec;
+    }
+
+    const dt = Math.min(step, durationSec - elapsedSec);
+    if (macro) world.macroStep(dt);
+    else world.update(dt);
+    elapsedSec += dt;
+
+    if (installFilter && !world.water.filterInstalled) world.installWaterFilter();
+    if (removeCorpses) {
+      for (const fish of world.fish.filter((entry) => entry.lifeState === 'DEAD')) world.removeCorpse(fish.id);
+    }
+    world.flushEvents();
+
+    const alive = countAliveFish(world);
+    peakAlive = Math.max(peakAlive, alive);
+    onStep?.(world, elapsedSec);
+
+    if (world.isEcosystemCollapsed()) {
+      extinctAtSec = round(elapsedSec, 3);
+      if (stopOnExtinction) break;
+    }
+  }
+  sample();
+
+  return {
+    seed: world.rng.seed,
+    stepSec: step,
+    macro: Boolean(macro),
+    requestedSimHours: Math.max(0, Number(simHours) || 0),
+    simulatedSec: round(elapsedSec, 3),
+    startSimTimeSec: round(startSimTimeSec, 3),
+    endSimTimeSec: round(world.simTimeSec, 3),
+    extinctAtSec,
+    population: { ...summarizePopulation(world), peakAlive },
+    births: world.birthsCount - startBirths,
+    deathsByReason: countDeathsByReason(world, preexistingDeadIds),
+    foodsConsumed: world.foodsConsumedCount,
+    water: {
+      hygiene01: round(world.water.hygiene01 ?? 0),
+      dirt01: round(world.water.dirt01 ?? 0),
+      ammoniaPpm: round(world.water.ammoniaPpm ?? 0),
+      nitritePpm: round(world.water.nitritePpm ?? 0),
+      nitratePpm: round(world.water.nitratePpm ?? 0),
+      bacteria01: round(world.water.bacteria01 ?? 0)
+    },
+    filter: summarizeFilter(world.water),
+    hygieneCurve,
+    populationCurve
+  };
+}
@@ -1,9 +1,17 @@
 /**
  * UI side panel controller.
- * Responsibility: tabs, controls binding, and stat presentation.
+ * Responsibility: tabs, controls binding, stat presentation and the tank journal.
  */
 
 import { getMaxSimSpeedMultiplier, isDevMode } from '../dev.js';
+import { ALERT_METRICS, describeAlertRule } from '../engine/alert_rules.js';
+
+const ALERT_ACTION_LABELS = {
+  toast: 'toast',
+  pause: 'pause',
+  notification: 'notify',
+  journal: 'journal'
+};
 
 export class Panel {
   constructor(rootElement, handlers) {
@@ -27,6 +35,10 @@ export class Panel {
     this.fishCountStat = this.root.querySelector('[data-stat="fishCount"]');
     this.cleanlinessStat = this.root.querySelector('[data-stat="cleanliness"]');
     this.cleanlinessTrendStat = this.root.querySelector('[data-stat="cleanlinessTrend"]');
+    this.ammoniaStat = this.root.querySelector('[data-stat="ammonia"]');
+    this.nitriteStat = this.root.querySelector('[data-stat="nitrite"]');
+    this.nitrateStat = this.root.querySelector('[data-stat="nitrate"]');
+    this.bacteriaStat = this.root.querySelector('[data-stat="bacteria"]');
     if (!this.cleanlinessTrendStat && this.cleanlinessStat?.closest('.stat-row')) {
       const row = document.createElement('div');
       row.className = 'stat-row';
@@ -37,12 +49,14 @@ export class Panel {
 
     this.speedSlider = this.root.querySelector('[data-control="simSpeed"]');
     this.toggleButton = this.root.querySelector('[data-control="togglePause"]');
+    this.vacuumButton = this.root.querySelector('[data-control="toggleVacuum"]');
     this.installFilterButton = this.root.querySelector('[data-control="installFilter"]');
     this.maintainFilterButton = this.root.querySelector('[data-control="maintainFilter"]');
     this.restartButton = this.root.querySelector('[data-control="restartSim"]');
     this.restartConfirm = this.root.querySelector('[data-restart-confirm]');
     this.restartConfirmYes = this.root.querySelector('[data-control="restartConfirmYes"]');
     this.restartConfirmNo = this.root.querySelector('[data-control="restartConfirmNo"]');
+    this.exportTankButton = this.root.querySelector('[data-control="exportTank"]');
 
     this.filterAccordion = this.root.querySelector('[data-filter-accordion]');
     this.filterAccordionToggle = this.root.querySelector('[data-control="toggleFilterAccordion"]');
@@ -63,6 +77,15 @@ export class Panel {
     this.filterTierProgressRow = this.root.querySelector('[data-filter-tier-progress-row]');
     this.filterTierProgress = this.root.querySelector('[data-filter-tier-progress]');
     this.filterToggleRow = this.root.querySelector('[data-filter-toggle-row]');
+    this.waterChangeAccordion = this.root.querySelector('[data-water-change-accordion]');
+    this.waterChangeAccordionToggle = this.root.querySelector('[data-control="toggleWaterChangeAccordion"]');
+    this.waterChangeContent = this.root.querySelector('[data-water-change-content]');
+    this.waterChangeSelect = this.root.querySelector('[data-control="waterChangePct"]');
+    this.waterChangeMessage = this.root.querySelector('[data-water-change-message]');
+    this.waterChangeHint = this.waterChangeMessage?.textContent ?? '';
+    this.waterChangeBarTrack = this.root.querySelector('[data-water-change-bar-track]');
+    this.waterChangeBar = this.root.querySelector('[data-water-change-bar]');
+    this.startWaterChangeButton = this.root.querySelector('[data-control="startWaterChange"]');
     this.speciesAccordion = this.root.querySelector('[data-species-accordion]');
     this.speciesAccordionToggle = this.root.querySelector('[data-control="toggleSpeciesAccordion"]');
     this.speciesContent = this.root.querySelector('[data-species-content]');
@@ -87,6 +110,38 @@ export class Panel {
 
     this.speedValue = this.root.querySelector('[data-value="simSpeed"]');
     this.fishInspector = this.root.querySelector('[data-fish-inspector]');
+    this.awayAccordion = this.root.querySelector('[data-away-accordion]');
+    this.awayAccordionToggle = this.root.querySelector('[data-control="toggleAwayAccordion"]');
+    this.awayContent = this.root.querySelector('[data-away-content]');
+    this.awayTriggerInputs = [...this.root.querySelectorAll('[data-away-trigger]')];
+    this.awayHygieneInput = this.root.querySelector('[data-control="awayHygienePct"]');
+    this.awayNeverInput = this.root.querySelector('[data-control="awayNever"]');
+    this.awayInactivitySelect = this.root.querySelector('[data-control="awayInactivity"]');
+    this.awayRunWhileHiddenInput = this.root.querySelector('[data-control="awayRunWhileHidden"]');
+    this.notifyAccordion = this.root.querySelector('[data-notify-accordion]');
+    this.notifyAccordionToggle = this.root.querySelector('[data-control="toggleNotifyAccordion"]');
+    this.notifyContent = this.root.querySelector('[data-notify-content]');
+    this.notifyEnabledInput = this.root.querySelector('[data-control="notifyEnabled"]');
+    this.notifyStatus = this.root.querySelector('[data-notify-status]');
+    this.notifyKindInputs = [...this.root.querySelectorAll('[data-notify-kind]')];
+    this.notifyHygieneInput = this.root.querySelector('[data-control="notifyHygienePct"]');
+    this.alertAccordion = this.root.querySelector('[data-alert-accordion]');
+    this.alertAccordionToggle = this.root.querySelector('[data-control="toggleAlertAccordion"]');
+    this.alertContent = this.root.querySelector('[data-alert-content]');
+    this.alertRuleList = this.root.querySelector('[data-alert-rule-list]');
+    this.alertRuleEmpty = this.root.querySelector('[data-alert-rule-empty]');
+    this.alertMetricSelect = this.root.querySelector('[data-control="alertMetric"]');
+    this.alertOpSelect = this.root.querySelector('[data-control="alertOp"]');
+    this.alertValueInput = this.root.querySelector('[data-control="alertValue"]');
+    this.alertValueUnit = this.root.querySelector('[data-alert-value-unit]');
+    this.alertStateSelect = this.root.querySelector('[data-control="alertState"]');
+    this.alertForMinInput = this.root.querySelector('[data-control="alertForMin"]');
+    this.alertActionSelect = this.root.querySelector('[data-control="alertAction"]');
+    this.addAlertRuleButton = this.root.querySelector('[data-control="addAlertRule"]');
+    this.journalFilter = this.root.querySelector('[data-control="journalFilter"]');
+    this.journalList = this.root.querySelector('[data-journal-list]');
+    this.journalEntries = [];
+    this.lastJournalSignature = null;
 
     this.devSection = document.createElement('section');
     this.devSection.className = 'dev-panel';
@@ -94,10 +149,12 @@ export class Panel {
     this.devSection.innerHTML = `
       <p class="dev-panel__label">DEV MODE ON</p>
       <div class="button-row"><button type="button" data-control="grantUnlockPrereqs">Grant all unlock prerequisites</button></div>
+      <div class="button-row"><button type="button" data-control="toggleFlowOverlay" aria-pressed="false">Show water flow</button></div>
     `;
     const controlsPanel = this.root.querySelector('[data-content="controls"]');
     controlsPanel?.appendChild(this.devSection);
     this.grantUnlockPrereqsButton = this.devSection.querySelector('[data-control="grantUnlockPrereqs"]');
+    this.flowOverlayButton = this.devSection.querySelector('[data-control="toggleFlowOverlay"]');
 
     this.deckToggle = document.getElementById('deckToggle');
 
@@ -105,6 +162,10 @@ export class Panel {
     this.#bindControls();
     this.#bindDeckToggle();
     this.#bindFishInspectorDelegates();
+    this.#bindJournal();
+    this.#bindAwayPolicy();
+    this.#bindNotificationPrefs();
+    this.#bindAlertRules();
   }
 
   #bindTabs() {
@@ -139,10 +200,18 @@ export class Panel {
       this.toggleButton.textContent = isPaused ? 'Resume' : 'Pause';
     });
 
+    this.vacuumButton?.addEventListener('click', () => {
+      this.handlers.onCanvasToolToggle?.();
+    });
+
     this.restartButton?.addEventListener('click', () => {
       if (this.restartConfirm) this.restartConfirm.hidden = false;
     });
 
+    this.exportTankButton?.addEventListener('click', () => {
+      this.handlers.onExportTank?.();
+    });
+
     this.restartConfirmYes?.addEventListener('click', () => {
       if (this.restartConfirm) this.restartConfirm.hidden = true;
       this.handlers.onRestartConfirm?.();
@@ -175,6 +244,18 @@ export class Panel {
       this.handlers.onFilterUpgrade?.();
     });
 
+    this.waterChangeAccordionToggle?.addEventListener('click', () => {
+      const nextOpen = this.waterChangeAccordion?.dataset.open !== 'true';
+      if (this.waterChangeAccordion) this.waterChangeAccordion.dataset.open = String(nextOpen);
+      this.waterChangeAccordionToggle?.setAttribute('aria-expanded', String(nextOpen));
+      if (this.waterChangeContent) this.waterChangeContent.hidden = !nextOpen;
+    });
+
+    this.startWaterChangeButton?.addEventListener('click', () => {
+      const pct = Number(this.waterChangeSelect?.value ?? 20);
+      this.handlers.onWaterChange?.(pct / 100);
+    });
+
     this.speciesAccordionToggle?.addEventListener('click', () => {
       const nextOpen = this.speciesAccordion?.dataset.open !== 'true';
       if (this.speciesAccordion) this.speciesAccordion.dataset.open = String(nextOpen);
@@ -199,6 +280,10 @@ export class Panel {
     this.grantUnlockPrereqsButton?.addEventListener('click', () => {
       this.handlers.onGrantUnlockPrereqs?.();
     });
+
+    this.flowOverlayButton?.addEventListener('click', () => {
+      this.handlers.onFlowOverlayToggle?.();
+    });
   }
 
   #bindDeckToggle() {
@@ -294,6 +379,212 @@ export class Panel {
 
 
 
+  #bindAwayPolicy() {
+    this.awayAccordionToggle?.addEventListener('click', () => {
+      const nextOpen = this.awayAccordion?.dataset.open !== 'true';
+      if (this.awayAccordion) this.awayAccordion.dataset.open = String(nextOpen);
+      this.awayAccordionToggle?.setAttribute('aria-expanded', String(nextOpen));
+      if (this.awayContent) this.awayContent.hidden = !nextOpen;
+    });
+
+    const onChange = (event) => {
+      const triggers = this.awayTriggerInputs.filter((input) => input.checked).map((input) => input.dataset.awayTrigger);
+      // "Never" clears the triggers; un-ticking it without picking any restores the default.
+      const never = event.target === this.awayNeverInput ? this.awayNeverInput.checked : triggers.length === 0;
+      const policy = this.handlers.onAwayPolicyChange?.({
+        triggers: never ? [] : (triggers.length ? triggers : undefined),
+        hygieneBelowPct: Number(this.awayHygieneInput?.value),
+        inactivitySec: Number(this.awayInactivitySelect?.value),
+        runWhileHidden: Boolean(this.awayRunWhileHiddenInput?.checked)
+      });
+      if (policy) this.syncAwayPolicy(policy);
+    };
+    for (const input of [...this.awayTriggerInputs, this.awayHygieneInput, this.awayNeverInput, this.awayInactivitySelect, this.awayRunWhileHiddenInput]) {
+      input?.addEventListener('change', onChange);
+    }
+  }
+
+  syncAwayPolicy(policy) {
+    for (const input of this.awayTriggerInputs) input.checked = policy.triggers.includes(input.dataset.awayTrigger);
+    if (this.awayNeverInput) this.awayNeverInput.checked = policy.triggers.length === 0;
+    if (this.awayHygieneInput) this.awayHygieneInput.value = String(policy.hygieneBelowPct);
+    if (this.awayInactivitySelect) {
+      const value = String(policy.inactivitySec);
+      if (![...this.awayInactivitySelect.options].some((option) => option.value === value)) {
+        this.awayInactivitySelect.add(new Option(`${Math.round(policy.inactivitySec / 60)} min`, value));
+      }
+      this.awayInactivitySelect.value = value;
+    }
+    if (this.awayRunWhileHiddenInput) this.awayRunWhileHiddenInput.checked = policy.runWhileHidden;
+  }
+
+  #bindNotificationPrefs() {
+    this.notifyAccordionToggle?.addEventListener('click', () => {
+      const nextOpen = this.notifyAccordion?.dataset.open !== 'true';
+      if (this.notifyAccordion) this.notifyAccordion.dataset.open = String(nextOpen);
+      this.notifyAccordionToggle?.setAttribute('aria-expanded', String(nextOpen));
+      if (this.notifyContent) this.notifyContent.hidden = !nextOpen;
+    });
+
+    const onChange = () => {
+      this.handlers.onNotificationPrefsChange?.({
+        enabled: Boolean(this.notifyEnabledInput?.checked),
+        kinds: this.notifyKindInputs.filter((input) => input.checked).map((input) => input.dataset.notifyKind),
+        hygieneBelowPct: Number(this.notifyHygieneInput?.value)
+      });
+    };
+    for (const input of [this.notifyEnabledInput, ...this.notifyKindInputs, this.notifyHygieneInput]) {
+      input?.addEventListener('change', onChange);
+    }
+  }
+
+  syncNotificationPrefs(prefs, permission) {
+    if (this.notifyEnabledInput) {
+      this.notifyEnabledInput.checked = prefs.enabled;
+      this.notifyEnabledInput.disabled = permission === 'unsupported' || permission === 'denied';
+    }
+    for (const input of this.notifyKindInputs) {
+      input.checked = prefs.kinds.includes(input.dataset.notifyKind);
+      input.disabled = !prefs.enabled;
+    }
+    if (this.notifyHygieneInput) {
+      this.notifyHygieneInput.value = String(prefs.hygieneBelowPct);
+      this.notifyHygieneInput.disabled = !prefs.enabled;
+    }
+    if (this.notifyStatus) {
+      const message = permission === 'unsupported'
+        ? 'This browser does not support notifications.'
+        : permission === 'denied' ? 'Notifications are blocked for this page in the browser settings.' : '';
+      this.notifyStatus.textContent = message;
+      this.notifyStatus.hidden = !message;
+    }
+  }
+
+  #bindAlertRules() {
+    this.alertAccordionToggle?.addEventListener('click', () => {
+      const nextOpen = this.alertAccordion?.dataset.open !== 'true';
+      if (this.alertAccordion) this.alertAccordion.dataset.open = String(nextOpen);
+      this.alertAccordionToggle?.setAttribute('aria-expanded', String(nextOpen));
+      if (this.alertContent) this.alertContent.hidden = !nextOpen;
+    });
+
+    if (this.alertMetricSelect) {
+      for (const [metricId, metric] of Object.entries(ALERT_METRICS)) {
+        this.alertMetricSelect.add(new Option(metric.label, metricId));
+      }
+    }
+    const syncValueInputs = () => {
+      const unit = ALERT_METRICS[this.alertMetricSelect?.value]?.unit;
+      const isState = unit === 'state';
+      if (this.alertOpSelect) this.alertOpSelect.hidden = isState;
+      if (this.alertValueInput) {
+        this.alertValueInput.hidden = isState;
+        this.alertValueInput.min = '0';
+        this.alertValueInput.max = unit === 'pct' ? '100' : '';
+      }
+      if (this.alertValueUnit) this.alertValueUnit.hidden = unit !== 'pct';
+      if (this.alertStateSelect) this.alertStateSelect.hidden = !isState;
+    };
+    this.alertMetricSelect?.addEventListener('change', syncValueInputs);
+    syncValueInputs();
+
+    this.addAlertRuleButton?.addEventListener('click', () => {
+      const metric = this.alertMetricSelect?.value;
+      const unit = ALERT_METRICS[metric]?.unit;
+      const rawValue = Number(this.alertValueInput?.value);
+      this.handlers.onAlertRuleAdd?.({
+        metric,
+        op: unit === 'state' ? 'is' : this.alertOpSelect?.value,
+        value: unit === 'state' ? this.alertStateSelect?.value : (unit === 'pct' ? rawValue / 100 : rawValue),
+        forSimSec: Math.max(0, Number(this.alertForMinInput?.value) || 0) * 60,
+        action: this.alertActionSelect?.value
+      });
+    });
+
+    this.alertRuleList?.addEventListener('change', (event) => {
+      const toggle = event.target.closest('[data-alert-rule-toggle]');
+      if (!toggle) return;
+      this.handlers.onAlertRuleToggle?.(Number(toggle.dataset.alertRuleToggle), toggle.checked);
+    });
+    this.alertRuleList?.addEventListener('click', (event) => {
+      const removeButton = event.target.closest('[data-alert-rule-remove]');
+      if (!removeButton) return;
+      this.handlers.onAlertRuleRemove?.(Number(removeButton.dataset.alertRuleRemove));
+    });
+  }
+
+  syncAlertRules(rules) {
+    if (!this.alertRuleList) return;
+    this.alertRuleList.replaceChildren(...rules.map((rule) => {
+      const item = document.createElement('li');
+      item.className = 'alert-rule';
+      item.dataset.enabled = String(rule.enabled);
+
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = rule.enabled;
+      toggle.dataset.alertRuleToggle = String(rule.id);
+      toggle.setAttribute('aria-label', 'Rule enabled');
+
+      const text = document.createElement('span');
+      text.className = 'alert-rule-text';
+      text.textContent = `${describeAlertRule(rule)} → ${ALERT_ACTION_LABELS[rule.action] ?? rule.action}`;
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '✕';
+      remove.dataset.alertRuleRemove = String(rule.id);
+      remove.setAttribute('aria-label', 'Delete rule');
+
+      item.append(toggle, text, remove);
+      return item;
+    }));
+    if (this.alertRuleEmpty) this.alertRuleEmpty.hidden = rules.length > 0;
+  }
+
+  #bindJournal() {
+    this.journalFilter?.addEventListener('change', () => {
+      this.lastJournalSignature = null;
+      this.updateJournal(this.journalEntries);
+    });
+
+    this.journalList?.addEventListener('click', (event) => {
+      const linkFishButton = event.target.closest('[data-history-fish-id]');
+      if (!linkFishButton) return;
+      const targetFishId = Number(linkFishButton.dataset.historyFishId);
+      if (!Number.isFinite(targetFishId)) return;
+      this.handlers.onFishFocus?.(targetFishId);
+      this.selectTab('fish');
+    });
+  }
+
+  /** Renders journal entries (oldest first, as kept by the world) newest first, honouring the filter. */
+  updateJournal(entries) {
+    if (!this.journalList) return;
+    this.journalEntries = Array.isArray(entries) ? entries : [];
+    const filter = this.journalFilter?.value ?? 'all';
+    const signature = `${this.journalEntries.length}:${this.journalEntries.at(-1)?.seq ?? 0}:${filter}`;
+    if (signature === this.lastJournalSignature) return;
+    this.lastJournalSignature = signature;
+
+    const rows = [];
+    for (let i = this.journalEntries.length - 1; i >= 0; i -= 1) {
+      const entry = this.journalEntries[i];
+      if (filter !== 'all' && entry.category !== filter) continue;
+      const text = entry.parts.map((part) => (typeof part === 'string' ? this.#escapeHtml(part) : this.#journalFishReference(part))).join('');
+      rows.push(`<li class="journal-entry"><time>${this.#formatHHMMSS(entry.t)}</time><span>${text}</span></li>`);
+    }
+    this.journalList.innerHTML = rows.join('') || '<li class="journal-empty">Nothing recorded yet.</li>';
+  }
+
+  // Fish pruned from the archive keep their recorded name but can no longer be inspected.
+  #journalFishReference(part) {
+    const fish = this.handlers.onGetFishById?.(part.fishId);
+    const label = this.#escapeHtml(fish?.name?.trim() || part.name);
+    if (!fish) return label;
+    return `<button type="button" class="history-fish-link" data-history-fish-id="${part.fishId}">${label}</button>`;
+  }
+
   refreshSpeedControl() {
     if (!this.speedSlider) return;
     this.speedSlider.max = String(getMaxSimSpeedMultiplier());
@@ -320,6 +611,20 @@ export class Panel {
 
 
 
+  /** `tool` is 'feed' or 'vacuum' (clicks on the tank clean instead of feeding). */
+  syncCanvasTool(tool) {
+    if (!this.vacuumButton) return;
+    const vacuuming = tool === 'vacuum';
+    this.vacuumButton.setAttribute('aria-pressed', String(vacuuming));
+    this.vacuumButton.textContent = vacuuming ? 'Back to feeding' : 'Gravel vacuum';
+  }
+
+  syncFlowOverlay(enabled) {
+    if (!this.flowOverlayButton) return;
+    this.flowOverlayButton.setAttribute('aria-pressed', String(Boolean(enabled)));
+    this.flowOverlayButton.textContent = enabled ? 'Hide water flow' : 'Show water flow';
+  }
+
   #setSpeciesButtonReady(button, canAdd) {
     if (!button) return;
     button.classList.toggle('species-btn--ready', Boolean(canAdd));
@@ -330,6 +635,7 @@ export class Panel {
     fishCount,
     cleanliness01,
     cleanlinessTrend,
+    chemistry,
     filterUnlocked,
     foodsConsumedCount,
     filterUnlockThreshold,
@@ -343,6 +649,9 @@ export class Panel {
     maintenanceProgress01,
     maintenanceCooldownSec,
     filterDepletedThreshold01,
+    waterChangeProgress01,
+    waterChangeFraction01,
+    waterChangeCooldownSec,
     birthsCount,
     berryReedUnlockBirths,
     berryReedUnlockCleanlinessPct,
@@ -354,13 +663,7 @@ export class Panel {
     this.updateDevSection();
     this.refreshSpeedControl();
 
-    if (this.simTimeStat) {
-      const totalSec = Math.max(0, Math.floor(simTimeSec ?? 0));
-      const hh = String(Math.floor(totalSec / 3600)).padStart(2, '0');
-      const mm = String(Math.floor((totalSec % 3600) / 60)).padStart(2, '0');
-      const ss = String(totalSec % 60).padStart(2, '0');
-      this.simTimeStat.textContent = `${hh}:${mm}:${ss}`;
-    }
+    if (this.simTimeStat) this.simTimeStat.textContent = this.#formatHHMMSS(simTimeSec);
 
     this.fishCountStat.textContent = String(fishCount);
 
@@ -379,6 +682,13 @@ export class Panel {
       }[trendLabel];
     }
 
+    if (chemistry) {
+      if (this.ammoniaStat) this.ammoniaStat.textContent = `${chemistry.ammoniaPpm.toFixed(2)} ppm`;
+      if (this.nitriteStat) this.nitriteStat.textContent = `${chemistry.nitritePpm.toFixed(2)} ppm`;
+      if (this.nitrateStat) this.nitrateStat.textContent = `${Math.round(chemistry.nitratePpm)} ppm`;
+      if (this.bacteriaStat) this.bacteriaStat.textContent = `${Math.round(chemistry.bacteria01 * 100)}%`;
+    }
+
     const consumed = Math.max(0, Math.floor(foodsConsumedCount ?? 0));
     const target = Math.max(0, Math.floor(filterUnlockThreshold ?? 0));
     const isInstalling = (installProgress01 ?? 0) > 0;
@@ -485,6 +795,22 @@ export class Panel {
       this.maintainFilterButton.disabled = !canMaintain;
     }
 
+    const isChangingWater = (waterChangeProgress01 ?? 0) > 0;
+    const waterChangeCooldown = Math.max(0, waterChangeCooldownSec ?? 0);
+    if (this.waterChangeMessage) {
+      if (isChangingWater) {
+        this.waterChangeMessage.textContent = `Replacing ${Math.round((waterChangeFraction01 ?? 0) * 100)}% of the water... ${Math.round(waterChangeProgress01 * 100)}%`;
+      } else if (waterChangeCooldown > 0) {
+        this.waterChangeMessage.textContent = `Next water change in ${Math.ceil(waterChangeCooldown)}s.`;
+      } else {
+        this.waterChangeMessage.textContent = this.waterChangeHint;
+      }
+    }
+    if (this.waterChangeBarTrack) this.waterChangeBarTrack.hidden = !isChangingWater;
+    if (this.waterChangeBar) this.waterChangeBar.style.width = `${Math.round((waterChangeProgress01 ?? 0) * 100)}%`;
+    if (this.startWaterChangeButton) this.startWaterChangeButton.disabled = isChangingWater || waterChangeCooldown > 0;
+    if (this.waterChangeSelect) this.waterChangeSelect.disabled = isChangingWater;
+
     const roundedCleanlinessPct = Math.round((cleanliness01 ?? 1) * 100);
     const requiredBirths = Math.max(1, Math.floor(berryReedUnlockBirths ?? 4));
     const birthProgress = Math.max(0, Math.floor(birthsCount ?? 0));
@@ -723,18 +1049,19 @@ export class Panel {
     if (id == null) return '—';
     const directFish = this.handlers.onGetFishById?.(id);
     const numericFish = directFish ?? this.handlers.onGetFishById?.(Number(id));
-    const fish = numericFish ?? null;
+    const fish = numericFish ?? this.handlers.onGetPrunedFishStub?.(Number(id)) ?? null;
     const resolvedName = fish?.name?.trim();
     return resolvedName || String(id);
   }
 
 
 
+  // Fish pruned from the archive keep their name through a stub but can no longer be inspected.
   #historyFishReference(id) {
     if (id == null) return '—';
     const label = this.resolveFishLabelById(id);
     const fishId = Number(id);
-    if (!Number.isFinite(fishId)) return this.#escapeHtml(label);
+    if (!Number.isFinite(fishId) || !this.handlers.onGetFishById?.(fishId)) return this.#escapeHtml(label);
     return `<button type="button" class="history-fish-link" data-history-fish-id="${fishId}">${this.#escapeHtml(label)}</button>`;
   }
 
@@ -756,6 +1083,14 @@ export class Panel {
     return '—';
   }
 
+  #formatHHMMSS(seconds) {
+    const totalSec = Math.max(0, Math.floor(seconds ?? 0));
+    const hh = String(Math.floor(totalSec / 3600)).padStart(2, '0');
+    const mm = String(Math.floor((totalSec % 3600) / 60)).padStart(2, '0');
+    const ss = String(totalSec % 60).padStart(2, '0');
+    return `${hh}:${mm}:${ss}`;
+  }
+
   #formatMMSS(seconds) {
     const total = Math.max(0, Math.floor(seconds ?? 0));
     const mm = String(Math.floor(total / 60)).padStart(2, '0');
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+import { WORLD_EVENT_TYPES } from '../src/engine/events.js';
+import { AlertRules, describeAlertRule, normalizeAlertRule } from '../src/engine/alert_rules.js';
+import { TankJournal } from '../src/engine/journal.js';
+
+function firedRuleIds(world) {
+  const fired = [];
+  world.on(WORLD_EVENT_TYPES.ALERT_TRIGGERED, (event) => fired.push(event.payload.ruleId));
+  return fired;
+}
+
+test('rules are validated and described', () => {
+  assert.equal(normalizeAlertRule({ metric: 'water.secret', op: '<', value: 1, action: 'toast' }), null);
+  assert.equal(normalizeAlertRule({ metric: 'water.hygiene01', op: '!=', value: 1, action: 'toast' }), null);
+  assert.equal(normalizeAlertRule({ metric: 'water.hygiene01', op: '<', value: 0.6, action: 'explode' }), null);
+  assert.equal(normalizeAlertRule({ metric: 'fish.hungerState', op: 'is', value: 'FED', action: 'toast' }), null);
+
+  const rule = normalizeAlertRule({ metric: 'water.hygiene01', op: '<', value: 0.6, forSimSec: 120, action: 'pause' });
+  assert.equal(describeAlertRule(rule), 'Hygiene < 60% for 2 sim-min');
+  const starving = normalizeAlertRule({ metric: 'fish.hungerState', op: '<', value: 'STARVING', action: 'toast' });
+  assert.equal(starving.op, 'is');
+  assert.equal(describeAlertRule(starving), 'Any fish is STARVING');
+});
+
+test('a rule fires once its condition has held long enough, then re-arms', () => {
+  const world = new World(800, 500, 3, { seed: 4 });
+  const rule = world.alertRules.add({ metric: 'water.hygiene01', op: '<', value: 0.6, forSimSec: 120, action: 'toast' });
+  const firedAt = [];
+  const hold = (seconds, hygiene01) => {
+    for (let elapsed = 0; elapsed < seconds; elapsed += 1) {
+      world.water.hygiene01 = hygiene01;
+      for (const fired of world.alertRules.evaluate(world)) firedAt.push([fired.id, world.simTimeSec]);
+      world.simTimeSec += 1;
+    }
+  };
+
+  hold(100, 0.5);
+  hold(5, 0.9);
+  hold(100, 0.5);
+  assert.deepEqual(firedAt, [], 'the clean spell reset the hold');
+
+  hold(400, 0.5);
+  assert.deepEqual(firedAt, [[rule.id, 225]]);
+
+  hold(2, 0.9);
+  hold(121, 0.5);
+  assert.deepEqual(firedAt, [[rule.id, 225], [rule.id, 727]]);
+});
+
+test('the world evaluates rules at most once per sim second and emits alert events', () => {
+  const world = new World(800, 500, 4, { seed: 9 });
+  const fired = firedRuleIds(world);
+  const rule = world.alertRules.add({ metric: 'fish.hungerState', value: 'STARVING', action: 'toast' });
+  const darts = world.alertRules.add({ metric: 'species.AZURE_DART.count', op: '<', value: 3, action: 'journal', enabled: false });
+
+  world.update(0.1);
+  assert.deepEqual(fired, []);
+
+  world.fish[1].energy01 = 0.05;
+  for (let i = 0; i < 12; i += 1) world.update(0.1);
+  assert.deepEqual(fired, [rule.id]);
+
+  world.alertRules.setEnabled(darts.id, true);
+  for (let i = 0; i < 12; i += 1) world.update(0.1);
+  assert.deepEqual(fired, [rule.id, darts.id]);
+  assert.equal(world.getAzureDartCount(), 0);
+
+  const journalText = world.journal.entries.filter((entry) => entry.category === 'alerts').map(TankJournal.textOf);
+  assert.deepEqual(journalText, ['Alert: Azure Dart count < 3']);
+});
+
+test('rules are saved with the tank', () => {
+  const world = new World(800, 500, 3, { seed: 5 });
+  world.alertRules.add({ metric: 'water.filter01', op: '<', value: 0.2, action: 'notification' });
+  const removed = world.alertRules.add({ metric: 'fish.aliveCount', op: '<=', value: 1, action: 'pause' });
+  world.alertRules.remove(removed.id);
+
+  const restored = World.fromJSON(JSON.parse(JSON.stringify(world.toJSON())), { width: 800, height: 500 });
+  assert.deepEqual(restored.alertRules.rules, world.alertRules.rules);
+  assert.equal(restored.alertRules.add({ metric: 'water.dirt01', op: '>', value: 0.5, action: 'toast' }).id, 3);
+
+  const rules = new AlertRules();
+  rules.loadFromJSON({ rules: [{ id: 4, metric: 'nope', op: '<', value: 1, action: 'toast' }] });
+  assert.deepEqual(rules.rules, []);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+import { DEFAULT_AWAY_POLICY, autoPauseReason, loadAwayPolicy, normalizeAwayPolicy, saveAwayPolicy } from '../src/away_policy.js';
+
+function memoryStorage() {
+  const entries = new Map();
+  return {
+    getItem: (key) => (entries.has(key) ? entries.get(key) : null),
+    setItem: (key, value) => entries.set(key, String(value))
+  };
+}
+
+test('away policy is normalized and round-trips through storage', () => {
+  assert.deepEqual(normalizeAwayPolicy(null), { ...DEFAULT_AWAY_POLICY, triggers: ['starving'] });
+  assert.deepEqual(normalizeAwayPolicy({
+    triggers: ['death', 'teleport', 'starving'],
+    hygieneBelowPct: 140,
+    inactivitySec: 5,
+    runWhileHidden: false
+  }), { triggers: ['starving', 'death'], hygieneBelowPct: 99, inactivitySec: 30, runWhileHidden: false });
+
+  const storage = memoryStorage();
+  assert.deepEqual(loadAwayPolicy(storage), normalizeAwayPolicy(null));
+  const saved = saveAwayPolicy({ triggers: [], hygieneBelowPct: 40, inactivitySec: 600, runWhileHidden: false }, storage);
+  assert.deepEqual(loadAwayPolicy(storage), saved);
+  assert.deepEqual(saved.triggers, []);
+
+  storage.setItem('aquatab_away_policy', '{not json');
+  assert.deepEqual(loadAwayPolicy(storage), normalizeAwayPolicy(null));
+});
+
+test('auto-pause reasons follow the chosen triggers', () => {
+  const world = new World(800, 500, 2, { seed: 2 });
+  world.water.hygiene01 = 0.45;
+  const policy = (triggers) => normalizeAwayPolicy({ triggers, hygieneBelowPct: 50 });
+
+  assert.equal(autoPauseReason(world, policy(['starving'])), null);
+  assert.equal(autoPauseReason(world, policy(['starving', 'lowHygiene'])), 'lowHygiene');
+  assert.equal(autoPauseReason(world, policy([])), null);
+
+  world.fish[0].hungerState = 'STARVING';
+  assert.equal(autoPauseReason(world, policy(['starving', 'lowHygiene'])), 'starving');
+
+  world.water.filterInstalled = true;
+  world.water.filter01 = world.filterDepletedThreshold01;
+  assert.equal(autoPauseReason(world, policy(['filterDepleted'])), 'filterDepleted');
+
+  assert.equal(autoPauseReason(world, policy(['death'])), null);
+  assert.equal(autoPauseReason(world, policy(['death']), { deathsWhileAway: 1 }), 'death');
+});
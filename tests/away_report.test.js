@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+import { WORLD_EVENT_TYPES } from '../src/engine/events.js';
+import { AwayReportRecorder } from '../src/engine/away_report.js';
+import { TankJournal } from '../src/engine/journal.js';
+
+test('the away report lists births, deaths, low-hygiene egg losses and filter changes in order', () => {
+  const world = new World(800, 500, 3, { seed: 6 });
+  const [mother, father, other] = world.fish;
+  mother.name = 'Aria';
+  father.name = 'Liam';
+  other.name = 'Nia';
+  world.water.hygiene01 = 0.9;
+  const recorder = new AwayReportRecorder(world);
+
+  world.simTimeSec = 60;
+  world.emit(WORLD_EVENT_TYPES.FISH_BORN, { fishId: other.id, motherId: mother.id, fatherId: father.id });
+  world.water.hygiene01 = 0.3;
+  recorder.sample();
+  world.simTimeSec = 120;
+  world.emit(WORLD_EVENT_TYPES.EGG_FAILED, { eggId: 1, motherId: mother.id, hygiene01: 0.3, lowHygiene: true });
+  world.emit(WORLD_EVENT_TYPES.EGG_FAILED, { eggId: 2, motherId: mother.id, hygiene01: 0.95, lowHygiene: false });
+  world.water.hygiene01 = 0.5;
+  world.simTimeSec = 180;
+  father.lifeState = 'DEAD';
+  father.deathReason = 'OLD_AGE';
+  world.update(0.1);
+  world.emit(WORLD_EVENT_TYPES.FILTER_DEPLETED, { filter01: 0.1, tier: 1 });
+
+  const report = recorder.build();
+  assert.deepEqual(report.timeline.map((entry) => TankJournal.textOf(entry)), [
+    'Nia was born to Aria and Liam',
+    'An egg from Aria failed to hatch (water at 30%)',
+    'Liam died of old age',
+    'Filter depleted'
+  ]);
+  assert.deepEqual(report.timeline[0].parts[0], { fishId: other.id, name: 'Nia' });
+  assert.deepEqual(report.timeline.map((entry) => entry.t), [60, 120, 180.1, 180.1]);
+  assert.equal(report.counts.births, 1);
+  assert.equal(report.counts.deaths, 1);
+  assert.equal(report.counts.failedEggs, 1);
+  assert.deepEqual(report.lowestHygiene, { hygiene01: 0.3, atSimSec: 60 });
+  assert.equal(report.filter, null);
+});
+
+test('the away report keeps the latest timeline entries and stops listening once disposed', () => {
+  const world = new World(800, 500, 2, { seed: 6 });
+  world.water.filterInstalled = true;
+  world.water.filter01 = 0.8;
+  const recorder = new AwayReportRecorder(world, { maxTimeline: 2 });
+  for (let tier = 2; tier <= 4; tier += 1) world.emit(WORLD_EVENT_TYPES.FILTER_UPGRADED, { fromTier: tier - 1, tier });
+  world.water.filter01 = 0.4;
+
+  const report = recorder.build();
+  assert.deepEqual(report.timeline.map((entry) => TankJournal.textOf(entry)), ['Filter upgraded to tier 3', 'Filter upgraded to tier 4']);
+  assert.equal(report.omittedCount, 1);
+  assert.deepEqual(report.filter, { from01: 0.8, to01: 0.4 });
+
+  recorder.dispose();
+  world.emit(WORLD_EVENT_TYPES.FILTER_MAINTAINED, { filter01: 1 });
+  assert.equal(recorder.build().timeline.length, 2);
+});
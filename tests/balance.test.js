@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runBalanceBatch, summarizeVariantRuns, validateVariant } from '../src/sim/balance.js';
+
+function fakeReport({ extinctAtSec = null, peakAlive = 4, alive = 4, curve = [4, 4, 4, 4], births = 0, deaths = {} } = {}) {
+  const simulatedSec = extinctAtSec ?? (curve.length - 1) * 60;
+  return {
+    extinctAtSec,
+    simulatedSec,
+    population: { alive, peakAlive },
+    populationCurve: curve.map((value, index) => ({ tSec: index * 60, alive: value })),
+    births,
+    deathsByReason: deaths,
+    water: { hygiene01: 0.5 }
+  };
+}
+
+test('variant validation rejects unknown tuning keys', () => {
+  assert.throws(() => validateVariant({ name: 'typo', water: { ammoniaPerBioload: 1 } }), /water\.ammoniaPerBioload/);
+  assert.throws(() => validateVariant({ name: 'ghost', species: { GOLDFISH: {} } }), /species\.GOLDFISH/);
+  assert.throws(() => validateVariant({ reproduction: {} }), /missing a name/);
+
+  const variant = validateVariant({ name: 'ok', reproduction: { PRESSURE_START_COUNT: 10 }, species: { AZURE_DART: { reproductionScale: 0.8 } } });
+  assert.deepEqual(variant.water, {});
+  assert.equal(variant.reproduction.PRESSURE_START_COUNT, 10);
+});
+
+test('run summaries aggregate survival, failure time and population', () => {
+  const summary = summarizeVariantRuns([
+    fakeReport({ curve: [4, 6, 8, 8, 10], peakAlive: 10, births: 6, deaths: { OLD_AGE: 1 } }),
+    fakeReport({ extinctAtSec: 600, alive: 0, curve: [4, 2, 0], deaths: { STARVATION: 4 } })
+  ], { steadyStateFraction: 0.25 });
+
+  assert.equal(summary.runs, 2);
+  assert.equal(summary.survivalRate, 0.5);
+  assert.equal(summary.failures, 1);
+  assert.deepEqual(summary.timeToFailureSec, { mean: 600, median: 600, min: 600, max: 600 });
+  assert.equal(summary.peakPopulation.max, 10);
+  assert.equal(summary.steadyStatePopulation.max, 9);
+  assert.equal(summary.steadyStatePopulation.min, 0);
+  assert.deepEqual(summary.deathsByReason, { OLD_AGE: 1, STARVATION: 4 });
+});
+
+test('batch runs apply each variant overrides in isolation', async () => {
+  const report = await runBalanceBatch({
+    variants: [{ name: 'baseline' }, { name: 'filthy', water: { ammoniaPerBioloadSec: 0.5 } }],
+    runs: 1,
+    baseSeed: 5,
+    runOptions: { simHours: 0.05, feedEverySec: 60 }
+  });
+
+  const [baseline, filthy] = report.variants;
+  assert.deepEqual(report.seeds, [5]);
+  assert.equal(baseline.name, 'baseline');
+  assert.ok(filthy.finalHygiene01.mean < baseline.finalHygiene01.mean);
+});
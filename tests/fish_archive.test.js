@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+import { assignGenerations, pruneFishArchive } from '../src/engine/fish_archive.js';
+
+function record(id, { motherId = null, fatherId = null, childrenIds = [], deathSimTimeSec = null } = {}) {
+  return {
+    id,
+    name: `Fish ${id}`,
+    history: {
+      motherId: motherId == null ? null : String(motherId),
+      fatherId: fatherId == null ? null : String(fatherId),
+      childrenIds: childrenIds.map(String),
+      deathSimTimeSec
+    }
+  };
+}
+
+function archiveOf(records) {
+  return new Map(records.map((entry) => [entry.id, entry]));
+}
+
+test('retired fish beyond the limit are pruned oldest death first', () => {
+  const archive = archiveOf([
+    record(1, { deathSimTimeSec: 300 }),
+    record(2, { deathSimTimeSec: 100 }),
+    record(3, { deathSimTimeSec: 200 }),
+    record(4)
+  ]);
+
+  assert.deepEqual(pruneFishArchive(archive, [4], { maxRetired: 3 }), []);
+  assert.deepEqual(pruneFishArchive(archive, [4], { maxRetired: 1, keepAncestorGenerations: 0 }), [2, 3]);
+  assert.deepEqual([...archive.keys()], [1, 4]);
+});
+
+test('ancestors of fish in the tank are protected and links to pruned fish resolve through stubs', () => {
+  // 1 x 2 -> 3; 3 x 4 -> 5 (in tank); 6 is an unrelated retired fish; 7 is 1's other child.
+  const archive = archiveOf([
+    record(1, { childrenIds: [3, 7], deathSimTimeSec: 10 }),
+    record(2, { childrenIds: [3], deathSimTimeSec: 20 }),
+    record(3, { motherId: 1, fatherId: 2, childrenIds: [5], deathSimTimeSec: 30 }),
+    record(4, { childrenIds: [5], deathSimTimeSec: 40 }),
+    record(5, { motherId: 3, fatherId: 4 }),
+    record(6, { deathSimTimeSec: 5 }),
+    record(7, { motherId: 1, deathSimTimeSec: 50 })
+  ]);
+
+  // One generation back protects 3 and 4 only.
+  const stubsById = new Map();
+  const dropped = pruneFishArchive(archive, [5], { maxRetired: 2, keepAncestorGenerations: 1, stubsById });
+  assert.deepEqual(dropped, [6, 1, 2, 7]);
+  assert.deepEqual([...archive.keys()].sort(), [3, 4, 5]);
+  assert.equal(archive.get(3).history.motherId, '1');
+  assert.equal(archive.get(3).history.fatherId, '2');
+  assert.deepEqual(archive.get(3).history.childrenIds, ['5']);
+
+  // Only the pruned fish a kept fish links to leave a stub.
+  assert.deepEqual([...stubsById.keys()].sort(), [1, 2]);
+  assert.deepEqual(stubsById.get(1), { id: 1, name: 'Fish 1', sex: null, speciesId: null, generation: 1 });
+  const { generationById } = assignGenerations([...archive.values()], stubsById.values());
+  assert.equal(generationById.get('3'), 2);
+  assert.equal(generationById.get('5'), 3);
+
+  // Stubs go once nothing kept links to them.
+  archive.get(3).history.deathSimTimeSec = 1;
+  assert.deepEqual(pruneFishArchive(archive, [5], { maxRetired: 1, keepAncestorGenerations: 0, stubsById }), [3]);
+  assert.deepEqual([...stubsById.keys()].sort(), [3]);
+  assert.equal(stubsById.get(3).generation, 2);
+});
+
+test('saves list in-tank fish once and keep retired fish compact', () => {
+  const world = new World(800, 500, 3, { seed: 4 });
+  const [retiring] = world.fish;
+  retiring.lifeState = 'DEAD';
+  retiring.deathReason = 'STARVATION';
+  world.update(0.1);
+  world.selectedFishId = retiring.id;
+  assert.equal(world.removeCorpse(retiring.id), true);
+  assert.equal(world.selectedFishId, null);
+
+  const state = world.toJSON();
+  const inTank = state.fishArchive.filter((entry) => entry.inTank);
+  assert.deepEqual(inTank.map((entry) => Object.keys(entry).sort()), [['id', 'inTank'], ['id', 'inTank']]);
+  const [retired] = state.fishArchive.filter((entry) => !entry.inTank);
+  assert.equal(retired.id, retiring.id);
+  assert.equal('playState' in retired, false);
+  assert.ok(Math.abs(retired.history.deathHygiene01 - world.water.hygiene01) < 0.001);
+
+  const loaded = World.fromJSON({ worldState: state }, { width: 800, height: 500 });
+  assert.equal(loaded.getFishById(retiring.id).deathReason, 'STARVATION');
+  assert.deepEqual(loaded.toJSON(), state);
+});
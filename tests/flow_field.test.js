@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+import { CONFIG } from '../src/config.js';
+import { jetSource, sampleFlow, sinkSource } from '../src/engine/flow_field.js';
+
+function filteredWorld(seed, { working = true } = {}) {
+  const world = new World(800, 500, 2, { seed });
+  Object.assign(world.water, {
+    filterInstalled: working,
+    filterEnabled: working,
+    filter01: working ? 1 : 0,
+    effectiveFilter01: working ? 1 : 0
+  });
+  return world;
+}
+
+test('a jet is fastest at its outlet, fades downstream and widens; an intake pulls water in', () => {
+  const jet = jetSource({ x: 100, y: 100, angleRad: 0, speedPxPerSec: 40, reachPx: 100, spreadPx: 10 });
+  const atOutlet = sampleFlow([jet], 101, 100);
+  const downstream = sampleFlow([jet], 250, 100);
+  assert.ok(atOutlet.x > 35 && Math.abs(atOutlet.y) < 1e-9);
+  assert.ok(downstream.x > 0 && downstream.x < atOutlet.x / 5);
+  assert.ok(sampleFlow([jet], 250, 140).x > sampleFlow([jet], 110, 140).x, 'the jet spreads out as it goes');
+  assert.ok(Math.abs(sampleFlow([jet], 20, 100).x) < 0.05, 'nothing comes out of the back');
+
+  const sink = sinkSource({ x: 0, y: 0, speedPxPerSec: 8, radiusPx: 40 });
+  const pulled = sampleFlow([sink], 20, 0);
+  assert.ok(pulled.x < 0);
+  assert.deepEqual(sampleFlow([], 20, 0), { x: 0, y: 0 });
+});
+
+test('the current follows the filter and leaves still water without one', () => {
+  const still = filteredWorld(4, { working: false });
+  assert.deepEqual(still.flowAt(600, 430), { x: 0, y: 0 });
+
+  const world = filteredWorld(4);
+  const inJet = world.flowAt(700, 430);
+  assert.ok(inJet.x < -10, 'the outflow runs along the tank away from the filter');
+  const { sources } = world.flowSourceCache;
+  assert.ok(Math.hypot(...Object.values(world.flowAt(100, 60))) < 1, 'the far corner stays calm');
+  assert.equal(world.flowSourceCache.sources, sources, 'sampling again reuses the same sources');
+
+  world.water.effectiveFilter01 = 0.5;
+  assert.ok(Math.abs(world.flowAt(700, 430).x - inJet.x * 0.5) < 1e-9, 'a worn filter pushes less');
+});
+
+test('sinking food, poop and bubbles in the outflow are carried with it', () => {
+  const run = (working) => {
+    const world = filteredWorld(9, { working });
+    world.food = [{ id: 900, x: 700, y: 400, amount: 1, ttl: 30, vy: 0 }];
+    world.poop = [];
+    const poop = world.spawnPoop(700, 430);
+    poop.vx = 0;
+    world.bubbles = [{ x: 700, y: 430, radius: 2, speed: 0, swayPhase: 0, swayAmplitude: 0 }];
+    for (let i = 0; i < 10; i += 1) world.update(0.1);
+    return { food: world.food[0].x, poop: poop.x, bubble: world.bubbles[0].x };
+  };
+  const still = run(false);
+  const flowing = run(true);
+  assert.ok(flowing.food < still.food - 5);
+  assert.ok(flowing.poop < still.poop - 5);
+  assert.ok(flowing.bubble < still.bubble - 5);
+});
+
+test('babies are swept further than adults, and swimming against the current costs energy', () => {
+  const sweep = (stage) => {
+    const displacement = (working) => {
+      const world = filteredWorld(15, { working });
+      const [fish] = world.fish;
+      fish.spawnTimeSec = stage === 'BABY' ? world.simTimeSec : world.simTimeSec - CONFIG.fish.age.stageBaseSec.juvenileEndSec * 1.5;
+      fish.lifespanSec = 1e6;
+      fish.position = { x: 700, y: 430 };
+      world.update(0.1);
+      assert.equal(fish.lifeStage, stage);
+      return fish.position.x - 700;
+    };
+    return displacement(false) - displacement(true);
+  };
+  const baby = sweep('BABY');
+  const adult = sweep('ADULT');
+  assert.ok(adult > 0);
+  assert.ok(baby > adult * 2);
+
+  const energyAfter = (working) => {
+    const world = filteredWorld(15, { working });
+    const [fish] = world.fish;
+    fish.position = { x: 700, y: 430 };
+    fish.energy01 = 1;
+    world.macroStep(10);
+    return fish.energy01;
+  };
+  assert.ok(energyAfter(true) < energyAfter(false));
+  const still = filteredWorld(15, { working: false });
+  assert.equal(still.fish[0].estimatedCurrentEffort(still), 0);
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createHeadlessWorld, runHeadless } from '../src/sim/headless.js';
+
+test('headless run reports population, deaths, hygiene curve and filter state', () => {
+  const world = createHeadlessWorld({ seed: 7, initialFishCount: 4 });
+  const report = runHeadless(world, { simHours: 0.25, sampleEverySec: 300, feedEverySec: 120 });
+
+  assert.equal(report.seed, 7);
+  assert.equal(report.simulatedSec, 900);
+  assert.equal(report.endSimTimeSec, 900);
+  assert.deepEqual(report.hygieneCurve.map((entry) => entry.tSec), [0, 300, 600, 900]);
+  assert.equal(report.populationCurve.length, report.hygieneCurve.length);
+  assert.ok(report.hygieneCurve.every((entry) => entry.hygiene01 >= 0 && entry.hygiene01 <= 1));
+
+  const speciesTotal = Object.values(report.population.bySpecies).reduce((sum, entry) => sum + entry.total, 0);
+  assert.equal(speciesTotal, report.population.alive);
+  assert.ok(report.population.peakAlive >= report.population.alive);
+  assert.equal(typeof report.deathsByReason, 'object');
+  assert.equal(typeof report.filter.installed, 'boolean');
+  assert.ok(report.foodsConsumed > 0);
+});
+
+test('headless runs are reproducible for a fixed seed', () => {
+  const run = () => runHeadless(createHeadlessWorld({ seed: 'tuning-a' }), { simHours: 0.1, feedEverySec: 60 });
+  assert.deepEqual(run(), run());
+});
+
+test('headless run continues from a saved payload', () => {
+  const source = createHeadlessWorld({ seed: 99 });
+  runHeadless(source, { simHours: 0.05, feedEverySec: 60 });
+  const save = { saveVersion: 1, savedAtEpochMs: Date.now(), worldState: source.toJSON() };
+
+  const world = createHeadlessWorld({ save });
+  const report = runHeadless(world, { simHours: 0.05 });
+
+  assert.equal(report.startSimTimeSec, 180);
+  assert.equal(report.endSimTimeSec, 360);
+  assert.equal(report.seed, 99);
+});
+
+test('starved tank stops at extinction and counts deaths by reason', () => {
+  const world = createHeadlessWorld({ seed: 3, initialFishCount: 1 });
+  for (const fish of world.fish) {
+    fish.hunger01 = 1;
+    fish.energy01 = 0;
+  }
+  const report = runHeadless(world, { simHours: 48 });
+
+  assert.ok(Number.isFinite(report.extinctAtSec));
+  assert.equal(report.simulatedSec, report.extinctAtSec);
+  assert.equal(report.population.alive, 0);
+  assert.ok((report.deathsByReason.STARVATION ?? 0) >= 1);
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+import { WORLD_EVENT_TYPES } from '../src/engine/events.js';
+import { TankJournal } from '../src/engine/journal.js';
+
+test('the journal records tank history with fish references and skips noisy events', () => {
+  const world = new World(800, 500, 2, { seed: 4 });
+  const [mother, father] = world.fish;
+  mother.name = 'Aria';
+  father.name = 'Liam';
+
+  world.spawnFood(100, 50);
+  world.emit(WORLD_EVENT_TYPES.EGGS_LAID, { motherId: mother.id, fatherId: father.id, eggIds: [1, 2, 3], count: 3 });
+  father.lifeState = 'DEAD';
+  father.deathReason = 'STARVATION';
+  world.update(0.1);
+  world.emit(WORLD_EVENT_TYPES.FILTER_DEPLETED, { filter01: 0.1, tier: 1 });
+
+  const entries = world.journal.entries;
+  assert.deepEqual(entries.map((entry) => TankJournal.textOf(entry)), [
+    'Aria laid 3 eggs',
+    'Liam died of starvation',
+    'Filter depleted'
+  ]);
+  assert.deepEqual(entries.map((entry) => entry.category), ['breeding', 'life', 'water']);
+  assert.deepEqual(entries[1].parts[0], { fishId: father.id, name: 'Liam' });
+});
+
+test('the journal is capped and persists with the save', () => {
+  const world = new World(800, 500, 2, { seed: 4 });
+  world.journal.maxEntries = 3;
+  for (let tier = 2; tier <= 6; tier += 1) world.emit(WORLD_EVENT_TYPES.FILTER_UPGRADED, { fromTier: tier - 1, tier });
+  assert.deepEqual(world.journal.entries.map((entry) => entry.seq), [3, 4, 5]);
+
+  const state = world.toJSON();
+  const loaded = World.fromJSON({ worldState: state }, { width: 800, height: 500 });
+  assert.deepEqual(loaded.journal.entries, world.journal.entries);
+  loaded.emit(WORLD_EVENT_TYPES.FILTER_INSTALLED, { tier: 1 });
+  assert.equal(loaded.journal.entries.at(-1).seq, 6);
+
+  delete state.journal;
+  assert.deepEqual(World.fromJSON({ worldState: state }, { width: 800, height: 500 }).journal.entries, []);
+});
+
+test('re-deriving unlocks on load does not write journal entries', () => {
+  const world = new World(800, 500, 2, { seed: 4 });
+  world.grantAllUnlockPrerequisites();
+  assert.ok(world.journal.entries.some((entry) => entry.type === WORLD_EVENT_TYPES.SPECIES_UNLOCKED));
+
+  const loaded = World.fromJSON({ worldState: world.toJSON() }, { width: 800, height: 500 });
+  assert.equal(loaded.speciesUnlocks.berryReed, true);
+  assert.deepEqual(loaded.journal.entries, world.journal.entries);
+});
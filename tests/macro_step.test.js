@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+import { FixedStepper } from '../src/engine/stepper.js';
+import { createHeadlessWorld, runHeadless } from '../src/sim/headless.js';
+
+test('macro step integrates aging, metabolism and water without moving fish', () => {
+  const world = new World(800, 500, 4, { seed: 31 });
+  world.grantAllUnlockPrerequisites();
+  world.installWaterFilter();
+  const positions = world.fish.map((fish) => ({ ...fish.position }));
+  const energyBefore = world.fish.map((fish) => fish.energy01);
+  const bubblesBefore = world.bubbles.map((bubble) => ({ ...bubble }));
+
+  for (let i = 0; i < 60; i += 1) world.macroStep(5);
+
+  assert.equal(world.simTimeSec, 300);
+  assert.equal(world.water.filterInstalled, true, 'filter install progress should complete');
+  assert.ok(world.water.filter01 < 1, 'filter should wear');
+  world.fish.forEach((fish, index) => {
+    assert.equal(fish.ageSecCached, 300 - fish.spawnTimeSec);
+    assert.ok(fish.energy01 < energyBefore[index], 'cruising should burn energy');
+    assert.deepEqual(fish.position, positions[index]);
+  });
+  assert.deepEqual(world.bubbles, bubblesBefore);
+});
+
+test('macro step feeds hungry fish from the tank and hatches due eggs', () => {
+  const world = new World(800, 500, 2, { seed: 8 });
+  const [mother, father] = world.fish;
+  for (const fish of world.fish) {
+    fish.energy01 = 0.3;
+    fish.hunger01 = 0.7;
+    fish.hungerState = 'HUNGRY';
+  }
+  world.spawnFood(400, 40);
+  world.spawnFood(420, 40);
+  world.water.hygiene01 = 1;
+  world.eggs.push({
+    id: world.nextEggId++,
+    x: 250,
+    y: 260,
+    laidAtSec: 0,
+    hatchAtSec: 1,
+    motherId: mother.id,
+    fatherId: father.id,
+    motherTraits: { ...mother.traits },
+    fatherTraits: { ...father.traits },
+    state: 'INCUBATING',
+    canBeEaten: true,
+    nutrition: 0.25
+  });
+
+  world.macroStep(5);
+
+  assert.equal(world.food.length, 0);
+  assert.equal(world.foodsConsumedCount, 2);
+  assert.ok(mother.energy01 > 0.3 && father.energy01 > 0.3);
+  assert.equal(world.eggs.length, 0);
+  assert.equal(world.birthsCount, 1);
+});
+
+test('stepper fast-forwards long gaps with macro steps and short ones with fixed steps', () => {
+  const world = new World(800, 500, 4, { seed: 5 });
+  const stepper = new FixedStepper(world, { stepSec: 0.5, macroStepSec: 10, macroMinGapSec: 30 });
+  let macroSteps = 0;
+  const macroStep = world.macroStep.bind(world);
+  world.macroStep = (dt) => {
+    macroSteps += 1;
+    macroStep(dt);
+  };
+
+  assert.equal(stepper.advance(2), 4);
+  assert.equal(macroSteps, 0);
+  assert.equal(stepper.advance(60), 6);
+  assert.equal(macroSteps, 6);
+  assert.equal(world.simTimeSec, 62);
+});
+
+test('macro headless runs stay close to full ticks', () => {
+  const options = { simHours: 1, feedEverySec: 300, installFilter: true };
+  const full = runHeadless(createHeadlessWorld({ seed: 12 }), options);
+  const macro = runHeadless(createHeadlessWorld({ seed: 12 }), { ...options, stepSec: 5, macro: true });
+
+  assert.equal(macro.macro, true);
+  assert.equal(macro.endSimTimeSec, full.endSimTimeSec);
+  assert.equal(macro.population.alive, full.population.alive);
+  assert.ok(Math.abs(macro.water.hygiene01 - full.water.hygiene01) < 0.1);
+  assert.ok(Math.abs(macro.water.dirt01 - full.water.dirt01) < 0.1);
+});
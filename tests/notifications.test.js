@@ -0,0 +1,133 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+import { WORLD_EVENT_TYPES } from '../src/engine/events.js';
+import { TankNotifier, normalizeNotificationPrefs } from '../src/notifications.js';
+
+function fakeNotificationApi(permission = 'granted') {
+  const sent = [];
+  class FakeNotification {
+    static permission = permission;
+
+    static async requestPermission() {
+      return FakeNotification.permission;
+    }
+
+    constructor(title, options) {
+      this.title = title;
+      this.options = options;
+      sent.push(this);
+    }
+
+    close() {
+      this.closed = true;
+    }
+  }
+  return { FakeNotification, sent };
+}
+
+function setup({ kinds, hidden = true, permission = 'granted' } = {}) {
+  const { FakeNotification, sent } = fakeNotificationApi(permission);
+  const clock = { ms: 0 };
+  const clicks = [];
+  const notifier = new TankNotifier({
+    NotificationImpl: FakeNotification,
+    prefs: { enabled: true, kinds, hygieneBelowPct: 50 },
+    isHidden: () => hidden,
+    now: () => clock.ms,
+    onClick: (detail) => clicks.push(detail)
+  });
+  const world = new World(800, 500, 3, { seed: 7 });
+  notifier.attach(world);
+  return { notifier, world, sent, clock, clicks };
+}
+
+test('notifications follow the chosen kinds and clicking one reports the fish', () => {
+  const { notifier, world, sent, clock, clicks } = setup({ kinds: ['death', 'starving'] });
+  const [first, second] = world.fish;
+  first.name = 'Aria';
+
+  second.hungerState = 'STARVING';
+  notifier.sample();
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].title, /is starving/);
+
+  world.emit(WORLD_EVENT_TYPES.FILTER_DEPLETED, { filter01: 0.1, tier: 1 });
+  clock.ms += 60_000;
+  world.emit(WORLD_EVENT_TYPES.FISH_DIED, { fishId: first.id, reason: 'STARVATION' });
+  assert.deepEqual(sent.map((entry) => entry.title), [sent[0].title, 'Aria starved']);
+
+  sent[1].onclick();
+  assert.deepEqual(clicks, [{ kind: 'death', fishId: first.id }]);
+  assert.equal(sent[1].closed, true);
+});
+
+test('notifications are rate-limited globally and per kind', () => {
+  const { world, sent, clock } = setup({ kinds: ['death', 'eggsHatched'] });
+  const [fish] = world.fish;
+  const die = () => world.emit(WORLD_EVENT_TYPES.FISH_DIED, { fishId: fish.id, reason: 'OLD_AGE' });
+
+  die();
+  clock.ms += 10_000;
+  world.emit(WORLD_EVENT_TYPES.EGG_HATCHED, { eggId: 1, fishId: fish.id });
+  assert.equal(sent.length, 1, 'too soon after the previous notification');
+
+  clock.ms += 60_000;
+  die();
+  assert.equal(sent.length, 1, 'same kind within its cooldown');
+  world.emit(WORLD_EVENT_TYPES.EGG_HATCHED, { eggId: 1, fishId: fish.id });
+  assert.equal(sent.length, 2);
+
+  clock.ms += 5 * 60_000;
+  die();
+  assert.equal(sent.length, 3);
+});
+
+test('nothing is shown while visible, without permission, or once detached', () => {
+  const visible = setup({ kinds: ['death'], hidden: false });
+  visible.world.emit(WORLD_EVENT_TYPES.FISH_DIED, { fishId: 1, reason: 'OLD_AGE' });
+  assert.equal(visible.sent.length, 0);
+
+  const denied = setup({ kinds: ['death'], permission: 'denied' });
+  denied.world.emit(WORLD_EVENT_TYPES.FISH_DIED, { fishId: 1, reason: 'OLD_AGE' });
+  assert.equal(denied.sent.length, 0);
+
+  const detached = setup({ kinds: ['lowHygiene'] });
+  detached.world.water.hygiene01 = 0.2;
+  detached.notifier.sample();
+  assert.equal(detached.sent.length, 1);
+  detached.notifier.detach();
+  detached.world.emit(WORLD_EVENT_TYPES.FISH_DIED, { fishId: 1, reason: 'OLD_AGE' });
+  assert.equal(detached.sent.length, 1);
+
+  assert.deepEqual(normalizeNotificationPrefs({ enabled: 'yes', kinds: ['death', 'nope'] }).kinds, ['death']);
+  assert.equal(normalizeNotificationPrefs({ enabled: 'yes' }).enabled, false);
+});
+
+test('a Notification constructor that throws turns notifications off instead of breaking the step', () => {
+  class IllegalNotification {
+    static permission = 'granted';
+
+    constructor() {
+      throw new TypeError('Illegal constructor');
+    }
+  }
+  const failures = [];
+  const notifier = new TankNotifier({
+    NotificationImpl: IllegalNotification,
+    prefs: { enabled: true, kinds: ['starving'], hygieneBelowPct: 50 },
+    isHidden: () => true,
+    now: () => 0,
+    onUnavailable: (error) => failures.push(error.message)
+  });
+  const world = new World(800, 500, 3, { seed: 7 });
+  notifier.attach(world);
+
+  world.fish[0].hungerState = 'STARVING';
+  assert.doesNotThrow(() => notifier.sample());
+  assert.deepEqual(failures, ['Illegal constructor']);
+  assert.equal(notifier.prefs.enabled, false);
+  assert.equal(notifier.supported, false);
+  assert.equal(notifier.permission, 'unsupported');
+});
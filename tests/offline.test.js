@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { offlineCatchUpSec, runOfflineCatchUp } from '../src/engine/offline.js';
+import { createHeadlessWorld } from '../src/sim/headless.js';
+import { World } from '../src/engine/world.js';
+
+const noYield = async () => {};
+
+test('offline catch-up duration respects the minimum gap and the cap', () => {
+  const now = 1_700_000_000_000;
+  const options = { maxSec: 3600, minSec: 60 };
+
+  assert.equal(offlineCatchUpSec(now - 30_000, now, options), 0);
+  assert.equal(offlineCatchUpSec(now - 600_000, now, options), 600);
+  assert.equal(offlineCatchUpSec(now - 86_400_000, now, options), 3600);
+  assert.equal(offlineCatchUpSec(now + 600_000, now, options), 0);
+  assert.equal(offlineCatchUpSec(undefined, now, options), 0);
+});
+
+test('offline catch-up advances sim time at 1x and restores the speed setting', async () => {
+  const world = createHeadlessWorld({ seed: 5 });
+  world.speedMultiplier = 3;
+  const progress = [];
+
+  const result = await runOfflineCatchUp(world, 300, {
+    stepSec: 0.5,
+    chunkSec: 100,
+    yieldFn: noYield,
+    onProgress: (progress01) => progress.push(progress01)
+  });
+
+  assert.equal(result.simulatedSec, 300);
+  assert.equal(result.stoppedEarly, false);
+  assert.equal(world.simTimeSec, 300);
+  assert.equal(world.speedMultiplier, 3);
+  assert.deepEqual(progress.map((value) => Math.round(value * 100)), [33, 67, 100]);
+});
+
+test('offline catch-up stops as soon as shouldStop reports trouble', async () => {
+  const world = createHeadlessWorld({ seed: 5 });
+
+  const result = await runOfflineCatchUp(world, 600, {
+    stepSec: 1,
+    yieldFn: noYield,
+    shouldStop: (target) => target.simTimeSec >= 42
+  });
+
+  assert.equal(result.stoppedEarly, true);
+  assert.equal(result.simulatedSec, 42);
+  assert.equal(world.simTimeSec, 42);
+});
+
+test('a tank saved while paused is not fast-forwarded', async () => {
+  const world = createHeadlessWorld({ seed: 5 });
+  world.paused = true;
+  const restored = World.fromJSON(JSON.parse(JSON.stringify(world.toJSON())), { width: 800, height: 500 });
+  assert.equal(restored.paused, true);
+
+  const result = await runOfflineCatchUp(restored, 3600, { stepSec: 1, yieldFn: noYield });
+  assert.deepEqual(result, { requestedSec: 3600, simulatedSec: 0, stoppedEarly: false });
+  assert.equal(restored.simTimeSec, 0);
+  assert.equal(restored.paused, true);
+});
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+import { Fish } from '../src/engine/fish.js';
+import { FISH_ARCHIVE_MAX_RETIRED } from '../src/engine/fish_archive.js';
+import { buildPostMortem } from '../src/engine/post_mortem.js';
+
+function killFish(world, fish, reason, hygiene01) {
+  world.water.hygiene01 = hygiene01;
+  fish.lifeState = 'DEAD';
+  fish.deathReason = reason;
+  world.update(0.1);
+}
+
+test('post-mortem orders deaths with cause and water hygiene, and finds the longest-lived fish', () => {
+  const world = new World(800, 500, 3, { seed: 9 });
+  const [first, second, third] = world.fish;
+  first.spawnTimeSec = -900;
+  second.spawnTimeSec = -100;
+  third.spawnTimeSec = -50;
+
+  world.simTimeSec = 100;
+  killFish(world, second, 'STARVATION', 0.4);
+  world.simTimeSec = 200;
+  killFish(world, first, 'OLD_AGE', 0.75);
+  world.simTimeSec = 300;
+  killFish(world, third, 'STARVATION', 0.2);
+  assert.equal(world.isEcosystemCollapsed(), true);
+
+  const report = buildPostMortem(world);
+  assert.equal(report.totalFish, 3);
+  assert.deepEqual(report.deaths.map((death) => [death.fishId, death.reason]), [
+    [second.id, 'STARVATION'],
+    [first.id, 'OLD_AGE'],
+    [third.id, 'STARVATION']
+  ]);
+  assert.deepEqual(report.deaths.map((death) => death.hygiene01), [0.4, 0.75, 0.2]);
+  assert.deepEqual(report.deathsByReason, { STARVATION: 2, OLD_AGE: 1 });
+  assert.equal(report.longestLived.fishId, first.id);
+  assert.ok(Math.abs(report.longestLived.ageSec - 1100) < 1);
+});
+
+test('post-mortem groups the family into generations and survives a save round trip', () => {
+  const world = new World(800, 500, 4, { seed: 12 });
+  const [mother, father, child, grandchild] = world.fish;
+  mother.sex = 'female';
+  father.sex = 'male';
+  child.history.motherId = String(mother.id);
+  child.history.fatherId = String(father.id);
+  mother.history.childrenIds = [String(child.id)];
+  father.history.childrenIds = [String(child.id)];
+  grandchild.history.motherId = String(child.id);
+  child.history.childrenIds = [String(grandchild.id)];
+
+  const loaded = World.fromJSON({ saveVersion: 2, savedAtEpochMs: 0, worldState: world.toJSON() }, { width: 800, height: 500 });
+  for (const report of [buildPostMortem(world), buildPostMortem(loaded)]) {
+    assert.deepEqual(report.lineage.map((row) => row.fish.map((entry) => entry.fishId)), [
+      [mother.id, father.id],
+      [child.id],
+      [grandchild.id]
+    ]);
+    const childEntry = report.lineage[1].fish[0];
+    assert.equal(childEntry.motherName, mother.name);
+    assert.equal(childEntry.fatherName, father.name);
+    assert.equal(childEntry.childrenCount, 1);
+    assert.equal(report.lineage[2].fish[0].fatherName, null);
+  }
+});
+
+test('fish pruned from the archive still count toward the totals', () => {
+  const world = new World(800, 500, 2, { seed: 14 });
+  const retiredCount = FISH_ARCHIVE_MAX_RETIRED + 5;
+  for (let i = 0; i < retiredCount; i += 1) {
+    const fish = new Fish(world.bounds, { id: 1000 + i, lifespanSec: 1000 });
+    fish.lifeState = 'DEAD';
+    fish.deathReason = i % 2 === 0 ? 'STARVATION' : 'OLD_AGE';
+    fish.history.deathSimTimeSec = i;
+    world.fishArchiveById.set(fish.id, fish);
+  }
+  // The oldest retired fish is a child of a fish still in the tank.
+  const [living] = world.fish;
+  const child = world.getFishById(1000);
+  child.history.motherId = living.id;
+  living.history.childrenIds = [child.id];
+  world.update(0.1);
+  assert.equal(world.fishArchiveById.size, world.fish.length + FISH_ARCHIVE_MAX_RETIRED);
+  assert.equal(world.getFishById(1000), null);
+  assert.equal(world.getPrunedFishStub(1000).name, child.name);
+
+  const loaded = World.fromJSON(JSON.parse(JSON.stringify(world.toJSON())), { width: 800, height: 500 });
+  assert.deepEqual(loaded.getPrunedFishStub(1000), world.getPrunedFishStub(1000));
+  for (const report of [buildPostMortem(world), buildPostMortem(loaded)]) {
+    assert.equal(report.prunedFish, 5);
+    assert.equal(report.totalFish, world.fish.length + retiredCount);
+    assert.equal(report.deaths.length, FISH_ARCHIVE_MAX_RETIRED);
+    assert.equal(report.deathCount, retiredCount);
+    assert.deepEqual(report.deathsByReason, { STARVATION: Math.ceil(retiredCount / 2), OLD_AGE: Math.floor(retiredCount / 2) });
+    const livingEntry = report.lineage[0].fish.find((entry) => entry.fishId === living.id);
+    assert.equal(livingEntry.childrenCount, 1);
+  }
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+import { SAVE_VERSION, buildSavePayload, exportFileName, validateSavePayload } from '../src/persistence/save_file.js';
+
+test('an exported payload validates and loads back into an identical world', () => {
+  const world = new World(800, 500, 4, { seed: 77 });
+  for (let i = 0; i < 40; i += 1) world.update(0.25);
+
+  const text = JSON.stringify(buildSavePayload(world, 1_700_000_000_000));
+  const result = validateSavePayload(text);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.payload.saveVersion, SAVE_VERSION);
+  const loaded = World.fromJSON(result.payload, { width: 800, height: 500 });
+  assert.deepEqual(loaded.toJSON(), world.toJSON());
+});
+
+test('import validation reports version, missing fields and out-of-range values', () => {
+  assert.deepEqual(validateSavePayload('{not json'), { ok: false, problems: ['The file is not valid JSON'] });
+  assert.deepEqual(validateSavePayload('[]'), { ok: false, problems: ['The file does not contain a saved tank'] });
+
+  const missing = validateSavePayload({ saveVersion: SAVE_VERSION + 1 });
+  assert.equal(missing.ok, false);
+  assert.deepEqual(missing.problems, [
+    `Save version ${SAVE_VERSION + 1} is not supported (expected ${SAVE_VERSION} or older)`,
+    'Missing savedAtEpochMs',
+    'Missing worldState'
+  ]);
+
+  const world = new World(800, 500, 2, { seed: 3 });
+  const payload = buildSavePayload(world, 1_000);
+  payload.worldState.simTimeSec = -5;
+  payload.worldState.water.hygiene01 = 1.4;
+  payload.worldState.fish[1].id = payload.worldState.fish[0].id;
+  payload.worldState.fish[0].lifeState = 'ZOMBIE';
+
+  const broken = validateSavePayload(payload);
+  assert.equal(broken.ok, false);
+  assert.ok(broken.problems.includes('worldState.simTimeSec is -5, expected at least 0'));
+  assert.ok(broken.problems.includes('worldState.water.hygiene01 is 1.4, expected between 0 and 1'));
+  assert.ok(broken.problems.some((problem) => problem.includes('is used twice')));
+  assert.ok(broken.problems.some((problem) => problem.includes('"ZOMBIE"')));
+});
+
+test('export file names are slugged and dated', () => {
+  const date = new Date('2026-03-04T12:00:00Z');
+  assert.equal(exportFileName('My Reef #2', date), 'aquatab-my-reef-2-2026-03-04.json');
+  assert.equal(exportFileName('', date), 'aquatab-tank-2026-03-04.json');
+});
@@ -4,18 +4,18 @@ import assert from 'node:assert/strict';
 import { World } from '../src/engine/world.js';
 import { CONFIG } from '../src/config.js';
 
-function withStubbedRandom(value, fn) {
-  const original = Math.random;
-  Math.random = () => value;
+function withStubbedRng(world, value, fn) {
+  const rng = world.rng;
+  rng.next = () => value;
   try {
     return fn();
   } finally {
-    Math.random = original;
+    delete rng.next;
   }
 }
 
-function makeWorldForTest({ width = 800, height = 500, initialFishCount = 4, randomValue = 0.42 } = {}) {
-  return withStubbedRandom(randomValue, () => new World(width, height, initialFishCount));
+function makeWorldForTest({ width = 800, height = 500, initialFishCount = 4, seed = 42 } = {}) {
+  return new World(width, height, initialFishCount, { seed });
 }
 
 function roundTrip(world) {
@@ -25,11 +25,12 @@ function roundTrip(world) {
     worldState: world.toJSON()
   };
 
-  return withStubbedRandom(0.33, () => World.fromJSON(payload, {
+  return World.fromJSON(payload, {
     width: world.bounds.width,
     height: world.bounds.height,
-    initialFishCount: world.initialFishCount
-  }));
+    initialFishCount: world.initialFishCount,
+    seed: 33
+  });
 }
 
 function forceFishAliveAdultFed(fish) {
@@ -158,7 +159,7 @@ test('egg incubation data persists and hatches after due time', () => {
 
   const fishCountBefore = world2.fish.length;
   world2.simTimeSec = 31;
-  withStubbedRandom(0, () => world2.update(0.01));
+  withStubbedRng(world2, 0, () => world2.update(0.01));
 
   assert.equal(world2.eggs.length, 0, 'egg should be consumed by hatch resolution');
   assert.equal(world2.fish.length, fishCountBefore + 1, 'hatch should spawn one baby fish');
@@ -202,7 +203,7 @@ test('berry reed gives azure eggs a small hatch buffer', () => {
   });
 
   const fishCountBefore = world.fish.length;
-  withStubbedRandom(0.55, () => world.update(0.01));
+  withStubbedRng(world, 0.55, () => world.update(0.01));
 
   assert.equal(world.eggs.length, 0);
   assert.equal(world.fish.length, fishCountBefore + 1, 'berry support should let this egg hatch at this roll');
@@ -431,7 +432,7 @@ test('laying clutch uses updated egg range of 2 to 4', () => {
   femaleMin.repro.layTargetX = femaleMin.position.x;
   femaleMin.repro.layTargetY = femaleMin.position.y;
 
-  withStubbedRandom(0, () => worldMin.update(0.01));
+  withStubbedRng(worldMin, 0, () => worldMin.update(0.01));
   assert.equal(worldMin.eggs.length, 2, 'minimum clutch should produce 2 eggs');
 
   const worldMax = makeWorldForTest();
@@ -442,7 +443,7 @@ test('laying clutch uses updated egg range of 2 to 4', () => {
   femaleMax.repro.layTargetX = femaleMax.position.x;
   femaleMax.repro.layTargetY = femaleMax.position.y;
 
-  withStubbedRandom(0.999999, () => worldMax.update(0.01));
+  withStubbedRng(worldMax, 0.999999, () => worldMax.update(0.01));
   assert.equal(worldMax.eggs.length, 4, 'maximum clutch should produce 4 eggs');
 });
 
@@ -495,15 +496,15 @@ test('poop survives save/load as optional field', () => {
 
 test('poop spawn type distribution uses weighted random bands', () => {
   const worldPellet = makeWorldForTest();
-  withStubbedRandom(0.2, () => worldPellet.spawnPoop(20, 20));
+  withStubbedRng(worldPellet, 0.2, () => worldPellet.spawnPoop(20, 20));
   assert.equal(worldPellet.poop[0].type, 'pellet');
 
   const worldNeutral = makeWorldForTest();
-  withStubbedRandom(0.8, () => worldNeutral.spawnPoop(20, 20));
+  withStubbedRng(worldNeutral, 0.8, () => worldNeutral.spawnPoop(20, 20));
   assert.equal(worldNeutral.poop[0].type, 'neutral');
 
   const worldFloaty = makeWorldForTest();
-  withStubbedRandom(0.95, () => worldFloaty.spawnPoop(20, 20));
+  withStubbedRng(worldFloaty, 0.95, () => worldFloaty.spawnPoop(20, 20));
   assert.equal(worldFloaty.poop[0].type, 'floaty');
 });
 
@@ -530,36 +531,28 @@ test('upgradeWaterFilter applies recovery kick and tier scaling improves cleanup
   world.water.filterEnabled = true;
   world.water.filter01 = 1;
   world.water.filterTier = 1;
-  world.water.dirt01 = 0.4;
-  world.water.hygiene01 = 0.5;
+  world.water.nitratePpm = 100;
   world.foodsConsumedCount = world.initialFishCount * 8;
 
   const upgraded = world.upgradeWaterFilter();
   assert.equal(upgraded, true);
   assert.equal(world.water.filterTier, 2);
-  assert.equal(Number(world.water.dirt01.toFixed(3)), 0.35);
+  assert.equal(Number(world.water.nitratePpm.toFixed(3)), 90);
   assert.equal(Number(world.water.hygiene01.toFixed(3)), 0.55);
 
-  const tier1World = makeWorldForTest({ initialFishCount: 4 });
-  tier1World.water.filterInstalled = true;
-  tier1World.water.filterEnabled = true;
-  tier1World.water.filter01 = 1;
-  tier1World.water.filterTier = 1;
-  tier1World.water.dirt01 = 0.3;
-  tier1World.water.hygiene01 = 0.6;
-
-  const tier2World = makeWorldForTest({ initialFishCount: 4 });
-  tier2World.water.filterInstalled = true;
-  tier2World.water.filterEnabled = true;
-  tier2World.water.filter01 = 1;
-  tier2World.water.filterTier = 2;
-  tier2World.water.dirt01 = 0.3;
-  tier2World.water.hygiene01 = 0.6;
+  const makeFilteredWorld = (filterTier) => {
+    const tierWorld = makeWorldForTest({ initialFishCount: 4 });
+    Object.assign(tierWorld.water, { filterInstalled: true, filterEnabled: true, filter01: 1, filterTier, bacteria01: 1 });
+    Object.assign(tierWorld.water, { ammoniaPpm: 1, nitritePpm: 1, nitratePpm: 80 });
+    return tierWorld;
+  };
+  const tier1World = makeFilteredWorld(1);
+  const tier2World = makeFilteredWorld(2);
 
   tier1World.update(60);
   tier2World.update(60);
 
-  assert.ok(tier2World.water.dirt01 < tier1World.water.dirt01, 'tier 2 should remove more dirt over time');
+  assert.ok(tier2World.water.nitratePpm < tier1World.water.nitratePpm, 'tier 2 should export more nitrate over time');
   assert.ok(tier2World.water.hygiene01 > tier1World.water.hygiene01, 'tier 2 should recover hygiene faster');
 });
 
@@ -658,7 +651,7 @@ test('cross-species reproduction does not occur', () => {
   forceFishAliveAdultFed(male);
   world.water.hygiene01 = 1;
 
-  withStubbedRandom(0, () => {
+  withStubbedRng(world, 0, () => {
     for (let i = 0; i < 8; i += 1) world.update(1);
   });
 
@@ -740,3 +733,32 @@ test('species tab clear-selection path is safe via toggleFishSelection(null)', (
   world.toggleFishSelection(null);
   assert.equal(world.selectedFishId, null);
 });
+
+test('same seed replays the same tank', () => {
+  const run = () => {
+    const world = makeWorldForTest({ seed: 1234 });
+    world.spawnFood(200, 40);
+    world.spawnFood(420, 60);
+    for (let i = 0; i < 120; i += 1) world.update(0.25);
+    return JSON.stringify(world.toJSON());
+  };
+
+  assert.equal(run(), run());
+  assert.notEqual(
+    JSON.stringify(makeWorldForTest({ seed: 1 }).toJSON()),
+    JSON.stringify(makeWorldForTest({ seed: 2 }).toJSON())
+  );
+});
+
+test('rng state persists through save/load', () => {
+  const world = makeWorldForTest({ seed: 77 });
+  for (let i = 0; i < 20; i += 1) world.update(0.25);
+
+  const loaded = roundTrip(world);
+  assert.deepEqual(loaded.rng.toJSON(), world.rng.toJSON());
+  assert.equal(loaded.rng.seed, 77);
+
+  const expected = Array.from({ length: 5 }, () => world.rng.next());
+  const actual = Array.from({ length: 5 }, () => loaded.rng.next());
+  assert.deepEqual(actual, expected);
+});
@@ -0,0 +1,155 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { World } from '../src/engine/world.js';
+import { SAVE_MIGRATIONS, WORLD_SAVE_VERSION, migrateWorldState } from '../src/engine/save_migrations.js';
+import { SAVE_VERSION, buildSavePayload, validateSavePayload } from '../src/persistence/save_file.js';
+
+function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+}
+
+const loadV1Fixture = () => loadFixture('save_v1.json');
+const loadV2Fixture = () => loadFixture('save_v2.json');
+
+function migrateFixture() {
+  const result = migrateWorldState(loadV1Fixture().worldState);
+  assert.equal(result.ok, true);
+  return result;
+}
+
+test('the registry chains every step up to the current version', () => {
+  assert.equal(SAVE_MIGRATIONS.get(1).to, 2);
+  assert.equal(SAVE_MIGRATIONS.get(2).to, 3);
+  assert.equal(SAVE_MIGRATIONS.get(3).to, 4);
+  const { state, applied } = migrateFixture();
+  assert.deepEqual(applied, ['1->2', '2->3', '3->4']);
+  assert.equal(state.saveVersion, WORLD_SAVE_VERSION);
+  assert.deepEqual(migrateWorldState(loadV2Fixture().worldState).applied, ['2->3', '3->4']);
+});
+
+test('v1 -> v2 fills fish species and normalizes child ids', () => {
+  const { state } = migrateFixture();
+  assert.deepEqual(state.fish.map((fish) => fish.speciesId), ['LAB_MINNOW', 'LAB_MINNOW']);
+  assert.deepEqual(state.fish[0].history.childrenIds, ['7']);
+});
+
+test('v1 -> v2 builds the fish archive and drops the legacy clock', () => {
+  const state = SAVE_MIGRATIONS.get(1).migrate(loadV1Fixture().worldState);
+  assert.equal('realTimeSec' in state, false);
+  assert.deepEqual(state.fishArchive.map((fish) => fish.id), [1, 2]);
+  assert.notEqual(state.fishArchive[0], state.fish[0]);
+  assert.equal(state.fishArchive[0].speciesId, 'LAB_MINNOW');
+});
+
+test('v2 -> v3 references in-tank fish and compacts retired ones', () => {
+  const source = loadV2Fixture().worldState;
+  const { state } = migrateWorldState(source);
+  const tankIds = new Set(state.fish.map((fish) => fish.id));
+  const retired = state.fishArchive.filter((entry) => !entry.inTank);
+
+  assert.deepEqual(state.fishArchive.filter((entry) => entry.inTank).map((entry) => entry.id).sort(), [...tankIds].sort());
+  assert.equal(retired.length, 1);
+  assert.equal(retired[0].deathReason, 'STARVATION');
+  assert.deepEqual(retired[0].traits, source.fishArchive.find((entry) => entry.id === retired[0].id).traits);
+  for (const key of ['position', 'playState', 'repro', 'behavior', 'energy01']) assert.equal(key in retired[0], false);
+  assert.ok(JSON.stringify(state).length < JSON.stringify(source).length * 0.75);
+});
+
+test('v3 -> v4 turns saved hygiene into an equivalent nitrate load', () => {
+  const source = { ...loadV2Fixture().worldState, saveVersion: 3 };
+  source.water = { ...source.water, hygiene01: 0.7, filterInstalled: true, filter01: 0.6 };
+  const { state } = migrateWorldState(source);
+  assert.deepEqual(
+    { ammoniaPpm: state.water.ammoniaPpm, nitritePpm: state.water.nitritePpm, bacteria01: state.water.bacteria01 },
+    { ammoniaPpm: 0, nitritePpm: 0, bacteria01: 0.6 }
+  );
+  assert.equal(Math.round(state.water.nitratePpm), 60);
+
+  const world = World.fromJSON({ worldState: state }, { width: 640, height: 400 });
+  world.update(0.1);
+  assert.ok(Math.abs(world.water.hygiene01 - 0.7) < 0.01);
+});
+
+test('v1 -> v2 gives eggs the mother species', () => {
+  const source = loadV1Fixture().worldState;
+  source.fish[0].speciesId = 'AZURE_DART';
+  const { state } = migrateWorldState(source);
+  assert.equal(state.eggs[0].speciesId, 'AZURE_DART');
+});
+
+test('v1 -> v2 makes the filter tier and switch explicit', () => {
+  const { state } = migrateFixture();
+  assert.equal(state.water.filterTier, 0);
+  assert.equal(state.water.filterEnabled, true);
+
+  const installed = loadV1Fixture().worldState;
+  installed.water.filterInstalled = true;
+  assert.equal(migrateWorldState(installed).state.water.filterTier, 1);
+});
+
+test('v1 -> v2 fills berry reed growth and converts fruit lifetimes', () => {
+  const { state } = migrateFixture();
+  const [plant] = state.berryReedPlants;
+  assert.equal(plant.maxHeight, plant.height);
+  assert.equal(plant.spawnHeight, plant.height);
+  assert.equal(plant.growthElapsedSec, 0);
+
+  const [fruit] = state.fruits;
+  assert.equal(fruit.createdAtSec, 513.25);
+  assert.equal(fruit.ttlSec, 90);
+  assert.equal('spawnedAtSec' in fruit, false);
+  assert.equal('expiresAtSec' in fruit, false);
+});
+
+test('migration never mutates the stored snapshot', () => {
+  const source = loadV1Fixture().worldState;
+  const before = structuredClone(source);
+  migrateWorldState(source);
+  assert.deepEqual(source, before);
+});
+
+test('newer and unknown versions are rejected with a reason', () => {
+  const newer = migrateWorldState({ saveVersion: WORLD_SAVE_VERSION + 1 });
+  assert.equal(newer.ok, false);
+  assert.match(newer.reason, /newer than this game supports/);
+
+  assert.equal(migrateWorldState({ saveVersion: 'one' }).ok, false);
+  assert.equal(migrateWorldState({ saveVersion: 1 }, new Map()).reason, 'No migration from save version 1');
+});
+
+test('a v2 file loads into the same world as its migrated state', () => {
+  const fromFile = World.fromJSON(loadV2Fixture(), { width: 640, height: 400 });
+  assert.equal(fromFile.fishArchiveById.size, 3);
+  assert.equal(fromFile.fish.length, 2);
+  for (const fish of fromFile.fish) assert.equal(fromFile.fishArchiveById.get(fish.id), fish);
+
+  const reloaded = World.fromJSON({ worldState: fromFile.toJSON() }, { width: 640, height: 400 });
+  assert.deepEqual(reloaded.toJSON(), fromFile.toJSON());
+});
+
+test('a v1 file validates, upgrades and loads into a world', () => {
+  const result = validateSavePayload(loadV1Fixture());
+  assert.equal(result.ok, true);
+  assert.equal(result.migrated, true);
+  assert.equal(result.payload.saveVersion, SAVE_VERSION);
+
+  const world = World.fromJSON(result.payload, { width: 640, height: 400 });
+  assert.equal(world.fish.length, 2);
+  assert.equal(world.eggs[0].speciesId, 'LAB_MINNOW');
+  assert.equal(world.fruits[0].ttlSec, 90);
+  assert.equal(world.toJSON().saveVersion, WORLD_SAVE_VERSION);
+
+  const direct = World.fromJSON(loadV1Fixture(), { width: 640, height: 400 });
+  assert.deepEqual(direct.toJSON(), world.toJSON());
+});
+
+test('current saves pass through unchanged', () => {
+  const world = new World(640, 400, 3, { seed: 5 });
+  const state = world.toJSON();
+  const result = migrateWorldState(state);
+  assert.deepEqual(result.applied, []);
+  assert.equal(result.state, state);
+  assert.equal(validateSavePayload(buildSavePayload(world, 1_000)).migrated, false);
+});
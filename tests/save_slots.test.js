@@ -0,0 +1,212 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LEGACY_SAVE_KEY, SLOT_INDEX_KEY, SaveSlotStore, checksumPayload } from '../src/persistence/save_slots.js';
+import { MemoryStorageAdapter } from '../src/persistence/storage_adapters.js';
+
+function makePayload({ savedAtEpochMs = 1_000, simTimeSec = 120, hygiene01 = 0.8 } = {}) {
+  return {
+    saveVersion: 1,
+    savedAtEpochMs,
+    worldState: {
+      saveVersion: 1,
+      simTimeSec,
+      water: { hygiene01 },
+      fish: [{ id: 1, lifeState: 'ALIVE' }, { id: 2, lifeState: 'ALIVE' }, { id: 3, lifeState: 'DEAD' }]
+    }
+  };
+}
+
+test('slots save payloads independently with start-screen metadata', async () => {
+  const adapter = new MemoryStorageAdapter();
+  const store = await SaveSlotStore.open(adapter);
+
+  const first = await store.createSlot('Reef');
+  const second = await store.createSlot('   ');
+  assert.equal(second.name, 'Tank 2');
+
+  await store.savePayload(first.id, makePayload({ savedAtEpochMs: 1_000 }));
+  await store.savePayload(second.id, makePayload({ savedAtEpochMs: 2_000, simTimeSec: 60 }));
+
+  assert.deepEqual(store.list().map((slot) => slot.name), ['Tank 2', 'Reef']);
+  assert.deepEqual(store.getSlot(first.id).meta, { simTimeSec: 120, fishCount: 2, hygiene01: 0.8 });
+  assert.equal((await store.loadPayload(second.id)).worldState.simTimeSec, 60);
+
+  // A fresh store over the same adapter sees the same slots.
+  const reopened = await SaveSlotStore.open(adapter);
+  assert.equal(reopened.list().length, 2);
+  assert.equal((await reopened.loadPayload(first.id)).worldState.simTimeSec, 120);
+});
+
+test('rename, duplicate and delete keep the index and payloads in sync', async () => {
+  const store = await SaveSlotStore.open(new MemoryStorageAdapter());
+  const slot = await store.createSlot('Reef');
+  await store.savePayload(slot.id, makePayload());
+  await store.setActive(slot.id);
+
+  await store.renameSlot(slot.id, '  Planted   tank ');
+  assert.equal(store.getSlot(slot.id).name, 'Planted tank');
+
+  const copy = await store.duplicateSlot(slot.id);
+  assert.equal(copy.name, 'Planted tank (copy)');
+  assert.deepEqual(await store.loadPayload(copy.id), await store.loadPayload(slot.id));
+
+  assert.equal(await store.deleteSlot(slot.id), true);
+  assert.equal(store.activeSlotId, null);
+  assert.equal(await store.loadPayload(slot.id), null);
+  assert.deepEqual(store.list().map((entry) => entry.id), [copy.id]);
+  assert.equal((await store.loadPayload(copy.id)).worldState.simTimeSec, 120);
+});
+
+test('a legacy single save is adopted as the active first slot', async () => {
+  const legacy = makePayload({ savedAtEpochMs: 5_000 });
+  const adapter = new MemoryStorageAdapter({ [LEGACY_SAVE_KEY]: legacy });
+  const store = await SaveSlotStore.open(adapter);
+
+  const [slot] = store.list();
+  assert.equal(slot.name, 'Tank 1');
+  assert.equal(slot.savedAtEpochMs, 5_000);
+  assert.equal(store.activeSlotId, slot.id);
+  assert.deepEqual(await store.loadPayload(slot.id), legacy);
+  assert.equal(await adapter.load(LEGACY_SAVE_KEY), null);
+  assert.ok(await adapter.load(SLOT_INDEX_KEY));
+});
+
+test('slots saved by a previous backend move to the new one', async () => {
+  const oldAdapter = new MemoryStorageAdapter({ unrelated: 1 });
+  const oldStore = await SaveSlotStore.open(oldAdapter);
+  const slot = await oldStore.createSlot('Reef');
+  await oldStore.savePayload(slot.id, makePayload());
+  await oldStore.setActive(slot.id);
+
+  const adapter = new MemoryStorageAdapter();
+  const store = await SaveSlotStore.open(adapter, { fallback: oldAdapter });
+  assert.equal(store.activeSlotId, slot.id);
+  assert.equal((await store.loadPayload(slot.id)).worldState.simTimeSec, 120);
+  assert.deepEqual(await oldAdapter.list(), ['unrelated']);
+
+  // Once moved, the fallback is ignored.
+  const reopened = await SaveSlotStore.open(adapter, { fallback: new MemoryStorageAdapter() });
+  assert.deepEqual(reopened.list().map((entry) => entry.name), ['Reef']);
+});
+
+test('a refused write rejects and leaves the slot metadata untouched', async () => {
+  const adapter = new MemoryStorageAdapter();
+  const store = await SaveSlotStore.open(adapter);
+  const slot = await store.createSlot('Reef');
+  await store.savePayload(slot.id, makePayload({ savedAtEpochMs: 1_000 }));
+
+  adapter.save = async () => {
+    throw new DOMException('full', 'QuotaExceededError');
+  };
+  await assert.rejects(store.savePayload(slot.id, makePayload({ savedAtEpochMs: 2_000 })), { name: 'QuotaExceededError' });
+  assert.equal(store.getSlot(slot.id).savedAtEpochMs, 1_000);
+});
+
+test('autosaves rotate through a fixed ring of checkpoints', async () => {
+  const adapter = new MemoryStorageAdapter();
+  const store = await SaveSlotStore.open(adapter, { checkpointsPerSlot: 3, checkpointSpacingMs: 0 });
+  const slot = await store.createSlot('Reef');
+  for (let i = 1; i <= 5; i += 1) {
+    await store.savePayload(slot.id, makePayload({ savedAtEpochMs: i * 1_000, simTimeSec: i * 10 }));
+  }
+
+  const checkpoints = store.listCheckpoints(slot.id);
+  assert.deepEqual(checkpoints.map((entry) => entry.savedAtEpochMs), [5_000, 4_000, 3_000]);
+  assert.equal(checkpoints[0].checksum, checksumPayload(makePayload({ savedAtEpochMs: 5_000, simTimeSec: 50 })));
+  assert.deepEqual(await adapter.list(`${LEGACY_SAVE_KEY}:`), checkpoints.map((entry) => entry.key).sort());
+  assert.equal((await store.loadPayload(slot.id, checkpoints[2].key)).worldState.simTimeSec, 30);
+
+  const copy = await store.duplicateSlot(slot.id);
+  assert.deepEqual(store.listCheckpoints(copy.id).map((entry) => entry.savedAtEpochMs), [5_000, 4_000, 3_000]);
+
+  await store.deleteSlot(slot.id);
+  assert.equal((await adapter.list(`${LEGACY_SAVE_KEY}:`)).length, 3);
+});
+
+test('older checkpoints are spaced out in time so the ring reaches back further', async () => {
+  const adapter = new MemoryStorageAdapter();
+  const minute = 60_000;
+  const store = await SaveSlotStore.open(adapter, { checkpointsPerSlot: 4, checkpointSpacingMs: 5 * minute });
+  const slot = await store.createSlot('Reef');
+  // Autosave every 10 s for half an hour.
+  for (let ms = 0; ms <= 30 * minute; ms += 10_000) {
+    await store.savePayload(slot.id, makePayload({ savedAtEpochMs: ms }));
+  }
+
+  // The newest save, then the last save of each earlier five-minute window.
+  const seconds = store.listCheckpoints(slot.id).map((entry) => entry.savedAtEpochMs / 1000);
+  assert.deepEqual(seconds, [1800, 1790, 1490, 1190]);
+  assert.equal((await adapter.list(`${LEGACY_SAVE_KEY}:`)).length, 4, 'thinned saves are deleted');
+});
+
+test('a corrupted checkpoint is skipped in favour of the newest intact one', async () => {
+  const adapter = new MemoryStorageAdapter();
+  const store = await SaveSlotStore.open(adapter, { checkpointSpacingMs: 0 });
+  const slot = await store.createSlot('Reef');
+  await store.savePayload(slot.id, makePayload({ savedAtEpochMs: 1_000, simTimeSec: 10 }));
+  await store.savePayload(slot.id, makePayload({ savedAtEpochMs: 2_000, simTimeSec: 20 }));
+  await store.savePayload(slot.id, makePayload({ savedAtEpochMs: 3_000, simTimeSec: 30 }));
+
+  const [newest, middle] = store.listCheckpoints(slot.id);
+  const damaged = await adapter.load(newest.key);
+  damaged.worldState.simTimeSec = 31;
+  await adapter.save(newest.key, damaged);
+  assert.equal(await store.loadPayload(slot.id), null);
+
+  // The middle checkpoint is intact but rejected by the caller's own validation.
+  const found = await store.loadLatestUsable(slot.id, (payload) => payload.worldState.simTimeSec !== 20);
+  assert.equal(found.payload.worldState.simTimeSec, 10);
+  assert.deepEqual(found.skipped.map((entry) => entry.key), [newest.key, middle.key]);
+  assert.equal(await store.loadLatestUsable(slot.id, () => false), null);
+});
+
+test('slots saved before checkpoints load as a single unverified checkpoint', async () => {
+  const payload = makePayload({ savedAtEpochMs: 4_000 });
+  const adapter = new MemoryStorageAdapter({
+    [SLOT_INDEX_KEY]: {
+      activeSlotId: 'slot-a-1',
+      nextSlotNumber: 2,
+      slots: [{ id: 'slot-a-1', name: 'Reef', savedAtEpochMs: 4_000, meta: { simTimeSec: 120, fishCount: 2, hygiene01: 0.8 } }]
+    },
+    [`${LEGACY_SAVE_KEY}:slot-a-1`]: payload
+  });
+  const store = await SaveSlotStore.open(adapter);
+  assert.deepEqual(await store.loadPayload('slot-a-1'), payload);
+
+  await store.savePayload('slot-a-1', makePayload({ savedAtEpochMs: 4_000 + 10 * 60_000 }));
+  assert.deepEqual(store.listCheckpoints('slot-a-1').map((entry) => entry.checksum === null), [false, true]);
+});
+
+test('a failed tank is archived read-only next to its checkpoints', async () => {
+  const adapter = new MemoryStorageAdapter();
+  const store = await SaveSlotStore.open(adapter);
+  const slot = await store.createSlot('Reef');
+  await store.setActive(slot.id);
+  await store.savePayload(slot.id, makePayload({ savedAtEpochMs: 1_000 }));
+
+  const final = makePayload({ savedAtEpochMs: 2_000, simTimeSec: 900 });
+  final.worldState.fish.forEach((fish) => {
+    fish.lifeState = 'DEAD';
+  });
+  assert.equal(await store.archiveSlot(slot.id, final), true);
+
+  const archived = store.getSlot(slot.id).archived;
+  assert.equal(archived.failedAtEpochMs, 2_000);
+  assert.deepEqual(archived.meta, { simTimeSec: 900, fishCount: 0, hygiene01: 0.8 });
+  assert.equal(store.activeSlotId, null);
+  assert.deepEqual(await store.loadArchivedPayload(slot.id), final);
+  assert.equal((await store.loadPayload(slot.id)).savedAtEpochMs, 1_000);
+
+  // Read-only: no further saves, no reactivation, no second archive.
+  assert.equal(await store.savePayload(slot.id, makePayload({ savedAtEpochMs: 3_000 })), false);
+  assert.equal(await store.setActive(slot.id), false);
+  assert.equal(await store.archiveSlot(slot.id, final), false);
+  assert.equal(store.listCheckpoints(slot.id).length, 1);
+
+  const reopened = await SaveSlotStore.open(adapter);
+  assert.equal(reopened.getSlot(slot.id).archived.checksum, archived.checksum);
+
+  await reopened.deleteSlot(slot.id);
+  assert.deepEqual(await adapter.list(`${LEGACY_SAVE_KEY}:`), []);
+});
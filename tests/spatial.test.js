@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SpatialHash } from '../src/engine/spatial.js';
+import { SeededRng } from '../src/engine/rng.js';
+import { World } from '../src/engine/world.js';
+
+function makePoints(count, seed) {
+  const rng = new SeededRng(seed);
+  return Array.from({ length: count }, (_, id) => ({ id, position: { x: rng.range(0, 900), y: rng.range(0, 560) } }));
+}
+
+test('radius queries cover every point in range and keep array order', () => {
+  const points = makePoints(300, 9);
+  const grid = new SpatialHash(64);
+  grid.rebuild(points);
+  const rng = new SeededRng(10);
+
+  for (let i = 0; i < 50; i += 1) {
+    const x = rng.range(0, 900);
+    const y = rng.range(0, 560);
+    const radius = rng.range(5, 180);
+    const candidates = grid.query(x, y, radius);
+    const expected = points.filter((p) => Math.hypot(p.position.x - x, p.position.y - y) <= radius);
+
+    const candidateIds = new Set(candidates.map((p) => p.id));
+    for (const point of expected) assert.ok(candidateIds.has(point.id));
+    const indexes = candidates.map((p) => grid.indexOf(p));
+    assert.deepEqual(indexes, [...indexes].sort((a, b) => a - b));
+  }
+});
+
+test('update re-buckets moved items', () => {
+  const item = { position: { x: 10, y: 10 } };
+  const grid = new SpatialHash(32);
+  grid.rebuild([item]);
+
+  item.position = { x: 400, y: 300 };
+  assert.deepEqual(grid.query(400, 300, 1), []);
+  grid.update(item);
+  assert.deepEqual(grid.query(400, 300, 1), [item]);
+  assert.deepEqual(grid.query(10, 10, 1), []);
+});
+
+test('world fish grid stays in sync with fish positions through updates', () => {
+  const world = new World(800, 500, 6, { seed: 4 });
+  for (let i = 0; i < 40; i += 1) world.update(0.1);
+
+  for (const fish of world.fish) {
+    assert.ok(world.queryFishNear(fish.position.x, fish.position.y, 0).includes(fish));
+  }
+});
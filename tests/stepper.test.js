@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+import { FixedStepper } from '../src/engine/stepper.js';
+
+function makeTank() {
+  const world = new World(800, 500, 4, { seed: 2024 });
+  world.spawnFood(300, 40);
+  world.spawnFood(500, 60);
+  return world;
+}
+
+test('visible frame deltas and hidden 1 s ticks produce identical worlds', () => {
+  const visible = makeTank();
+  const visibleStepper = new FixedStepper(visible);
+  // Irregular 60/144 Hz-ish frames totalling 30 s.
+  const frames = [1 / 60, 1 / 144, 1 / 60, 0.031, 1 / 30];
+  let elapsed = 0;
+  let index = 0;
+  while (elapsed < 30 - 1e-9) {
+    const dt = Math.min(frames[index % frames.length], 30 - elapsed);
+    visibleStepper.advance(dt);
+    elapsed += dt;
+    index += 1;
+  }
+
+  const hidden = makeTank();
+  const hiddenStepper = new FixedStepper(hidden);
+  for (let i = 0; i < 30; i += 1) hiddenStepper.advance(1);
+
+  assert.equal(visible.simTimeSec, hidden.simTimeSec);
+  assert.deepEqual(visible.toJSON(), hidden.toJSON());
+});
+
+test('stepper runs whole steps only and keeps the remainder for interpolation', () => {
+  const world = makeTank();
+  const stepper = new FixedStepper(world, { stepSec: 0.1 });
+
+  assert.equal(stepper.advance(0.05), 0);
+  assert.equal(world.simTimeSec, 0);
+  assert.ok(Math.abs(stepper.alpha - 0.5) < 1e-9);
+
+  assert.equal(stepper.advance(0.26), 3);
+  assert.ok(Math.abs(world.simTimeSec - 0.3) < 1e-9);
+  assert.ok(Math.abs(stepper.alpha - 0.1) < 1e-6);
+});
+
+test('interpolated positions blend the last two steps', () => {
+  const world = makeTank();
+  const stepper = new FixedStepper(world, { stepSec: 0.1 });
+  const fish = world.fish[0];
+
+  stepper.advance(0.1);
+  const previous = stepper.previousPositions.get(fish);
+  stepper.accumulatorSec = 0.05;
+  const mid = stepper.positionOf(fish);
+  assert.ok(Math.abs(mid.x - (previous.x + fish.position.x) / 2) < 1e-9);
+  assert.ok(Math.abs(mid.y - (previous.y + fish.position.y) / 2) < 1e-9);
+
+  const unseen = { position: { x: 5, y: 6 } };
+  assert.deepEqual(stepper.positionOf(unseen), { x: 5, y: 6 });
+});
+
+test('afterStep returning false halts the loop and drops leftover time', () => {
+  const world = makeTank();
+  const stepper = new FixedStepper(world, { stepSec: 0.1 });
+  let calls = 0;
+  const steps = stepper.advance(1, () => {
+    calls += 1;
+    return calls < 3;
+  });
+
+  assert.equal(steps, 3);
+  assert.equal(stepper.accumulatorSec, 0);
+});
@@ -0,0 +1,181 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  IndexedDbStorageAdapter,
+  LocalStorageAdapter,
+  MemoryStorageAdapter,
+  createStorageAdapter
+} from '../src/persistence/storage_adapters.js';
+
+class FakeLocalStorage {
+  constructor({ quotaChars = Infinity } = {}) {
+    this.map = new Map();
+    this.quotaChars = quotaChars;
+  }
+
+  get length() {
+    return this.map.size;
+  }
+
+  key(index) {
+    return [...this.map.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this.map.has(key) ? this.map.get(key) : null;
+  }
+
+  setItem(key, value) {
+    const used = [...this.map.entries()].reduce((sum, [k, v]) => (k === key ? sum : sum + v.length), 0);
+    if (used + String(value).length > this.quotaChars) throw new DOMException('quota', 'QuotaExceededError');
+    this.map.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.map.delete(key);
+  }
+}
+
+// The slice of IndexedDB the adapter uses: one object store per database, out-of-line keys, async
+// requests, and transactions that complete after their requests (or abort when `failWrites` is set).
+function memoryIndexedDb({ failWrites = false } = {}) {
+  const databases = new Map();
+
+  const makeTransaction = (entries, mode) => {
+    const transaction = { error: null };
+    let pending = 0;
+    const run = (op, write = false) => {
+      const request = {};
+      pending += 1;
+      queueMicrotask(() => {
+        pending -= 1;
+        if (write && (mode !== 'readwrite' || failWrites)) {
+          request.error = transaction.error = new DOMException('full', 'QuotaExceededError');
+          request.onerror?.();
+          transaction.onabort?.();
+          return;
+        }
+        request.result = op();
+        request.onsuccess?.();
+        if (pending === 0) queueMicrotask(() => transaction.oncomplete?.());
+      });
+      return request;
+    };
+    transaction.objectStore = () => ({
+      get: (key) => run(() => (entries.has(key) ? structuredClone(entries.get(key)) : undefined)),
+      getAllKeys: () => run(() => [...entries.keys()]),
+      count: (key) => run(() => (entries.has(key) ? 1 : 0)),
+      put: (value, key) => {
+        const copy = structuredClone(value);
+        return run(() => {
+          entries.set(key, copy);
+          return key;
+        }, true);
+      },
+      delete: (key) => run(() => {
+        entries.delete(key);
+      }, true)
+    });
+    return transaction;
+  };
+
+  return {
+    open(name) {
+      const request = {};
+      queueMicrotask(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+        const stores = databases.get(name);
+        request.result = {
+          objectStoreNames: { contains: (storeName) => stores.has(storeName) },
+          createObjectStore: (storeName) => stores.set(storeName, new Map()),
+          transaction: (storeName, mode) => makeTransaction(stores.get(storeName), mode)
+        };
+        if (isNew) request.onupgradeneeded?.();
+        request.onsuccess?.();
+      });
+      return request;
+    }
+  };
+}
+
+function failingIndexedDb() {
+  return {
+    open() {
+      const request = {};
+      queueMicrotask(() => {
+        request.error = new Error('denied');
+        request.onerror();
+      });
+      return request;
+    }
+  };
+}
+
+for (const [label, makeAdapter] of [
+  ['memory', () => new MemoryStorageAdapter()],
+  ['localStorage', () => new LocalStorageAdapter(new FakeLocalStorage())],
+  ['indexedDB', () => new IndexedDbStorageAdapter({ indexedDB: memoryIndexedDb() })]
+]) {
+  test(`${label} adapter loads, lists and deletes by key`, async () => {
+    const adapter = makeAdapter();
+    assert.equal(await adapter.load('a:1'), null);
+
+    const value = { simTimeSec: 5, fish: [{ id: 1 }] };
+    await adapter.save('a:1', value);
+    await adapter.save('a:2', { simTimeSec: 6 });
+    await adapter.save('b:1', { simTimeSec: 7 });
+    value.simTimeSec = 99;
+
+    assert.deepEqual(await adapter.load('a:1'), { simTimeSec: 5, fish: [{ id: 1 }] });
+    assert.deepEqual(await adapter.list('a:'), ['a:1', 'a:2']);
+    assert.equal(await adapter.delete('a:1'), true);
+    assert.equal(await adapter.delete('a:1'), false);
+    assert.deepEqual(await adapter.list(), ['a:2', 'b:1']);
+  });
+}
+
+test('localStorage adapter rejects writes over quota and skips unreadable entries', async () => {
+  const storage = new FakeLocalStorage({ quotaChars: 40 });
+  const adapter = new LocalStorageAdapter(storage);
+  await adapter.save('small', { ok: true });
+  await assert.rejects(adapter.save('big', { blob: 'x'.repeat(100) }), { name: 'QuotaExceededError' });
+  assert.equal(await adapter.load('big'), null);
+
+  storage.map.set('broken', '{not json');
+  assert.equal(await adapter.load('broken'), null);
+});
+
+test('IndexedDB adapter keeps saves across connections and rejects refused writes', async () => {
+  const indexedDB = memoryIndexedDb();
+  const first = new IndexedDbStorageAdapter({ indexedDB });
+  await first.save('aquatab_save_v1:slot-1:1', { simTimeSec: 12 });
+
+  const second = new IndexedDbStorageAdapter({ indexedDB });
+  assert.deepEqual(await second.load('aquatab_save_v1:slot-1:1'), { simTimeSec: 12 });
+  assert.deepEqual(await second.list('aquatab_save_v1:'), ['aquatab_save_v1:slot-1:1']);
+
+  const full = new IndexedDbStorageAdapter({ indexedDB: memoryIndexedDb({ failWrites: true }) });
+  await assert.rejects(full.save('a', { ok: true }), { name: 'QuotaExceededError' });
+  assert.equal(await full.load('a'), null);
+});
+
+test('backend selection prefers IndexedDB and offers localStorage to move saves from', async () => {
+  const storage = new FakeLocalStorage();
+  const chosen = await createStorageAdapter({ indexedDB: memoryIndexedDb(), localStorage: storage });
+  assert.equal(chosen.adapter.kind, 'indexedDB');
+  assert.equal(chosen.fallback.kind, 'localStorage');
+});
+
+test('backend selection falls back from IndexedDB to localStorage to memory', async () => {
+  const storage = new FakeLocalStorage();
+  const local = await createStorageAdapter({ indexedDB: failingIndexedDb(), localStorage: storage });
+  assert.equal(local.adapter.kind, 'localStorage');
+  assert.equal(local.fallback, null);
+  assert.equal(storage.length, 0);
+
+  const blocked = new FakeLocalStorage({ quotaChars: 0 });
+  const memory = await createStorageAdapter({ indexedDB: null, localStorage: blocked });
+  assert.equal(memory.adapter.kind, 'memory');
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+
+test('the vacuum picks up poop, settled food and dead fish within reach', () => {
+  const world = new World(800, 500, 3, { seed: 21 });
+  const bottomY = world.bounds.height;
+  world.poop = [];
+  world.food = [];
+
+  const nearPoop = world.spawnPoop(400, 300);
+  const farPoop = world.spawnPoop(100, 300);
+  world.food.push(
+    { id: 901, x: 410, y: bottomY, amount: 1, ttl: 30, vy: 0 },
+    { id: 902, x: 400, y: 290, amount: 1, ttl: 30, vy: 4 }
+  );
+  const [corpse, survivor] = world.fish;
+  corpse.lifeState = 'DEAD';
+  corpse.position = { x: 395, y: 305 };
+  survivor.position = { x: 400, y: 300 };
+  world.selectedFishId = corpse.id;
+
+  const removed = world.vacuumAt(400, 300, 30);
+  assert.deepEqual(removed, { poop: 1, food: 0, corpses: 1 });
+  assert.deepEqual(world.poop.map((item) => item.id), [farPoop.id]);
+  assert.ok(!world.poop.includes(nearPoop));
+  assert.ok(!world.fish.includes(corpse));
+  assert.equal(world.selectedFishId, null);
+  assert.ok(world.fish.includes(survivor), 'living fish are left alone');
+  assert.deepEqual(world.food.map((item) => item.id).sort(), [901, 902], 'food still falling or out of reach stays');
+
+  assert.deepEqual(world.vacuumAt(410, bottomY, 30), { poop: 0, food: 1, corpses: 0 });
+  assert.ok(world.fxParticles.some((p) => p.kind === 'VACUUM_SUCTION'));
+});
+
+test('vacuumed waste stops fouling the water', () => {
+  const dirty = new World(800, 500, 2, { seed: 8 });
+  const cleaned = new World(800, 500, 2, { seed: 8 });
+  for (const world of [dirty, cleaned]) {
+    world.poop = [];
+    world.food = [];
+    for (let i = 0; i < 12; i += 1) world.spawnPoop(300 + i, world.bounds.height);
+    world.food.push({ id: 900, x: 300, y: world.bounds.height, amount: 1, ttl: 5, vy: 0 });
+    world.water.ammoniaPpm = 0;
+  }
+
+  assert.deepEqual(cleaned.vacuumAt(305, cleaned.bounds.height, 40), { poop: 12, food: 1, corpses: 0 });
+  for (let i = 0; i < 10; i += 1) {
+    dirty.macroStep(3);
+    cleaned.macroStep(3);
+  }
+  const total = (world) => world.water.ammoniaPpm + world.water.nitritePpm + world.water.nitratePpm;
+  assert.ok(total(cleaned) < total(dirty));
+});
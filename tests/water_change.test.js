@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+import { Fish } from '../src/engine/fish.js';
+import { WORLD_EVENT_TYPES } from '../src/engine/events.js';
+import { TankJournal } from '../src/engine/journal.js';
+
+function pollutedWorld(seed) {
+  const world = new World(800, 500, 3, { seed });
+  Object.assign(world.water, { ammoniaPpm: 0, nitritePpm: 0, nitratePpm: 120 });
+  return world;
+}
+
+test('a water change dilutes the compounds by the chosen share over its duration', () => {
+  const world = pollutedWorld(2);
+  const still = pollutedWorld(2);
+  const changed = [];
+  world.on(WORLD_EVENT_TYPES.WATER_CHANGED, (event) => changed.push(event.payload.fraction01));
+
+  assert.equal(world.startWaterChange(0.2), true);
+  world.macroStep(5);
+  still.macroStep(5);
+  assert.ok(world.water.waterChangeProgress01 > 0.4 && world.water.waterChangeProgress01 < 0.6);
+  assert.ok(world.water.dirt01 < still.water.dirt01, 'the murk thins while the change runs');
+
+  world.macroStep(5);
+  still.macroStep(5);
+  assert.equal(world.water.waterChangeProgress01, 0);
+  assert.deepEqual(changed, [0.2]);
+  assert.ok(Math.abs(world.water.nitratePpm - still.water.nitratePpm * 0.8) < 0.5);
+  assert.ok(world.water.hygiene01 > still.water.hygiene01);
+  assert.deepEqual(world.journal.entries.filter((entry) => entry.type === WORLD_EVENT_TYPES.WATER_CHANGED).map(TankJournal.textOf), ['Changed 20% of the water']);
+});
+
+test('water changes are clamped, exclusive and cool down', () => {
+  const world = pollutedWorld(3);
+  assert.equal(world.startWaterChange(0), false);
+  assert.equal(world.startWaterChange(0.9), true);
+  assert.equal(world.water.waterChangeFraction01, 0.5);
+  assert.equal(world.startWaterChange(0.2), false, 'already running');
+
+  world.macroStep(10);
+  assert.ok(world.water.waterChangeCooldownSec > 0);
+  assert.equal(world.startWaterChange(0.2), false, 'cooling down');
+  world.macroStep(world.water.waterChangeCooldownSec);
+  assert.equal(world.startWaterChange(0.2), true);
+});
+
+test('only aggressive changes shock the fish, and the shock wears off', () => {
+  const gentle = pollutedWorld(5);
+  gentle.startWaterChange(0.2);
+  gentle.macroStep(10);
+  assert.ok(gentle.fish.every((fish) => fish.waterShock01 === 0));
+
+  const harsh = pollutedWorld(5);
+  harsh.startWaterChange(0.5);
+  harsh.update(5);
+  const [fish] = harsh.fish;
+  assert.ok(fish.waterShock01 > 0);
+  fish.updateMetabolism(0.1, harsh);
+  assert.ok(fish.wellbeing01 <= 1 - fish.waterShock01);
+
+  const minnow = new Fish(harsh.bounds, { speciesId: 'LAB_MINNOW', lifespanSec: 1000 });
+  const dart = new Fish(harsh.bounds, { speciesId: 'AZURE_DART', lifespanSec: 1000 });
+  minnow.applyWaterShock(0.1);
+  dart.applyWaterShock(0.1);
+  assert.ok(dart.waterShock01 > minnow.waterShock01, 'darts are more sensitive');
+
+  for (let i = 0; i < 6; i += 1) harsh.macroStep(60);
+  assert.ok(harsh.fish.every((entry) => entry.waterShock01 === 0));
+});
+
+test('a running water change is saved with the tank', () => {
+  const world = pollutedWorld(7);
+  world.startWaterChange(0.3);
+  world.macroStep(4);
+  const restored = World.fromJSON(JSON.parse(JSON.stringify(world.toJSON())), { width: 800, height: 500 });
+  assert.equal(restored.water.waterChangeFraction01, 0.3);
+  assert.equal(restored.water.waterChangeProgress01, world.water.waterChangeProgress01);
+  assert.equal(restored.fish[0].waterShock01, world.fish[0].waterShock01);
+
+  world.macroStep(6);
+  restored.macroStep(6);
+  assert.ok(Math.abs(restored.water.nitratePpm - world.water.nitratePpm) < 1e-6);
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+import {
+  createWaterChemistry,
+  deriveWaterQuality,
+  hygieneFromChemistry,
+  stepNitrogenCycle,
+  waterToxicity01
+} from '../src/engine/water_chemistry.js';
+
+test('bacteria turn ammonia into nitrite and nitrite into nitrate', () => {
+  const water = { ...createWaterChemistry(), ammoniaPpm: 2 };
+  const levels = [];
+  for (let sec = 0; sec < 120; sec += 1) {
+    stepNitrogenCycle(water, { dtSec: 1 });
+    levels.push({ ...water });
+  }
+
+  assert.ok(levels[5].nitritePpm > levels[5].nitratePpm, 'nitrite builds up first');
+  assert.ok(water.ammoniaPpm < 0.01);
+  assert.ok(water.nitritePpm < 0.1);
+  assert.ok(Math.abs(water.ammoniaPpm + water.nitritePpm + water.nitratePpm - 2) < 1e-9, 'nitrogen is conserved without export');
+});
+
+test('hygiene is derived from the compounds', () => {
+  const water = { ...createWaterChemistry(), nitratePpm: 50 };
+  deriveWaterQuality(water);
+  assert.equal(water.hygiene01, 0.75);
+
+  water.ammoniaPpm = 1;
+  assert.equal(hygieneFromChemistry(water), 0.5);
+  assert.equal(hygieneFromChemistry({ ammoniaPpm: 10, nitritePpm: 0, nitratePpm: 0 }), 0);
+});
+
+test('the colony matures while a working filter has waste to feed on and falls back without one', () => {
+  const water = createWaterChemistry();
+  const run = (seconds, options) => {
+    for (let sec = 0; sec < seconds; sec += 30) stepNitrogenCycle(water, { dtSec: 30, ammoniaInPpm: 0.3, ...options });
+  };
+
+  run(3600, { colonyCapacity01: 1 });
+  assert.ok(water.bacteria01 > 0.8);
+  run(3600, { colonyCapacity01: 0 });
+  assert.ok(water.bacteria01 < 0.2);
+});
+
+test('a filter exports nitrate, and rinsing it washes out part of the colony', () => {
+  const withFilter = new World(800, 500, 2, { seed: 3 });
+  const without = new World(800, 500, 2, { seed: 3 });
+  Object.assign(withFilter.water, { filterInstalled: true, filterEnabled: true, filter01: 1, filterTier: 1, bacteria01: 0.9, nitratePpm: 80 });
+  without.water.nitratePpm = 80;
+  withFilter.macroStep(600);
+  without.macroStep(600);
+  assert.ok(withFilter.water.nitratePpm < without.water.nitratePpm - 5);
+  assert.ok(withFilter.water.hygiene01 > without.water.hygiene01);
+
+  const before = withFilter.water.bacteria01;
+  withFilter.water.maintenanceProgress01 = 0.999;
+  withFilter.macroStep(1);
+  assert.ok(withFilter.water.bacteria01 < before * 0.8);
+});
+
+test('fish are stressed by toxic compounds, not by their mere presence', () => {
+  const clean = { ...createWaterChemistry(), ammoniaPpm: 0.2, nitritePpm: 0.3, nitratePpm: 40 };
+  assert.equal(waterToxicity01(clean), 0);
+  assert.equal(waterToxicity01({ ...clean, ammoniaPpm: 2 }), 1);
+
+  const world = new World(800, 500, 2, { seed: 11 });
+  const [fish] = world.fish;
+  fish.waterPenalty01 = 0;
+  world.water.ammoniaPpm = 1.5;
+  fish.updateMetabolism(10, world);
+  assert.ok(fish.waterPenalty01 > 0);
+});
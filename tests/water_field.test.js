@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+import { WaterField } from '../src/engine/water_field.js';
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+test('waste stays where it lands and then spreads without being lost', () => {
+  const field = new WaterField({ cols: 8, rows: 5 });
+  field.deposit(0.05, 0.95, 2);
+  field.sync(2);
+  const corner = field.cellIndexAt(0.05, 0.95);
+  assert.equal(field.factorAtIndex(corner), 40);
+  assert.equal(field.factorAt(0.95, 0.05), 0);
+
+  for (let sec = 0; sec < 120; sec += 1) field.step(1);
+  assert.ok(field.factorAtIndex(corner) < 10);
+  assert.ok(field.factorAt(0.2, 0.8) > 0, 'neighbouring water picked some up');
+  assert.ok(Math.abs(sum(field.cells) / field.cells.length - 2) < 1e-9);
+
+  field.sync(1);
+  assert.ok(Math.abs(sum(field.cells) / field.cells.length - 1) < 1e-9, 'tank-wide changes rescale every cell');
+});
+
+test('a working filter draws a dirty pocket toward its intake and mixes it back', () => {
+  const run = (intakeStrength01) => {
+    const field = new WaterField({ cols: 8, rows: 5 });
+    field.sync(1);
+    field.deposit(0.1, 0.1, 1);
+    field.sync(2);
+    for (let sec = 0; sec < 60; sec += 1) field.step(1, { intake: { u: 0.95, v: 0.95 }, intakeStrength01 });
+    return Math.max(...field.cells.map((_, i) => field.factorAtIndex(i)));
+  };
+  assert.ok(run(1) < run(0));
+});
+
+test('fish in a dirty part of the tank are stressed more', () => {
+  const stressAfter = (concentrated) => {
+    const world = new World(800, 500, 2, { seed: 12 });
+    const [fish] = world.fish;
+    fish.position = { x: 100, y: 100 };
+    fish.waterPenalty01 = 0;
+    world.water.ammoniaPpm = 0.2;
+    world.waterField.sync(0.2);
+    if (concentrated) {
+      world.waterField.deposit(100 / 800, 100 / 500, 0.2);
+      world.waterField.sync(0.2);
+    }
+    fish.updateMetabolism(10, world);
+    return fish.waterPenalty01;
+  };
+  assert.ok(stressAfter(true) > stressAfter(false));
+  assert.equal(stressAfter(false), 0, 'evenly spread the ammonia is below the stress threshold');
+});
+
+test('the field follows the chemistry and is saved with the tank', () => {
+  const world = new World(800, 500, 3, { seed: 6 });
+  world.spawnPoop(60, 480);
+  world.update(0.1);
+  const total = world.water.ammoniaPpm + world.water.nitritePpm + world.water.nitratePpm;
+  assert.ok(Math.abs(world.waterField.meanPpm - total) < 1e-12);
+  assert.ok(world.waterField.factorAt(60 / 800, 480 / 500) > 1);
+
+  const restored = World.fromJSON(JSON.parse(JSON.stringify(world.toJSON())), { width: 800, height: 500 });
+  assert.deepEqual(restored.waterField.toJSON(), world.waterField.toJSON());
+
+  const legacy = world.toJSON();
+  delete legacy.waterField;
+  const spread = World.fromJSON(legacy, { width: 800, height: 500 });
+  assert.equal(spread.waterField.factorAt(60 / 800, 480 / 500), 1);
+});
+
+test('local water can be sampled into a reused object', () => {
+  const world = new World(800, 500, 2, { seed: 4 });
+  world.water.ammoniaPpm = 0.4;
+  world.waterField.sync(0.4);
+  const out = { ammoniaPpm: 0, nitritePpm: 0, nitratePpm: 0 };
+  assert.equal(world.localWaterAt(100, 100, out), out);
+  assert.deepEqual(out, world.localWaterAt(100, 100));
+  assert.ok(Math.abs(out.ammoniaPpm - 0.4) < 1e-12);
+});
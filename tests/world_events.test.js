@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/engine/world.js';
+import { WORLD_EVENT_TYPES } from '../src/engine/events.js';
+
+test('subscribers receive events by type, wildcard subscribers receive all, and unsubscribe works', () => {
+  const world = new World(800, 500, 3, { seed: 5 });
+  const spawned = [];
+  const all = [];
+  const unsubscribe = world.on(WORLD_EVENT_TYPES.FOOD_SPAWNED, (event) => spawned.push(event));
+  world.on('*', (event) => all.push(event.type));
+
+  world.spawnFood(100, 50);
+  unsubscribe();
+  world.spawnFood(120, 50);
+
+  assert.equal(spawned.length, 1);
+  assert.equal(spawned[0].payload.x, 100);
+  assert.equal(spawned[0].t, world.simTimeSec);
+  assert.deepEqual(all, [WORLD_EVENT_TYPES.FOOD_SPAWNED, WORLD_EVENT_TYPES.FOOD_SPAWNED]);
+  assert.equal(world.flushEvents().length, 2);
+  assert.deepEqual(world.flushEvents(), []);
+});
+
+test('unknown event types are rejected and a failing handler does not keep others from running', () => {
+  const world = new World(800, 500, 3, { seed: 5 });
+  assert.throws(() => world.emit('fish:teleported'), /Unknown world event type/);
+  assert.throws(() => world.on('fish:teleported', () => {}), /Unknown world event type/);
+
+  const seen = [];
+  world.on(WORLD_EVENT_TYPES.FOOD_SPAWNED, () => { throw new Error('boom'); });
+  world.on(WORLD_EVENT_TYPES.FOOD_SPAWNED, (event) => seen.push(event));
+  assert.throws(() => world.spawnFood(100, 50), /boom/, 'without a hook the error surfaces');
+  assert.equal(seen.length, 1);
+
+  const failures = [];
+  world.onEventHandlerError = (error, event) => failures.push([error.message, event.type]);
+  world.spawnFood(120, 50);
+  assert.equal(seen.length, 2);
+  assert.deepEqual(failures, [['boom', WORLD_EVENT_TYPES.FOOD_SPAWNED]]);
+});
+
+test('deaths, meals and filter changes are emitted where they happen', () => {
+  const world = new World(800, 500, 3, { seed: 8 });
+  world.grantAllUnlockPrerequisites();
+  const events = [];
+  world.on('*', (event) => events.push(event));
+
+  const [fish] = world.fish;
+  world.spawnFood(fish.position.x, fish.position.y);
+  const [food] = world.food;
+  const amount = food.amount;
+  world.consumeFood(food.id, food.amount, fish.id);
+
+  fish.lifeState = 'DEAD';
+  fish.deathReason = 'OLD_AGE';
+  world.update(0.1);
+  world.update(0.1);
+
+  assert.ok(world.installWaterFilter());
+  for (let i = 0; i < 200 && !world.water.filterInstalled; i += 1) world.update(0.1);
+  world.water.filter01 = world.filterDepletedThreshold01 + 0.000001;
+  world.update(0.1);
+  world.update(0.1);
+  assert.ok(world.upgradeWaterFilter());
+
+  const ofType = (type) => events.filter((event) => event.type === type);
+  assert.deepEqual(ofType(WORLD_EVENT_TYPES.FOOD_EATEN)[0].payload, { foodId: food.id, kind: 'food', consumed: amount, fishId: fish.id });
+  const deaths = ofType(WORLD_EVENT_TYPES.FISH_DIED);
+  assert.equal(deaths.length, 1);
+  assert.equal(deaths[0].payload.fishId, fish.id);
+  assert.equal(deaths[0].payload.reason, 'OLD_AGE');
+  assert.equal(ofType(WORLD_EVENT_TYPES.FILTER_INSTALLED).length, 1);
+  assert.equal(ofType(WORLD_EVENT_TYPES.FILTER_DEPLETED).length, 1);
+  assert.deepEqual(ofType(WORLD_EVENT_TYPES.FILTER_UPGRADED)[0].payload, { fromTier: 1, tier: 2 });
+});
+
+test('hatching emits birth and hatch events with parents, and the queue stays bounded', () => {
+  const world = new World(800, 500, 2, { seed: 8 });
+  const [mother, father] = world.fish;
+  const events = [];
+  world.on(WORLD_EVENT_TYPES.FISH_BORN, (event) => events.push(event));
+  world.on(WORLD_EVENT_TYPES.EGG_HATCHED, (event) => events.push(event));
+  world.water.hygiene01 = 1;
+  const eggId = world.nextEggId++;
+  world.eggs.push({
+    id: eggId,
+    x: 250,
+    y: 260,
+    laidAtSec: 0,
+    hatchAtSec: 1,
+    motherId: mother.id,
+    fatherId: father.id,
+    motherTraits: { ...mother.traits },
+    fatherTraits: { ...father.traits },
+    state: 'INCUBATING',
+    canBeEaten: true,
+    nutrition: 0.25
+  });
+
+  world.macroStep(5);
+
+  assert.equal(world.birthsCount, 1);
+  const baby = world.fish.at(-1);
+  assert.deepEqual(events.map((event) => [event.type, event.payload]), [
+    [WORLD_EVENT_TYPES.FISH_BORN, { fishId: baby.id, motherId: mother.id, fatherId: father.id, speciesId: baby.speciesId, eggId }],
+    [WORLD_EVENT_TYPES.EGG_HATCHED, { eggId, fishId: baby.id, motherId: mother.id, fatherId: father.id }]
+  ]);
+
+  for (let i = 0; i < 1200; i += 1) world.spawnFood(400, 40);
+  assert.equal(world.events.length, 1000);
+  assert.equal(world.events.at(-1).type, WORLD_EVENT_TYPES.FOOD_SPAWNED);
+});
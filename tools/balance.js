@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Monte Carlo balancing CLI.
+ * Responsibility: run seeded tank batches for each tuning variant and print/write the aggregate report.
+ *
+ * Usage:
+ *   node tools/balance.js --variants variants.json [--runs 20] [--hours 12] [--seed 1]
+ *     [--fish 4] [--feed-every 300] [--feed-count 3] [--install-filter] [--out report.json]
+ *
+ * variants.json is an array (or { "variants": [...] }) of
+ *   { "name": "...", "reproduction": {...}, "water": {...}, "species": { "AZURE_DART": {...} } }
+ * A "baseline" variant with no overrides is added unless one with that name exists.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { runBalanceBatch } from '../src/sim/balance.js';
+import { parseArgs, readNumber } from './cli_args.js';
+
+const FLAGS = ['install-filter', 'help'];
+
+function loadVariants(path) {
+  if (!path) return [];
+  const parsed = JSON.parse(readFileSync(path, 'utf8'));
+  const list = Array.isArray(parsed) ? parsed : parsed?.variants;
+  if (!Array.isArray(list)) throw new Error(`${path} must contain an array of variants`);
+  return list;
+}
+
+const formatStat = (value, digits = 1) => (value == null ? '-' : value.mean.toFixed(digits));
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), FLAGS);
+  if (args.help) {
+    console.log('Usage: node tools/balance.js --variants <file> [--runs <n>] [--hours <n>] [--seed <n>] [--out <file>] ...');
+    return;
+  }
+
+  const variants = loadVariants(args.variants);
+  if (!variants.some((variant) => variant?.name === 'baseline')) variants.unshift({ name: 'baseline' });
+
+  const report = await runBalanceBatch({
+    variants,
+    runs: readNumber(args, 'runs', 10),
+    baseSeed: readNumber(args, 'seed', 1),
+    initialFishCount: readNumber(args, 'fish', 4),
+    runOptions: {
+      simHours: readNumber(args, 'hours', 6),
+      sampleEverySec: readNumber(args, 'sample-every', 60),
+      feedEverySec: readNumber(args, 'feed-every', 300),
+      feedCount: readNumber(args, 'feed-count', 3),
+      installFilter: Boolean(args['install-filter'])
+    },
+    onVariantDone: (result) => {
+      console.error(
+        `${result.name}: survival ${(result.survivalRate * 100).toFixed(0)}%`
+        + `, failure ${formatStat(result.timeToFailureSec, 0)}s`
+        + `, peak ${formatStat(result.peakPopulation)}`
+        + `, steady ${formatStat(result.steadyStatePopulation)}`
+      );
+    }
+  });
+
+  const json = JSON.stringify(report, null, 2);
+  if (args.out) writeFileSync(args.out, `${json}\n`);
+  else console.log(json);
+}
+
+main().catch((error) => {
+  console.error(`balance: ${error.message}`);
+  process.exitCode = 1;
+});
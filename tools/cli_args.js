@@ -0,0 +1,29 @@
+/**
+ * Minimal `--key value` / `--flag` parser shared by the Node tools.
+ */
+
+export function parseArgs(argv, flags = []) {
+  const flagSet = new Set(flags);
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const token = argv[i];
+    if (!token.startsWith('--')) throw new Error(`Unexpected argument: ${token}`);
+    const key = token.slice(2);
+    if (flagSet.has(key)) {
+      args[key] = true;
+      continue;
+    }
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith('--')) throw new Error(`Missing value for --${key}`);
+    args[key] = value;
+    i += 1;
+  }
+  return args;
+}
+
+export function readNumber(args, key, fallback) {
+  if (args[key] === undefined) return fallback;
+  const parsed = Number(args[key]);
+  if (!Number.isFinite(parsed)) throw new Error(`--${key} must be a number`);
+  return parsed;
+}
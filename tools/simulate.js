@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Headless simulation CLI.
+ * Responsibility: build or load a tank, run it for N sim-hours and print/write the JSON report.
+ *
+ * Usage:
+ *   node tools/simulate.js --hours 6 --seed 42 [--fish 4] [--save save.json]
+ *     [--step 0.25] [--sample-every 60] [--feed-every 300] [--feed-count 3]
+ *     [--keep-corpses] [--install-filter] [--no-stop] [--macro] [--width 800] [--height 500] [--out report.json]
+ *
+ * --macro runs coarse macro steps (default --step 5) instead of full ticks.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { MACRO_STEP_SEC } from '../src/engine/stepper.js';
+import { createHeadlessWorld, runHeadless } from '../src/sim/headless.js';
+import { parseArgs, readNumber } from './cli_args.js';
+
+const FLAGS = ['keep-corpses', 'install-filter', 'no-stop', 'macro', 'help'];
+
+function main() {
+  const args = parseArgs(process.argv.slice(2), FLAGS);
+  if (args.help) {
+    console.log('Usage: node tools/simulate.js --hours <n> [--seed <seed>] [--save <file>] [--out <file>] ...');
+    return;
+  }
+
+  const save = args.save ? JSON.parse(readFileSync(args.save, 'utf8')) : null;
+  const world = createHeadlessWorld({
+    save,
+    seed: args.seed,
+    initialFishCount: readNumber(args, 'fish', 4),
+    width: readNumber(args, 'width', 800),
+    height: readNumber(args, 'height', 500)
+  });
+
+  const report = runHeadless(world, {
+    simHours: readNumber(args, 'hours', 1),
+    stepSec: readNumber(args, 'step', args.macro ? MACRO_STEP_SEC : 0.25),
+    sampleEverySec: readNumber(args, 'sample-every', 60),
+    feedEverySec: readNumber(args, 'feed-every', 0),
+    feedCount: readNumber(args, 'feed-count', 3),
+    removeCorpses: !args['keep-corpses'],
+    installFilter: Boolean(args['install-filter']),
+    stopOnExtinction: !args['no-stop'],
+    macro: Boolean(args.macro)
+  });
+
+  const json = JSON.stringify(report, null, 2);
+  if (args.out) writeFileSync(args.out, `${json}\n`);
+  else console.log(json);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`simulate: ${error.message}`);
+  process.exitCode = 1;
+}